@@ -33,6 +33,8 @@ import { COLORS } from '../../../styles/colors';
 import { TYPOGRAPHY } from '../../../styles/typography';
 import { SPACING, BORDER_RADIUS } from '../../../styles/spacing';
 import { SHADOWS } from '../../../styles/shadows';
+import { DEFAULT_VITAL_RANGES, getVitalRange } from '../../utils/vitalRanges';
+import { getDisplayUnit, rangeToDisplay } from '../../utils/units';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const AnimatedView = Animated.createAnimatedComponent(View);
@@ -49,42 +51,28 @@ const CHART_TYPES = {
   TREND: 'trend',
 };
 
-// Medical chart presets
+// Medical chart presets; ranges come from the user's range profile, falling back to DEFAULT_VITAL_RANGES.
+// Units follow the `units` prop (selectUnitPreferences); `data` and range props must already be in those units.
 const MEDICAL_PRESETS = {
   bloodPressure: {
     type: CHART_TYPES.LINE,
     color: COLORS.medical.vital.bloodPressure,
-    unit: 'mmHg',
-    normalRange: { min: 90, max: 140 },
-    criticalRange: { min: 60, max: 180 },
   },
   heartRate: {
     type: CHART_TYPES.LINE,
     color: COLORS.medical.vital.heartRate,
-    unit: 'bpm',
-    normalRange: { min: 60, max: 100 },
-    criticalRange: { min: 40, max: 150 },
   },
   temperature: {
     type: CHART_TYPES.LINE,
     color: COLORS.medical.vital.temperature,
-    unit: '°F',
-    normalRange: { min: 97, max: 99.5 },
-    criticalRange: { min: 95, max: 104 },
   },
   weight: {
     type: CHART_TYPES.AREA,
     color: COLORS.secondary.main,
-    unit: 'lbs',
-    normalRange: null,
-    criticalRange: null,
   },
   glucose: {
     type: CHART_TYPES.LINE,
     color: COLORS.medical.vital.glucose,
-    unit: 'mg/dL',
-    normalRange: { min: 70, max: 140 },
-    criticalRange: { min: 40, max: 400 },
   },
 };
 
@@ -119,6 +107,7 @@ const HealthChart = ({
   normalRange,
   criticalRange,
   target,
+  units,
   
   // Custom styles
   style,
@@ -142,9 +131,10 @@ const HealthChart = ({
   // Get preset configuration
   const presetConfig = preset ? MEDICAL_PRESETS[preset] : null;
   const finalColor = presetConfig?.color || color;
-  const finalUnit = presetConfig?.unit || unit;
-  const finalNormalRange = presetConfig?.normalRange || normalRange;
-  const finalCriticalRange = presetConfig?.criticalRange || criticalRange;
+  const finalUnit = unit || (preset ? getDisplayUnit(preset, units) : undefined);
+  const presetRange = preset ? rangeToDisplay(getVitalRange(DEFAULT_VITAL_RANGES, preset), preset, units) : null;
+  const finalNormalRange = normalRange || presetRange?.normalRange;
+  const finalCriticalRange = criticalRange || presetRange?.criticalRange;
   const finalChartType = presetConfig?.type || chartType;
   
   // Process data on mount and data changes
@@ -271,13 +261,24 @@ const HealthChart = ({
     
     const values = processedData.map(item => item.value);
     
+    // Paired readings (blood pressure's diastolic) plot as a second, lighter line
+    const secondaryValues = processedData.map(item => item.secondaryValue);
+    const hasSecondary = secondaryValues.every(value => value !== undefined && value !== null);
+    
     return {
       labels,
-      datasets: [{
-        data: values,
-        color: (opacity = 1) => `rgba(${hexToRgb(finalColor)}, ${opacity})`,
-        strokeWidth: 2,
-      }]
+      datasets: [
+        {
+          data: values,
+          color: (opacity = 1) => `rgba(${hexToRgb(finalColor)}, ${opacity})`,
+          strokeWidth: 2,
+        },
+        ...(hasSecondary ? [{
+          data: secondaryValues,
+          color: (opacity = 1) => `rgba(${hexToRgb(finalColor)}, ${opacity * 0.5})`,
+          strokeWidth: 2,
+        }] : []),
+      ]
     };
   };
   
@@ -24,6 +24,7 @@ import {
   BarChart,
   ProgressChart,
   PieChart,
+  StackedBarChart,
 } from 'react-native-chart-kit';
 import Svg, { 
   Circle, 
@@ -41,6 +42,10 @@ import { TYPOGRAPHY } from '../../../styles/typography';
 import { SPACING, BORDER_RADIUS } from '../../../styles/spacing';
 import { SHADOWS } from '../../../styles/shadows';
 
+// Scheduling
+import { getScheduleForRange, startOfDay, endOfDay, toDateKey } from '../../utils/dateUtils';
+import { TAKEN_DOSE_STATUSES } from '../../utils/constants';
+
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const AnimatedView = Animated.createAnimatedComponent(View);
 const AnimatedSvg = Animated.createAnimatedComponent(Svg);
@@ -60,7 +65,8 @@ const MEDICATION_CHART_TYPES = {
 const ADHERENCE_COLORS = {
   taken: COLORS.status.success.main,
   missed: COLORS.status.error.main,
-  partial: COLORS.status.warning.main,
+  late: COLORS.status.warning.main,
+  partial: COLORS.status.warning.light,
   skipped: COLORS.neutral.gray[400],
   future: COLORS.neutral.gray[200],
 };
@@ -69,6 +75,8 @@ const MedicationChart = ({
   // Data props
   medications = [],
   adherenceData = [],
+  prnDoses = [], // "as needed" doses ({ medicationId, date, dosage, reason }), shown in the dosage pattern view
+  travel = null, // travel mode settings the schedule follows (see utils/travel)
   chartType = MEDICATION_CHART_TYPES.ADHERENCE,
   
   // Time range
@@ -111,7 +119,7 @@ const MedicationChart = ({
       chartOpacity.value = withSpring(1, { duration: 800, dampingRatio: 0.8 });
       chartScale.value = withSpring(1, { duration: 800, dampingRatio: 0.7 });
     }
-  }, [medications, adherenceData, chartType, timeRange]);
+  }, [medications, adherenceData, prnDoses, chartType, timeRange]);
   
   // Data processing
   const processChartData = () => {
@@ -153,13 +161,13 @@ const MedicationChart = ({
       const date = new Date(now);
       date.setDate(date.getDate() - i);
       
-      const dateStr = date.toISOString().split('T')[0];
+      const dateStr = toDateKey(date);
       const dayData = adherenceData.filter(item => 
-        item.date?.split('T')[0] === dateStr
+        item.date && toDateKey(item.date) === dateStr
       );
       
       const totalDoses = dayData.length;
-      const takenDoses = dayData.filter(item => item.status === 'taken').length;
+      const takenDoses = dayData.filter(item => TAKEN_DOSE_STATUSES.includes(item.status)).length;
       const rate = totalDoses > 0 ? (takenDoses / totalDoses) * 100 : 0;
       
       adherenceRates.push(rate);
@@ -187,9 +195,9 @@ const MedicationChart = ({
   
   // Process schedule data for today's medications
   const processScheduleData = () => {
-    const today = new Date().toISOString().split('T')[0];
+    const today = toDateKey(new Date());
     const todayData = adherenceData.filter(item => 
-      item.date?.split('T')[0] === today
+      item.date && toDateKey(item.date) === today
     );
     
     // Group by hour
@@ -205,7 +213,7 @@ const MedicationChart = ({
     todayData.forEach(item => {
       const hour = new Date(item.scheduledTime).getHours();
       hourlyData[hour].scheduled++;
-      if (item.status === 'taken') {
+      if (TAKEN_DOSE_STATUSES.includes(item.status)) {
         hourlyData[hour].taken++;
       } else if (item.status === 'missed') {
         hourlyData[hour].missed++;
@@ -228,44 +236,67 @@ const MedicationChart = ({
     };
   };
   
-  // Process dosage pattern data
+  // Process dosage pattern data: scheduled and "as needed" doses taken per medication over the time range
   const processDosagePatternData = () => {
-    const medicationDosages = {};
+    const rangeStart = startOfDay(new Date());
+    rangeStart.setDate(rangeStart.getDate() - (getTimeRangeDays() - 1));
+    const inRange = (item) => item.date && new Date(item.date) >= rangeStart;
     
-    medications.forEach(med => {
-      const dosageAmount = parseFloat(med.dosage.match(/[\d.]+/)?.[0] || 0);
-      const medData = adherenceData.filter(item => 
-        item.medicationId === med.id && item.status === 'taken'
-      );
-      
-      medicationDosages[med.name] = {
-        dailyDosage: dosageAmount * (med.timesPerDay || 1),
-        adherenceCount: medData.length,
-        color: COLORS.medical.medication[med.type] || COLORS.primary.main,
-      };
-    });
+    const rows = medications
+      .map(med => {
+        const scheduledTaken = adherenceData.filter(item => 
+          item.medicationId === med.id && inRange(item) && TAKEN_DOSE_STATUSES.includes(item.status)
+        ).length;
+        const prnTaken = prnDoses.filter(item => item.medicationId === med.id && inRange(item));
+        
+        const reasonCounts = {};
+        prnTaken.forEach(item => {
+          if (item.reason) reasonCounts[item.reason] = (reasonCounts[item.reason] || 0) + 1;
+        });
+        
+        return {
+          medicationId: med.id,
+          name: med.name,
+          scheduledTaken,
+          prnTaken: prnTaken.length,
+          topReasons: Object.entries(reasonCounts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([reason, count]) => ({ reason, count })),
+        };
+      })
+      .filter(row => row.scheduledTaken + row.prnTaken > 0);
     
-    return medicationDosages;
+    return {
+      labels: rows.map(row => row.name),
+      legend: ['Scheduled', 'As needed'],
+      data: rows.map(row => [row.scheduledTaken, row.prnTaken]),
+      barColors: [COLORS.primary.main, COLORS.status.warning.main],
+      rows,
+    };
   };
   
-  // Process weekly calendar data
+  // Process weekly calendar data (scheduled doses from the schedule engine are the denominator)
   const processWeeklyCalendarData = () => {
     const weekData = [];
-    const today = new Date();
-    const startOfWeek = new Date(today);
-    startOfWeek.setDate(today.getDate() - today.getDay());
+    const now = new Date();
+    const startOfWeek = startOfDay(now);
+    startOfWeek.setDate(now.getDate() - now.getDay());
     
     for (let i = 0; i < 7; i++) {
       const date = new Date(startOfWeek);
       date.setDate(startOfWeek.getDate() + i);
       
-      const dateStr = date.toISOString().split('T')[0];
+      const dateStr = toDateKey(date);
       const dayData = adherenceData.filter(item => 
-        item.date?.split('T')[0] === dateStr
+        item.date && toDateKey(item.date) === dateStr
       );
+      const scheduled = getScheduleForRange(medications, startOfDay(date), endOfDay(date), travel);
+      const elapsed = scheduled.filter(dose => new Date(dose.scheduledAt) <= now).length;
+      const isFuture = startOfDay(date) > now;
       
-      const totalDoses = dayData.length;
-      const takenDoses = dayData.filter(item => item.status === 'taken').length;
+      const totalDoses = isFuture ? scheduled.length : Math.max(elapsed, dayData.length);
+      const takenDoses = dayData.filter(item => TAKEN_DOSE_STATUSES.includes(item.status)).length;
       const missedDoses = dayData.filter(item => item.status === 'missed').length;
       
       weekData.push({
@@ -275,7 +306,7 @@ const MedicationChart = ({
         total: totalDoses,
         taken: takenDoses,
         missed: missedDoses,
-        adherenceRate: totalDoses > 0 ? (takenDoses / totalDoses) * 100 : 0,
+        adherenceRate: !isFuture && totalDoses > 0 ? (takenDoses / totalDoses) * 100 : null,
       });
     }
     
@@ -292,14 +323,14 @@ const MedicationChart = ({
     
     for (let day = 1; day <= daysInMonth; day++) {
       const date = new Date(year, month, day);
-      const dateStr = date.toISOString().split('T')[0];
+      const dateStr = toDateKey(date);
       
       const dayData = adherenceData.filter(item => 
-        item.date?.split('T')[0] === dateStr
+        item.date && toDateKey(item.date) === dateStr
       );
       
       const totalDoses = dayData.length;
-      const takenDoses = dayData.filter(item => item.status === 'taken').length;
+      const takenDoses = dayData.filter(item => TAKEN_DOSE_STATUSES.includes(item.status)).length;
       const adherenceRate = totalDoses > 0 ? (takenDoses / totalDoses) * 100 : null;
       
       monthData.push({
@@ -319,6 +350,7 @@ const MedicationChart = ({
   const processPieBreakdownData = () => {
     const statusCounts = {
       taken: 0,
+      late: 0,
       missed: 0,
       partial: 0,
       skipped: 0,
@@ -347,7 +379,7 @@ const MedicationChart = ({
   // Process progress ring data
   const processProgressRingData = () => {
     const totalDoses = adherenceData.length;
-    const takenDoses = adherenceData.filter(item => item.status === 'taken').length;
+    const takenDoses = adherenceData.filter(item => TAKEN_DOSE_STATUSES.includes(item.status)).length;
     const adherenceRate = totalDoses > 0 ? takenDoses / totalDoses : 0;
     
     return {
@@ -455,6 +487,62 @@ const MedicationChart = ({
     );
   };
   
+  // Render dosage pattern stacked bars with the most common "as needed" reasons
+  const renderDosagePatternChart = () => {
+    if (!processedData.rows?.length) return renderEmptyState();
+    
+    const prnRows = processedData.rows.filter(row => row.prnTaken > 0);
+    
+    return (
+      <View>
+        <StackedBarChart
+          data={{
+            labels: processedData.labels,
+            legend: showLegend ? processedData.legend : [],
+            data: processedData.data,
+            barColors: processedData.barColors,
+          }}
+          width={width}
+          height={height}
+          chartConfig={{
+            ...chartConfig,
+            decimalPlaces: 0,
+          }}
+          hideLegend={!showLegend}
+          withHorizontalLabels={showLabels}
+          withVerticalLabels={showLabels}
+          style={{
+            borderRadius: BORDER_RADIUS.md,
+          }}
+        />
+        
+        {prnRows.map(row => (
+          <View
+            key={row.medicationId}
+            style={{
+              flexDirection: 'row',
+              justifyContent: 'space-between',
+              paddingVertical: SPACING.xs,
+            }}
+          >
+            <Text style={{
+              ...TYPOGRAPHY.bodySmall,
+              color: COLORS.text.primary,
+            }}>
+              {row.name}: {row.prnTaken} as needed
+            </Text>
+            <Text style={{
+              ...TYPOGRAPHY.caption,
+              color: COLORS.text.secondary,
+            }}>
+              {row.topReasons.map(({ reason, count }) => `${reason} ×${count}`).join(', ') || 'No reasons noted'}
+            </Text>
+          </View>
+        ))}
+      </View>
+    );
+  };
+  
   // Render weekly calendar view
   const renderWeeklyCalendar = () => {
     if (!processedData.length) return renderEmptyState();
@@ -501,7 +589,7 @@ const MedicationChart = ({
                 width: 40,
                 height: 60,
                 borderRadius: BORDER_RADIUS.sm,
-                backgroundColor: dayData.total === 0 
+                backgroundColor: dayData.adherenceRate === null 
                   ? COLORS.neutral.gray[200]
                   : dayData.adherenceRate >= 80
                   ? COLORS.status.success.main
@@ -516,7 +604,7 @@ const MedicationChart = ({
                   color: COLORS.text.inverse,
                   fontWeight: 'bold',
                 }}>
-                  {dayData.total > 0 ? Math.round(dayData.adherenceRate) + '%' : '-'}
+                  {dayData.adherenceRate !== null ? Math.round(dayData.adherenceRate) + '%' : '-'}
                 </Text>
               </View>
               
@@ -566,7 +654,7 @@ const MedicationChart = ({
           }}
         >
           {processedData.map((dayData, index) => {
-            const isToday = dayData.dateStr === new Date().toISOString().split('T')[0];
+            const isToday = dayData.dateStr === toDateKey(new Date());
             const intensity = dayData.adherenceRate ? dayData.adherenceRate / 100 : 0;
             
             return (
@@ -724,6 +812,8 @@ const MedicationChart = ({
         return renderAdherenceChart();
       case MEDICATION_CHART_TYPES.SCHEDULE:
         return renderScheduleChart();
+      case MEDICATION_CHART_TYPES.DOSAGE_PATTERN:
+        return renderDosagePatternChart();
       case MEDICATION_CHART_TYPES.WEEKLY_CALENDAR:
         return renderWeeklyCalendar();
       case MEDICATION_CHART_TYPES.MONTHLY_HEATMAP:
@@ -740,7 +830,7 @@ const MedicationChart = ({
   // Render chart statistics
   const renderStatistics = () => {
     const totalDoses = adherenceData.length;
-    const takenDoses = adherenceData.filter(item => item.status === 'taken').length;
+    const takenDoses = adherenceData.filter(item => TAKEN_DOSE_STATUSES.includes(item.status)).length;
     const missedDoses = adherenceData.filter(item => item.status === 'missed').length;
     const adherenceRate = totalDoses > 0 ? (takenDoses / totalDoses) * 100 : 0;
     
@@ -901,6 +991,16 @@ export const MedicationScheduleChart = ({ medications, adherenceData, ...props }
   />
 );
 
+export const DosagePatternChart = ({ medications, adherenceData, prnDoses, ...props }) => (
+  <MedicationChart
+    medications={medications}
+    adherenceData={adherenceData}
+    prnDoses={prnDoses}
+    chartType={MEDICATION_CHART_TYPES.DOSAGE_PATTERN}
+    {...props}
+  />
+);
+
 export const WeeklyAdherenceCalendar = ({ medications, adherenceData, ...props }) => (
   <MedicationChart
     medications={medications}
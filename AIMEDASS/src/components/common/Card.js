@@ -22,6 +22,17 @@ import { COLORS } from '../../../styles/colors';
 import { TYPOGRAPHY } from '../../../styles/typography';
 import { SPACING, BORDER_RADIUS, DIMENSIONS } from '../../../styles/spacing';
 import { SHADOWS } from '../../../styles/shadows';
+import StatusPill, { SupplyStatusPill } from './StatusPill';
+import Button from './Button';
+import { getRegimenStatus, getCurrentDoseSpec, formatTimeOfDay } from '../../utils/dateUtils';
+import {
+  formatDoseSpec,
+  formatRegimenSummary,
+  formatAppointmentTime,
+  formatRecurrence,
+} from '../../utils/formatters';
+import { getPrepProgress } from '../../utils/prepChecklists';
+import { isTelehealthAppointment, getJoinState, JOIN_STATE } from '../../utils/telehealth';
 
 const AnimatedTouchableOpacity = Animated.createAnimatedComponent(TouchableOpacity);
 const AnimatedView = Animated.createAnimatedComponent(View);
@@ -400,7 +411,8 @@ const Card = ({
 };
 
 // Specialized card components
-export const MedicationCard = ({ medication, onPress, ...props }) => {
+export const MedicationCard = ({ medication, supplyForecast, now = Date.now(), onPress, ...props }) => {
+  const regimen = formatRegimenSummary(getRegimenStatus(medication, now));
   const statusColor = medication?.status === 'taken' 
     ? COLORS.status.success.main 
     : medication?.status === 'missed' 
@@ -413,7 +425,7 @@ export const MedicationCard = ({ medication, onPress, ...props }) => {
       onPress={onPress}
       pressable
       title={medication?.name}
-      subtitle={`${medication?.dosage} • ${medication?.frequency}`}
+      subtitle={formatDoseSpec(getCurrentDoseSpec(medication, now))}
       rightAction={
         <View style={{
           width: 12,
@@ -422,8 +434,33 @@ export const MedicationCard = ({ medication, onPress, ...props }) => {
           backgroundColor: statusColor,
         }} />
       }
+      footer={supplyForecast && (
+        <SupplyStatusPill
+          forecast={supplyForecast}
+          style={{ alignSelf: 'flex-start' }}
+        />
+      )}
       {...props}
-    />
+    >
+      {regimen && (
+        <View>
+          <Text style={{
+            ...TYPOGRAPHY.caption,
+            color: COLORS.medical.medication.prescription,
+          }}>
+            {regimen.phaseLabel}
+          </Text>
+          {regimen.nextChangeLabel && (
+            <Text style={{
+              ...TYPOGRAPHY.caption,
+              color: COLORS.text.secondary,
+            }}>
+              {regimen.nextChangeLabel}
+            </Text>
+          )}
+        </View>
+      )}
+    </Card>
   );
 };
 
@@ -465,26 +502,45 @@ export const VitalCard = ({ vital, onPress, ...props }) => {
         }}>
           {vital?.label}
         </Text>
+        {vital?.status && (
+          <StatusPill
+            status={vital.status}
+            text={vital.status.toUpperCase()}
+            size="small"
+            pulsing={vital.status === 'critical'}
+            style={{ marginTop: SPACING.xs }}
+          />
+        )}
       </View>
     </Card>
   );
 };
 
-export const AppointmentCard = ({ appointment, onPress, ...props }) => {
+// `onPrepPress` opens the visit's preparation checklist from its progress bar; `onJoinPress`
+// joins a video visit, which is possible from shortly before it starts as of `now`
+export const AppointmentCard = ({ appointment, onPress, onPrepPress, onJoinPress, now = Date.now(), ...props }) => {
   const statusColor = appointment?.status === 'confirmed' 
     ? COLORS.medical.appointment.confirmed
     : appointment?.status === 'cancelled'
     ? COLORS.medical.appointment.cancelled
+    : appointment?.status === 'completed'
+    ? COLORS.medical.appointment.completed
     : COLORS.medical.appointment.scheduled;
+  const schedule = appointment?.dateTime
+    ? formatAppointmentTime(appointment)
+    : `${appointment?.date} at ${appointment?.time}`;
+  const prep = getPrepProgress(appointment);
+  const prepDone = prep.total > 0 && prep.completed === prep.total;
+  const join = onJoinPress && isTelehealthAppointment(appointment) ? getJoinState(appointment, now) : null;
     
   return (
     <Card
       variant="appointment"
       onPress={onPress}
       pressable
-      title={appointment?.doctorName}
+      title={appointment?.doctorName || appointment?.reasonForVisit || 'Appointment'}
       subtitle={appointment?.specialty}
-      description={`${appointment?.date} at ${appointment?.time}`}
+      description={[schedule, formatRecurrence(appointment?.recurrence)].filter(Boolean).join(' · ')}
       rightAction={
         <View style={{
           paddingHorizontal: SPACING.sm,
@@ -502,7 +558,56 @@ export const AppointmentCard = ({ appointment, onPress, ...props }) => {
         </View>
       }
       {...props}
-    />
+    >
+      {prep.total > 0 && (
+        <TouchableOpacity onPress={onPrepPress} disabled={!onPrepPress}>
+          <View style={{
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            marginBottom: SPACING.xs,
+          }}>
+            <Text style={{ ...TYPOGRAPHY.caption, color: COLORS.text.secondary }}>
+              {prepDone ? '✓ Ready for this visit' : 'Preparation'}
+            </Text>
+            <Text style={{ ...TYPOGRAPHY.caption, color: COLORS.text.secondary }}>
+              {prep.completed}/{prep.total}
+            </Text>
+          </View>
+          <View style={{
+            height: 6,
+            borderRadius: BORDER_RADIUS.pill,
+            backgroundColor: COLORS.neutral.gray[200],
+            overflow: 'hidden',
+          }}>
+            <View style={{
+              width: `${(prep.completed / prep.total) * 100}%`,
+              height: '100%',
+              backgroundColor: prepDone ? COLORS.status.success.main : statusColor,
+            }} />
+          </View>
+        </TouchableOpacity>
+      )}
+      
+      {join && join.state !== JOIN_STATE.ENDED && (
+        <View style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          marginTop: prep.total > 0 ? SPACING.sm : 0,
+        }}>
+          <Text style={{ ...TYPOGRAPHY.caption, color: COLORS.text.secondary }}>
+            {join.state === JOIN_STATE.OPEN ? '💻 Video visit' : `💻 Join opens at ${formatTimeOfDay(join.opensAt)}`}
+          </Text>
+          <Button
+            title="Join"
+            size="small"
+            variant={join.state === JOIN_STATE.OPEN ? 'primary' : 'outline'}
+            disabled={join.state !== JOIN_STATE.OPEN}
+            onPress={onJoinPress}
+          />
+        </View>
+      )}
+    </Card>
   );
 };
 
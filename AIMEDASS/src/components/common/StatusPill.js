@@ -22,6 +22,7 @@ import Animated, {
 import { COLORS } from '../../styles/colors';
 import { TYPOGRAPHY } from '../../styles/typography';
 import { SPACING, BORDER_RADIUS } from '../../styles/spacing';
+import { getRangeStatus, getVitalReadingStatus } from '../../utils/vitalRanges';
 
 const AnimatedView = Animated.createAnimatedComponent(View);
 const AnimatedText = Animated.createAnimatedComponent(Text);
@@ -86,6 +87,20 @@ const STATUS_VARIANTS = {
     icon: '⚠',
   },
   
+  // Medication supply statuses
+  supply: {
+    backgroundColor: COLORS.status.info.background,
+    borderColor: COLORS.status.info.main,
+    textColor: COLORS.status.info.dark,
+    icon: '📦',
+  },
+  refill: {
+    backgroundColor: COLORS.status.warning.background,
+    borderColor: COLORS.status.warning.main,
+    textColor: COLORS.status.warning.dark,
+    icon: '📦',
+  },
+  
   // Appointment statuses
   scheduled: {
     backgroundColor: COLORS.primary.100,
@@ -426,6 +441,7 @@ const StatusPill = ({
 export const MedicationStatusPill = ({ medication, ...props }) => {
   const getStatusFromMedication = () => {
     if (!medication) return 'neutral';
+    if (medication.status === 'completed' || medication.status === 'discontinued') return 'neutral';
     
     const now = new Date();
     const nextDose = new Date(medication.nextDose);
@@ -449,6 +465,30 @@ export const MedicationStatusPill = ({ medication, ...props }) => {
   );
 };
 
+export const SupplyStatusPill = ({ forecast, ...props }) => {
+  if (!forecast) return null;
+  
+  const getSupplyText = () => {
+    if (forecast.unitsOnHand === 0) return 'Out of stock';
+    if (!forecast.runOutDate) return `${forecast.unitsOnHand} left`;
+    if (forecast.needsRefill) {
+      const runOut = new Date(forecast.runOutDate).toLocaleDateString([], { month: 'short', day: 'numeric' });
+      return `Refill by ${runOut}`;
+    }
+    return `${forecast.daysRemaining} days left`;
+  };
+  
+  return (
+    <StatusPill
+      status={forecast.needsRefill ? 'refill' : 'supply'}
+      text={getSupplyText()}
+      size="small"
+      pulsing={forecast.unitsOnHand === 0}
+      {...props}
+    />
+  );
+};
+
 export const AppointmentStatusPill = ({ appointment, ...props }) => {
   return (
     <StatusPill
@@ -460,17 +500,23 @@ export const AppointmentStatusPill = ({ appointment, ...props }) => {
   );
 };
 
-export const VitalStatusPill = ({ vital, normalRange, ...props }) => {
+// Pass `ranges` from selectVitalRanges to grade every field of a reading against the user's profile
+export const VitalStatusPill = ({ vital, ranges, normalRange, criticalRange, ...props }) => {
   const getVitalStatus = () => {
-    if (!vital || !normalRange) return 'neutral';
+    if (!vital) return 'neutral';
+    if (ranges && vital.type) return getVitalReadingStatus(vital, ranges) || 'neutral';
+    if (!normalRange) return 'neutral';
     
-    const value = parseFloat(vital.value);
-    const min = parseFloat(normalRange.min);
-    const max = parseFloat(normalRange.max);
+    // Without alert limits, treat 20% beyond the normal range as critical
+    const fallbackCriticalRange = {
+      min: parseFloat(normalRange.min) * 0.8,
+      max: parseFloat(normalRange.max) * 1.2,
+    };
     
-    if (value < min * 0.8 || value > max * 1.2) return 'critical';
-    if (value < min || value > max) return 'elevated';
-    return 'normal';
+    return getRangeStatus(vital.value, {
+      normalRange,
+      criticalRange: criticalRange || fallbackCriticalRange,
+    }) || 'neutral';
   };
   
   return (
@@ -0,0 +1,142 @@
+/**
+ * MediAssist App - VitalAlerts Component
+ * In-app cards for out-of-range vital alerts and the emergency-contact prompt
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  Alert,
+  Linking,
+} from 'react-native';
+
+// Components
+import Button from './Button';
+import StatusPill from './StatusPill';
+import { EmergencyAlert } from '../animations/SlideInCard';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+import { TYPOGRAPHY } from '../../styles/typography';
+import { SPACING } from '../../styles/spacing';
+
+import { ALERT_SEVERITY, ALERT_ACTIONS } from '../../utils/constants';
+import { formatShortDate } from '../../utils/formatters';
+import { formatTimeOfDay } from '../../utils/dateUtils';
+
+const SEVERITY_COLORS = {
+  [ALERT_SEVERITY.INFO]: COLORS.status.info.main,
+  [ALERT_SEVERITY.WARNING]: COLORS.status.warning.main,
+  [ALERT_SEVERITY.CRITICAL]: COLORS.status.error.main,
+};
+
+const callEmergencyContact = (emergencyContact) => {
+  Linking.openURL(`tel:${emergencyContact.phone.replace(/[^\d+]/g, '')}`);
+};
+
+// Ask whether to call the emergency contact for alerts whose severity calls for it
+export const promptEmergencyContact = (alerts, emergencyContact) => {
+  const alert = alerts.find(item => item.actions.includes(ALERT_ACTIONS.CONTACT));
+  if (!alert) return;
+
+  if (!emergencyContact?.phone) {
+    Alert.alert(
+      alert.title,
+      `${alert.message}\n\nAdd an emergency contact in alert settings so you can reach them from here.`
+    );
+    return;
+  }
+
+  Alert.alert(
+    alert.title,
+    `${alert.message}\n\nDo you want to call ${emergencyContact.name || 'your emergency contact'}?`,
+    [
+      { text: 'Not Now', style: 'cancel' },
+      { text: 'Call', onPress: () => callEmergencyContact(emergencyContact) },
+    ]
+  );
+};
+
+export const VitalAlertCard = ({ alert, emergencyContact, onDismiss, onPress, ...props }) => {
+  const canCall = alert.actions.includes(ALERT_ACTIONS.CONTACT) && !!emergencyContact?.phone;
+
+  return (
+    <EmergencyAlert
+      title={alert.title}
+      subtitle={`${formatShortDate(alert.measuredAt)} ${formatTimeOfDay(alert.measuredAt)}`}
+      statusColor={SEVERITY_COLORS[alert.severity]}
+      pulseEffect={alert.severity === ALERT_SEVERITY.CRITICAL}
+      glowEffect={alert.severity === ALERT_SEVERITY.CRITICAL}
+      onPress={onPress}
+      {...props}
+    >
+      <View style={{ gap: SPACING.sm }}>
+        <StatusPill
+          status={alert.severity}
+          text={alert.severity.toUpperCase()}
+          size="small"
+          style={{ alignSelf: 'flex-start' }}
+        />
+
+        <Text style={{
+          ...TYPOGRAPHY.bodyMedium,
+          color: COLORS.text.primary,
+        }}>
+          {alert.message}
+        </Text>
+
+        <View style={{
+          flexDirection: 'row',
+          gap: SPACING.sm,
+        }}>
+          {canCall && (
+            <Button
+              title={`Call ${emergencyContact.name || 'Contact'}`}
+              onPress={() => callEmergencyContact(emergencyContact)}
+              variant="error"
+              size="small"
+            />
+          )}
+          <Button
+            title="Dismiss"
+            onPress={() => onDismiss?.(alert)}
+            variant="outline"
+            size="small"
+          />
+        </View>
+      </View>
+    </EmergencyAlert>
+  );
+};
+
+const VitalAlertList = ({ alerts = [], emergencyContact, onDismiss, onAlertPress, limit = 3, style }) => {
+  if (!alerts.length) return null;
+
+  return (
+    <View style={[{ gap: SPACING.sm, marginBottom: SPACING.md }, style]}>
+      {alerts.slice(0, limit).map((alert, index) => (
+        <VitalAlertCard
+          key={alert.id}
+          alert={alert}
+          emergencyContact={emergencyContact}
+          onDismiss={onDismiss}
+          onPress={onAlertPress && (() => onAlertPress(alert))}
+          index={index}
+        />
+      ))}
+
+      {alerts.length > limit && (
+        <Text style={{
+          ...TYPOGRAPHY.caption,
+          color: COLORS.text.secondary,
+          textAlign: 'center',
+        }}>
+          +{alerts.length - limit} more alerts
+        </Text>
+      )}
+    </View>
+  );
+};
+
+export default VitalAlertList;
@@ -0,0 +1,427 @@
+/**
+ * MediAssist App - AlertRuleForm Component
+ * Create or edit a vital alert rule: what to watch, when it fires and how loudly
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  Switch,
+} from 'react-native';
+import { Formik } from 'formik';
+import * as Yup from 'yup';
+
+// Components
+import Input from '../common/Input';
+import Button from '../common/Button';
+import Card from '../common/Card';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+import { TYPOGRAPHY } from '../../styles/typography';
+import { SPACING } from '../../styles/spacing';
+
+// Alerts
+import {
+  VITAL_DEFINITIONS,
+  ALERT_RULE_KINDS,
+  ALERT_RULE_KIND_OPTIONS,
+  ALERT_LIMITS,
+  ALERT_LIMIT_OPTIONS,
+  ALERT_DIRECTIONS,
+  ALERT_SEVERITY,
+  ALERT_SEVERITY_OPTIONS,
+} from '../../utils/constants';
+import { describeAlertRule } from '../../utils/vitalAlerts';
+import { generateId } from '../../utils/helpers';
+import {
+  getDisplayUnit,
+  toDisplayValue,
+  fromDisplayValue,
+  toDisplayDelta,
+  fromDisplayDelta,
+} from '../../utils/units';
+
+const LIMIT_KINDS = [ALERT_RULE_KINDS.THRESHOLD, ALERT_RULE_KINDS.CONSECUTIVE];
+const CHANGE_KINDS = [ALERT_RULE_KINDS.CHANGE, ALERT_RULE_KINDS.RATE];
+
+const DIRECTION_OPTIONS = {
+  limit: [
+    { value: ALERT_DIRECTIONS.ABOVE, label: 'Above' },
+    { value: ALERT_DIRECTIONS.BELOW, label: 'Below' },
+    { value: ALERT_DIRECTIONS.EITHER, label: 'Outside' },
+  ],
+  change: [
+    { value: ALERT_DIRECTIONS.ABOVE, label: 'Rising' },
+    { value: ALERT_DIRECTIONS.BELOW, label: 'Falling' },
+    { value: ALERT_DIRECTIONS.EITHER, label: 'Either way' },
+  ],
+};
+
+// Blank text inputs validate as "not set" rather than as a type error
+const optionalNumber = () => Yup.number()
+  .transform((value, originalValue) => (originalValue === '' ? undefined : value))
+  .typeError('Enter a number');
+
+const ruleSchema = Yup.object().shape({
+  name: Yup.string()
+    .trim()
+    .max(60, 'Name must be less than 60 characters')
+    .required('Give the rule a name'),
+  vitalType: Yup.string()
+    .nullable()
+    .when(['kind', 'limit'], {
+      is: (kind, limit) => kind !== ALERT_RULE_KINDS.THRESHOLD || limit === ALERT_LIMITS.CUSTOM,
+      then: schema => schema.required('Choose the vital to watch'),
+    }),
+  value: optionalNumber()
+    .when('limit', {
+      is: limit => limit === ALERT_LIMITS.CUSTOM,
+      then: schema => schema.required('Enter the value to alert at'),
+    }),
+  direction: Yup.string()
+    .when('limit', {
+      is: limit => limit === ALERT_LIMITS.CUSTOM,
+      then: schema => schema.notOneOf([ALERT_DIRECTIONS.EITHER], 'Choose above or below for a fixed value'),
+    }),
+  count: optionalNumber()
+    .when('kind', {
+      is: ALERT_RULE_KINDS.CONSECUTIVE,
+      then: schema => schema
+        .integer('Use a whole number')
+        .min(2, 'At least 2 readings')
+        .max(10, 'At most 10 readings')
+        .required('How many readings in a row?'),
+    }),
+  delta: optionalNumber()
+    .when('kind', {
+      is: kind => CHANGE_KINDS.includes(kind),
+      then: schema => schema
+        .moreThan(0, 'Change must be more than 0')
+        .required('Enter the amount of change'),
+    }),
+  windowHours: optionalNumber()
+    .when('kind', {
+      is: kind => CHANGE_KINDS.includes(kind),
+      then: schema => schema
+        .moreThan(0, 'Window must be more than 0 hours')
+        .max(168, 'Window cannot exceed a week')
+        .required('Enter the time window'),
+    }),
+});
+
+const AlertRuleForm = ({
+  // Rule data
+  initialValues = {},
+  onSave,
+  onCancel,
+  onDelete,
+
+  // State props
+  saving = false,
+
+  // Display units from selectUnitPreferences; rules are saved in stored units
+  units,
+
+  // Custom styles
+  style,
+
+  // Test props
+  testID,
+}) => {
+  const editMode = !!initialValues.id;
+
+  // Default values; numeric fields are edited as text
+  const getInitialValues = () => ({
+    name: initialValues.name || '',
+    vitalType: initialValues.vitalType || null,
+    kind: initialValues.kind || ALERT_RULE_KINDS.THRESHOLD,
+    limit: initialValues.limit || ALERT_LIMITS.CRITICAL,
+    direction: initialValues.direction || ALERT_DIRECTIONS.EITHER,
+    value: toDisplayValue(initialValues.vitalType, initialValues.value, units)?.toString() || '',
+    count: initialValues.count?.toString() || '3',
+    delta: toDisplayDelta(initialValues.vitalType, initialValues.delta, units)?.toString() || '',
+    windowHours: initialValues.windowHours?.toString() || '24',
+    severity: initialValues.severity || ALERT_SEVERITY.WARNING,
+    enabled: initialValues.enabled ?? true,
+  });
+
+  // Text input -> stored number; blanks stay blank so the preview can show them
+  const toStored = (text, convert) => (text === '' ? '' : Number(convert(text)));
+
+  // Keep only the settings the rule's kind uses, as numbers in stored units
+  const buildRule = (values) => ({
+    name: values.name.trim(),
+    kind: values.kind,
+    vitalType: values.vitalType,
+    direction: values.direction,
+    severity: values.severity,
+    enabled: values.enabled,
+    ...(LIMIT_KINDS.includes(values.kind) && {
+      limit: values.limit,
+      ...(values.limit === ALERT_LIMITS.CUSTOM && {
+        value: toStored(values.value, text => fromDisplayValue(values.vitalType, text, units)),
+      }),
+    }),
+    ...(values.kind === ALERT_RULE_KINDS.CONSECUTIVE && { count: toStored(values.count, Number) }),
+    ...(CHANGE_KINDS.includes(values.kind) && {
+      delta: toStored(values.delta, text => fromDisplayDelta(values.vitalType, text, units)),
+      windowHours: toStored(values.windowHours, Number),
+    }),
+  });
+
+  const describePreview = (values) => describeAlertRule(
+    Object.fromEntries(Object.entries(buildRule(values)).map(([key, value]) => [key, value === '' ? '…' : value])),
+    units
+  );
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      await onSave?.({ id: initialValues.id || generateId('rule_'), ...buildRule(values) });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Render functions
+  const renderOptions = (label, options, selected, onSelect, error) => (
+    <View style={{ marginBottom: SPACING.md }}>
+      <Text style={{
+        ...TYPOGRAPHY.label,
+        marginBottom: SPACING.sm,
+      }}>
+        {label}
+      </Text>
+
+      <View style={{
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: SPACING.xs,
+      }}>
+        {options.map((option) => (
+          <Button
+            key={option.label}
+            title={option.label}
+            variant={selected === option.value ? 'primary' : 'outline'}
+            size="small"
+            onPress={() => onSelect(option.value)}
+          />
+        ))}
+      </View>
+
+      {!!error && (
+        <Text style={{
+          ...TYPOGRAPHY.caption,
+          color: COLORS.status.error.main,
+          marginTop: SPACING.xs,
+        }}>
+          {error}
+        </Text>
+      )}
+    </View>
+  );
+
+  const renderConditionFields = (values, handleChange, handleBlur, errors, touched, setFieldValue) => {
+    const unit = values.vitalType ? getDisplayUnit(values.vitalType, units) : '';
+
+    if (LIMIT_KINDS.includes(values.kind)) {
+      return (
+        <View>
+          {renderOptions('Compare With', ALERT_LIMIT_OPTIONS, values.limit, value => setFieldValue('limit', value))}
+          {renderOptions('When', DIRECTION_OPTIONS.limit, values.direction, value => setFieldValue('direction', value), errors.direction)}
+
+          <View style={{
+            flexDirection: 'row',
+            gap: SPACING.sm,
+          }}>
+            {values.limit === ALERT_LIMITS.CUSTOM && (
+              <Input
+                label={`Value${unit ? ` (${unit})` : ''}`}
+                placeholder="180"
+                value={values.value}
+                onChangeText={handleChange('value')}
+                onBlur={handleBlur('value')}
+                keyboardType="decimal-pad"
+                errorMessage={touched.value ? errors.value : null}
+                style={{ flex: 1 }}
+              />
+            )}
+
+            {values.kind === ALERT_RULE_KINDS.CONSECUTIVE && (
+              <Input
+                label="Readings in a Row"
+                placeholder="3"
+                value={values.count}
+                onChangeText={handleChange('count')}
+                onBlur={handleBlur('count')}
+                keyboardType="numeric"
+                errorMessage={touched.count ? errors.count : null}
+                style={{ flex: 1 }}
+              />
+            )}
+          </View>
+        </View>
+      );
+    }
+
+    return (
+      <View>
+        {renderOptions('Direction', DIRECTION_OPTIONS.change, values.direction, value => setFieldValue('direction', value))}
+
+        <View style={{
+          flexDirection: 'row',
+          gap: SPACING.sm,
+        }}>
+          <Input
+            label={values.kind === ALERT_RULE_KINDS.RATE ? `Per Hour${unit ? ` (${unit})` : ''}` : `Change${unit ? ` (${unit})` : ''}`}
+            placeholder={values.kind === ALERT_RULE_KINDS.RATE ? '50' : '2'}
+            value={values.delta}
+            onChangeText={handleChange('delta')}
+            onBlur={handleBlur('delta')}
+            keyboardType="decimal-pad"
+            errorMessage={touched.delta ? errors.delta : null}
+            style={{ flex: 1 }}
+          />
+
+          <Input
+            label={values.kind === ALERT_RULE_KINDS.RATE ? 'Compare Within (h)' : 'Within (hours)'}
+            placeholder="24"
+            value={values.windowHours}
+            onChangeText={handleChange('windowHours')}
+            onBlur={handleBlur('windowHours')}
+            keyboardType="decimal-pad"
+            errorMessage={touched.windowHours ? errors.windowHours : null}
+            style={{ flex: 1 }}
+          />
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={[{ padding: SPACING.lg }, style]} testID={testID}>
+      <Formik
+        initialValues={getInitialValues()}
+        validationSchema={ruleSchema}
+        onSubmit={handleSubmit}
+        validateOnChange={false}
+        validateOnBlur={true}
+      >
+        {({
+          handleChange,
+          handleBlur,
+          handleSubmit: formikSubmit,
+          setFieldValue,
+          values,
+          errors,
+          touched,
+          isSubmitting,
+        }) => (
+          <View>
+            <Input
+              label="Rule Name"
+              placeholder="Blood pressure above 160"
+              value={values.name}
+              onChangeText={handleChange('name')}
+              onBlur={handleBlur('name')}
+              errorMessage={touched.name ? errors.name : null}
+            />
+
+            <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
+              {renderOptions(
+                'Type',
+                ALERT_RULE_KIND_OPTIONS,
+                values.kind,
+                (kind) => {
+                  setFieldValue('kind', kind);
+                  if (CHANGE_KINDS.includes(kind) && values.direction === ALERT_DIRECTIONS.EITHER) {
+                    setFieldValue('direction', ALERT_DIRECTIONS.ABOVE);
+                  }
+                }
+              )}
+
+              {renderOptions(
+                'Vital',
+                [
+                  ...(values.kind === ALERT_RULE_KINDS.THRESHOLD ? [{ value: null, label: 'Any vital' }] : []),
+                  ...Object.entries(VITAL_DEFINITIONS).map(([type, definition]) => ({ value: type, label: definition.label })),
+                ],
+                values.vitalType,
+                value => setFieldValue('vitalType', value),
+                errors.vitalType
+              )}
+
+              {renderConditionFields(values, handleChange, handleBlur, errors, touched, setFieldValue)}
+
+              <Text style={{
+                ...TYPOGRAPHY.bodySmall,
+                color: COLORS.text.secondary,
+                marginTop: SPACING.sm,
+              }}>
+                {describePreview(values)}
+              </Text>
+            </Card>
+
+            {renderOptions('Alert Me With', ALERT_SEVERITY_OPTIONS, values.severity, value => setFieldValue('severity', value))}
+
+            <View style={{
+              flexDirection: 'row',
+              alignItems: 'center',
+              marginBottom: SPACING.lg,
+            }}>
+              <Switch
+                value={values.enabled}
+                onValueChange={value => setFieldValue('enabled', value)}
+                trackColor={{
+                  false: COLORS.neutral.gray[300],
+                  true: COLORS.primary.light,
+                }}
+                thumbColor={values.enabled ? COLORS.primary.main : COLORS.neutral.gray[400]}
+              />
+              <Text style={{
+                ...TYPOGRAPHY.bodySmall,
+                marginLeft: SPACING.sm,
+              }}>
+                Rule is on
+              </Text>
+            </View>
+
+            {/* Action Buttons */}
+            <View style={{
+              flexDirection: 'row',
+              gap: SPACING.sm,
+            }}>
+              {editMode && onDelete && (
+                <Button
+                  title="Delete"
+                  onPress={() => onDelete(initialValues)}
+                  variant="error"
+                  style={{ flex: 1 }}
+                />
+              )}
+
+              <Button
+                title="Cancel"
+                onPress={onCancel}
+                variant="outline"
+                style={{ flex: 1 }}
+              />
+
+              <Button
+                title={editMode ? 'Save Rule' : 'Add Rule'}
+                onPress={formikSubmit}
+                loading={isSubmitting || saving}
+                disabled={isSubmitting || saving}
+                variant="primary"
+                style={{ flex: 2 }}
+              />
+            </View>
+          </View>
+        )}
+      </Formik>
+    </View>
+  );
+};
+
+export default AlertRuleForm;
@@ -36,6 +36,24 @@ import { TYPOGRAPHY } from '../../../styles/typography';
 import { SPACING, BORDER_RADIUS } from '../../../styles/spacing';
 import { SHADOWS } from '../../../styles/shadows';
 
+import {
+  APPOINTMENT_TYPES,
+  APPOINTMENT_STATUS,
+  RECURRENCE_FREQUENCY,
+  RECURRENCE_FREQUENCY_OPTIONS,
+  RECURRENCE_END,
+  RECURRENCE_END_OPTIONS,
+  PREP_TIMING_OPTIONS,
+  TELEHEALTH_PLATFORMS,
+  TELEHEALTH_JOIN_WINDOW_MINUTES,
+} from '../../utils/constants';
+import { validateRecurrence, validateTelehealth } from '../../utils/validation';
+import { normalizeMeetingUrl, detectTelehealthPlatform } from '../../utils/telehealth';
+import { formatAppointmentTime, formatShortDate, formatPrepTiming } from '../../utils/formatters';
+import { formatTimeOfDay } from '../../utils/dateUtils';
+import { generateId } from '../../utils/helpers';
+import { DEFAULT_PREP_TEMPLATES, buildPrepTasks } from '../../utils/prepChecklists';
+
 const AnimatedView = Animated.createAnimatedComponent(View);
 const AnimatedScrollView = Animated.createAnimatedComponent(ScrollView);
 
@@ -67,17 +85,6 @@ const appointmentSchema = Yup.object().shape({
 });
 
 // Constants
-const APPOINTMENT_TYPES = [
-  { value: 'routine_checkup', label: 'Routine Checkup', icon: '👩‍⚕️' },
-  { value: 'follow_up', label: 'Follow-up', icon: '🔄' },
-  { value: 'consultation', label: 'Consultation', icon: '💬' },
-  { value: 'procedure', label: 'Procedure', icon: '🏥' },
-  { value: 'lab_work', label: 'Lab Work', icon: '🧪' },
-  { value: 'imaging', label: 'Imaging', icon: '📷' },
-  { value: 'emergency', label: 'Emergency', icon: '🚨' },
-  { value: 'telehealth', label: 'Telehealth', icon: '💻' },
-];
-
 const MEDICAL_SPECIALTIES = [
   'General Practice', 'Cardiology', 'Dermatology', 'Endocrinology',
   'Gastroenterology', 'Neurology', 'Oncology', 'Orthopedics',
@@ -122,6 +129,14 @@ const AppointmentForm = ({
   enableReminders = true,
   enableInsurance = true,
   enableTelehealth = true,
+  enableRecurrence = true,
+  enablePrepChecklist = true,
+  
+  // Checklist templates the preparation tasks are built from
+  prepTemplates = DEFAULT_PREP_TEMPLATES,
+  
+  // Overlap check for the appointment about to be saved: appointment -> [{ occurrence, conflictsWith }]
+  onCheckConflicts,
   
   // Animation props
   animateOnMount = true,
@@ -140,10 +155,19 @@ const AppointmentForm = ({
   const [selectedReminder, setSelectedReminder] = useState(initialValues.reminderMinutes || 60);
   const [reminderEnabled, setReminderEnabled] = useState(initialValues.reminderEnabled !== false);
   const [dateTimePickerOpen, setDateTimePickerOpen] = useState(false);
-  const [isRecurring, setIsRecurring] = useState(initialValues.isRecurring || false);
+  const [isRecurring, setIsRecurring] = useState(initialValues.isRecurring || !!initialValues.recurrence);
+  const [untilPickerOpen, setUntilPickerOpen] = useState(false);
   const [transportationNeeded, setTransportationNeeded] = useState(initialValues.transportationNeeded || false);
   const [fastingRequired, setFastingRequired] = useState(initialValues.fastingRequired || false);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [prepTasks, setPrepTasks] = useState(() => initialValues.prepTasks || buildPrepTasks(prepTemplates, {
+    type: initialValues.type || 'routine_checkup',
+    fastingRequired: !!initialValues.fastingRequired,
+  }));
+  // Until the user edits the checklist it follows the appointment type and fasting flag
+  const [prepCustomized, setPrepCustomized] = useState(!!initialValues.prepTasks);
+  const [newPrepTitle, setNewPrepTitle] = useState('');
+  const [newPrepTiming, setNewPrepTiming] = useState('evening_before');
   
   // Animation values
   const containerOpacity = useSharedValue(animateOnMount ? 0 : 1);
@@ -161,26 +185,108 @@ const AppointmentForm = ({
     }
   }, []);
   
+  useEffect(() => {
+    if (!prepCustomized) {
+      setPrepTasks(buildPrepTasks(prepTemplates, { type: selectedType, fastingRequired }));
+    }
+  }, [selectedType, fastingRequired, prepTemplates, prepCustomized]);
+  
+  // Recurrence form values -> the stored rule ({ frequency, interval, until, count })
+  const buildRecurrence = ({ endType, ...recurrence }) => ({
+    frequency: recurrence.frequency,
+    interval: Number(recurrence.interval),
+    until: endType === RECURRENCE_END.UNTIL ? recurrence.until : null,
+    count: endType === RECURRENCE_END.COUNT ? Number(recurrence.count) : null,
+  });
+  
+  const validateRecurringValues = (values) => {
+    if (!isRecurring || !enableRecurrence) return {};
+    
+    const { endType, until, count } = values.recurrence;
+    const errors = validateRecurrence(buildRecurrence(values.recurrence), values.dateTime);
+    if (endType === RECURRENCE_END.UNTIL && !until) errors.until = 'Choose when the series ends';
+    if (endType === RECURRENCE_END.COUNT && !count) errors.count = 'Enter the number of visits';
+    
+    return Object.keys(errors).length ? { recurrence: errors } : {};
+  };
+  
+  const isTelehealthVisit = enableTelehealth && selectedType === 'telehealth';
+  
+  const validateTelehealthValues = (values) => {
+    if (!isTelehealthVisit) return {};
+    
+    const errors = validateTelehealth(values.telehealth);
+    return Object.keys(errors).length ? { telehealth: errors } : {};
+  };
+  
+  const validateForm = (values) => ({
+    ...validateRecurringValues(values),
+    ...validateTelehealthValues(values),
+  });
+  
+  // Connection details of a video visit as stored on the appointment
+  const buildTelehealth = ({ platform, meetingUrl, dialIn, passcode }) => ({
+    platform,
+    meetingUrl: meetingUrl.trim() ? normalizeMeetingUrl(meetingUrl) : '',
+    dialIn: dialIn.trim(),
+    passcode: passcode.trim(),
+  });
+  
+  // Resolves true when there are no overlaps or the user chooses to keep the time anyway
+  const confirmNoConflicts = (appointment) => new Promise((resolve) => {
+    const conflicts = onCheckConflicts?.(appointment) || [];
+    if (!conflicts.length) {
+      resolve(true);
+      return;
+    }
+    
+    const lines = conflicts.slice(0, 3).map(({ occurrence, conflictsWith }) => (
+      `${formatAppointmentTime(occurrence)} overlaps ${conflictsWith.doctorName || 'another appointment'} ` +
+      `(${formatTimeOfDay(conflictsWith.dateTime)}–${formatTimeOfDay(conflictsWith.endDateTime)})`
+    ));
+    if (conflicts.length > 3) lines.push(`…and ${conflicts.length - 3} more`);
+    
+    Alert.alert(
+      'Schedule Conflict',
+      lines.join('\n'),
+      [
+        { text: 'Change Time', style: 'cancel', onPress: () => resolve(false) },
+        { text: 'Save Anyway', onPress: () => resolve(true) },
+      ],
+      { onDismiss: () => resolve(false) }
+    );
+  });
+  
   // Handle form submission
   const handleSubmit = async (values, { setSubmitting, setFieldError }) => {
     try {
       setSubmitting(true);
       
+      const { recurrence, telehealth, ...details } = values;
       const appointmentData = {
-        ...values,
+        ...details,
         type: selectedType,
         specialty: selectedSpecialty,
         duration: selectedDuration,
         reminderMinutes: reminderEnabled ? selectedReminder : null,
         reminderEnabled,
-        isRecurring,
+        ...(enableRecurrence && {
+          isRecurring,
+          recurrence: isRecurring ? buildRecurrence(recurrence) : null,
+        }),
+        ...(enableTelehealth && {
+          telehealth: isTelehealthVisit ? buildTelehealth(telehealth) : null,
+        }),
         transportationNeeded,
         fastingRequired,
-        status: editMode ? values.status : 'scheduled',
+        ...(enablePrepChecklist && { prepTasks }),
+        status: editMode ? initialValues.status || APPOINTMENT_STATUS.SCHEDULED : APPOINTMENT_STATUS.SCHEDULED,
         updatedAt: new Date().toISOString(),
         ...(editMode ? {} : { createdAt: new Date().toISOString() }),
       };
       
+      if (!(await confirmNoConflicts(appointmentData))) return;
+      
       await onSave?.(appointmentData);
       setHasUnsavedChanges(false);
       
@@ -379,6 +485,101 @@ const AppointmentForm = ({
     </Card>
   );
   
+  const renderTelehealthSection = (values, setFieldValue, errors) => {
+    const { telehealth } = values;
+    const telehealthErrors = errors.telehealth || {};
+    
+    const setTelehealth = (field, value) => {
+      setFieldValue(`telehealth.${field}`, value, false);
+      setHasUnsavedChanges(true);
+    };
+    
+    // Pasting a known platform's link selects that platform
+    const handleUrlBlur = () => {
+      const detected = detectTelehealthPlatform(telehealth.meetingUrl);
+      if (detected && detected.value !== telehealth.platform) {
+        setTelehealth('platform', detected.value);
+      }
+    };
+    
+    return (
+      <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
+        <Text style={{
+          ...TYPOGRAPHY.h6,
+          marginBottom: SPACING.md,
+          color: COLORS.medical.appointment.scheduled,
+        }}>
+          💻 Video Visit
+        </Text>
+        
+        <Text style={{
+          ...TYPOGRAPHY.label,
+          marginBottom: SPACING.sm,
+        }}>
+          Platform
+        </Text>
+        
+        <View style={{
+          flexDirection: 'row',
+          flexWrap: 'wrap',
+          gap: SPACING.sm,
+          marginBottom: SPACING.md,
+        }}>
+          {TELEHEALTH_PLATFORMS.map((platform) => (
+            <Button
+              key={platform.value}
+              title={platform.label}
+              variant={telehealth.platform === platform.value ? 'primary' : 'outline'}
+              size="small"
+              onPress={() => setTelehealth('platform', platform.value)}
+            />
+          ))}
+        </View>
+        
+        <Input
+          label="Meeting Link"
+          placeholder="https://zoom.us/j/123456789"
+          value={telehealth.meetingUrl}
+          onChangeText={(text) => setTelehealth('meetingUrl', text)}
+          onBlur={handleUrlBlur}
+          keyboardType="url"
+          autoCapitalize="none"
+          autoCorrect={false}
+          errorMessage={telehealthErrors.meetingUrl || telehealthErrors.platform}
+          leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.tertiary }}>🔗</Text>}
+        />
+        
+        <Input
+          label="Dial-in Number (optional)"
+          placeholder="+1 (646) 558-8656"
+          value={telehealth.dialIn}
+          onChangeText={(text) => setTelehealth('dialIn', text)}
+          keyboardType="phone-pad"
+          errorMessage={telehealthErrors.dialIn}
+          leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.tertiary }}>☎️</Text>}
+        />
+        
+        <Input
+          label="Meeting ID / Passcode (optional)"
+          placeholder="123 456 789"
+          value={telehealth.passcode}
+          onChangeText={(text) => setTelehealth('passcode', text)}
+          autoCapitalize="none"
+          autoCorrect={false}
+          errorMessage={telehealthErrors.passcode}
+          leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.tertiary }}>🔑</Text>}
+        />
+        
+        <Text style={{
+          ...TYPOGRAPHY.caption,
+          color: COLORS.text.tertiary,
+        }}>
+          You can join from the appointment card {TELEHEALTH_JOIN_WINDOW_MINUTES} minutes before the visit starts.
+        </Text>
+      </Card>
+    );
+  };
+  
   const renderDateTimeSection = (values, handleChange) => (
     <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
       <Text style={{
@@ -687,46 +888,268 @@ const AppointmentForm = ({
     );
   };
   
-  const renderRecurringSection = () => (
-    <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
-      <View style={{
-        flexDirection: 'row',
-        alignItems: 'center',
-        justifyContent: 'space-between',
-        marginBottom: SPACING.md,
-      }}>
-        <Text style={{
-          ...TYPOGRAPHY.h6,
-          color: COLORS.medical.appointment.scheduled,
+  const handleAddPrepTask = () => {
+    const option = PREP_TIMING_OPTIONS.find(item => item.key === newPrepTiming);
+    setPrepTasks(tasks => [...tasks, { id: generateId('task_'), title: newPrepTitle.trim(), timing: option.timing }]);
+    setPrepCustomized(true);
+    setNewPrepTitle('');
+    setHasUnsavedChanges(true);
+  };
+  
+  const handleRemovePrepTask = (taskId) => {
+    setPrepTasks(tasks => tasks.filter(task => task.id !== taskId));
+    setPrepCustomized(true);
+    setHasUnsavedChanges(true);
+  };
+  
+  const renderPrepSection = () => {
+    if (!enablePrepChecklist) return null;
+    
+    return (
+      <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
+        <View style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          marginBottom: SPACING.sm,
         }}>
-          🔄 Recurring Appointment
-        </Text>
+          <Text style={{
+            ...TYPOGRAPHY.h6,
+            color: COLORS.medical.appointment.scheduled,
+          }}>
+            📋 Preparation Checklist
+          </Text>
+          
+          {prepCustomized && (
+            <Button
+              title="Reset"
+              variant="ghost"
+              size="small"
+              onPress={() => {
+                setPrepCustomized(false);
+                setHasUnsavedChanges(true);
+              }}
+            />
+          )}
+        </View>
         
-        <Switch
-          value={isRecurring}
-          onValueChange={(value) => {
-            setIsRecurring(value);
-            setHasUnsavedChanges(true);
-          }}
-          trackColor={{
-            false: COLORS.neutral.gray[300],
-            true: COLORS.secondary.light,
-          }}
-          thumbColor={isRecurring ? COLORS.secondary.main : COLORS.neutral.gray[400]}
-        />
-      </View>
-      
-      {isRecurring && (
         <Text style={{
           ...TYPOGRAPHY.bodySmall,
           color: COLORS.text.secondary,
-          fontStyle: 'italic',
+          marginBottom: SPACING.md,
         }}>
-          Recurring appointment settings can be configured after saving
+          {prepTasks.length
+            ? 'You\'ll be reminded of each task at its time before the visit.'
+            : 'No preparation tasks for this appointment type.'}
         </Text>
-      )}
-    </Card>
-  );
+        
+        {prepTasks.map((task) => (
+          <View
+            key={task.id}
+            style={{
+              flexDirection: 'row',
+              alignItems: 'center',
+              paddingVertical: SPACING.sm,
+              borderBottomWidth: 1,
+              borderBottomColor: COLORS.border.light,
+            }}
+          >
+            <View style={{ flex: 1 }}>
+              <Text style={TYPOGRAPHY.bodyMedium}>{task.title}</Text>
+              <Text style={{ ...TYPOGRAPHY.caption, color: COLORS.text.tertiary }}>
+                {formatPrepTiming(task.timing)}
+              </Text>
+            </View>
+            <TouchableOpacity
+              onPress={() => handleRemovePrepTask(task.id)}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              accessibilityLabel={`Remove ${task.title}`}
+            >
+              <Text style={{ ...TYPOGRAPHY.bodyMedium, color: COLORS.text.tertiary }}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+        
+        <Input
+          label="Add a task"
+          placeholder="e.g. Bring glucose log"
+          value={newPrepTitle}
+          onChangeText={setNewPrepTitle}
+          maxLength={100}
+          style={{ marginTop: SPACING.md }}
+        />
+        
+        <View style={{
+          flexDirection: 'row',
+          flexWrap: 'wrap',
+          gap: SPACING.sm,
+          marginBottom: SPACING.md,
+        }}>
+          {PREP_TIMING_OPTIONS.map((option) => (
+            <Button
+              key={option.key}
+              title={option.label}
+              variant={newPrepTiming === option.key ? 'primary' : 'outline'}
+              size="small"
+              onPress={() => setNewPrepTiming(option.key)}
+            />
+          ))}
+        </View>
+        
+        <Button
+          title="Add Task"
+          variant="outline"
+          size="small"
+          onPress={handleAddPrepTask}
+          disabled={!newPrepTitle.trim()}
+        />
+      </Card>
+    );
+  };
+  
+  const renderRecurringSection = (values, setFieldValue, errors) => {
+    const { recurrence } = values;
+    const recurrenceErrors = errors.recurrence || {};
+    const frequencyOption = RECURRENCE_FREQUENCY_OPTIONS.find(option => option.value === recurrence.frequency);
+    
+    const setRecurrence = (field, value) => {
+      setFieldValue(`recurrence.${field}`, value);
+      setHasUnsavedChanges(true);
+    };
+    
+    return (
+      <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
+        <View style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          marginBottom: SPACING.md,
+        }}>
+          <Text style={{
+            ...TYPOGRAPHY.h6,
+            color: COLORS.medical.appointment.scheduled,
+          }}>
+            🔄 Recurring Appointment
+          </Text>
+          
+          <Switch
+            value={isRecurring}
+            onValueChange={(value) => {
+              setIsRecurring(value);
+              setHasUnsavedChanges(true);
+            }}
+            trackColor={{
+              false: COLORS.neutral.gray[300],
+              true: COLORS.secondary.light,
+            }}
+            thumbColor={isRecurring ? COLORS.secondary.main : COLORS.neutral.gray[400]}
+          />
+        </View>
+        
+        {isRecurring && (
+          <View>
+            <View style={{
+              flexDirection: 'row',
+              flexWrap: 'wrap',
+              gap: SPACING.sm,
+              marginBottom: SPACING.md,
+            }}>
+              {RECURRENCE_FREQUENCY_OPTIONS.map((option) => (
+                <Button
+                  key={option.value}
+                  title={option.label}
+                  variant={recurrence.frequency === option.value ? 'primary' : 'outline'}
+                  size="small"
+                  onPress={() => setRecurrence('frequency', option.value)}
+                />
+              ))}
+            </View>
+            
+            <Input
+              label={`Repeat every (${frequencyOption?.unit || 'week'}s)`}
+              placeholder="1"
+              value={recurrence.interval}
+              onChangeText={(text) => setRecurrence('interval', text.replace(/[^\d]/g, ''))}
+              keyboardType="numeric"
+              errorMessage={recurrenceErrors.interval}
+            />
+            
+            <Text style={{
+              ...TYPOGRAPHY.label,
+              marginBottom: SPACING.sm,
+            }}>
+              Ends
+            </Text>
+            
+            <View style={{
+              flexDirection: 'row',
+              flexWrap: 'wrap',
+              gap: SPACING.sm,
+              marginBottom: SPACING.md,
+            }}>
+              {RECURRENCE_END_OPTIONS.map((option) => (
+                <Button
+                  key={option.value}
+                  title={option.label}
+                  variant={recurrence.endType === option.value ? 'primary' : 'outline'}
+                  size="small"
+                  onPress={() => setRecurrence('endType', option.value)}
+                />
+              ))}
+            </View>
+            
+            {recurrence.endType === RECURRENCE_END.UNTIL && (
+              <TouchableOpacity
+                onPress={() => setUntilPickerOpen(true)}
+                style={{
+                  borderWidth: 1,
+                  borderColor: recurrenceErrors.until ? COLORS.status.error.main : COLORS.border.medium,
+                  borderRadius: BORDER_RADIUS.input,
+                  padding: SPACING.md,
+                  backgroundColor: COLORS.background.surface,
+                  marginBottom: SPACING.md,
+                }}
+              >
+                <Text style={{
+                  ...TYPOGRAPHY.label,
+                  color: COLORS.text.secondary,
+                  marginBottom: SPACING.xs,
+                }}>
+                  Last Visit On or Before
+                </Text>
+                <Text style={{
+                  ...TYPOGRAPHY.bodyMedium,
+                  color: recurrence.until ? COLORS.text.primary : COLORS.text.tertiary,
+                }}>
+                  {recurrence.until ? formatShortDate(recurrence.until) : 'Select end date'}
+                </Text>
+                {!!recurrenceErrors.until && (
+                  <Text style={{
+                    ...TYPOGRAPHY.caption,
+                    color: COLORS.status.error.main,
+                    marginTop: SPACING.xs,
+                  }}>
+                    {recurrenceErrors.until}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            )}
+            
+            {recurrence.endType === RECURRENCE_END.COUNT && (
+              <Input
+                label="Number of visits"
+                placeholder="6"
+                value={recurrence.count}
+                onChangeText={(text) => setRecurrence('count', text.replace(/[^\d]/g, ''))}
+                keyboardType="numeric"
+                errorMessage={recurrenceErrors.count}
+              />
+            )}
+          </View>
+        )}
+      </Card>
+    );
+  };
   
   // Default values
   const getInitialValues = () => ({
@@ -740,6 +1163,23 @@ const AppointmentForm = ({
     insuranceProvider: initialValues.insuranceProvider || '',
     copayAmount: initialValues.copayAmount || 0,
     dateTime: initialValues.dateTime || null,
+    recurrence: {
+      frequency: initialValues.recurrence?.frequency || RECURRENCE_FREQUENCY.WEEKLY,
+      interval: String(initialValues.recurrence?.interval || 1),
+      endType: initialValues.recurrence?.until
+        ? RECURRENCE_END.UNTIL
+        : initialValues.recurrence?.count
+        ? RECURRENCE_END.COUNT
+        : RECURRENCE_END.NEVER,
+      until: initialValues.recurrence?.until || null,
+      count: initialValues.recurrence?.count ? String(initialValues.recurrence.count) : '',
+    },
+    telehealth: {
+      platform: initialValues.telehealth?.platform || 'zoom',
+      meetingUrl: initialValues.telehealth?.meetingUrl || '',
+      dialIn: initialValues.telehealth?.dialIn || '',
+      passcode: initialValues.telehealth?.passcode || '',
+    },
   });
   
   // Styles
@@ -835,6 +1275,7 @@ const AppointmentForm = ({
             ref={formikRef}
             initialValues={getInitialValues()}
             validationSchema={appointmentSchema}
+            validate={validateForm}
             onSubmit={handleSubmit}
             enableReinitialize
             validateOnChange={false}
@@ -848,6 +1289,7 @@ const AppointmentForm = ({
               errors,
               touched,
               isSubmitting,
+              setFieldValue,
             }) => (
               <View>
                 {/* Appointment Type */}
@@ -856,6 +1298,9 @@ const AppointmentForm = ({
                 {/* Doctor/Provider Information */}
                 {renderDoctorSection(values, handleChange, handleBlur, errors, touched)}
                 
+                {/* Video Visit */}
+                {isTelehealthVisit && renderTelehealthSection(values, setFieldValue, errors)}
+                
                 {/* Date & Time */}
                 {renderDateTimeSection(values, handleChange)}
                 
@@ -868,8 +1313,11 @@ const AppointmentForm = ({
                 {/* Reminders */}
                 {renderReminderSection()}
                 
+                {/* Preparation Checklist */}
+                {renderPrepSection()}
+                
                 {/* Recurring Appointment */}
-                {renderRecurringSection()}
+                {enableRecurrence && renderRecurringSection(values, setFieldValue, errors)}
                 
                 {/* Action Buttons */}
                 <View style={{
@@ -967,6 +1415,23 @@ const AppointmentForm = ({
         onCancel={() => setDateTimePickerOpen(false)}
       />
       
+      {/* Series End Date Picker */}
+      <DatePicker
+        modal
+        open={untilPickerOpen}
+        date={formikRef.current?.values.recurrence.until ? new Date(formikRef.current.values.recurrence.until) : new Date()}
+        mode="date"
+        minimumDate={new Date()}
+        onConfirm={(date) => {
+          setUntilPickerOpen(false);
+          if (formikRef.current) {
+            formikRef.current.setFieldValue('recurrence.until', date.toISOString());
+            setHasUnsavedChanges(true);
+          }
+        }}
+        onCancel={() => setUntilPickerOpen(false)}
+      />
+      
       {/* Loading Overlay */}
       {(loading || saving) && (
         <LoadingSpinner
@@ -29,6 +29,7 @@ import Button from '../common/Button';
 import Card from '../common/Card';
 import StatusPill from '../common/StatusPill';
 import LoadingSpinner from '../common/LoadingSpinner';
+import { ConfirmModal } from '../common/Modal';
 
 // Styles
 import { COLORS } from '../../../styles/colors';
@@ -36,18 +37,84 @@ import { TYPOGRAPHY } from '../../../styles/typography';
 import { SPACING, BORDER_RADIUS } from '../../../styles/spacing';
 import { SHADOWS } from '../../../styles/shadows';
 
+// Scheduling
+import {
+  FREQUENCY_OPTIONS,
+  DAYS_OF_WEEK,
+  GRACE_PERIOD_OPTIONS,
+  DEFAULT_GRACE_PERIOD_MINUTES,
+  DOSAGE_FORMS,
+  DEFAULT_REFILL_REMINDER_DAYS,
+  PRN_LIMIT_MODE,
+  PRN_LIMIT_MODE_OPTIONS,
+  ESCALATION_POLICIES,
+  ESCALATION_POLICY_OPTIONS,
+  ESCALATION_LIMITS,
+} from '../../utils/constants';
+import { getDefaultReminderTimes, normalizeFrequency, getFrequencyOption } from '../../utils/dateUtils';
+import { getEscalationPolicy, isCriticalMedication } from '../../utils/escalation';
+import { formatEscalationPolicy } from '../../utils/formatters';
+import { keepsHomeTime } from '../../utils/travel';
+import { getUnitsOnHand } from '../../utils/inventoryUtils';
+
+// Interactions
+import {
+  checkInteractions,
+  getBlockingFindings,
+  isAcknowledged,
+  createAcknowledgement,
+} from '../../services/ai/InteractionChecker';
+
+// Prescription text
+import { parseMedicationText } from '../../services/ai/MedicationParser';
+
 const AnimatedView = Animated.createAnimatedComponent(View);
 const AnimatedScrollView = Animated.createAnimatedComponent(ScrollView);
 
 // Validation schema
+const DOSAGE_PATTERN = /^[\d\.]+ ?(mg|mcg|g|ml|units?|tablets?|capsules?|drops?|sprays?|puffs?)$/i;
+const DOSAGE_PATTERN_MESSAGE = 'Enter valid dosage (e.g., 10 mg, 1 tablet)';
+
+// Numeric text inputs that may be left blank
+const optionalNumber = () => Yup.number()
+  .transform((value, originalValue) => (originalValue === '' ? undefined : value))
+  .typeError('Enter a number');
+
+const phaseSchema = Yup.object().shape({
+  dosage: Yup.string()
+    .required('Dosage is required')
+    .matches(DOSAGE_PATTERN, DOSAGE_PATTERN_MESSAGE),
+  frequency: Yup.string()
+    .required('Frequency is required'),
+  durationDays: Yup.number()
+    .typeError('Enter a number of days')
+    .integer('Enter whole days')
+    .min(1, 'A phase lasts at least 1 day'),
+});
+
 const medicationSchema = Yup.object().shape({
   name: Yup.string()
     .min(2, 'Medication name must be at least 2 characters')
     .max(100, 'Medication name must be less than 100 characters')
     .required('Medication name is required'),
-  dosage: Yup.string()
-    .required('Dosage is required')
-    .matches(/^[\d\.]+ ?(mg|g|ml|units?|tablets?|capsules?|drops?|sprays?|puffs?)$/i, 'Enter valid dosage (e.g., 10 mg, 1 tablet)'),
+  dosage: Yup.string().when('phasesEnabled', {
+    is: true,
+    then: (schema) => schema.notRequired(),
+    otherwise: (schema) => schema
+      .required('Dosage is required')
+      .matches(DOSAGE_PATTERN, DOSAGE_PATTERN_MESSAGE),
+  }),
+  phases: Yup.array().when('phasesEnabled', {
+    is: true,
+    then: (schema) => schema
+      .of(phaseSchema)
+      .min(2, 'A taper or titration needs at least two phases')
+      .test(
+        'phase-durations',
+        'Every phase except the last needs a duration',
+        (phases = []) => phases.slice(0, -1).every(phase => Number(phase.durationDays) > 0)
+      ),
+  }),
   frequency: Yup.string()
     .required('Frequency is required'),
   instructions: Yup.string()
@@ -63,6 +130,36 @@ const medicationSchema = Yup.object().shape({
     .max(99, 'Refills cannot exceed 99'),
   cost: Yup.number()
     .min(0, 'Cost cannot be negative'),
+  quantityPerFill: optionalNumber()
+    .min(0, 'Quantity cannot be negative'),
+  unitsOnHand: optionalNumber()
+    .min(0, 'Quantity cannot be negative'),
+  refillReminderDays: optionalNumber()
+    .min(0, 'Days cannot be negative')
+    .max(60, 'Reminder cannot be more than 60 days ahead'),
+  minIntervalHours: optionalNumber()
+    .moreThan(0, 'Spacing must be more than 0 hours')
+    .max(72, 'Spacing cannot exceed 72 hours'),
+  maxDosesPer24Hours: optionalNumber()
+    .integer('Enter a whole number')
+    .min(1, 'Allow at least 1 dose')
+    .max(24, 'Cannot exceed 24 doses a day'),
+  escalationIntervalMinutes: optionalNumber().when('escalationPolicy', {
+    is: ESCALATION_POLICIES.CUSTOM,
+    then: (schema) => schema
+      .required('Enter the minutes between reminders')
+      .integer('Enter whole minutes')
+      .min(ESCALATION_LIMITS.intervalMinutes.min, `At least ${ESCALATION_LIMITS.intervalMinutes.min} minutes`)
+      .max(ESCALATION_LIMITS.intervalMinutes.max, `At most ${ESCALATION_LIMITS.intervalMinutes.max} minutes`),
+  }),
+  escalationMaxRepeats: optionalNumber().when('escalationPolicy', {
+    is: ESCALATION_POLICIES.CUSTOM,
+    then: (schema) => schema
+      .required('Enter how many times to remind again')
+      .integer('Enter a whole number')
+      .min(ESCALATION_LIMITS.maxRepeats.min, `At least ${ESCALATION_LIMITS.maxRepeats.min} repeat`)
+      .max(ESCALATION_LIMITS.maxRepeats.max, `At most ${ESCALATION_LIMITS.maxRepeats.max} repeats`),
+  }),
 });
 
 // Constants
@@ -73,22 +170,18 @@ const MEDICATION_TYPES = [
   { value: 'herbal', label: 'Herbal', icon: '🌱' },
 ];
 
-const FREQUENCY_OPTIONS = [
-  { value: 'once_daily', label: 'Once Daily', times: 1 },
-  { value: 'twice_daily', label: 'Twice Daily', times: 2 },
-  { value: 'three_times_daily', label: 'Three Times Daily', times: 3 },
-  { value: 'four_times_daily', label: 'Four Times Daily', times: 4 },
-  { value: 'every_6_hours', label: 'Every 6 Hours', times: 4 },
-  { value: 'every_8_hours', label: 'Every 8 Hours', times: 3 },
-  { value: 'every_12_hours', label: 'Every 12 Hours', times: 2 },
-  { value: 'as_needed', label: 'As Needed', times: 0 },
-  { value: 'custom', label: 'Custom Schedule', times: 0 },
-];
+// "Auto" leaves the policy to isCriticalMedication
+const ESCALATION_OPTIONS = [{ value: '', label: 'Auto' }, ...ESCALATION_POLICY_OPTIONS];
 
-const DOSAGE_FORMS = [
-  'Tablet', 'Capsule', 'Liquid', 'Injection', 'Inhaler', 
-  'Cream', 'Ointment', 'Drop', 'Patch', 'Spray', 'Powder'
-];
+// Frequencies a regimen phase can use (no open-ended or day-of-week schedules)
+const PHASE_FREQUENCY_OPTIONS = FREQUENCY_OPTIONS.filter(option => option.times > 0);
+
+const INTERACTION_SEVERITY_PILLS = {
+  contraindicated: { status: 'error', label: 'Contraindicated' },
+  major: { status: 'error', label: 'Major' },
+  moderate: { status: 'warning', label: 'Moderate' },
+  minor: { status: 'info', label: 'Minor' },
+};
 
 const MedicationForm = ({
   // Medication data
@@ -110,6 +203,16 @@ const MedicationForm = ({
   enableInteractionCheck = true,
   enableCostTracking = true,
   
+  // Interaction check context: the user's active medications and ProfileForm health fields
+  activeMedications = [],
+  healthProfile = {},
+  
+  // MedicationParser result (e.g. from a scanned label) to pre-fill the form with
+  parsedMedication,
+  
+  // Dose ledger outcomes, so "On Hand Now" shows the stock left rather than the last count
+  doseOutcomes = [],
+  
   // Animation props
   animateOnMount = true,
   
@@ -125,13 +228,22 @@ const MedicationForm = ({
   const [selectedFrequency, setSelectedFrequency] = useState(initialValues.frequency || 'once_daily');
   const [selectedDosageForm, setSelectedDosageForm] = useState(initialValues.dosageForm || 'Tablet');
   const [reminderTimes, setReminderTimes] = useState(initialValues.reminderTimes || ['09:00']);
+  const [daysOfWeek, setDaysOfWeek] = useState(initialValues.daysOfWeek || []);
+  const [gracePeriodMinutes, setGracePeriodMinutes] = useState(
+    initialValues.gracePeriodMinutes || DEFAULT_GRACE_PERIOD_MINUTES
+  );
   const [remindersEnabled, setRemindersEnabled] = useState(initialValues.remindersEnabled !== false);
+  const [currentUnitsOnHand] = useState(() => getUnitsOnHand(initialValues, doseOutcomes));
   const [startDatePickerOpen, setStartDatePickerOpen] = useState(false);
   const [endDatePickerOpen, setEndDatePickerOpen] = useState(false);
   const [timePickerOpen, setTimePickerOpen] = useState(false);
   const [selectedTimeIndex, setSelectedTimeIndex] = useState(0);
   const [foodInstructions, setFoodInstructions] = useState(initialValues.foodInstructions || 'no_preference');
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [pendingInteractionSave, setPendingInteractionSave] = useState(null);
+  const [pasteEntryOpen, setPasteEntryOpen] = useState(false);
+  const [prescriptionText, setPrescriptionText] = useState('');
+  const [reviewFields, setReviewFields] = useState([]);
   
   // Animation values
   const containerOpacity = useSharedValue(animateOnMount ? 0 : 1);
@@ -140,6 +252,8 @@ const MedicationForm = ({
   // Refs
   const formikRef = useRef(null);
   const scrollViewRef = useRef(null);
+  const frequencyInitialized = useRef(false);
+  const keepParsedReminderTimes = useRef(false);
   
   // Mount animation
   useEffect(() => {
@@ -151,41 +265,87 @@ const MedicationForm = ({
   
   // Update reminder times when frequency changes
   useEffect(() => {
-    const frequencyOption = FREQUENCY_OPTIONS.find(f => f.value === selectedFrequency);
-    if (frequencyOption && frequencyOption.times > 0) {
-      const newTimes = [];
-      const interval = 24 / frequencyOption.times;
-      
-      for (let i = 0; i < frequencyOption.times; i++) {
-        const hour = Math.floor(9 + (i * interval)); // Start at 9 AM
-        const timeString = `${hour.toString().padStart(2, '0')}:00`;
-        newTimes.push(timeString);
-      }
-      
+    // Keep the saved times when editing; only re-derive after the user changes frequency
+    if (!frequencyInitialized.current) {
+      frequencyInitialized.current = true;
+      if (initialValues.reminderTimes?.length) return;
+    }
+    
+    // Reminder times filled from prescription text win over the frequency defaults
+    if (keepParsedReminderTimes.current) {
+      keepParsedReminderTimes.current = false;
+      return;
+    }
+    
+    const newTimes = getDefaultReminderTimes(selectedFrequency);
+    if (newTimes.length > 0) {
       setReminderTimes(newTimes);
       setHasUnsavedChanges(true);
     }
   }, [selectedFrequency]);
   
+  // Pre-fill from a parse result handed in by the parent
+  useEffect(() => {
+    if (parsedMedication) applyParsedMedication(parsedMedication);
+  }, [parsedMedication]);
+  
   // Handle form submission
   const handleSubmit = async (values, { setSubmitting, setFieldError }) => {
     try {
       setSubmitting(true);
       
+      const {
+        quantityPerFill,
+        unitsOnHand,
+        refillReminderDays,
+        phasesEnabled,
+        phases: phaseValues,
+        minIntervalHours,
+        maxDosesPer24Hours,
+        escalationPolicy,
+        escalationIntervalMinutes,
+        escalationMaxRepeats,
+        escalationNotifyCaregiver,
+        ...medicationValues
+      } = values;
+      
+      // A taper's first phase doubles as the medication's headline dose and frequency
+      const phases = phasesEnabled ? buildPhases(phaseValues) : [];
+      
       const medicationData = {
-        ...values,
+        ...medicationValues,
+        ...(phasesEnabled && { dosage: phases[0].dosage }),
+        phases,
+        inventory: buildInventory(quantityPerFill, unitsOnHand, refillReminderDays),
+        ...buildPrnLimits(minIntervalHours, maxDosesPer24Hours),
+        escalation: buildEscalation({
+          escalationPolicy,
+          escalationIntervalMinutes,
+          escalationMaxRepeats,
+          escalationNotifyCaregiver,
+        }),
         type: selectedType,
-        frequency: selectedFrequency,
+        frequency: phasesEnabled ? phases[0].frequency : selectedFrequency,
         dosageForm: selectedDosageForm,
         reminderTimes: remindersEnabled ? reminderTimes : [],
+        daysOfWeek: !phasesEnabled && selectedFrequency === 'custom' ? daysOfWeek : [],
+        gracePeriodMinutes,
         remindersEnabled,
         foodInstructions,
         updatedAt: new Date().toISOString(),
         ...(editMode ? {} : { createdAt: new Date().toISOString() }),
       };
       
-      await onSave?.(medicationData);
-      setHasUnsavedChanges(false);
+      // Severe interactions wait for the user to acknowledge them in the confirm modal
+      if (enableInteractionCheck) {
+        const { findings, datasetVersion } = runInteractionCheck(medicationData);
+        if (!isAcknowledged(findings, initialValues.interactionAcknowledgement)) {
+          setPendingInteractionSave({ medicationData, findings, datasetVersion });
+          return;
+        }
+      }
+      
+      await saveMedication(medicationData);
       
     } catch (error) {
       if (error.field) {
@@ -198,6 +358,159 @@ const MedicationForm = ({
     }
   };
   
+  const saveMedication = async (medicationData) => {
+    await onSave?.(medicationData);
+    setHasUnsavedChanges(false);
+  };
+  
+  const runInteractionCheck = (medication) => checkInteractions(
+    { ...medication, id: initialValues.id },
+    {
+      medications: activeMedications,
+      allergies: healthProfile.allergies,
+      medicalConditions: healthProfile.medicalConditions,
+    }
+  );
+  
+  // Save with a record of the severe findings the user chose to accept
+  const handleConfirmInteractions = async () => {
+    const { medicationData, findings, datasetVersion } = pendingInteractionSave;
+    setPendingInteractionSave(null);
+    
+    try {
+      await saveMedication({
+        ...medicationData,
+        interactionAcknowledgement: createAcknowledgement(findings, datasetVersion),
+      });
+    } catch (error) {
+      Alert.alert('Save Failed', error.message || 'Unable to save medication. Please try again.');
+    }
+  };
+  
+  const getInteractionWarningMessage = () => {
+    const { medicationData, findings } = pendingInteractionSave;
+    const lines = getBlockingFindings(findings).map(finding =>
+      `• ${INTERACTION_SEVERITY_PILLS[finding.severity].label}: ${finding.title} (${finding.against})\n${finding.explanation}`
+    );
+    
+    return [
+      `${medicationData.name} may not be safe for you:`,
+      ...lines,
+      'Only continue if your doctor or pharmacist has approved this combination.',
+    ].join('\n\n');
+  };
+  
+  const buildPhases = (phaseValues) => phaseValues.map(phase => ({
+    dosage: phase.dosage.trim(),
+    frequency: phase.frequency,
+    durationDays: phase.durationDays === '' ? null : Number(phase.durationDays),
+  }));
+  
+  // Inventory is only tracked once a quantity has been entered
+  const buildInventory = (quantityPerFill, unitsOnHand, refillReminderDays) => {
+    if (quantityPerFill === '' && unitsOnHand === '') return initialValues.inventory || null;
+    
+    const previous = initialValues.inventory || {};
+    const units = unitsOnHand === '' ? Number(quantityPerFill) : Number(unitsOnHand);
+    // Unchanged stock keeps the last count, which doses taken since are still subtracted from
+    const recounted = units !== currentUnitsOnHand || !previous.countedAt;
+    
+    return {
+      ...previous,
+      quantityPerFill: quantityPerFill === '' ? null : Number(quantityPerFill),
+      unitsOnHand: recounted ? units : previous.unitsOnHand,
+      countedAt: recounted ? new Date().toISOString() : previous.countedAt,
+      refillReminderDays: refillReminderDays === '' ? DEFAULT_REFILL_REMINDER_DAYS : Number(refillReminderDays),
+    };
+  };
+  
+  // Spacing and daily maximum only apply to "as needed" medications
+  const buildPrnLimits = (minIntervalHours, maxDosesPer24Hours) => {
+    const asNeeded = !formikRef.current?.values.phasesEnabled && selectedFrequency === 'as_needed';
+    
+    return {
+      minIntervalHours: asNeeded && minIntervalHours !== '' ? Number(minIntervalHours) : null,
+      maxDosesPer24Hours: asNeeded && maxDosesPer24Hours !== '' ? Number(maxDosesPer24Hours) : null,
+    };
+  };
+  
+  // No saved policy means the default for the medication; only custom policies keep their numbers
+  const buildEscalation = ({
+    escalationPolicy,
+    escalationIntervalMinutes,
+    escalationMaxRepeats,
+    escalationNotifyCaregiver,
+  }) => {
+    if (!escalationPolicy) return null;
+    if (escalationPolicy !== ESCALATION_POLICIES.CUSTOM) return { policy: escalationPolicy };
+    
+    return {
+      policy: escalationPolicy,
+      intervalMinutes: Number(escalationIntervalMinutes),
+      maxRepeats: Number(escalationMaxRepeats),
+      notifyCaregiver: escalationNotifyCaregiver,
+    };
+  };
+  
+  // Pre-fill the form from pasted or scanned prescription text
+  const applyParsedMedication = ({ draft, lowConfidenceFields }) => {
+    const formik = formikRef.current;
+    
+    ['name', 'dosage', 'instructions', 'startDate', 'endDate'].forEach((key) => {
+      if (draft[key] !== undefined) formik?.setFieldValue(key, draft[key]);
+    });
+    if (draft.refillsRemaining !== undefined) formik?.setFieldValue('refillsRemaining', draft.refillsRemaining);
+    if (draft.quantityPerFill !== undefined) formik?.setFieldValue('quantityPerFill', String(draft.quantityPerFill));
+    if (draft.minIntervalHours) formik?.setFieldValue('minIntervalHours', String(draft.minIntervalHours));
+    if (draft.maxDosesPer24Hours) formik?.setFieldValue('maxDosesPer24Hours', String(draft.maxDosesPer24Hours));
+    
+    if (draft.dosageForm) setSelectedDosageForm(draft.dosageForm);
+    if (draft.foodInstructions) setFoodInstructions(draft.foodInstructions);
+    if (draft.reminderTimes) {
+      keepParsedReminderTimes.current = !!draft.frequency && draft.frequency !== selectedFrequency;
+      setReminderTimes(draft.reminderTimes);
+    }
+    if (draft.frequency) setSelectedFrequency(draft.frequency);
+    
+    setReviewFields(lowConfidenceFields);
+    setHasUnsavedChanges(true);
+  };
+  
+  const handleParsePrescriptionText = () => {
+    const result = parseMedicationText(prescriptionText);
+    
+    if (Object.keys(result.draft).length === 0) {
+      Alert.alert('Nothing Recognized', 'We could not find medication details in that text. Please fill in the form manually.');
+      return;
+    }
+    
+    applyParsedMedication(result);
+    setPasteEntryOpen(false);
+    setPrescriptionText('');
+  };
+  
+  // Fields filled with low confidence stay highlighted until the user touches them
+  const needsReview = (field) => reviewFields.includes(field);
+  
+  const markReviewed = (field) => {
+    if (needsReview(field)) setReviewFields(reviewFields.filter(f => f !== field));
+  };
+  
+  const getReviewProps = (field, helper) => (needsReview(field)
+    ? { helper: 'Auto-filled, please check', helperStyle: { color: COLORS.status.warning.main } }
+    : { helper }
+  );
+  
+  const renderReviewNote = (field) => needsReview(field) && (
+    <Text style={{
+      ...TYPOGRAPHY.caption,
+      color: COLORS.status.warning.main,
+      marginBottom: SPACING.xs,
+    }}>
+      Auto-filled, please check
+    </Text>
+  );
+  
   // Handle medication deletion
   const handleDelete = () => {
     Alert.alert(
@@ -227,12 +540,21 @@ const MedicationForm = ({
     setHasUnsavedChanges(true);
   };
   
+  const toggleDayOfWeek = (day) => {
+    setDaysOfWeek(daysOfWeek.includes(day)
+      ? daysOfWeek.filter(d => d !== day)
+      : [...daysOfWeek, day].sort()
+    );
+    setHasUnsavedChanges(true);
+  };
+  
   const updateReminderTime = (index, time) => {
     const newTimes = [...reminderTimes];
     const hours = time.getHours().toString().padStart(2, '0');
     const minutes = time.getMinutes().toString().padStart(2, '0');
     newTimes[index] = `${hours}:${minutes}`;
     setReminderTimes(newTimes);
+    markReviewed('reminderTimes');
     setHasUnsavedChanges(true);
   };
   
@@ -243,6 +565,86 @@ const MedicationForm = ({
   }));
   
   // Render functions
+  const renderPrescriptionTextEntry = () => {
+    if (!pasteEntryOpen) {
+      return (
+        <View style={{ marginBottom: SPACING.lg }}>
+          <Button
+            title="📋 Paste Prescription Text"
+            variant="outline"
+            size="small"
+            onPress={() => setPasteEntryOpen(true)}
+          />
+          
+          {reviewFields.length > 0 && (
+            <Text style={{
+              ...TYPOGRAPHY.caption,
+              color: COLORS.status.warning.main,
+              textAlign: 'center',
+              marginTop: SPACING.xs,
+            }}>
+              Please check the highlighted fields before saving
+            </Text>
+          )}
+        </View>
+      );
+    }
+    
+    return (
+      <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
+        <Text style={{
+          ...TYPOGRAPHY.h6,
+          marginBottom: SPACING.xs,
+          color: COLORS.medical.medication.prescription,
+        }}>
+          📋 Prescription Text
+        </Text>
+        
+        <Text style={{
+          ...TYPOGRAPHY.bodySmall,
+          color: COLORS.text.secondary,
+          marginBottom: SPACING.md,
+        }}>
+          Paste the directions from your prescription label or pharmacy printout to fill in the form
+        </Text>
+        
+        <Input
+          placeholder="e.g., Metformin 500 mg tab, take 1 by mouth twice daily with meals, 3 refills"
+          value={prescriptionText}
+          onChangeText={setPrescriptionText}
+          multiline
+          numberOfLines={4}
+          animatedLabel={false}
+        />
+        
+        <View style={{
+          flexDirection: 'row',
+          gap: SPACING.sm,
+        }}>
+          <Button
+            title="Cancel"
+            variant="outline"
+            size="small"
+            onPress={() => {
+              setPasteEntryOpen(false);
+              setPrescriptionText('');
+            }}
+            style={{ flex: 1 }}
+          />
+          
+          <Button
+            title="Fill Form"
+            variant="primary"
+            size="small"
+            disabled={!prescriptionText.trim()}
+            onPress={handleParsePrescriptionText}
+            style={{ flex: 2 }}
+          />
+        </View>
+      </Card>
+    );
+  };
+  
   const renderMedicationTypeSelector = () => (
     <View style={{ marginBottom: SPACING.lg }}>
       <Text style={{
@@ -289,19 +691,31 @@ const MedicationForm = ({
         gap: SPACING.sm,
         marginBottom: SPACING.md,
       }}>
-        <Input
-          label="Dosage Amount"
-          placeholder="10 mg"
-          value={values.dosage}
-          onChangeText={(text) => {
-            handleChange('dosage')(text);
-            setHasUnsavedChanges(true);
-          }}
-          onBlur={handleBlur('dosage')}
-          errorMessage={touched.dosage ? errors.dosage : null}
-          style={{ flex: 2 }}
-          helper="e.g., 10 mg, 1 tablet, 5 ml"
-        />
+        {values.phasesEnabled ? (
+          <Text style={{
+            ...TYPOGRAPHY.bodySmall,
+            color: COLORS.text.secondary,
+            flex: 2,
+            alignSelf: 'center',
+          }}>
+            Dose and frequency are set per phase in the schedule below
+          </Text>
+        ) : (
+          <Input
+            label="Dosage Amount"
+            placeholder="10 mg"
+            value={values.dosage}
+            onChangeText={(text) => {
+              handleChange('dosage')(text);
+              markReviewed('dosage');
+              setHasUnsavedChanges(true);
+            }}
+            onBlur={handleBlur('dosage')}
+            errorMessage={touched.dosage ? errors.dosage : null}
+            style={{ flex: 2 }}
+            {...getReviewProps('dosage', 'e.g., 10 mg, 1 tablet, 5 ml')}
+          />
+        )}
         
         <View style={{ flex: 1 }}>
           <Text style={{
@@ -320,6 +734,7 @@ const MedicationForm = ({
                   text: form,
                   onPress: () => {
                     setSelectedDosageForm(form);
+                    markReviewed('dosageForm');
                     setHasUnsavedChanges(true);
                   },
                 }))
@@ -327,7 +742,7 @@ const MedicationForm = ({
             }}
             style={{
               borderWidth: 1,
-              borderColor: COLORS.border.medium,
+              borderColor: needsReview('dosageForm') ? COLORS.status.warning.main : COLORS.border.medium,
               borderRadius: BORDER_RADIUS.input,
               padding: SPACING.md,
               backgroundColor: COLORS.background.surface,
@@ -344,50 +759,358 @@ const MedicationForm = ({
         </View>
       </View>
       
+      {!values.phasesEnabled && (
+        <View>
+          <Text style={{
+            ...TYPOGRAPHY.label,
+            marginBottom: SPACING.sm,
+          }}>
+            Frequency
+          </Text>
+          {renderReviewNote('frequency')}
+          
+          <View style={{
+            flexDirection: 'row',
+            flexWrap: 'wrap',
+            gap: SPACING.xs,
+            marginBottom: SPACING.md,
+          }}>
+            {FREQUENCY_OPTIONS.map((freq) => (
+              <Button
+                key={freq.value}
+                title={freq.label}
+                variant={selectedFrequency === freq.value ? 'primary' : 'outline'}
+                size="small"
+                onPress={() => {
+                  setSelectedFrequency(freq.value);
+                  markReviewed('frequency');
+                  setHasUnsavedChanges(true);
+                }}
+                style={{ minWidth: 100 }}
+              />
+            ))}
+          </View>
+          
+          {selectedFrequency === 'custom' && (
+            <View style={{ marginBottom: SPACING.md }}>
+              <Text style={{
+                ...TYPOGRAPHY.label,
+                marginBottom: SPACING.sm,
+              }}>
+                Days of Week
+              </Text>
+              
+              <View style={{
+                flexDirection: 'row',
+                gap: SPACING.xs,
+              }}>
+                {DAYS_OF_WEEK.map((day) => (
+                  <Button
+                    key={day.value}
+                    title={day.label}
+                    variant={daysOfWeek.includes(day.value) ? 'primary' : 'outline'}
+                    size="small"
+                    onPress={() => toggleDayOfWeek(day.value)}
+                    style={{ flex: 1 }}
+                  />
+                ))}
+              </View>
+              
+              <Text style={{
+                ...TYPOGRAPHY.caption,
+                color: COLORS.text.secondary,
+                marginTop: SPACING.xs,
+              }}>
+                {daysOfWeek.length ? 'Doses are scheduled on the selected days only' : 'No days selected: doses are scheduled every day'}
+              </Text>
+            </View>
+          )}
+          
+          {selectedFrequency === 'as_needed' && renderPrnLimits(values, handleChange, handleBlur, errors, touched)}
+        </View>
+      )}
+      
+      <Input
+        label="Special Instructions"
+        placeholder="Take with food, avoid alcohol, etc."
+        value={values.instructions}
+        onChangeText={(text) => {
+          handleChange('instructions')(text);
+          markReviewed('instructions');
+          setHasUnsavedChanges(true);
+        }}
+        onBlur={handleBlur('instructions')}
+        multiline
+        numberOfLines={2}
+        errorMessage={touched.instructions ? errors.instructions : null}
+        {...getReviewProps('instructions')}
+      />
+    </Card>
+  );
+  
+  const renderPrnLimits = (values, handleChange, handleBlur, errors, touched) => (
+    <View style={{ marginBottom: SPACING.md }}>
+      <View style={{
+        flexDirection: 'row',
+        gap: SPACING.sm,
+      }}>
+        <Input
+          label="Min Hours Between Doses"
+          placeholder="4"
+          value={values.minIntervalHours}
+          onChangeText={(text) => {
+            handleChange('minIntervalHours')(text);
+            markReviewed('minIntervalHours');
+            setHasUnsavedChanges(true);
+          }}
+          onBlur={handleBlur('minIntervalHours')}
+          keyboardType="decimal-pad"
+          errorMessage={touched.minIntervalHours ? errors.minIntervalHours : null}
+          {...getReviewProps('minIntervalHours')}
+          style={{ flex: 1 }}
+        />
+        
+        <Input
+          label="Max Doses per 24h"
+          placeholder="4"
+          value={values.maxDosesPer24Hours}
+          onChangeText={(text) => {
+            handleChange('maxDosesPer24Hours')(text);
+            markReviewed('maxDosesPer24Hours');
+            setHasUnsavedChanges(true);
+          }}
+          onBlur={handleBlur('maxDosesPer24Hours')}
+          keyboardType="numeric"
+          errorMessage={touched.maxDosesPer24Hours ? errors.maxDosesPer24Hours : null}
+          {...getReviewProps('maxDosesPer24Hours')}
+          style={{ flex: 1 }}
+        />
+      </View>
+      
       <Text style={{
         ...TYPOGRAPHY.label,
         marginBottom: SPACING.sm,
       }}>
-        Frequency
+        When a Limit Is Reached
       </Text>
       
       <View style={{
         flexDirection: 'row',
-        flexWrap: 'wrap',
         gap: SPACING.xs,
-        marginBottom: SPACING.md,
       }}>
-        {FREQUENCY_OPTIONS.map((freq) => (
+        {PRN_LIMIT_MODE_OPTIONS.map((option) => (
           <Button
-            key={freq.value}
-            title={freq.label}
-            variant={selectedFrequency === freq.value ? 'primary' : 'outline'}
+            key={option.value}
+            title={option.label}
+            variant={values.prnLimitMode === option.value ? 'primary' : 'outline'}
             size="small"
             onPress={() => {
-              setSelectedFrequency(freq.value);
+              handleChange('prnLimitMode')(option.value);
               setHasUnsavedChanges(true);
             }}
-            style={{ minWidth: 100 }}
+            style={{ flex: 1 }}
           />
         ))}
       </View>
       
-      <Input
-        label="Special Instructions"
-        placeholder="Take with food, avoid alcohol, etc."
-        value={values.instructions}
-        onChangeText={(text) => {
-          handleChange('instructions')(text);
-          setHasUnsavedChanges(true);
-        }}
-        onBlur={handleBlur('instructions')}
-        multiline
-        numberOfLines={2}
-        errorMessage={touched.instructions ? errors.instructions : null}
-      />
-    </Card>
+      <Text style={{
+        ...TYPOGRAPHY.caption,
+        color: COLORS.text.secondary,
+        marginTop: SPACING.xs,
+      }}>
+        {values.prnLimitMode === PRN_LIMIT_MODE.BLOCK
+          ? 'Doses that break these limits cannot be logged'
+          : 'You will be warned before logging a dose that breaks these limits'}
+      </Text>
+    </View>
   );
   
+  const renderPhaseEditor = (values, errors, setFieldValue) => {
+    const phasesError = typeof errors.phases === 'string' ? errors.phases : null;
+    
+    const updatePhases = (phases) => {
+      setFieldValue('phases', phases);
+      setHasUnsavedChanges(true);
+    };
+    
+    const updatePhase = (index, changes) => {
+      updatePhases(values.phases.map((phase, i) => (i === index ? { ...phase, ...changes } : phase)));
+      
+      // The first phase's frequency is the medication's, so reminder times follow it
+      if (index === 0 && changes.frequency) setSelectedFrequency(changes.frequency);
+    };
+    
+    const togglePhases = (enabled) => {
+      setFieldValue('phasesEnabled', enabled);
+      
+      if (enabled && values.phases.length === 0) {
+        const frequency = PHASE_FREQUENCY_OPTIONS.some(option => option.value === selectedFrequency)
+          ? selectedFrequency
+          : 'once_daily';
+        setSelectedFrequency(frequency);
+        setFieldValue('phases', [
+          { dosage: values.dosage, frequency, durationDays: '' },
+          { dosage: '', frequency, durationDays: '' },
+        ]);
+      }
+      setHasUnsavedChanges(true);
+    };
+    
+    const choosePhaseFrequency = (index) => {
+      Alert.alert(
+        'Phase Frequency',
+        '',
+        PHASE_FREQUENCY_OPTIONS.map(option => ({
+          text: option.label,
+          onPress: () => updatePhase(index, { frequency: option.value }),
+        }))
+      );
+    };
+    
+    return (
+      <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
+        <View style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          marginBottom: SPACING.xs,
+        }}>
+          <Text style={{
+            ...TYPOGRAPHY.h6,
+            color: COLORS.medical.medication.prescription,
+          }}>
+            📉 Taper / Titration
+          </Text>
+          
+          <Switch
+            value={values.phasesEnabled}
+            onValueChange={togglePhases}
+            trackColor={{
+              false: COLORS.neutral.gray[300],
+              true: COLORS.primary.light,
+            }}
+            thumbColor={values.phasesEnabled ? COLORS.primary.main : COLORS.neutral.gray[400]}
+          />
+        </View>
+        
+        <Text style={{
+          ...TYPOGRAPHY.bodySmall,
+          color: COLORS.text.secondary,
+          marginBottom: SPACING.md,
+        }}>
+          Change the dose in steps, e.g. 40 mg for 3 days, then 30 mg for 3 days. Phases run one after another from the start date.
+        </Text>
+        
+        {values.phasesEnabled && (
+          <View>
+            {values.phases.map((phase, index) => {
+              const phaseErrors = Array.isArray(errors.phases) ? errors.phases[index] || {} : {};
+              const isLastPhase = index === values.phases.length - 1;
+              
+              return (
+                <View
+                  key={index}
+                  style={{
+                    paddingVertical: SPACING.sm,
+                    borderTopWidth: 1,
+                    borderTopColor: COLORS.border.light,
+                  }}
+                >
+                  <View style={{
+                    flexDirection: 'row',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    marginBottom: SPACING.sm,
+                  }}>
+                    <Text style={TYPOGRAPHY.label}>
+                      Phase {index + 1}
+                    </Text>
+                    
+                    {values.phases.length > 2 && (
+                      <TouchableOpacity
+                        onPress={() => updatePhases(values.phases.filter((_, i) => i !== index))}
+                        accessibilityLabel={`Remove phase ${index + 1}`}
+                      >
+                        <Text style={{
+                          ...TYPOGRAPHY.bodySmall,
+                          color: COLORS.status.error.main,
+                        }}>
+                          Remove
+                        </Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                  
+                  <View style={{
+                    flexDirection: 'row',
+                    gap: SPACING.sm,
+                  }}>
+                    <Input
+                      label="Dose"
+                      placeholder="40 mg"
+                      value={phase.dosage}
+                      onChangeText={(text) => updatePhase(index, { dosage: text })}
+                      errorMessage={phaseErrors.dosage}
+                      style={{ flex: 1 }}
+                    />
+                    
+                    <Input
+                      label="Days"
+                      placeholder={isLastPhase ? 'Ongoing' : '3'}
+                      value={phase.durationDays}
+                      onChangeText={(text) => updatePhase(index, { durationDays: text })}
+                      keyboardType="numeric"
+                      errorMessage={phaseErrors.durationDays}
+                      style={{ flex: 1 }}
+                    />
+                  </View>
+                  
+                  <TouchableOpacity
+                    onPress={() => choosePhaseFrequency(index)}
+                    style={{
+                      borderWidth: 1,
+                      borderColor: COLORS.border.medium,
+                      borderRadius: BORDER_RADIUS.input,
+                      padding: SPACING.md,
+                      backgroundColor: COLORS.background.surface,
+                    }}
+                  >
+                    <Text style={TYPOGRAPHY.bodyMedium}>
+                      {getFrequencyOption(phase.frequency)?.label}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              );
+            })}
+            
+            {phasesError && (
+              <Text style={{
+                ...TYPOGRAPHY.caption,
+                color: COLORS.status.error.main,
+                marginBottom: SPACING.sm,
+              }}>
+                {phasesError}
+              </Text>
+            )}
+            
+            <Button
+              title="+ Add Phase"
+              variant="outline"
+              size="small"
+              onPress={() => {
+                const lastPhase = values.phases[values.phases.length - 1];
+                updatePhases([
+                  ...values.phases,
+                  { dosage: '', frequency: lastPhase?.frequency || 'once_daily', durationDays: '' },
+                ]);
+              }}
+            />
+          </View>
+        )}
+      </Card>
+    );
+  };
+  
   const renderFoodInstructions = () => (
     <View style={{ marginBottom: SPACING.lg }}>
       <Text style={{
@@ -396,6 +1119,7 @@ const MedicationForm = ({
       }}>
         Food Instructions
       </Text>
+      {renderReviewNote('foodInstructions')}
       
       <View style={{
         flexDirection: 'row',
@@ -414,6 +1138,7 @@ const MedicationForm = ({
             size="small"
             onPress={() => {
               setFoodInstructions(option.value);
+              markReviewed('foodInstructions');
               setHasUnsavedChanges(true);
             }}
             style={{ flex: 1 }}
@@ -423,7 +1148,7 @@ const MedicationForm = ({
     </View>
   );
   
-  const renderRemindersSection = () => {
+  const renderRemindersSection = (values, handleChange, handleBlur, errors, touched, setFieldValue) => {
     if (!enableReminders) return null;
     
     return (
@@ -464,6 +1189,7 @@ const MedicationForm = ({
             }}>
               Set reminder times for taking your medication
             </Text>
+            {renderReviewNote('reminderTimes')}
             
             <View style={{ gap: SPACING.sm }}>
               {reminderTimes.map((time, index) => (
@@ -532,12 +1258,211 @@ const MedicationForm = ({
                 leftIcon={<Text style={{ fontSize: 14 }}>➕</Text>}
               />
             )}
+            
+            <Text style={{
+              ...TYPOGRAPHY.label,
+              marginTop: SPACING.lg,
+              marginBottom: SPACING.xs,
+            }}>
+              Mark as Missed After
+            </Text>
+            <Text style={{
+              ...TYPOGRAPHY.caption,
+              color: COLORS.text.secondary,
+              marginBottom: SPACING.sm,
+            }}>
+              Doses not logged within this window are recorded as missed
+            </Text>
+            
+            <View style={{
+              flexDirection: 'row',
+              gap: SPACING.xs,
+            }}>
+              {GRACE_PERIOD_OPTIONS.map((option) => (
+                <Button
+                  key={option.value}
+                  title={option.label}
+                  variant={gracePeriodMinutes === option.value ? 'primary' : 'outline'}
+                  size="small"
+                  onPress={() => {
+                    setGracePeriodMinutes(option.value);
+                    setHasUnsavedChanges(true);
+                  }}
+                  style={{ flex: 1 }}
+                />
+              ))}
+            </View>
+            
+            {renderEscalation(values, handleChange, handleBlur, errors, touched, setFieldValue)}
+            
+            <View style={{
+              flexDirection: 'row',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              marginTop: SPACING.lg,
+            }}>
+              <View style={{ flex: 1, marginRight: SPACING.sm }}>
+                <Text style={TYPOGRAPHY.label}>Remind During Quiet Hours</Text>
+                <Text style={{
+                  ...TYPOGRAPHY.caption,
+                  color: COLORS.text.secondary,
+                }}>
+                  For doses that cannot wait until morning
+                </Text>
+              </View>
+              <Switch
+                value={values.overrideQuietHours}
+                onValueChange={(value) => {
+                  setFieldValue('overrideQuietHours', value);
+                  setHasUnsavedChanges(true);
+                }}
+                trackColor={{
+                  false: COLORS.neutral.gray[300],
+                  true: COLORS.primary.light,
+                }}
+                thumbColor={values.overrideQuietHours ? COLORS.primary.main : COLORS.neutral.gray[400]}
+              />
+            </View>
+            
+            <View style={{
+              flexDirection: 'row',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              marginTop: SPACING.lg,
+            }}>
+              <View style={{ flex: 1, marginRight: SPACING.sm }}>
+                <Text style={TYPOGRAPHY.label}>Keep Home Time When Traveling</Text>
+                <Text style={{
+                  ...TYPOGRAPHY.caption,
+                  color: COLORS.text.secondary,
+                }}>
+                  For doses that must stay 24 hours apart, like birth control
+                </Text>
+              </View>
+              <Switch
+                value={values.keepHomeTime ?? keepsHomeTime(values)}
+                onValueChange={(value) => {
+                  setFieldValue('keepHomeTime', value);
+                  setHasUnsavedChanges(true);
+                }}
+                trackColor={{
+                  false: COLORS.neutral.gray[300],
+                  true: COLORS.primary.light,
+                }}
+                thumbColor={(values.keepHomeTime ?? keepsHomeTime(values)) ? COLORS.primary.main : COLORS.neutral.gray[400]}
+              />
+            </View>
           </View>
         )}
       </Card>
     );
   };
   
+  // Repeat reminders for unanswered doses
+  const renderEscalation = (values, handleChange, handleBlur, errors, touched, setFieldValue) => {
+    const custom = values.escalationPolicy === ESCALATION_POLICIES.CUSTOM;
+    const effective = getEscalationPolicy({ name: values.name, escalation: buildEscalation(values) });
+    
+    return (
+      <View>
+        <Text style={{
+          ...TYPOGRAPHY.label,
+          marginTop: SPACING.lg,
+          marginBottom: SPACING.xs,
+        }}>
+          If a Dose Is Not Confirmed
+        </Text>
+        
+        <View style={{
+          flexDirection: 'row',
+          flexWrap: 'wrap',
+          gap: SPACING.xs,
+        }}>
+          {ESCALATION_OPTIONS.map((option) => (
+            <Button
+              key={option.value || 'auto'}
+              title={option.label}
+              variant={values.escalationPolicy === option.value ? 'primary' : 'outline'}
+              size="small"
+              onPress={() => {
+                setFieldValue('escalationPolicy', option.value);
+                setHasUnsavedChanges(true);
+              }}
+            />
+          ))}
+        </View>
+        
+        {custom && (
+          <View style={{ marginTop: SPACING.md }}>
+            <View style={{
+              flexDirection: 'row',
+              gap: SPACING.sm,
+            }}>
+              <Input
+                label="Every (minutes)"
+                placeholder="10"
+                value={values.escalationIntervalMinutes}
+                onChangeText={(text) => {
+                  handleChange('escalationIntervalMinutes')(text);
+                  setHasUnsavedChanges(true);
+                }}
+                onBlur={handleBlur('escalationIntervalMinutes')}
+                keyboardType="numeric"
+                errorMessage={touched.escalationIntervalMinutes ? errors.escalationIntervalMinutes : null}
+                style={{ flex: 1 }}
+              />
+              
+              <Input
+                label="Up to (times)"
+                placeholder="3"
+                value={values.escalationMaxRepeats}
+                onChangeText={(text) => {
+                  handleChange('escalationMaxRepeats')(text);
+                  setHasUnsavedChanges(true);
+                }}
+                onBlur={handleBlur('escalationMaxRepeats')}
+                keyboardType="numeric"
+                errorMessage={touched.escalationMaxRepeats ? errors.escalationMaxRepeats : null}
+                style={{ flex: 1 }}
+              />
+            </View>
+            
+            <View style={{
+              flexDirection: 'row',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+            }}>
+              <Text style={TYPOGRAPHY.bodyMedium}>Then notify my caregiver</Text>
+              <Switch
+                value={values.escalationNotifyCaregiver}
+                onValueChange={(value) => {
+                  setFieldValue('escalationNotifyCaregiver', value);
+                  setHasUnsavedChanges(true);
+                }}
+                trackColor={{
+                  false: COLORS.neutral.gray[300],
+                  true: COLORS.primary.light,
+                }}
+                thumbColor={values.escalationNotifyCaregiver ? COLORS.primary.main : COLORS.neutral.gray[400]}
+              />
+            </View>
+          </View>
+        )}
+        
+        <Text style={{
+          ...TYPOGRAPHY.caption,
+          color: COLORS.text.secondary,
+          marginTop: SPACING.xs,
+        }}>
+          {formatEscalationPolicy(effective)}
+          {!values.escalationPolicy && isCriticalMedication({ name: values.name })
+            ? ' (persistent for insulin and blood thinners)'
+            : ''}
+        </Text>
+      </View>
+    );
+  };
+  
   const renderPrescriptionDetails = (values, handleChange, handleBlur, errors, touched) => {
     if (selectedType !== 'prescription') return null;
     
@@ -587,11 +1512,13 @@ const MedicationForm = ({
             value={values.refillsRemaining?.toString()}
             onChangeText={(text) => {
               handleChange('refillsRemaining')(parseInt(text) || 0);
+              markReviewed('refillsRemaining');
               setHasUnsavedChanges(true);
             }}
             onBlur={handleBlur('refillsRemaining')}
             keyboardType="numeric"
             errorMessage={touched.refillsRemaining ? errors.refillsRemaining : null}
+            {...getReviewProps('refillsRemaining')}
             style={{ flex: 1 }}
           />
           
@@ -616,6 +1543,127 @@ const MedicationForm = ({
     );
   };
   
+  const renderSupplySection = (values, handleChange, handleBlur, errors, touched) => (
+    <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
+      <Text style={{
+        ...TYPOGRAPHY.h6,
+        marginBottom: SPACING.xs,
+        color: COLORS.medical.medication.prescription,
+      }}>
+        📦 Supply
+      </Text>
+      
+      <Text style={{
+        ...TYPOGRAPHY.bodySmall,
+        color: COLORS.text.secondary,
+        marginBottom: SPACING.md,
+      }}>
+        Track {selectedDosageForm.toLowerCase()} units on hand to get a refill reminder before you run out
+      </Text>
+      
+      <View style={{
+        flexDirection: 'row',
+        gap: SPACING.sm,
+      }}>
+        <Input
+          label="Quantity per Fill"
+          placeholder="30"
+          value={values.quantityPerFill}
+          onChangeText={(text) => {
+            handleChange('quantityPerFill')(text);
+            markReviewed('quantityPerFill');
+            setHasUnsavedChanges(true);
+          }}
+          onBlur={handleBlur('quantityPerFill')}
+          keyboardType="numeric"
+          errorMessage={touched.quantityPerFill ? errors.quantityPerFill : null}
+          {...getReviewProps('quantityPerFill')}
+          style={{ flex: 1 }}
+        />
+        
+        <Input
+          label="On Hand Now"
+          placeholder="30"
+          value={values.unitsOnHand}
+          onChangeText={(text) => {
+            handleChange('unitsOnHand')(text);
+            setHasUnsavedChanges(true);
+          }}
+          onBlur={handleBlur('unitsOnHand')}
+          keyboardType="numeric"
+          errorMessage={touched.unitsOnHand ? errors.unitsOnHand : null}
+          style={{ flex: 1 }}
+        />
+      </View>
+      
+      <Input
+        label="Remind Me (days before running out)"
+        placeholder={String(DEFAULT_REFILL_REMINDER_DAYS)}
+        value={values.refillReminderDays}
+        onChangeText={(text) => {
+          handleChange('refillReminderDays')(text);
+          setHasUnsavedChanges(true);
+        }}
+        onBlur={handleBlur('refillReminderDays')}
+        keyboardType="numeric"
+        errorMessage={touched.refillReminderDays ? errors.refillReminderDays : null}
+      />
+    </Card>
+  );
+  
+  const renderInteractionSection = (values) => {
+    if (!enableInteractionCheck) return null;
+    
+    const { findings } = runInteractionCheck({ name: values.name });
+    if (findings.length === 0) return null;
+    
+    return (
+      <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
+        <Text style={{
+          ...TYPOGRAPHY.h6,
+          marginBottom: SPACING.md,
+          color: COLORS.status.warning.main,
+        }}>
+          ⚠️ Interactions
+        </Text>
+        
+        {findings.map((finding) => (
+          <View
+            key={finding.id}
+            style={{
+              paddingVertical: SPACING.sm,
+              borderTopWidth: 1,
+              borderTopColor: COLORS.border.light,
+            }}
+          >
+            <View style={{
+              flexDirection: 'row',
+              alignItems: 'center',
+              gap: SPACING.sm,
+              marginBottom: SPACING.xs,
+            }}>
+              <StatusPill
+                status={INTERACTION_SEVERITY_PILLS[finding.severity].status}
+                text={INTERACTION_SEVERITY_PILLS[finding.severity].label}
+                size="small"
+              />
+              <Text style={{ ...TYPOGRAPHY.label, flex: 1 }}>
+                {finding.title}
+              </Text>
+            </View>
+            
+            <Text style={{
+              ...TYPOGRAPHY.bodySmall,
+              color: COLORS.text.secondary,
+            }}>
+              With {finding.against}: {finding.explanation}
+            </Text>
+          </View>
+        ))}
+      </Card>
+    );
+  };
+  
   const renderScheduleSection = (values, handleChange, handleBlur) => (
     <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
       <Text style={{
@@ -661,6 +1709,7 @@ const MedicationForm = ({
           }}>
             End Date (Optional)
           </Text>
+          {renderReviewNote('endDate')}
           <TouchableOpacity
             onPress={() => setEndDatePickerOpen(true)}
             style={{
@@ -693,6 +1742,24 @@ const MedicationForm = ({
     cost: initialValues.cost || 0,
     startDate: initialValues.startDate || new Date(),
     endDate: initialValues.endDate || null,
+    quantityPerFill: initialValues.inventory?.quantityPerFill?.toString() || '',
+    unitsOnHand: currentUnitsOnHand?.toString() || '',
+    refillReminderDays: initialValues.inventory?.refillReminderDays?.toString() || '',
+    minIntervalHours: initialValues.minIntervalHours?.toString() || '',
+    maxDosesPer24Hours: initialValues.maxDosesPer24Hours?.toString() || '',
+    prnLimitMode: initialValues.prnLimitMode || PRN_LIMIT_MODE.WARN,
+    escalationPolicy: initialValues.escalation?.policy || '',
+    escalationIntervalMinutes: initialValues.escalation?.intervalMinutes?.toString() || '',
+    escalationMaxRepeats: initialValues.escalation?.maxRepeats?.toString() || '',
+    escalationNotifyCaregiver: !!initialValues.escalation?.notifyCaregiver,
+    overrideQuietHours: !!initialValues.overrideQuietHours,
+    keepHomeTime: initialValues.keepHomeTime ?? null, // null follows the medication's name (see keepsHomeTime)
+    phasesEnabled: initialValues.phases?.length > 1,
+    phases: (initialValues.phases || []).map(phase => ({
+      dosage: phase.dosage || '',
+      frequency: normalizeFrequency(phase.frequency || initialValues.frequency),
+      durationDays: phase.durationDays?.toString() || '',
+    })),
   });
   
   // Styles
@@ -772,7 +1839,7 @@ const MedicationForm = ({
           
           {/* Medication Form */}
           <Formik
-            ref={formikRef}
+            innerRef={formikRef}
             initialValues={getInitialValues()}
             validationSchema={medicationSchema}
             onSubmit={handleSubmit}
@@ -784,12 +1851,16 @@ const MedicationForm = ({
               handleChange,
               handleBlur,
               handleSubmit: formikSubmit,
+              setFieldValue,
               values,
               errors,
               touched,
               isSubmitting,
             }) => (
               <View>
+                {/* Prescription Text */}
+                {renderPrescriptionTextEntry()}
+                
                 {/* Basic Information */}
                 <Input
                   label="Medication Name"
@@ -797,30 +1868,41 @@ const MedicationForm = ({
                   value={values.name}
                   onChangeText={(text) => {
                     handleChange('name')(text);
+                    markReviewed('name');
                     setHasUnsavedChanges(true);
                   }}
                   onBlur={handleBlur('name')}
                   errorMessage={touched.name ? errors.name : null}
+                  {...getReviewProps('name')}
                   leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.tertiary }}>💊</Text>}
                 />
                 
+                {/* Interaction Warnings */}
+                {renderInteractionSection(values)}
+                
                 {/* Medication Type */}
                 {renderMedicationTypeSelector()}
                 
                 {/* Dosage Information */}
                 {renderDosageSection(values, handleChange, handleBlur, errors, touched)}
                 
+                {/* Taper / Titration */}
+                {renderPhaseEditor(values, errors, setFieldValue)}
+                
                 {/* Food Instructions */}
                 {renderFoodInstructions()}
                 
                 {/* Prescription Details */}
                 {renderPrescriptionDetails(values, handleChange, handleBlur, errors, touched)}
                 
+                {/* Supply */}
+                {renderSupplySection(values, handleChange, handleBlur, errors, touched)}
+                
                 {/* Schedule */}
                 {renderScheduleSection(values, handleChange, handleBlur)}
                 
                 {/* Reminders */}
-                {renderRemindersSection()}
+                {renderRemindersSection(values, handleChange, handleBlur, errors, touched, setFieldValue)}
                 
                 {/* Additional Notes */}
                 <Input
@@ -912,6 +1994,19 @@ const MedicationForm = ({
         </View>
       </AnimatedScrollView>
       
+      {/* Interaction Acknowledgement */}
+      <ConfirmModal
+        visible={!!pendingInteractionSave}
+        title="Possible Interaction"
+        message={pendingInteractionSave ? getInteractionWarningMessage() : null}
+        confirmText="Save Anyway"
+        cancelText="Go Back"
+        dangerous
+        onConfirm={handleConfirmInteractions}
+        onCancel={() => setPendingInteractionSave(null)}
+        onClose={() => setPendingInteractionSave(null)}
+      />
+      
       {/* Date Pickers */}
       <DatePicker
         modal
@@ -936,6 +2031,7 @@ const MedicationForm = ({
         minimumDate={new Date()}
         onConfirm={(date) => {
           setEndDatePickerOpen(false);
+          markReviewed('endDate');
           if (formikRef.current) {
             formikRef.current.setFieldValue('endDate', date);
             setHasUnsavedChanges(true);
@@ -0,0 +1,309 @@
+/**
+ * MediAssist App - PrepTemplateForm Component
+ * Create or edit a preparation checklist template: which visits it applies to and its timed tasks
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Switch,
+  TouchableOpacity,
+} from 'react-native';
+import { Formik } from 'formik';
+import * as Yup from 'yup';
+
+// Components
+import Input from '../common/Input';
+import Button from '../common/Button';
+import Card from '../common/Card';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+import { TYPOGRAPHY } from '../../styles/typography';
+import { SPACING } from '../../styles/spacing';
+
+// Checklists
+import { APPOINTMENT_TYPES, PREP_TIMING_OPTIONS } from '../../utils/constants';
+import { formatPrepTiming } from '../../utils/formatters';
+import { generateId } from '../../utils/helpers';
+
+const templateSchema = Yup.object().shape({
+  name: Yup.string()
+    .trim()
+    .max(60, 'Name must be less than 60 characters')
+    .required('Give the checklist a name'),
+  tasks: Yup.array()
+    .of(Yup.object().shape({
+      title: Yup.string()
+        .trim()
+        .max(100, 'Task must be less than 100 characters')
+        .required('Describe the task'),
+    }))
+    .min(1, 'Add at least one task'),
+});
+
+const PrepTemplateForm = ({
+  // Template data
+  initialValues = {},
+  onSave,
+  onCancel,
+  onDelete,
+
+  // State props
+  saving = false,
+
+  // Custom styles
+  style,
+
+  // Test props
+  testID,
+}) => {
+  const editMode = !!initialValues.id;
+
+  // Task whose reminder options are showing
+  const [timingTaskId, setTimingTaskId] = useState(null);
+
+  const getInitialValues = () => ({
+    name: initialValues.name || '',
+    appointmentTypes: initialValues.appointmentTypes || [],
+    fastingOnly: initialValues.fastingOnly || false,
+    tasks: initialValues.tasks || [{ id: generateId('task_'), title: '', timing: null }],
+  });
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      await onSave?.({
+        id: initialValues.id || generateId('prep_'),
+        name: values.name.trim(),
+        appointmentTypes: values.appointmentTypes,
+        fastingOnly: values.fastingOnly,
+        tasks: values.tasks.map(task => ({ ...task, title: task.title.trim() })),
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Render functions
+  const renderTypeOptions = (values, setFieldValue) => {
+    const toggleType = (type) => setFieldValue(
+      'appointmentTypes',
+      values.appointmentTypes.includes(type)
+        ? values.appointmentTypes.filter(item => item !== type)
+        : [...values.appointmentTypes, type]
+    );
+
+    return (
+      <View style={{ marginBottom: SPACING.md }}>
+        <Text style={{
+          ...TYPOGRAPHY.label,
+          marginBottom: SPACING.sm,
+        }}>
+          Use For
+        </Text>
+
+        <View style={{
+          flexDirection: 'row',
+          flexWrap: 'wrap',
+          gap: SPACING.xs,
+        }}>
+          <Button
+            title="All appointments"
+            variant={values.appointmentTypes.length ? 'outline' : 'primary'}
+            size="small"
+            onPress={() => setFieldValue('appointmentTypes', [])}
+          />
+          {APPOINTMENT_TYPES.map((type) => (
+            <Button
+              key={type.value}
+              title={`${type.icon} ${type.label}`}
+              variant={values.appointmentTypes.includes(type.value) ? 'primary' : 'outline'}
+              size="small"
+              onPress={() => toggleType(type.value)}
+            />
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  const renderTask = (task, index, values, errors, touched, setFieldValue) => {
+    const taskError = touched.tasks?.[index]?.title ? errors.tasks?.[index]?.title : null;
+    const timingLabel = formatPrepTiming(task.timing);
+
+    return (
+      <View key={task.id} style={{ marginBottom: SPACING.md }}>
+        <View style={{
+          flexDirection: 'row',
+          alignItems: 'flex-start',
+          gap: SPACING.sm,
+        }}>
+          <Input
+            label={`Task ${index + 1}`}
+            placeholder="Bring your glucose log"
+            value={task.title}
+            onChangeText={text => setFieldValue(`tasks.${index}.title`, text)}
+            errorMessage={taskError}
+            style={{ flex: 1 }}
+          />
+          {values.tasks.length > 1 && (
+            <TouchableOpacity
+              onPress={() => setFieldValue('tasks', values.tasks.filter(item => item.id !== task.id))}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              accessibilityLabel={`Remove task ${index + 1}`}
+              style={{ paddingTop: SPACING.xl }}
+            >
+              <Text style={{ ...TYPOGRAPHY.bodyMedium, color: COLORS.text.tertiary }}>✕</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <Button
+          title={`⏰ ${timingLabel}`}
+          variant="ghost"
+          size="small"
+          onPress={() => setTimingTaskId(timingTaskId === task.id ? null : task.id)}
+          style={{ alignSelf: 'flex-start' }}
+        />
+
+        {timingTaskId === task.id && (
+          <View style={{
+            flexDirection: 'row',
+            flexWrap: 'wrap',
+            gap: SPACING.xs,
+            marginTop: SPACING.xs,
+          }}>
+            {PREP_TIMING_OPTIONS.map((option) => (
+              <Button
+                key={option.key}
+                title={option.label}
+                variant={timingLabel === option.label ? 'primary' : 'outline'}
+                size="small"
+                onPress={() => {
+                  setFieldValue(`tasks.${index}.timing`, option.timing);
+                  setTimingTaskId(null);
+                }}
+              />
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={[{ padding: SPACING.lg }, style]} testID={testID}>
+      <Formik
+        initialValues={getInitialValues()}
+        validationSchema={templateSchema}
+        onSubmit={handleSubmit}
+        validateOnChange={false}
+        validateOnBlur={true}
+      >
+        {({
+          handleChange,
+          handleBlur,
+          handleSubmit: formikSubmit,
+          setFieldValue,
+          values,
+          errors,
+          touched,
+          isSubmitting,
+        }) => (
+          <View>
+            <Input
+              label="Checklist Name"
+              placeholder="Dermatology visit"
+              value={values.name}
+              onChangeText={handleChange('name')}
+              onBlur={handleBlur('name')}
+              errorMessage={touched.name ? errors.name : null}
+            />
+
+            {renderTypeOptions(values, setFieldValue)}
+
+            <View style={{
+              flexDirection: 'row',
+              alignItems: 'center',
+              marginBottom: SPACING.lg,
+            }}>
+              <Switch
+                value={values.fastingOnly}
+                onValueChange={value => setFieldValue('fastingOnly', value)}
+                trackColor={{
+                  false: COLORS.neutral.gray[300],
+                  true: COLORS.status.warning.light,
+                }}
+                thumbColor={values.fastingOnly ? COLORS.status.warning.main : COLORS.neutral.gray[400]}
+              />
+              <Text style={{
+                ...TYPOGRAPHY.bodySmall,
+                marginLeft: SPACING.sm,
+              }}>
+                Only when fasting is required
+              </Text>
+            </View>
+
+            <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
+              {values.tasks.map((task, index) => renderTask(task, index, values, errors, touched, setFieldValue))}
+
+              {typeof errors.tasks === 'string' && (
+                <Text style={{
+                  ...TYPOGRAPHY.caption,
+                  color: COLORS.status.error.main,
+                  marginBottom: SPACING.sm,
+                }}>
+                  {errors.tasks}
+                </Text>
+              )}
+
+              <Button
+                title="Add Task"
+                variant="outline"
+                size="small"
+                onPress={() => setFieldValue('tasks', [
+                  ...values.tasks,
+                  { id: generateId('task_'), title: '', timing: null },
+                ])}
+              />
+            </Card>
+
+            {/* Action Buttons */}
+            <View style={{
+              flexDirection: 'row',
+              gap: SPACING.sm,
+            }}>
+              {editMode && onDelete && (
+                <Button
+                  title="Delete"
+                  onPress={() => onDelete(initialValues)}
+                  variant="error"
+                  style={{ flex: 1 }}
+                />
+              )}
+
+              <Button
+                title="Cancel"
+                onPress={onCancel}
+                variant="outline"
+                style={{ flex: 1 }}
+              />
+
+              <Button
+                title={editMode ? 'Save Checklist' : 'Add Checklist'}
+                onPress={formikSubmit}
+                loading={isSubmitting || saving}
+                disabled={isSubmitting || saving}
+                variant="primary"
+                style={{ flex: 2 }}
+              />
+            </View>
+          </View>
+        )}
+      </Formik>
+    </View>
+  );
+};
+
+export default PrepTemplateForm;
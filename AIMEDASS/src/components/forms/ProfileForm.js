@@ -38,11 +38,28 @@ import { TYPOGRAPHY } from '../../../styles/typography';
 import { SPACING, BORDER_RADIUS, DIMENSIONS } from '../../../styles/spacing';
 import { SHADOWS } from '../../../styles/shadows';
 
+// Vital ranges
+import { VITAL_TYPES, VITAL_DEFINITIONS } from '../../utils/constants';
+import {
+  getDefaultVitalRanges,
+  getRangeAdjustments,
+  resolveVitalRanges,
+  normalizeRangeOverrides,
+} from '../../utils/vitalRanges';
+import { validateVitalRanges } from '../../utils/validation';
+import {
+  getDisplayUnit,
+  toDisplayValue,
+  fromDisplayValue,
+  rangesToDisplay,
+  rangesFromDisplay,
+} from '../../utils/units';
+
 const AnimatedView = Animated.createAnimatedComponent(View);
 const AnimatedScrollView = Animated.createAnimatedComponent(ScrollView);
 
-// Validation schema
-const profileSchema = Yup.object().shape({
+// Validation schema; height and weight bounds follow the user's display units
+const createProfileSchema = (units) => Yup.object().shape({
   firstName: Yup.string()
     .min(2, 'First name must be at least 2 characters')
     .max(50, 'First name must be less than 50 characters')
@@ -70,11 +87,11 @@ const profileSchema = Yup.object().shape({
   emergencyContactRelation: Yup.string()
     .required('Please specify relationship to emergency contact'),
   height: Yup.number()
-    .min(24, 'Height must be realistic')
-    .max(120, 'Height must be realistic'),
+    .min(toDisplayValue('height', 24, units), 'Height must be realistic')
+    .max(toDisplayValue('height', 120, units), 'Height must be realistic'),
   weight: Yup.number()
-    .min(20, 'Weight must be realistic')
-    .max(1000, 'Weight must be realistic'),
+    .min(toDisplayValue('weight', 20, units), 'Weight must be realistic')
+    .max(toDisplayValue('weight', 1000, units), 'Weight must be realistic'),
   allergies: Yup.string().max(500, 'Allergies description must be less than 500 characters'),
   currentMedications: Yup.string().max(1000, 'Current medications must be less than 1000 characters'),
   medicalConditions: Yup.string().max(1000, 'Medical conditions must be less than 1000 characters'),
@@ -86,6 +103,12 @@ const profileSchema = Yup.object().shape({
 const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
 const GENDERS = ['Male', 'Female', 'Other', 'Prefer not to say'];
 const EMERGENCY_RELATIONS = ['Spouse', 'Parent', 'Child', 'Sibling', 'Friend', 'Other'];
+const RANGE_INPUTS = [
+  { rangeKey: 'normalRange', bound: 'min', label: 'Target low' },
+  { rangeKey: 'normalRange', bound: 'max', label: 'Target high' },
+  { rangeKey: 'criticalRange', bound: 'min', label: 'Alert below' },
+  { rangeKey: 'criticalRange', bound: 'max', label: 'Alert above' },
+];
 const PROFILE_SECTIONS = [
   { key: 'personal', title: 'Personal Information', icon: '👤' },
   { key: 'contact', title: 'Contact & Address', icon: '📍' },
@@ -105,6 +128,9 @@ const ProfileForm = ({
   saving = false,
   error,
   
+  // Display units from selectUnitPreferences; height, weight and ranges are saved in stored units
+  units,
+  
   // Mode props
   editMode = false,
   
@@ -130,6 +156,7 @@ const ProfileForm = ({
   const [datePickerOpen, setDatePickerOpen] = useState(false);
   const [expandedSection, setExpandedSection] = useState('personal');
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [selectedRangeType, setSelectedRangeType] = useState(VITAL_TYPES.BLOOD_PRESSURE);
   
   // Animation values
   const containerOpacity = useSharedValue(animateOnMount ? 0 : 1);
@@ -159,6 +186,10 @@ const ProfileForm = ({
         bloodType: selectedBloodType,
         gender: selectedGender,
         emergencyContactRelation: selectedEmergencyRelation,
+        height: fromDisplayValue('height', values.height, units),
+        weight: fromDisplayValue('weight', values.weight, units),
+        // Numeric, minimal and in stored units, ready for saveVitalRangeProfile
+        vitalRangeOverrides: normalizeRangeOverrides(rangesFromDisplay(values.vitalRangeOverrides, units)),
         updatedAt: new Date().toISOString(),
       };
       
@@ -176,6 +207,17 @@ const ProfileForm = ({
     }
   };
   
+  // Target ranges are checked as resolved, so an override is validated against the defaults it sits beside
+  const validateRanges = (values) => {
+    const errors = validateVitalRanges(resolveVitalRanges({
+      dateOfBirth: values.dateOfBirth,
+      medicalConditions: values.medicalConditions,
+      overrides: normalizeRangeOverrides(rangesFromDisplay(values.vitalRangeOverrides, units)),
+    }));
+    
+    return Object.keys(errors).length ? { vitalRangeOverrides: errors } : {};
+  };
+  
   // Handle image selection
   const handleImagePicker = () => {
     const options = {
@@ -458,8 +500,8 @@ const ProfileForm = ({
               gap: SPACING.sm,
             }}>
               <Input
-                label="Height (inches)"
-                placeholder="70"
+                label={`Height (${getDisplayUnit('height', units)})`}
+                placeholder={String(toDisplayValue('height', 70, units))}
                 value={values.height?.toString()}
                 onChangeText={(text) => {
                   handleChange('height')(parseFloat(text) || '');
@@ -472,8 +514,8 @@ const ProfileForm = ({
               />
               
               <Input
-                label="Weight (lbs)"
-                placeholder="150"
+                label={`Weight (${getDisplayUnit('weight', units)})`}
+                placeholder={String(toDisplayValue('weight', 150, units))}
                 value={values.weight?.toString()}
                 onChangeText={(text) => {
                   handleChange('weight')(parseFloat(text) || '');
@@ -647,7 +689,116 @@ const ProfileForm = ({
     );
   };
   
-  const renderMedicalSection = (values, handleChange, handleBlur, errors, touched) => {
+  const renderTargetRanges = (values, errors, setFieldValue) => {
+    const defaults = rangesToDisplay(getDefaultVitalRanges(values), units);
+    const adjustments = getRangeAdjustments(values);
+    const definition = VITAL_DEFINITIONS[selectedRangeType];
+    const hasOverrides = Object.keys(normalizeRangeOverrides(values.vitalRangeOverrides)).length > 0;
+    
+    return (
+      <View style={{ marginTop: SPACING.md }}>
+        <View style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          marginBottom: SPACING.xs,
+        }}>
+          <Text style={TYPOGRAPHY.label}>
+            Target Ranges
+          </Text>
+          
+          <Button
+            title="Reset to Defaults"
+            variant="outline"
+            size="small"
+            disabled={!hasOverrides}
+            onPress={() => {
+              setFieldValue('vitalRangeOverrides', {});
+              setHasUnsavedChanges(true);
+            }}
+          />
+        </View>
+        
+        <Text style={{
+          ...TYPOGRAPHY.caption,
+          color: COLORS.text.secondary,
+          marginBottom: SPACING.sm,
+        }}>
+          {adjustments.length
+            ? `Defaults adjusted for ${adjustments.map(adjustment => adjustment.label).join(', ')}.`
+            : 'Standard adult defaults.'}
+          {' '}Enter the targets your clinician set; blank fields keep the default.
+        </Text>
+        
+        <View style={{
+          flexDirection: 'row',
+          flexWrap: 'wrap',
+          gap: SPACING.xs,
+          marginBottom: SPACING.md,
+        }}>
+          {Object.keys(defaults).map((type) => (
+            <Button
+              key={type}
+              title={VITAL_DEFINITIONS[type].label}
+              variant={selectedRangeType === type ? 'primary' : 'outline'}
+              size="small"
+              onPress={() => setSelectedRangeType(type)}
+            />
+          ))}
+        </View>
+        
+        {definition.fields.map((field) => {
+          const fieldDefaults = defaults[selectedRangeType][field.key];
+          const fieldOverrides = values.vitalRangeOverrides?.[selectedRangeType]?.[field.key];
+          const fieldError = errors.vitalRangeOverrides?.[selectedRangeType]?.[field.key];
+          
+          return (
+            <View key={field.key} style={{ marginBottom: SPACING.sm }}>
+              <Text style={{
+                ...TYPOGRAPHY.bodySmall,
+                fontWeight: '600',
+                marginBottom: SPACING.xs,
+              }}>
+                {field.label} ({getDisplayUnit(selectedRangeType, units)})
+              </Text>
+              
+              <View style={{
+                flexDirection: 'row',
+                flexWrap: 'wrap',
+                justifyContent: 'space-between',
+              }}>
+                {RANGE_INPUTS.map(({ rangeKey, bound, label }) => (
+                  <Input
+                    key={`${rangeKey}.${bound}`}
+                    label={label}
+                    placeholder={String(fieldDefaults[rangeKey]?.[bound] ?? '')}
+                    value={String(fieldOverrides?.[rangeKey]?.[bound] ?? '')}
+                    onChangeText={(text) => {
+                      setFieldValue(`vitalRangeOverrides.${selectedRangeType}.${field.key}.${rangeKey}.${bound}`, text);
+                      setHasUnsavedChanges(true);
+                    }}
+                    keyboardType={field.decimals > 0 ? 'decimal-pad' : 'numeric'}
+                    style={{ width: '48%' }}
+                  />
+                ))}
+              </View>
+              
+              {fieldError && (
+                <Text style={{
+                  ...TYPOGRAPHY.caption,
+                  color: COLORS.status.error.main,
+                }}>
+                  {fieldError}
+                </Text>
+              )}
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+  
+  const renderMedicalSection = (values, handleChange, handleBlur, errors, touched, setFieldValue) => {
     const isExpanded = expandedSection === 'medical';
     
     return (
@@ -700,6 +851,8 @@ const ProfileForm = ({
               errorMessage={touched.medicalConditions ? errors.medicalConditions : null}
               helper="Include diagnoses, surgeries, and relevant medical history"
             />
+            
+            {renderTargetRanges(values, errors, setFieldValue)}
           </View>
         )}
       </View>
@@ -761,13 +914,14 @@ const ProfileForm = ({
     emergencyContact: initialValues.emergencyContact || '',
     emergencyContactName: initialValues.emergencyContactName || '',
     emergencyContactRelation: initialValues.emergencyContactRelation || '',
-    height: initialValues.height || '',
-    weight: initialValues.weight || '',
+    height: toDisplayValue('height', initialValues.height, units) || '',
+    weight: toDisplayValue('weight', initialValues.weight, units) || '',
     allergies: initialValues.allergies || '',
     currentMedications: initialValues.currentMedications || '',
     medicalConditions: initialValues.medicalConditions || '',
     insuranceProvider: initialValues.insuranceProvider || '',
     insurancePolicyNumber: initialValues.insurancePolicyNumber || '',
+    vitalRangeOverrides: rangesToDisplay(initialValues.vitalRangeOverrides, units),
   });
   
   // Styles
@@ -839,7 +993,8 @@ const ProfileForm = ({
           <Formik
             ref={formikRef}
             initialValues={getInitialValues()}
-            validationSchema={profileSchema}
+            validationSchema={createProfileSchema(units)}
+            validate={validateRanges}
             onSubmit={handleSubmit}
             enableReinitialize
             validateOnChange={false}
@@ -849,6 +1004,7 @@ const ProfileForm = ({
               handleChange,
               handleBlur,
               handleSubmit: formikSubmit,
+              setFieldValue,
               values,
               errors,
               touched,
@@ -859,7 +1015,7 @@ const ProfileForm = ({
                 {renderPersonalSection(values, handleChange, handleBlur, errors, touched)}
                 {renderContactSection(values, handleChange, handleBlur, errors, touched)}
                 {renderEmergencySection(values, handleChange, handleBlur, errors, touched)}
-                {renderMedicalSection(values, handleChange, handleBlur, errors, touched)}
+                {renderMedicalSection(values, handleChange, handleBlur, errors, touched, setFieldValue)}
                 {renderInsuranceSection(values, handleChange, handleBlur, errors, touched)}
                 
                 {/* Action Buttons */}
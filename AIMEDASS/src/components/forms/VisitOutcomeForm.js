@@ -0,0 +1,559 @@
+/**
+ * MediAssist App - VisitOutcomeForm Component
+ * After a visit: notes, medication changes, ordered labs or imaging and the next visit
+ */
+
+import React, { useState, useRef } from 'react';
+import {
+  View,
+  Text,
+  Switch,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { Formik } from 'formik';
+import * as Yup from 'yup';
+import DatePicker from 'react-native-date-picker';
+
+// Components
+import Input from '../common/Input';
+import Button from '../common/Button';
+import Card from '../common/Card';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+import { TYPOGRAPHY } from '../../styles/typography';
+import { SPACING, BORDER_RADIUS } from '../../styles/spacing';
+
+// Visit outcome
+import {
+  APPOINTMENT_TYPES,
+  FREQUENCY_OPTIONS,
+  VISIT_MEDICATION_ACTIONS,
+  VISIT_MEDICATION_ACTION_OPTIONS,
+  VISIT_ORDER_TYPES,
+  NEXT_VISIT_OPTIONS,
+} from '../../utils/constants';
+import { addDays, getCurrentDoseSpec, normalizeFrequency } from '../../utils/dateUtils';
+import { formatAppointmentTime, formatDoseSpec, formatShortDate } from '../../utils/formatters';
+import { getNextVisitDate } from '../../utils/visitOutcome';
+import { generateId } from '../../utils/helpers';
+
+const ORDER_TYPE_OPTIONS = APPOINTMENT_TYPES.filter(type => VISIT_ORDER_TYPES.includes(type.value));
+
+const outcomeSchema = Yup.object().shape({
+  notes: Yup.string().max(2000, 'Notes must be less than 2000 characters'),
+  medicationChanges: Yup.array().of(Yup.object().shape({
+    name: Yup.string().when('action', {
+      is: VISIT_MEDICATION_ACTIONS.START,
+      then: schema => schema.trim().required('Enter the medication name'),
+    }),
+    dosage: Yup.string().when('action', {
+      is: VISIT_MEDICATION_ACTIONS.START,
+      then: schema => schema.trim().required('Enter the dose'),
+    }),
+    medicationId: Yup.string().nullable().when('action', {
+      is: action => action !== VISIT_MEDICATION_ACTIONS.START,
+      then: schema => schema.required('Choose a medication'),
+    }),
+  })),
+  orders: Yup.array().of(Yup.object().shape({
+    description: Yup.string()
+      .trim()
+      .max(100, 'Description must be less than 100 characters')
+      .required('Describe the test, e.g. "Lipid panel"'),
+  })),
+});
+
+// A dose change has to change something
+const validateChanges = (values, medications) => {
+  const errors = {};
+
+  values.medicationChanges.forEach((change, index) => {
+    if (change.action !== VISIT_MEDICATION_ACTIONS.CHANGE || !change.medicationId) return;
+
+    const medication = medications.find(med => med.id === change.medicationId);
+    const current = medication ? getCurrentDoseSpec(medication) : {};
+    const unchanged = (!change.dosage.trim() || change.dosage.trim() === current.dosage) &&
+      (!change.frequency || normalizeFrequency(change.frequency) === current.frequency);
+
+    if (unchanged) {
+      errors.medicationChanges = errors.medicationChanges || [];
+      errors.medicationChanges[index] = { dosage: 'Enter the new dose or choose a new frequency' };
+    }
+  });
+
+  return errors;
+};
+
+const emptyChange = (action) => ({
+  id: generateId('change_'),
+  action,
+  medicationId: null,
+  name: '',
+  dosage: '',
+  frequency: action === VISIT_MEDICATION_ACTIONS.START ? 'once_daily' : null,
+  note: '',
+});
+
+const VisitOutcomeForm = ({
+  // Visit data
+  visit,
+  medications = [],
+  onSave,
+  onCancel,
+
+  // State props
+  saving = false,
+
+  // Custom styles
+  style,
+
+  // Test props
+  testID,
+}) => {
+  const formikRef = useRef(null);
+
+  // Order whose due date is being picked
+  const [pickingOrderIndex, setPickingOrderIndex] = useState(null);
+
+  const initialValues = {
+    notes: '',
+    medicationChanges: [],
+    orders: [],
+    nextVisit: { option: 'as_needed', note: '', book: true },
+  };
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      await onSave?.({
+        notes: values.notes,
+        medicationChanges: values.medicationChanges.map(({ id, ...change }) => {
+          const medication = medications.find(med => med.id === change.medicationId);
+          return {
+            ...change,
+            name: medication?.name || change.name.trim(),
+            dosage: change.dosage.trim(),
+            note: change.note.trim(),
+          };
+        }),
+        orders: values.orders.map(order => ({
+          ...order,
+          description: order.description.trim(),
+          location: order.location.trim(),
+          dueDate: new Date(order.dueDate).toISOString(),
+        })),
+        nextVisit: values.nextVisit,
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Render functions
+  const renderSectionTitle = (title, hint) => (
+    <View style={{ marginBottom: SPACING.sm }}>
+      <Text style={TYPOGRAPHY.h6}>{title}</Text>
+      {hint && (
+        <Text style={{ ...TYPOGRAPHY.caption, color: COLORS.text.secondary }}>
+          {hint}
+        </Text>
+      )}
+    </View>
+  );
+
+  const renderRemove = (onPress, label) => (
+    <TouchableOpacity
+      onPress={onPress}
+      hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+      accessibilityLabel={label}
+    >
+      <Text style={{ ...TYPOGRAPHY.bodyMedium, color: COLORS.text.tertiary }}>✕</Text>
+    </TouchableOpacity>
+  );
+
+  const renderFrequencyChips = (selected, onSelect) => (
+    <View style={{
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: SPACING.xs,
+      marginBottom: SPACING.md,
+    }}>
+      {FREQUENCY_OPTIONS.filter(option => option.value !== 'custom').map(option => (
+        <Button
+          key={option.value}
+          title={option.label}
+          variant={selected === option.value ? 'primary' : 'outline'}
+          size="small"
+          onPress={() => onSelect(option.value)}
+        />
+      ))}
+    </View>
+  );
+
+  const renderMedicationChange = (change, index, values, errors, touched, setFieldValue) => {
+    const field = key => `medicationChanges.${index}.${key}`;
+    const fieldError = key => (touched.medicationChanges?.[index]?.[key] ? errors.medicationChanges?.[index]?.[key] : null);
+    const actionOption = VISIT_MEDICATION_ACTION_OPTIONS.find(option => option.value === change.action);
+    const medication = medications.find(med => med.id === change.medicationId);
+    const current = medication ? getCurrentDoseSpec(medication) : null;
+
+    return (
+      <Card key={change.id} variant="outlined" style={{ marginBottom: SPACING.md }}>
+        <View style={{
+          flexDirection: 'row',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: SPACING.sm,
+        }}>
+          <Text style={TYPOGRAPHY.label}>{`${actionOption.icon} ${actionOption.label}`}</Text>
+          {renderRemove(
+            () => setFieldValue('medicationChanges', values.medicationChanges.filter(item => item.id !== change.id)),
+            `Remove change ${index + 1}`
+          )}
+        </View>
+
+        {change.action === VISIT_MEDICATION_ACTIONS.START ? (
+          <>
+            <Input
+              label="Medication"
+              placeholder="Atorvastatin"
+              value={change.name}
+              onChangeText={text => setFieldValue(field('name'), text)}
+              errorMessage={fieldError('name')}
+            />
+            <Input
+              label="Dose"
+              placeholder="20 mg"
+              value={change.dosage}
+              onChangeText={text => setFieldValue(field('dosage'), text)}
+              errorMessage={fieldError('dosage')}
+            />
+            {renderFrequencyChips(change.frequency, value => setFieldValue(field('frequency'), value))}
+          </>
+        ) : (
+          <>
+            <View style={{
+              flexDirection: 'row',
+              flexWrap: 'wrap',
+              gap: SPACING.xs,
+              marginBottom: SPACING.sm,
+            }}>
+              {medications.map(med => (
+                <Button
+                  key={med.id}
+                  title={med.name}
+                  variant={change.medicationId === med.id ? 'primary' : 'outline'}
+                  size="small"
+                  onPress={() => setFieldValue(field('medicationId'), med.id)}
+                />
+              ))}
+            </View>
+            {!medications.length && (
+              <Text style={{ ...TYPOGRAPHY.bodySmall, color: COLORS.text.tertiary, marginBottom: SPACING.sm }}>
+                No active medications.
+              </Text>
+            )}
+            {fieldError('medicationId') && (
+              <Text style={{ ...TYPOGRAPHY.caption, color: COLORS.status.error.main, marginBottom: SPACING.sm }}>
+                {fieldError('medicationId')}
+              </Text>
+            )}
+
+            {current && (
+              <Text style={{ ...TYPOGRAPHY.caption, color: COLORS.text.secondary, marginBottom: SPACING.sm }}>
+                {`Currently ${formatDoseSpec(current)}`}
+              </Text>
+            )}
+
+            {change.action === VISIT_MEDICATION_ACTIONS.CHANGE && (
+              <>
+                <Input
+                  label="New Dose"
+                  placeholder={current?.dosage || '20 mg'}
+                  value={change.dosage}
+                  onChangeText={text => setFieldValue(field('dosage'), text)}
+                  errorMessage={fieldError('dosage')}
+                />
+                {renderFrequencyChips(
+                  change.frequency || current?.frequency,
+                  value => setFieldValue(field('frequency'), value)
+                )}
+              </>
+            )}
+          </>
+        )}
+
+        <Input
+          label={change.action === VISIT_MEDICATION_ACTIONS.STOP ? 'Why it was stopped' : 'Note'}
+          placeholder={change.action === VISIT_MEDICATION_ACTIONS.START ? 'Take with food' : 'Blood pressure now in range'}
+          value={change.note}
+          onChangeText={text => setFieldValue(field('note'), text)}
+        />
+      </Card>
+    );
+  };
+
+  const renderOrder = (order, index, values, errors, touched, setFieldValue) => {
+    const field = key => `orders.${index}.${key}`;
+
+    return (
+      <Card key={order.id} variant="outlined" style={{ marginBottom: SPACING.md }}>
+        <View style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          gap: SPACING.xs,
+          marginBottom: SPACING.sm,
+        }}>
+          {ORDER_TYPE_OPTIONS.map(type => (
+            <Button
+              key={type.value}
+              title={`${type.icon} ${type.label}`}
+              variant={order.type === type.value ? 'primary' : 'outline'}
+              size="small"
+              onPress={() => setFieldValue(field('type'), type.value)}
+            />
+          ))}
+          <View style={{ flex: 1 }} />
+          {renderRemove(
+            () => setFieldValue('orders', values.orders.filter(item => item.id !== order.id)),
+            `Remove order ${index + 1}`
+          )}
+        </View>
+
+        <Input
+          label="Test"
+          placeholder={order.type === 'imaging' ? 'Chest X-ray' : 'Lipid panel'}
+          value={order.description}
+          onChangeText={text => setFieldValue(field('description'), text)}
+          errorMessage={touched.orders?.[index]?.description ? errors.orders?.[index]?.description : null}
+        />
+        <Input
+          label="Where (optional)"
+          placeholder="Quest Diagnostics"
+          value={order.location}
+          onChangeText={text => setFieldValue(field('location'), text)}
+        />
+
+        <TouchableOpacity
+          onPress={() => setPickingOrderIndex(index)}
+          style={{
+            borderWidth: 1,
+            borderColor: COLORS.border.medium,
+            borderRadius: BORDER_RADIUS.input,
+            padding: SPACING.md,
+            marginBottom: SPACING.md,
+          }}
+        >
+          <Text style={{ ...TYPOGRAPHY.label, color: COLORS.text.secondary, marginBottom: SPACING.xs }}>
+            Book For
+          </Text>
+          <Text style={TYPOGRAPHY.bodyMedium}>
+            {new Date(order.dueDate).toLocaleDateString(undefined, {
+              weekday: 'long',
+              month: 'long',
+              day: 'numeric',
+            })}
+          </Text>
+        </TouchableOpacity>
+
+        <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+          <Switch
+            value={order.fastingRequired}
+            onValueChange={value => setFieldValue(field('fastingRequired'), value)}
+            trackColor={{
+              false: COLORS.neutral.gray[300],
+              true: COLORS.status.warning.light,
+            }}
+            thumbColor={order.fastingRequired ? COLORS.status.warning.main : COLORS.neutral.gray[400]}
+          />
+          <Text style={{ ...TYPOGRAPHY.bodySmall, marginLeft: SPACING.sm }}>
+            Fasting required
+          </Text>
+        </View>
+      </Card>
+    );
+  };
+
+  const renderNextVisit = (values, setFieldValue) => {
+    const dueDate = getNextVisitDate(values.nextVisit.option, visit.dateTime);
+
+    return (
+      <View style={{ marginBottom: SPACING.lg }}>
+        {renderSectionTitle('Next Visit')}
+
+        <View style={{
+          flexDirection: 'row',
+          flexWrap: 'wrap',
+          gap: SPACING.xs,
+          marginBottom: SPACING.md,
+        }}>
+          {NEXT_VISIT_OPTIONS.map(option => (
+            <Button
+              key={option.value}
+              title={option.label}
+              variant={values.nextVisit.option === option.value ? 'primary' : 'outline'}
+              size="small"
+              onPress={() => setFieldValue('nextVisit.option', option.value)}
+            />
+          ))}
+        </View>
+
+        <Input
+          label="What to follow up on"
+          placeholder="Recheck blood pressure"
+          value={values.nextVisit.note}
+          onChangeText={text => setFieldValue('nextVisit.note', text)}
+        />
+
+        {dueDate && (
+          <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+            <Switch
+              value={values.nextVisit.book}
+              onValueChange={value => setFieldValue('nextVisit.book', value)}
+              trackColor={{
+                false: COLORS.neutral.gray[300],
+                true: COLORS.primary.light,
+              }}
+              thumbColor={values.nextVisit.book ? COLORS.primary.main : COLORS.neutral.gray[400]}
+            />
+            <Text style={{ ...TYPOGRAPHY.bodySmall, marginLeft: SPACING.sm, flex: 1 }}>
+              {`Book a follow-up with ${visit.doctorName || 'this doctor'} on ${formatShortDate(dueDate)}`}
+            </Text>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={[{ flex: 1 }, style]} testID={testID}>
+      <Formik
+        innerRef={formikRef}
+        initialValues={initialValues}
+        validationSchema={outcomeSchema}
+        validate={values => validateChanges(values, medications)}
+        onSubmit={handleSubmit}
+        validateOnChange={false}
+        validateOnBlur={false}
+      >
+        {({
+          handleChange,
+          handleSubmit: formikSubmit,
+          setFieldValue,
+          values,
+          errors,
+          touched,
+          isSubmitting,
+        }) => (
+          <ScrollView
+            contentContainerStyle={{ padding: SPACING.lg, paddingBottom: SPACING.xxl }}
+            keyboardShouldPersistTaps="handled"
+          >
+            <Text style={{ ...TYPOGRAPHY.bodySmall, color: COLORS.text.secondary, marginBottom: SPACING.lg }}>
+              {`${visit.doctorName || 'Appointment'} · ${formatAppointmentTime(visit)}`}
+            </Text>
+
+            <Input
+              label="Visit Notes"
+              placeholder="What the doctor found and recommended"
+              value={values.notes}
+              onChangeText={handleChange('notes')}
+              errorMessage={errors.notes}
+              multiline
+              numberOfLines={5}
+            />
+
+            {renderSectionTitle('Medication Changes', 'Applied to your medication list, linked to this visit')}
+            {values.medicationChanges.map((change, index) => (
+              renderMedicationChange(change, index, values, errors, touched, setFieldValue)
+            ))}
+            <View style={{
+              flexDirection: 'row',
+              flexWrap: 'wrap',
+              gap: SPACING.xs,
+              marginBottom: SPACING.lg,
+            }}>
+              {VISIT_MEDICATION_ACTION_OPTIONS.map(option => (
+                <Button
+                  key={option.value}
+                  title={`${option.icon} ${option.label}`}
+                  variant="outline"
+                  size="small"
+                  disabled={option.value !== VISIT_MEDICATION_ACTIONS.START && !medications.length}
+                  onPress={() => setFieldValue('medicationChanges', [
+                    ...values.medicationChanges,
+                    emptyChange(option.value),
+                  ])}
+                />
+              ))}
+            </View>
+
+            {renderSectionTitle('Ordered Tests', 'Each one is added to your appointments')}
+            {values.orders.map((order, index) => (
+              renderOrder(order, index, values, errors, touched, setFieldValue)
+            ))}
+            <Button
+              title="Add Lab or Imaging Order"
+              variant="outline"
+              size="small"
+              onPress={() => setFieldValue('orders', [
+                ...values.orders,
+                {
+                  id: generateId('order_'),
+                  type: ORDER_TYPE_OPTIONS[0].value,
+                  description: '',
+                  location: '',
+                  dueDate: addDays(new Date(), 7).toISOString(),
+                  fastingRequired: false,
+                },
+              ])}
+              style={{ alignSelf: 'flex-start', marginBottom: SPACING.lg }}
+            />
+
+            {renderNextVisit(values, setFieldValue)}
+
+            {/* Action Buttons */}
+            <View style={{
+              flexDirection: 'row',
+              gap: SPACING.sm,
+            }}>
+              <Button
+                title="Cancel"
+                onPress={onCancel}
+                variant="outline"
+                style={{ flex: 1 }}
+              />
+
+              <Button
+                title="Save & Complete"
+                onPress={formikSubmit}
+                loading={isSubmitting || saving}
+                disabled={isSubmitting || saving}
+                variant="primary"
+                style={{ flex: 2 }}
+              />
+            </View>
+          </ScrollView>
+        )}
+      </Formik>
+
+      <DatePicker
+        modal
+        open={pickingOrderIndex !== null}
+        date={pickingOrderIndex !== null && formikRef.current
+          ? new Date(formikRef.current.values.orders[pickingOrderIndex].dueDate)
+          : new Date()}
+        mode="date"
+        minimumDate={new Date()}
+        onConfirm={(date) => {
+          formikRef.current?.setFieldValue(`orders.${pickingOrderIndex}.dueDate`, date.toISOString());
+          setPickingOrderIndex(null);
+        }}
+        onCancel={() => setPickingOrderIndex(null)}
+      />
+    </View>
+  );
+};
+
+export default VisitOutcomeForm;
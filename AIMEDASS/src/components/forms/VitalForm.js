@@ -0,0 +1,319 @@
+/**
+ * MediAssist App - VitalForm Component
+ * Manual entry of a vital sign reading with meal context, tags and notes
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+} from 'react-native';
+import { Formik } from 'formik';
+import DatePicker from 'react-native-date-picker';
+
+// Components
+import Input from '../common/Input';
+import Button from '../common/Button';
+import Card from '../common/Card';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+import { TYPOGRAPHY } from '../../styles/typography';
+import { SPACING, BORDER_RADIUS } from '../../styles/spacing';
+
+// Vitals
+import {
+  VITAL_TYPES,
+  VITAL_DEFINITIONS,
+  GLUCOSE_MEAL_CONTEXTS,
+  VITAL_CONTEXT_TAGS,
+} from '../../utils/constants';
+import { validateVitalReading } from '../../utils/validation';
+import { getDisplayDefinition, readingToDisplay, readingFromDisplay } from '../../utils/units';
+
+const VitalForm = ({
+  // Reading data
+  initialValues = {},
+  initialType = VITAL_TYPES.HEART_RATE,
+  onSave,
+  onCancel,
+
+  // State props
+  saving = false,
+  error,
+
+  // Mode props
+  editMode = false,
+
+  // Display units from selectUnitPreferences; values are entered in these and saved in stored units
+  units,
+
+  // Custom styles
+  style,
+
+  // Test props
+  testID,
+}) => {
+  // State
+  const [measuredAtPickerOpen, setMeasuredAtPickerOpen] = useState(false);
+
+  // Default values; measured fields are edited as text
+  const getInitialValues = () => {
+    const type = initialValues.type || initialType;
+    const displayValues = readingToDisplay(initialValues, units);
+
+    return {
+      type,
+      ...Object.fromEntries(
+        Object.values(VITAL_DEFINITIONS)
+          .flatMap(definition => definition.fields)
+          .map(({ key }) => [key, displayValues[key]?.toString() || ''])
+      ),
+      mealContext: initialValues.mealContext || null,
+      tags: initialValues.tags || [],
+      note: initialValues.note || '',
+      measuredAt: initialValues.measuredAt ? new Date(initialValues.measuredAt) : new Date(),
+    };
+  };
+
+  // Handle form submission
+  const handleSubmit = async (values, { setSubmitting, setFieldError }) => {
+    try {
+      await onSave?.(readingFromDisplay(values, units));
+    } catch (saveError) {
+      setFieldError('note', typeof saveError === 'string' ? saveError : saveError?.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleTag = (tags, tag, setFieldValue) => {
+    setFieldValue('tags', tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag]);
+  };
+
+  // Render functions
+  const renderTypeSelector = (values, setFieldValue) => (
+    <View style={{
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: SPACING.xs,
+      marginBottom: SPACING.lg,
+    }}>
+      {Object.entries(VITAL_DEFINITIONS).map(([type, definition]) => (
+        <Button
+          key={type}
+          title={`${definition.icon} ${definition.label}`}
+          variant={values.type === type ? 'primary' : 'outline'}
+          size="small"
+          onPress={() => setFieldValue('type', type)}
+          disabled={editMode}
+        />
+      ))}
+    </View>
+  );
+
+  const renderMeasurementFields = (values, handleChange, handleBlur, errors, touched) => {
+    const definition = getDisplayDefinition(values.type, units);
+
+    return (
+      <View style={{
+        flexDirection: 'row',
+        gap: SPACING.sm,
+      }}>
+        {definition.fields.map((field) => (
+          <Input
+            key={field.key}
+            label={`${field.label} (${definition.unit})`}
+            placeholder={`${field.min}–${field.max}`}
+            value={values[field.key]}
+            onChangeText={handleChange(field.key)}
+            onBlur={handleBlur(field.key)}
+            keyboardType={field.decimals > 0 ? 'decimal-pad' : 'numeric'}
+            errorMessage={touched[field.key] ? errors[field.key] : null}
+            style={{ flex: 1 }}
+          />
+        ))}
+      </View>
+    );
+  };
+
+  const renderMealContext = (values, setFieldValue) => values.type === VITAL_TYPES.GLUCOSE && (
+    <View style={{ marginBottom: SPACING.md }}>
+      <Text style={{
+        ...TYPOGRAPHY.label,
+        marginBottom: SPACING.sm,
+      }}>
+        Taken
+      </Text>
+
+      <View style={{
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: SPACING.xs,
+      }}>
+        {GLUCOSE_MEAL_CONTEXTS.map((context) => (
+          <Button
+            key={context.value}
+            title={context.label}
+            variant={values.mealContext === context.value ? 'primary' : 'outline'}
+            size="small"
+            onPress={() => setFieldValue('mealContext', context.value)}
+          />
+        ))}
+      </View>
+    </View>
+  );
+
+  const renderTags = (values, setFieldValue) => (
+    <View style={{ marginBottom: SPACING.md }}>
+      <Text style={{
+        ...TYPOGRAPHY.label,
+        marginBottom: SPACING.sm,
+      }}>
+        Context
+      </Text>
+
+      <View style={{
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: SPACING.xs,
+      }}>
+        {VITAL_CONTEXT_TAGS.map((tag) => (
+          <Button
+            key={tag}
+            title={tag}
+            variant={values.tags.includes(tag) ? 'secondary' : 'outline'}
+            size="small"
+            onPress={() => toggleTag(values.tags, tag, setFieldValue)}
+          />
+        ))}
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={[{ padding: SPACING.lg }, style]} testID={testID}>
+      <Formik
+        initialValues={getInitialValues()}
+        validate={values => validateVitalReading(values, units)}
+        onSubmit={handleSubmit}
+        validateOnChange={false}
+        validateOnBlur={true}
+      >
+        {({
+          handleChange,
+          handleBlur,
+          handleSubmit: formikSubmit,
+          setFieldValue,
+          values,
+          errors,
+          touched,
+          isSubmitting,
+        }) => (
+          <View>
+            {renderTypeSelector(values, setFieldValue)}
+
+            <Card variant="outlined" style={{ marginBottom: SPACING.lg }}>
+              {renderMeasurementFields(values, handleChange, handleBlur, errors, touched)}
+
+              {renderMealContext(values, setFieldValue)}
+
+              <TouchableOpacity
+                onPress={() => setMeasuredAtPickerOpen(true)}
+                style={{
+                  borderWidth: 1,
+                  borderColor: COLORS.border.medium,
+                  borderRadius: BORDER_RADIUS.input,
+                  padding: SPACING.md,
+                  backgroundColor: COLORS.background.surface,
+                  marginBottom: SPACING.md,
+                }}
+              >
+                <Text style={{
+                  ...TYPOGRAPHY.caption,
+                  color: COLORS.text.secondary,
+                }}>
+                  Measured
+                </Text>
+                <Text style={{
+                  ...TYPOGRAPHY.bodyMedium,
+                  color: COLORS.text.primary,
+                }}>
+                  {values.measuredAt.toLocaleString([], {
+                    month: 'short',
+                    day: 'numeric',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                  })}
+                </Text>
+              </TouchableOpacity>
+
+              {renderTags(values, setFieldValue)}
+
+              <Input
+                label="Notes"
+                placeholder="Anything worth remembering about this reading"
+                value={values.note}
+                onChangeText={handleChange('note')}
+                onBlur={handleBlur('note')}
+                multiline
+                numberOfLines={2}
+                maxLength={300}
+                errorMessage={errors.note}
+              />
+            </Card>
+
+            {error && (
+              <Text style={{
+                ...TYPOGRAPHY.bodySmall,
+                color: COLORS.status.error.main,
+                textAlign: 'center',
+                marginBottom: SPACING.md,
+              }}>
+                {error}
+              </Text>
+            )}
+
+            {/* Action Buttons */}
+            <View style={{
+              flexDirection: 'row',
+              gap: SPACING.sm,
+            }}>
+              <Button
+                title="Cancel"
+                onPress={onCancel}
+                variant="outline"
+                style={{ flex: 1 }}
+              />
+
+              <Button
+                title={editMode ? 'Save Changes' : 'Save Reading'}
+                onPress={formikSubmit}
+                loading={isSubmitting || saving}
+                disabled={isSubmitting || saving}
+                variant="primary"
+                style={{ flex: 2 }}
+              />
+            </View>
+
+            <DatePicker
+              modal
+              open={measuredAtPickerOpen}
+              date={values.measuredAt}
+              mode="datetime"
+              maximumDate={new Date()}
+              onConfirm={(date) => {
+                setMeasuredAtPickerOpen(false);
+                setFieldValue('measuredAt', date);
+              }}
+              onCancel={() => setMeasuredAtPickerOpen(false)}
+            />
+          </View>
+        )}
+      </Formik>
+    </View>
+  );
+};
+
+export default VitalForm;
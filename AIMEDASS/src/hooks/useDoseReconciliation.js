@@ -0,0 +1,38 @@
+/**
+ * MediAssist App - useDoseReconciliation Hook
+ * Runs the missed-dose reconciliation pass on foreground and on a timer
+ */
+
+import { useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
+import { useDispatch } from 'react-redux';
+import { reconcileMissedDoses } from '../store/slices/medicationSlice';
+import { RECONCILE_INTERVAL_MS } from '../utils/constants';
+
+const useDoseReconciliation = ({ enabled = true, intervalMs = RECONCILE_INTERVAL_MS } = {}) => {
+  const dispatch = useDispatch();
+  const appState = useRef(AppState.currentState);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const reconcile = () => dispatch(reconcileMissedDoses(Date.now()));
+
+    reconcile();
+    const timer = setInterval(reconcile, intervalMs);
+
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (appState.current.match(/inactive|background/) && nextState === 'active') {
+        reconcile();
+      }
+      appState.current = nextState;
+    });
+
+    return () => {
+      clearInterval(timer);
+      subscription.remove();
+    };
+  }, [dispatch, enabled, intervalMs]);
+};
+
+export default useDoseReconciliation;
@@ -0,0 +1,108 @@
+/**
+ * MediAssist App - useReminderSync Hook
+ * Keeps scheduled reminders in sync on app start, on data changes, on return to the app and after a time zone change,
+ * and tells the caregiver about doses left unanswered
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import ReminderService from '../services/notifications/ReminderService';
+import { registerReminderActions } from '../services/notifications/ReminderActions';
+import { notifyCaregiver } from '../services/notifications/CaregiverNotifier';
+import { fetchMedications, selectAllMedications, selectDoseEvents } from '../store/slices/medicationSlice';
+import { selectAllAppointments } from '../store/slices/appointmentSlice';
+import {
+  selectSnoozeMinutes,
+  selectCaregiver,
+  selectQuietHours,
+  selectBatchWindowMinutes,
+  selectTravel,
+  selectSettingsSaving,
+} from '../store/slices/settingsSlice';
+import { REMINDER_RESYNC_INTERVAL_MS, CAREGIVER_CHECK_INTERVAL_MS } from '../utils/constants';
+
+// Changes when the device moves to another zone or its offset changes (daylight saving)
+const getTimeZoneKey = () => {
+  const { timeZone } = Intl.DateTimeFormat().resolvedOptions();
+  return `${timeZone}|${new Date().getTimezoneOffset()}`;
+};
+
+/**
+ * Reminders are scheduled from what is stored, so any change to medications, the dose ledger
+ * or appointments only reschedules what differs. On Android, react-native-push-notification
+ * restores scheduled notifications after a reboot; the sync on the next start then tops up
+ * the rolling window and repairs anything the device dropped. Doses recorded from a reminder's
+ * buttons are written to storage, so the ledger is reloaded to show them. While the app is
+ * in front, doses whose last repeat went unanswered are offered once for reporting to the
+ * caregiver.
+ */
+const useReminderSync = ({ enabled = true, resyncIntervalMs = REMINDER_RESYNC_INTERVAL_MS } = {}) => {
+  const dispatch = useDispatch();
+  const medications = useSelector(selectAllMedications);
+  const doseEvents = useSelector(selectDoseEvents);
+  const appointments = useSelector(selectAllAppointments);
+  const snoozeMinutes = useSelector(selectSnoozeMinutes);
+  const caregiver = useSelector(selectCaregiver);
+  const quietHours = useSelector(selectQuietHours);
+  const batchWindowMinutes = useSelector(selectBatchWindowMinutes);
+  const travel = useSelector(selectTravel);
+  const settingsSaving = useSelector(selectSettingsSaving);
+
+  const appState = useRef(AppState.currentState);
+  const lastSync = useRef({ at: 0, timeZone: getTimeZoneKey() });
+
+  const sync = useCallback(() => {
+    lastSync.current = { at: Date.now(), timeZone: getTimeZoneKey() };
+    ReminderService.syncReminders().catch((error) => {
+      console.warn('Error syncing reminders:', error);
+    });
+  }, []);
+
+  // Only with the app in front, as SMS and the share sheet are opened for the user to send
+  const checkCaregiver = useCallback(() => {
+    if (AppState.currentState !== 'active') return;
+    notifyCaregiver().catch((error) => {
+      console.warn('Error notifying caregiver:', error);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+    registerReminderActions({
+      snoozeMinutes,
+      onDoseEvents: () => dispatch(fetchMedications()),
+    });
+  }, [enabled, snoozeMinutes, dispatch]);
+
+  // App start and every change to the schedule or reminder settings. Settings are applied
+  // before they are saved, so the sync waits for the save that it reads back from storage.
+  useEffect(() => {
+    if (enabled && !settingsSaving) sync();
+  }, [enabled, medications, doseEvents, appointments, snoozeMinutes, caregiver, quietHours, batchWindowMinutes, travel, settingsSaving, sync]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    checkCaregiver();
+    const timer = setInterval(checkCaregiver, CAREGIVER_CHECK_INTERVAL_MS);
+
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (appState.current.match(/inactive|background/) && nextState === 'active') {
+        checkCaregiver();
+        const timeZoneChanged = getTimeZoneKey() !== lastSync.current.timeZone;
+        if (timeZoneChanged || Date.now() - lastSync.current.at >= resyncIntervalMs) {
+          sync();
+        }
+      }
+      appState.current = nextState;
+    });
+
+    return () => {
+      clearInterval(timer);
+      subscription.remove();
+    };
+  }, [enabled, resyncIntervalMs, sync, checkCaregiver]);
+};
+
+export default useReminderSync;
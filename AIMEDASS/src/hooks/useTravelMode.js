@@ -0,0 +1,43 @@
+/**
+ * MediAssist App - useTravelMode Hook
+ * Notices when the device has moved to another time zone than the dose schedule follows
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { AppState } from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { initTravelMode, selectTravel } from '../store/slices/settingsSlice';
+import { detectTimeZoneChange } from '../utils/travel';
+
+/**
+ * Records the home time zone on first use, then checks on every return to the app whether
+ * the device's zone still matches the schedule's. Returns the change ({ from, to }) until the
+ * user picks how doses follow it (see TravelModeScreen), else null. Until then doses stay on
+ * the zone they were on, so nothing moves without the user's choice.
+ */
+const useTravelMode = ({ enabled = true } = {}) => {
+  const dispatch = useDispatch();
+  const travel = useSelector(selectTravel);
+  const appState = useRef(AppState.currentState);
+  const [checkedAt, setCheckedAt] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    dispatch(initTravelMode());
+
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (appState.current.match(/inactive|background/) && nextState === 'active') {
+        setCheckedAt(Date.now());
+      }
+      appState.current = nextState;
+    });
+
+    return () => subscription.remove();
+  }, [dispatch, enabled]);
+
+  if (!enabled || !travel) return null;
+  return detectTimeZoneChange(travel, { now: new Date(checkedAt) });
+};
+
+export default useTravelMode;
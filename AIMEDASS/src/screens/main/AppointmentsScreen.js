@@ -0,0 +1,1094 @@
+/**
+ * MediAssist App - AppointmentsScreen
+ * Agenda and month calendar of appointments, with recurring series and overlap warnings
+ */
+
+import React, { useState, useMemo, useCallback, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { Agenda, Calendar } from 'react-native-calendars';
+
+// Components
+import AnimatedHeader from '../../components/common/AnimatedHeader';
+import Button, { FAB } from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import Modal from '../../components/common/Modal';
+import StatusPill from '../../components/common/StatusPill';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { AppointmentCard } from '../../components/common/Card';
+import AppointmentForm from '../../components/forms/AppointmentForm';
+import PrepTemplateForm from '../../components/forms/PrepTemplateForm';
+import VisitOutcomeForm from '../../components/forms/VisitOutcomeForm';
+
+// Redux
+import {
+  fetchAppointments,
+  addAppointment,
+  updateAppointment,
+  cancelAppointment,
+  rescheduleAppointment,
+  recordVisitOutcome,
+  importAppointments,
+  togglePrepTask,
+  shareVisitSummary,
+  fetchPrepTemplates,
+  savePrepTemplate,
+  deletePrepTemplate,
+  selectAllAppointments,
+  selectAppointmentById,
+  selectAppointmentOccurrences,
+  selectAppointmentsLoading,
+  selectAppointmentsSaving,
+  selectAppointmentsError,
+  selectPrepTemplates,
+} from '../../store/slices/appointmentSlice';
+import { fetchMedications, selectActiveMedications } from '../../store/slices/medicationSlice';
+import { fetchVitals } from '../../store/slices/vitalsSlice';
+import {
+  APPOINTMENT_STATUS,
+  APPOINTMENT_TYPES,
+  NEXT_VISIT_OPTIONS,
+  VISIT_MEDICATION_ACTION_OPTIONS,
+} from '../../utils/constants';
+import {
+  isActiveAppointment,
+  getOverlappingIds,
+  findAppointmentConflicts,
+} from '../../utils/appointmentUtils';
+import { addDays, startOfDay, toDateKey, formatTimeOfDay } from '../../utils/dateUtils';
+import { formatAppointmentTime, formatShortDate, formatPrepTiming } from '../../utils/formatters';
+import { getPrepTaskDueAt, isPrepTaskDone, getPrepProgress } from '../../utils/prepChecklists';
+import { describeMedicationChange } from '../../utils/visitOutcome';
+import { isTelehealthAppointment, getJoinState, JOIN_STATE } from '../../utils/telehealth';
+import ReminderService from '../../services/notifications/ReminderService';
+import { parseIcsAppointments } from '../../services/calendar/IcsCalendar';
+import CalendarFiles from '../../services/calendar/CalendarFiles';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+import { TYPOGRAPHY } from '../../styles/typography';
+import { SPACING, BORDER_RADIUS } from '../../styles/spacing';
+
+const VIEW_MODES = [
+  { key: 'agenda', label: 'Agenda' },
+  { key: 'month', label: 'Month' },
+];
+
+// Visits are loaded for the visible month plus this many months either side
+const MONTHS_AROUND_VISIBLE = 1;
+
+// How often the screen's clock moves on, so join buttons open on time
+const CLOCK_TICK_MS = 30 * 1000;
+
+const STATUS_DOT_COLORS = {
+  [APPOINTMENT_STATUS.SCHEDULED]: COLORS.medical.appointment.scheduled,
+  [APPOINTMENT_STATUS.CONFIRMED]: COLORS.medical.appointment.confirmed,
+  [APPOINTMENT_STATUS.COMPLETED]: COLORS.medical.appointment.completed,
+  [APPOINTMENT_STATUS.CANCELLED]: COLORS.medical.appointment.cancelled,
+};
+
+const CALENDAR_THEME = {
+  selectedDayBackgroundColor: COLORS.primary.main,
+  todayTextColor: COLORS.primary.main,
+  dotColor: COLORS.primary.main,
+  agendaKnobColor: COLORS.primary.main,
+  agendaTodayColor: COLORS.primary.main,
+  arrowColor: COLORS.primary.main,
+};
+
+const AppointmentsScreen = () => {
+  const dispatch = useDispatch();
+  const navigation = useNavigation();
+
+  // Local state
+  const [viewMode, setViewMode] = useState('agenda');
+  const [selectedDate, setSelectedDate] = useState(() => toDateKey(new Date()));
+  const [visibleMonth, setVisibleMonth] = useState(() => toDateKey(new Date()));
+  const [formOpen, setFormOpen] = useState(false);
+  // { appointmentId, occurrenceStart } of the visit or series being edited; null when adding
+  const [editing, setEditing] = useState(null);
+  const [transferOpen, setTransferOpen] = useState(false);
+  const [icsFiles, setIcsFiles] = useState([]);
+  const [pastedCalendar, setPastedCalendar] = useState('');
+  // { appointmentId, occurrenceStart, mode } of the visit open in the visit sheet;
+  // mode is 'details', 'prep' (its checklist) or 'summary' (the report for the doctor)
+  const [visitSheet, setVisitSheet] = useState(null);
+  const [summaryQuestions, setSummaryQuestions] = useState('');
+  // { appointmentId, occurrenceStart } of the visit whose outcome is being recorded
+  const [outcomeTarget, setOutcomeTarget] = useState(null);
+  const [templatesOpen, setTemplatesOpen] = useState(false);
+  // Template being edited in the templates modal ({} for a new one)
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  // Join buttons of video visits open and close with the clock
+  const [now, setNow] = useState(() => Date.now());
+
+  // Loaded range, as ISO strings so the occurrence selector stays memoized
+  const [rangeStart, rangeEnd] = useMemo(() => {
+    const month = new Date(`${visibleMonth}T00:00:00`);
+    const start = new Date(month.getFullYear(), month.getMonth() - MONTHS_AROUND_VISIBLE, 1);
+    const end = new Date(month.getFullYear(), month.getMonth() + MONTHS_AROUND_VISIBLE + 1, 1);
+    return [start.toISOString(), new Date(end.getTime() - 1).toISOString()];
+  }, [visibleMonth]);
+
+  // Redux state
+  const appointments = useSelector(selectAllAppointments);
+  const occurrences = useSelector(state => selectAppointmentOccurrences(state, rangeStart, rangeEnd));
+  const editingSeries = useSelector(state => (editing ? selectAppointmentById(state, editing.appointmentId) : null));
+  const loading = useSelector(selectAppointmentsLoading);
+  const saving = useSelector(selectAppointmentsSaving);
+  const error = useSelector(selectAppointmentsError);
+  const prepTemplates = useSelector(selectPrepTemplates);
+  const activeMedications = useSelector(selectActiveMedications);
+
+  const overlappingIds = useMemo(() => getOverlappingIds(occurrences), [occurrences]);
+
+  const occurrencesByDay = useMemo(() => {
+    const byDay = {};
+    for (let day = new Date(rangeStart); day <= new Date(rangeEnd); day = addDays(day, 1)) {
+      byDay[toDateKey(day)] = [];
+    }
+    occurrences.forEach(occurrence => {
+      const key = toDateKey(occurrence.dateTime);
+      byDay[key] = [...(byDay[key] || []), occurrence];
+    });
+    return byDay;
+  }, [occurrences, rangeStart, rangeEnd]);
+
+  const markedDates = useMemo(() => {
+    const marked = {};
+    Object.entries(occurrencesByDay).forEach(([day, visits]) => {
+      if (!visits.length) return;
+      marked[day] = {
+        dots: visits.slice(0, 3).map(visit => ({
+          key: visit.id,
+          color: overlappingIds.has(visit.id)
+            ? COLORS.status.warning.main
+            : STATUS_DOT_COLORS[visit.status] || STATUS_DOT_COLORS[APPOINTMENT_STATUS.SCHEDULED],
+        })),
+      };
+    });
+    marked[selectedDate] = { ...marked[selectedDate], selected: true };
+    return marked;
+  }, [occurrencesByDay, overlappingIds, selectedDate]);
+
+  // The visit being edited, as shown on the calendar
+  const editingOccurrence = editing?.occurrenceStart
+    ? occurrences.find(occurrence =>
+        occurrence.appointmentId === editing.appointmentId && occurrence.occurrenceStart === editing.occurrenceStart
+      )
+    : null;
+
+  const sheetVisit = visitSheet
+    ? occurrences.find(occurrence =>
+        occurrence.appointmentId === visitSheet.appointmentId && occurrence.occurrenceStart === visitSheet.occurrenceStart
+      )
+    : null;
+
+  const outcomeVisit = outcomeTarget
+    ? occurrences.find(occurrence =>
+        occurrence.appointmentId === outcomeTarget.appointmentId && occurrence.occurrenceStart === outcomeTarget.occurrenceStart
+      )
+    : null;
+
+  // Focus effect
+  useFocusEffect(
+    useCallback(() => {
+      dispatch(fetchAppointments());
+      dispatch(fetchPrepTemplates());
+      // Visit notes change medications, and the visit summary reports on them and on vitals
+      dispatch(fetchMedications());
+      dispatch(fetchVitals());
+    }, [])
+  );
+
+  // Appointment, preparation and join reminders follow every change to the schedule or a checklist
+  useEffect(() => {
+    if (loading) return;
+    ReminderService.syncReminders().catch(() => {});
+  }, [appointments, loading]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Handlers
+  const handleOpenForm = (target = null) => {
+    setEditing(target);
+    setFormOpen(true);
+  };
+
+  const handleCloseForm = () => {
+    setFormOpen(false);
+    setEditing(null);
+  };
+
+  const handleCheckConflicts = (appointment) => findAppointmentConflicts(
+    {
+      ...appointment,
+      id: editing?.appointmentId,
+      occurrenceStart: editing?.occurrenceStart || null,
+    },
+    appointments,
+    Date.now()
+  );
+
+  // Status is changed through complete and cancel, so the form's copy is not saved back
+  const handleSave = async ({ status, createdAt, updatedAt, ...values }) => {
+    if (!editing) {
+      await dispatch(addAppointment(values)).unwrap();
+      setSelectedDate(toDateKey(values.dateTime));
+      handleCloseForm();
+      return;
+    }
+
+    const { appointmentId: id, occurrenceStart } = editing;
+    const current = editingOccurrence || editingSeries;
+    const { dateTime, duration, ...changes } = values;
+    const moved = new Date(dateTime).getTime() !== new Date(current.dateTime).getTime();
+
+    if (moved) {
+      await dispatch(rescheduleAppointment({ id, occurrenceStart, dateTime, duration })).unwrap();
+    }
+    await dispatch(updateAppointment({
+      id,
+      occurrenceStart,
+      changes: moved ? changes : { ...changes, duration },
+    })).unwrap();
+
+    setSelectedDate(toDateKey(dateTime));
+    handleCloseForm();
+  };
+
+  // Visit sheet
+  const handleOpenVisit = (occurrence, mode = 'details') => {
+    setVisitSheet({ appointmentId: occurrence.appointmentId, occurrenceStart: occurrence.occurrenceStart, mode });
+  };
+
+  const handleCloseVisit = () => setVisitSheet(null);
+
+  // Video visits are joined through the camera and microphone check
+  const handleJoinVisit = (visit) => {
+    navigation.navigate('PreCallCheck', {
+      appointmentId: visit.appointmentId,
+      occurrenceStart: visit.occurrenceStart,
+    });
+  };
+
+  // Actions that open a form or a confirmation close the sheet first
+  const handleVisitAction = (action) => {
+    const visit = sheetVisit;
+    handleCloseVisit();
+    action(visit);
+  };
+
+  const handleOpenSummary = (visit) => {
+    setSummaryQuestions(visit.questions || '');
+    handleOpenVisit(visit, 'summary');
+  };
+
+  const handleShareSummary = async (visit) => {
+    try {
+      await dispatch(shareVisitSummary({
+        id: visit.appointmentId,
+        occurrenceStart: visit.occurrenceStart,
+        questions: summaryQuestions.trim(),
+      })).unwrap();
+      handleCloseVisit();
+    } catch (err) {
+      Alert.alert('Summary Failed', typeof err === 'string' ? err : 'Could not create the visit summary.');
+    }
+  };
+
+  // Preparation checklists
+  const handleTogglePrepTask = (visit, taskId) => {
+    dispatch(togglePrepTask({ id: visit.appointmentId, occurrenceStart: visit.occurrenceStart, taskId }));
+  };
+
+  const handleSaveTemplate = async (template) => {
+    await dispatch(savePrepTemplate(template)).unwrap();
+    setEditingTemplate(null);
+  };
+
+  const handleDeleteTemplate = (template) => {
+    Alert.alert(
+      'Delete Checklist',
+      `Delete "${template.name}"? Appointments that already use its tasks keep them.`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await dispatch(deletePrepTemplate(template.id));
+            setEditingTemplate(null);
+          },
+        },
+      ]
+    );
+  };
+
+  // Import and export
+  const handleOpenTransfer = async () => {
+    setTransferOpen(true);
+    try {
+      setIcsFiles(await CalendarFiles.findIcsFiles());
+    } catch (err) {
+      setIcsFiles([]);
+    }
+  };
+
+  const handleShare = async (items, fileName) => {
+    try {
+      await CalendarFiles.shareAppointments(items, { fileName });
+    } catch (err) {
+      Alert.alert('Export Failed', err.message || 'Could not create the calendar file.');
+    }
+  };
+
+  const handleShareAppointment = (occurrence) => {
+    const appointment = appointments.find(item => item.id === occurrence.appointmentId);
+    if (appointment) handleShare([appointment], `appointment-${toDateKey(appointment.dateTime)}.ics`);
+  };
+
+  // Confirm a parsed calendar with the user before it is added to the schedule
+  const confirmImport = ({ appointments: imported, warnings }) => {
+    if (!imported.length) {
+      Alert.alert('Nothing to Import', ['No appointments were found in this calendar.', ...warnings].join('\n\n'));
+      return;
+    }
+
+    Alert.alert(
+      'Import Appointments',
+      [
+        `Add ${imported.length} appointment${imported.length === 1 ? '' : 's'} to your schedule? Appointments imported before are updated.`,
+        ...warnings.slice(0, 5),
+        ...(warnings.length > 5 ? [`and ${warnings.length - 5} more notes`] : []),
+      ].join('\n\n'),
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Import',
+          onPress: async () => {
+            try {
+              const { created, updated } = await dispatch(importAppointments(imported)).unwrap();
+              setTransferOpen(false);
+              setPastedCalendar('');
+              setSelectedDate(toDateKey(imported[0].dateTime));
+              Alert.alert('Import Complete', `${created} added, ${updated} updated.`);
+            } catch (err) {
+              Alert.alert('Import Failed', typeof err === 'string' ? err : 'Could not import the calendar.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleImportFile = async (file) => {
+    try {
+      confirmImport(await CalendarFiles.readIcsFile(file.path));
+    } catch (err) {
+      Alert.alert('Import Failed', err.message || `Could not read ${file.name}.`);
+    }
+  };
+
+  // For a recurring series, ask whether an action applies to one visit or all of them
+  const chooseScope = (occurrence, title, onChoose) => {
+    if (!occurrence.occurrenceStart) {
+      onChoose(null);
+      return;
+    }
+
+    Alert.alert(
+      title,
+      'This appointment repeats.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Only This Visit', onPress: () => onChoose(occurrence.occurrenceStart) },
+        { text: 'All Visits', onPress: () => onChoose(null) },
+      ]
+    );
+  };
+
+  const handleEdit = (occurrence) => {
+    chooseScope(occurrence, 'Edit Appointment', (occurrenceStart) => {
+      handleOpenForm({ appointmentId: occurrence.appointmentId, occurrenceStart });
+    });
+  };
+
+  const handleCancel = (occurrence) => {
+    chooseScope(occurrence, 'Cancel Appointment', (occurrenceStart) => {
+      Alert.alert(
+        'Cancel Appointment',
+        occurrenceStart
+          ? `Cancel the visit on ${formatAppointmentTime(occurrence)}?`
+          : `Cancel ${occurrence.occurrenceStart ? 'every visit' : 'this appointment'}${occurrence.doctorName ? ` with ${occurrence.doctorName}` : ''}?`,
+        [
+          { text: 'Keep', style: 'cancel' },
+          {
+            text: 'Cancel Appointment',
+            style: 'destructive',
+            onPress: () => dispatch(cancelAppointment({ id: occurrence.appointmentId, occurrenceStart })),
+          },
+        ]
+      );
+    });
+  };
+
+  // After the visit
+  const handleOpenOutcome = (occurrence) => {
+    setOutcomeTarget({ appointmentId: occurrence.appointmentId, occurrenceStart: occurrence.occurrenceStart });
+  };
+
+  const handleSaveOutcome = async (outcome) => {
+    const { booked } = await dispatch(recordVisitOutcome({
+      id: outcomeTarget.appointmentId,
+      occurrenceStart: outcomeTarget.occurrenceStart,
+      outcome,
+    })).unwrap();
+    setOutcomeTarget(null);
+
+    const changes = outcome.medicationChanges.length;
+    Alert.alert(
+      'Visit Completed',
+      [
+        changes ? `${changes} medication change${changes === 1 ? '' : 's'} applied.` : null,
+        booked.length
+          ? `Booked: ${booked.map(appointment => `${appointment.reasonForVisit} on ${formatAppointmentTime(appointment)}`).join(', ')}.`
+          : null,
+      ].filter(Boolean).join('\n') || 'Your notes were saved.'
+    );
+  };
+
+  // Render functions
+  const renderViewModes = () => (
+    <View style={styles.viewModes}>
+      {VIEW_MODES.map(mode => (
+        <Button
+          key={mode.key}
+          title={mode.label}
+          onPress={() => setViewMode(mode.key)}
+          variant={viewMode === mode.key ? 'primary' : 'outline'}
+          size="small"
+          style={{ flex: 1 }}
+        />
+      ))}
+    </View>
+  );
+
+  const renderOccurrence = (occurrence) => (
+    <View key={occurrence.id} style={styles.occurrence}>
+      <AppointmentCard
+        appointment={occurrence}
+        onPress={() => handleOpenVisit(occurrence)}
+        onLongPress={() => handleShareAppointment(occurrence)}
+        onPrepPress={() => handleOpenVisit(occurrence, 'prep')}
+        onJoinPress={() => handleJoinVisit(occurrence)}
+        now={now}
+      />
+      {overlappingIds.has(occurrence.id) && (
+        <StatusPill
+          status="warning"
+          text="OVERLAPS ANOTHER VISIT"
+          size="small"
+          style={styles.overlapPill}
+        />
+      )}
+    </View>
+  );
+
+  const renderEmptyDay = (message) => (
+    <View style={styles.emptyDay}>
+      <Text style={styles.emptyDayText}>{message}</Text>
+    </View>
+  );
+
+  const renderAgenda = () => (
+    <Agenda
+      items={occurrencesByDay}
+      selected={selectedDate}
+      renderItem={(occurrence) => renderOccurrence(occurrence)}
+      renderEmptyDate={() => renderEmptyDay('No appointments')}
+      renderEmptyData={() => renderEmptyDay('No appointments this day')}
+      rowHasChanged={(a, b) => a.id !== b.id || a.status !== b.status || a.dateTime !== b.dateTime}
+      loadItemsForMonth={(month) => setVisibleMonth(month.dateString)}
+      onDayPress={(day) => setSelectedDate(day.dateString)}
+      markingType="multi-dot"
+      markedDates={markedDates}
+      theme={CALENDAR_THEME}
+      showClosingKnob
+    />
+  );
+
+  const renderMonth = () => (
+    <FlatList
+      data={occurrencesByDay[selectedDate] || []}
+      extraData={now}
+      keyExtractor={(item) => item.id}
+      renderItem={({ item }) => renderOccurrence(item)}
+      ListHeaderComponent={
+        <View>
+          <Calendar
+            current={selectedDate}
+            onDayPress={(day) => setSelectedDate(day.dateString)}
+            onMonthChange={(month) => setVisibleMonth(month.dateString)}
+            markingType="multi-dot"
+            markedDates={markedDates}
+            theme={CALENDAR_THEME}
+            style={styles.calendar}
+          />
+          <Text style={styles.sectionTitle}>
+            {new Date(`${selectedDate}T00:00:00`).toLocaleDateString(undefined, {
+              weekday: 'long',
+              month: 'long',
+              day: 'numeric',
+            })}
+          </Text>
+        </View>
+      }
+      ListEmptyComponent={renderEmptyDay('No appointments this day')}
+      contentContainerStyle={styles.listContent}
+      showsVerticalScrollIndicator={false}
+    />
+  );
+
+  const renderChecklist = (visit) => {
+    const progress = getPrepProgress(visit);
+
+    return (
+      <View>
+        <Text style={styles.transferHint}>
+          {`${visit.doctorName || 'Appointment'} · ${formatAppointmentTime(visit)} · ${progress.completed} of ${progress.total} done`}
+        </Text>
+
+        {(visit.prepTasks || []).map(task => {
+          const done = isPrepTaskDone(visit, task.id);
+          const dueAt = getPrepTaskDueAt(task, visit.dateTime);
+
+          return (
+            <TouchableOpacity
+              key={task.id}
+              style={styles.prepTask}
+              onPress={() => handleTogglePrepTask(visit, task.id)}
+              accessibilityRole="checkbox"
+              accessibilityState={{ checked: done }}
+            >
+              <View style={[styles.prepCheckbox, done && styles.prepCheckboxDone]}>
+                {done && <Text style={styles.prepCheckmark}>✓</Text>}
+              </View>
+              <View style={styles.prepTaskText}>
+                <Text style={[styles.prepTaskTitle, done && styles.prepTaskTitleDone]}>{task.title}</Text>
+                <Text style={styles.prepTaskDue}>
+                  {dueAt ? `${formatShortDate(dueAt)} at ${formatTimeOfDay(dueAt)}` : formatPrepTiming(task.timing)}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    );
+  };
+
+  const renderVisitOutcome = (outcome) => {
+    const nextVisit = NEXT_VISIT_OPTIONS.find(option => option.value === outcome.nextVisit?.option);
+
+    return (
+      <View style={styles.outcome}>
+        {!!outcome.notes && <Text style={styles.outcomeNotes}>{outcome.notes}</Text>}
+
+        {outcome.medicationChanges.map((change, index) => (
+          <Text key={`${change.medicationId}-${index}`} style={styles.outcomeLine}>
+            {`${VISIT_MEDICATION_ACTION_OPTIONS.find(option => option.value === change.action)?.icon} ${change.name}: `}
+            {describeMedicationChange(change)}
+          </Text>
+        ))}
+
+        {outcome.orders.map(order => (
+          <Text key={order.appointmentId} style={styles.outcomeLine}>
+            {`${APPOINTMENT_TYPES.find(type => type.value === order.type)?.icon} ${order.description} · ${formatShortDate(order.dueDate)}`}
+          </Text>
+        ))}
+
+        {nextVisit && (
+          <Text style={styles.outcomeLine}>
+            {`Next visit: ${nextVisit.label.toLowerCase()}`}
+            {outcome.nextVisit.dueDate ? ` (${formatShortDate(outcome.nextVisit.dueDate)})` : ''}
+            {outcome.nextVisit.note ? ` · ${outcome.nextVisit.note}` : ''}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderVisitDetails = (visit) => {
+    const active = isActiveAppointment(visit);
+    const started = new Date(visit.dateTime) <= new Date();
+    const join = isTelehealthAppointment(visit) ? getJoinState(visit, now) : null;
+
+    return (
+      <View>
+        <Text style={styles.transferHint}>
+          {[formatAppointmentTime(visit), visit.reasonForVisit].filter(Boolean).join('\n')}
+        </Text>
+
+        {visit.visitOutcome && renderVisitOutcome(visit.visitOutcome)}
+
+        <View style={styles.visitActions}>
+          {join && join.state !== JOIN_STATE.ENDED && (
+            <Button
+              title={join.state === JOIN_STATE.OPEN ? 'Join Video Visit' : 'Check Camera & Microphone'}
+              onPress={() => handleVisitAction(handleJoinVisit)}
+              variant={join.state === JOIN_STATE.OPEN ? 'primary' : 'outline'}
+              fullWidth
+            />
+          )}
+          {((active && started) || (visit.status === APPOINTMENT_STATUS.COMPLETED && !visit.visitOutcome)) && (
+            <Button
+              title={active ? 'Complete Visit' : 'Add Visit Notes'}
+              onPress={() => handleVisitAction(handleOpenOutcome)}
+              variant="primary"
+              fullWidth
+            />
+          )}
+          <Button
+            title="Visit Summary for the Doctor"
+            onPress={() => handleOpenSummary(visit)}
+            variant={active && !started ? 'primary' : 'outline'}
+            fullWidth
+          />
+          {!!visit.prepTasks?.length && (
+            <Button
+              title="Preparation"
+              onPress={() => handleOpenVisit(visit, 'prep')}
+              variant="outline"
+              fullWidth
+            />
+          )}
+          <Button
+            title={active ? 'Edit or Reschedule' : 'Reschedule'}
+            onPress={() => handleVisitAction(handleEdit)}
+            variant="outline"
+            fullWidth
+          />
+          <Button
+            title="Add to Calendar"
+            onPress={() => handleVisitAction(handleShareAppointment)}
+            variant="ghost"
+            fullWidth
+          />
+          {active && (
+            <Button
+              title="Cancel Visit"
+              onPress={() => handleVisitAction(handleCancel)}
+              variant="error"
+              fullWidth
+            />
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderSummary = (visit) => (
+    <View>
+      <Text style={styles.transferHint}>
+        {`A one-page report for ${visit.doctorName || 'your doctor'}: current medications and adherence since your last visit, `
+          + 'vital trends with out-of-range readings, "as needed" use and side effects you noted. '
+          + 'Share it ahead of time, or print it or save it as PDF from the share sheet.'}
+      </Text>
+
+      <Input
+        label="Questions for the Doctor"
+        placeholder={'One question per line\nIs my blood pressure under control?'}
+        value={summaryQuestions}
+        onChangeText={setSummaryQuestions}
+        multiline
+        numberOfLines={5}
+      />
+
+      <Button
+        title="Share Summary"
+        onPress={() => handleShareSummary(visit)}
+        variant="primary"
+        loading={saving}
+        disabled={saving}
+        fullWidth
+      />
+    </View>
+  );
+
+  const renderTemplates = () => (
+    <View>
+      <Text style={styles.transferHint}>
+        New appointments get the tasks of every checklist that matches their type.
+      </Text>
+
+      {prepTemplates.map(template => (
+        <TouchableOpacity
+          key={template.id}
+          style={styles.prepTask}
+          onPress={() => setEditingTemplate(template)}
+        >
+          <View style={styles.prepTaskText}>
+            <Text style={styles.prepTaskTitle}>{template.name}</Text>
+            <Text style={styles.prepTaskDue}>
+              {[
+                template.appointmentTypes?.length
+                  ? template.appointmentTypes
+                      .map(type => APPOINTMENT_TYPES.find(item => item.value === type)?.label || type)
+                      .join(', ')
+                  : 'All appointments',
+                template.fastingOnly ? 'fasting only' : null,
+                `${template.tasks.length} task${template.tasks.length === 1 ? '' : 's'}`,
+              ].filter(Boolean).join(' · ')}
+            </Text>
+          </View>
+        </TouchableOpacity>
+      ))}
+
+      <Button
+        title="New Checklist"
+        onPress={() => setEditingTemplate({})}
+        variant="outline"
+        fullWidth
+        style={styles.transferSection}
+      />
+    </View>
+  );
+
+  const renderTransfer = () => (
+    <View>
+      <Text style={styles.sectionTitle}>Export</Text>
+      <Text style={styles.transferHint}>
+        Share your schedule as an .ics file for Google, Apple or Outlook calendars.
+        Long-press a visit to share just that appointment.
+      </Text>
+      <Button
+        title="Export All Appointments"
+        onPress={() => handleShare(appointments, 'appointments.ics')}
+        variant="outline"
+        disabled={!appointments.length}
+        fullWidth
+      />
+
+      <Text style={[styles.sectionTitle, styles.transferSection]}>Import</Text>
+      {icsFiles.length ? icsFiles.map(file => (
+        <Button
+          key={file.path}
+          title={file.name}
+          onPress={() => handleImportFile(file)}
+          variant="ghost"
+          size="small"
+          style={styles.fileButton}
+        />
+      )) : (
+        <Text style={styles.transferHint}>
+          No .ics files found in Documents or Downloads. Save an invite there, or paste its text below.
+        </Text>
+      )}
+
+      <Input
+        label="Calendar text"
+        placeholder="BEGIN:VCALENDAR..."
+        value={pastedCalendar}
+        onChangeText={setPastedCalendar}
+        multiline
+        numberOfLines={6}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+      <Button
+        title="Import Pasted Calendar"
+        onPress={() => confirmImport(parseIcsAppointments(pastedCalendar))}
+        variant="primary"
+        disabled={!pastedCalendar.trim()}
+        loading={saving}
+        fullWidth
+      />
+    </View>
+  );
+
+  // New visits start on the selected day at 09:00 unless it has passed
+  const getNewAppointmentDefaults = () => {
+    const start = startOfDay(new Date(`${selectedDate}T00:00:00`));
+    start.setHours(9);
+    return start > new Date() ? { dateTime: start.toISOString() } : {};
+  };
+
+  return (
+    <View style={styles.container}>
+      <AnimatedHeader
+        title="Appointments"
+        variant="medical"
+        rightAction={
+          <View style={styles.headerActions}>
+            <Button
+              onPress={() => setTemplatesOpen(true)}
+              variant="ghost"
+              size="small"
+              leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.inverse }}>📋</Text>}
+            />
+            <Button
+              onPress={handleOpenTransfer}
+              variant="ghost"
+              size="small"
+              leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.inverse }}>⇅</Text>}
+            />
+          </View>
+        }
+      />
+
+      {renderViewModes()}
+
+      {loading && !appointments.length ? (
+        <View style={styles.loadingContainer}>
+          <LoadingSpinner message="Loading appointments..." />
+        </View>
+      ) : viewMode === 'agenda' ? renderAgenda() : renderMonth()}
+
+      <FAB
+        icon={<Text style={{ fontSize: 24, color: COLORS.text.inverse }}>+</Text>}
+        onPress={() => handleOpenForm()}
+        variant="medical"
+        position="bottomRight"
+      />
+
+      <Modal
+        visible={formOpen}
+        onClose={handleCloseForm}
+        variant="fullscreen"
+      >
+        <AppointmentForm
+          key={editing ? `${editing.appointmentId}|${editing.occurrenceStart}` : 'new'}
+          initialValues={editing ? editingOccurrence || editingSeries || {} : getNewAppointmentDefaults()}
+          editMode={!!editing}
+          enableRecurrence={!editing?.occurrenceStart}
+          prepTemplates={prepTemplates}
+          onCheckConflicts={handleCheckConflicts}
+          onSave={handleSave}
+          onCancel={handleCloseForm}
+          saving={saving}
+          error={error}
+        />
+      </Modal>
+
+      <Modal
+        visible={!!outcomeVisit}
+        onClose={() => setOutcomeTarget(null)}
+        title="After the Visit"
+        variant="fullscreen"
+      >
+        {outcomeVisit && (
+          <VisitOutcomeForm
+            key={outcomeVisit.id}
+            visit={outcomeVisit}
+            medications={activeMedications}
+            onSave={handleSaveOutcome}
+            onCancel={() => setOutcomeTarget(null)}
+            saving={saving}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        visible={transferOpen}
+        onClose={() => setTransferOpen(false)}
+        title="Import & Export"
+        variant="bottom"
+      >
+        {renderTransfer()}
+      </Modal>
+
+      <Modal
+        visible={!!sheetVisit}
+        onClose={handleCloseVisit}
+        title={{
+          details: sheetVisit?.doctorName || 'Appointment',
+          prep: 'Preparation',
+          summary: 'Visit Summary',
+        }[visitSheet?.mode]}
+        variant="bottom"
+      >
+        {sheetVisit && visitSheet.mode === 'details' && renderVisitDetails(sheetVisit)}
+        {sheetVisit && visitSheet.mode === 'prep' && renderChecklist(sheetVisit)}
+        {sheetVisit && visitSheet.mode === 'summary' && renderSummary(sheetVisit)}
+      </Modal>
+
+      <Modal
+        visible={templatesOpen}
+        onClose={() => {
+          setTemplatesOpen(false);
+          setEditingTemplate(null);
+        }}
+        title={editingTemplate ? (editingTemplate.id ? 'Edit Checklist' : 'New Checklist') : 'Preparation Checklists'}
+        variant="bottom"
+      >
+        {editingTemplate ? (
+          <PrepTemplateForm
+            key={editingTemplate.id || 'new'}
+            initialValues={editingTemplate}
+            onSave={handleSaveTemplate}
+            onDelete={handleDeleteTemplate}
+            onCancel={() => setEditingTemplate(null)}
+            saving={saving}
+          />
+        ) : renderTemplates()}
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background.primary,
+  },
+
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  headerActions: {
+    flexDirection: 'row',
+  },
+
+  viewModes: {
+    flexDirection: 'row',
+    gap: SPACING.sm,
+    paddingHorizontal: SPACING.lg,
+    paddingVertical: SPACING.md,
+  },
+
+  // Calendar
+  calendar: {
+    marginBottom: SPACING.md,
+  },
+
+  sectionTitle: {
+    ...TYPOGRAPHY.h6,
+    marginBottom: SPACING.sm,
+  },
+
+  listContent: {
+    paddingHorizontal: SPACING.lg,
+    paddingBottom: SPACING.xxl,
+  },
+
+  // Visits
+  occurrence: {
+    marginVertical: SPACING.xs,
+    marginRight: SPACING.md,
+  },
+
+  overlapPill: {
+    alignSelf: 'flex-start',
+    marginTop: SPACING.xs,
+  },
+
+  visitActions: {
+    gap: SPACING.sm,
+  },
+
+  outcome: {
+    gap: SPACING.xs,
+    marginBottom: SPACING.lg,
+  },
+
+  outcomeNotes: {
+    ...TYPOGRAPHY.bodyMedium,
+    marginBottom: SPACING.xs,
+  },
+
+  outcomeLine: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+  },
+
+  // Preparation checklists
+  prepTask: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border.light,
+  },
+
+  prepCheckbox: {
+    width: 24,
+    height: 24,
+    borderRadius: BORDER_RADIUS.sm,
+    borderWidth: 2,
+    borderColor: COLORS.border.dark,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: SPACING.md,
+  },
+
+  prepCheckboxDone: {
+    backgroundColor: COLORS.status.success.main,
+    borderColor: COLORS.status.success.main,
+  },
+
+  prepCheckmark: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.inverse,
+    fontWeight: '700',
+  },
+
+  prepTaskText: {
+    flex: 1,
+  },
+
+  prepTaskTitle: {
+    ...TYPOGRAPHY.bodyMedium,
+  },
+
+  prepTaskTitleDone: {
+    color: COLORS.text.tertiary,
+    textDecorationLine: 'line-through',
+  },
+
+  prepTaskDue: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+  },
+
+  // Import and export
+  transferHint: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+    marginBottom: SPACING.md,
+  },
+
+  transferSection: {
+    marginTop: SPACING.lg,
+  },
+
+  fileButton: {
+    alignSelf: 'flex-start',
+    marginBottom: SPACING.xs,
+  },
+
+  emptyDay: {
+    paddingVertical: SPACING.lg,
+    paddingHorizontal: SPACING.md,
+  },
+
+  emptyDayText: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.tertiary,
+  },
+});
+
+export default AppointmentsScreen;
@@ -35,15 +35,45 @@ import Button, { FAB } from '../../src/components/common/Button';
 import StatusPill from '../../src/components/common/StatusPill';
 import SlideInCard from '../../src/components/animations/SlideInCard';
 import FadeInView from '../../src/components/animations/FadeInView';
-import PulseAnimation from '../../src/components/animations/PulseAnimation';
+import PulseAnimation, { MedicationReminderPulse, NotificationPulse } from '../../src/components/animations/PulseAnimation';
 import SwipeGesture, { MedicationSwipeCard } from '../../src/components/animations/SwipeGesture';
 import HealthChart, { VitalRingChart } from '../../src/components/charts/HealthChart';
 import ProgressChart, { StepsProgressRing, MedicationAdherenceRing } from '../../src/components/charts/ProgressChart';
 import LoadingSpinner from '../../src/components/common/LoadingSpinner';
+import VitalAlertList from '../../components/common/VitalAlerts';
 
 // Redux actions (commented out since we don't have actual slices)
-// import { fetchDashboardData, markMedicationTaken } from '../../store/slices/dashboardSlice';
+// import { fetchDashboardData } from '../../store/slices/dashboardSlice';
 // import { fetchUserProfile } from '../../store/slices/userSlice';
+import {
+  fetchMedications,
+  recordDoseEvent,
+  reconcileMissedDoses,
+  logRefill,
+  selectMedicationsDueToday,
+  selectSupplyForecasts,
+  selectRefillReminders,
+} from '../../store/slices/medicationSlice';
+import {
+  fetchVitals,
+  fetchVitalRangeProfile,
+  fetchVitalAlerts,
+  acknowledgeVitalAlert,
+  selectActiveVitalAlerts,
+  selectEmergencyContact,
+  selectLatestVitals,
+  selectVitalSeries,
+  selectVitalRange,
+} from '../../store/slices/vitalsSlice';
+import { fetchSettings, selectQuietHours } from '../../store/slices/settingsSlice';
+import { DOSE_STATUS, VITAL_TYPES, REMINDER_PRIORITY } from '../../utils/constants';
+import { getEscalationState } from '../../utils/escalation';
+import { getTimeZoneLabel } from '../../utils/timeZones';
+
+// Hooks
+import useDoseReconciliation from '../../hooks/useDoseReconciliation';
+import useReminderSync from '../../hooks/useReminderSync';
+import useTravelMode from '../../hooks/useTravelMode';
 
 // Styles
 import { COLORS } from '../../styles/colors';
@@ -63,43 +93,6 @@ const MOCK_USER = {
   streak: 7,
 };
 
-const MOCK_VITALS = [
-  { type: 'heartRate', value: 72, label: 'Heart Rate', unit: 'bpm', timestamp: new Date() },
-  { type: 'bloodPressure', value: 120, label: 'Blood Pressure', unit: 'mmHg', timestamp: new Date() },
-  { type: 'temperature', value: 98.6, label: 'Temperature', unit: '°F', timestamp: new Date() },
-  { type: 'oxygen', value: 98, label: 'Blood Oxygen', unit: '%', timestamp: new Date() },
-];
-
-const MOCK_MEDICATIONS = [
-  {
-    id: '1',
-    name: 'Lisinopril',
-    dosage: '10mg',
-    frequency: 'Once daily',
-    nextDose: new Date(Date.now() + 2 * 60 * 60 * 1000), // 2 hours from now
-    status: 'due',
-    urgent: false,
-  },
-  {
-    id: '2',
-    name: 'Metformin',
-    dosage: '500mg',
-    frequency: 'Twice daily',
-    nextDose: new Date(Date.now() - 30 * 60 * 1000), // 30 minutes ago
-    status: 'overdue',
-    urgent: true,
-  },
-  {
-    id: '3',
-    name: 'Vitamin D3',
-    dosage: '2000 IU',
-    frequency: 'Once daily',
-    nextDose: new Date(Date.now() + 6 * 60 * 60 * 1000), // 6 hours from now
-    status: 'scheduled',
-    urgent: false,
-  },
-];
-
 const MOCK_APPOINTMENTS = [
   {
     id: '1',
@@ -121,16 +114,6 @@ const MOCK_APPOINTMENTS = [
   },
 ];
 
-const MOCK_HEALTH_DATA = [
-  { value: 120, timestamp: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000) },
-  { value: 118, timestamp: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000) },
-  { value: 125, timestamp: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000) },
-  { value: 122, timestamp: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) },
-  { value: 119, timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) },
-  { value: 121, timestamp: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000) },
-  { value: 120, timestamp: new Date() },
-];
-
 const DashboardScreen = () => {
   // Navigation
   const navigation = useNavigation();
@@ -143,14 +126,45 @@ const DashboardScreen = () => {
   // Local state for demonstration
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
   const [dashboardData, setDashboardData] = useState({
     user: MOCK_USER,
-    vitals: MOCK_VITALS,
-    medications: MOCK_MEDICATIONS,
     appointments: MOCK_APPOINTMENTS,
-    healthData: MOCK_HEALTH_DATA,
   });
   
+  // Latest vitals and the blood pressure trend from the vitals log
+  const latestVitals = useSelector(selectLatestVitals);
+  const bloodPressureSeries = useSelector(state => selectVitalSeries(state, VITAL_TYPES.BLOOD_PRESSURE));
+  const bloodPressureRange = useSelector(state => selectVitalRange(state, VITAL_TYPES.BLOOD_PRESSURE));
+  const vitalAlerts = useSelector(selectActiveVitalAlerts);
+  const emergencyContact = useSelector(selectEmergencyContact);
+  
+  // Today's unresolved doses from the medication ledger
+  const dueMedications = useSelector(state => selectMedicationsDueToday(state, now));
+  const supplyForecasts = useSelector(state => selectSupplyForecasts(state, now));
+  const refillReminders = useSelector(state => selectRefillReminders(state, now));
+  const quietHours = useSelector(selectQuietHours);
+  const todaysMedications = dueMedications.map(med => {
+    const overdue = new Date(med.nextDose).getTime() < now;
+    // How far the dose's repeat reminders have escalated
+    const escalation = overdue ? getEscalationState(med, med.nextDose, null, now, quietHours) : null;
+    return {
+      ...med,
+      status: overdue ? 'overdue' : 'due',
+      urgent: overdue,
+      reminderPriority: escalation?.priority || REMINDER_PRIORITY.NORMAL,
+    };
+  });
+  
+  // Mark unanswered doses as missed once their grace window passes
+  useDoseReconciliation();
+  
+  // Keep dose, refill and appointment reminders scheduled on the device
+  useReminderSync();
+  
+  // Time zone the device moved to while doses still follow the previous one
+  const timeZoneChange = useTravelMode();
+  
   // Animation values
   const scrollY = useSharedValue(0);
   const headerHeight = useSharedValue(DIMENSIONS.layout.headerHeight);
@@ -174,14 +188,17 @@ const DashboardScreen = () => {
         setLoading(true);
       }
       
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      setNow(Date.now());
+      await dispatch(fetchMedications()).unwrap();
+      await dispatch(reconcileMissedDoses(Date.now()));
+      await dispatch(fetchSettings());
+      await dispatch(fetchVitals());
+      await dispatch(fetchVitalRangeProfile());
+      await dispatch(fetchVitalAlerts());
       
       // In real implementation:
       // await dispatch(fetchDashboardData()).unwrap();
       // await dispatch(fetchUserProfile()).unwrap();
-      
-      console.log('Dashboard data loaded');
     } catch (error) {
       console.error('Error loading dashboard:', error);
       Alert.alert('Error', 'Failed to load dashboard data. Please try again.');
@@ -194,18 +211,11 @@ const DashboardScreen = () => {
   // Handle medication taken
   const handleMedicationTaken = async (medication) => {
     try {
-      // Optimistic update
-      setDashboardData(prev => ({
-        ...prev,
-        medications: prev.medications.map(med =>
-          med.id === medication.id
-            ? { ...med, status: 'taken' }
-            : med
-        ),
-      }));
-      
-      // In real implementation:
-      // await dispatch(markMedicationTaken({ medicationId: medication.id }));
+      await dispatch(recordDoseEvent({
+        medicationId: medication.id,
+        status: DOSE_STATUS.TAKEN,
+        scheduledAt: medication.nextDose,
+      })).unwrap();
       
       Alert.alert(
         'Medication Taken',
@@ -214,7 +224,7 @@ const DashboardScreen = () => {
       );
     } catch (error) {
       console.error('Error marking medication as taken:', error);
-      // Revert optimistic update on error
+      // Reload to resync with the ledger
       loadDashboardData();
     }
   };
@@ -222,14 +232,11 @@ const DashboardScreen = () => {
   // Handle medication skipped
   const handleMedicationSkipped = async (medication) => {
     try {
-      setDashboardData(prev => ({
-        ...prev,
-        medications: prev.medications.map(med =>
-          med.id === medication.id
-            ? { ...med, status: 'skipped' }
-            : med
-        ),
-      }));
+      await dispatch(recordDoseEvent({
+        medicationId: medication.id,
+        status: DOSE_STATUS.SKIPPED,
+        scheduledAt: medication.nextDose,
+      })).unwrap();
       
       Alert.alert(
         'Dose Skipped',
@@ -242,6 +249,23 @@ const DashboardScreen = () => {
     }
   };
   
+  // Handle refill logged
+  const handleLogRefill = async (medication) => {
+    try {
+      await dispatch(logRefill({ medicationId: medication.id })).unwrap();
+      setNow(Date.now());
+      
+      Alert.alert(
+        'Refill Logged',
+        `${medication.name} supply has been updated.`,
+        [{ text: 'OK' }]
+      );
+    } catch (error) {
+      console.error('Error logging refill:', error);
+      Alert.alert('Error', error || 'Failed to log refill. Please try again.');
+    }
+  };
+  
   // Handle refresh
   const handleRefresh = () => {
     loadDashboardData(true);
@@ -257,10 +281,11 @@ const DashboardScreen = () => {
   // Navigation handlers
   const navigateToMedications = () => navigation.navigate('Medications');
   const navigateToAppointments = () => navigation.navigate('Appointments');
-  const navigateToVitals = () => navigation.navigate('Vitals');
+  const navigateToVitals = (type) => navigation.navigate('Vitals', type ? { type } : undefined);
   const navigateToInsights = () => navigation.navigate('Insights');
   const navigateToProfile = () => navigation.navigate('Profile');
   const navigateToChat = () => navigation.navigate('Chat');
+  const navigateToTravelMode = () => navigation.navigate('TravelMode');
   
   // Render health score section
   const renderHealthScore = () => (
@@ -297,16 +322,33 @@ const DashboardScreen = () => {
     </SlideInCard>
   );
   
+  // Render travel notice
+  const renderTravelNotice = () => timeZoneChange && (
+    <Card
+      variant="medical"
+      size="small"
+      onPress={navigateToTravelMode}
+      style={styles.travelNotice}
+    >
+      <Text style={styles.travelNoticeTitle}>
+        ✈️ Now in {getTimeZoneLabel(timeZoneChange.to)} time
+      </Text>
+      <Text style={styles.travelNoticeText}>
+        Doses still follow {getTimeZoneLabel(timeZoneChange.from)} time. Tap to choose how they should follow you.
+      </Text>
+    </Card>
+  );
+  
   // Render quick stats
   const renderQuickStats = () => (
     <View style={styles.quickStatsContainer}>
-      {dashboardData.vitals.slice(0, 4).map((vital, index) => (
+      {latestVitals.slice(0, 4).map((vital, index) => (
         <SlideInCard
           key={vital.type}
           direction="up"
           delay={300 + (index * 100)}
           style={styles.vitalStatCard}
-          onPress={() => navigateToVitals()}
+          onPress={() => navigateToVitals(vital.type)}
         >
           <VitalCard vital={vital} />
         </SlideInCard>
@@ -316,10 +358,10 @@ const DashboardScreen = () => {
   
   // Render medications section
   const renderMedications = () => {
-    const urgentMedications = dashboardData.medications.filter(med => 
+    const urgentMedications = todaysMedications.filter(med => 
       med.status === 'overdue' || med.urgent
     );
-    const dueMedications = dashboardData.medications.filter(med => 
+    const upcomingMedications = todaysMedications.filter(med => 
       med.status === 'due'
     );
     
@@ -337,9 +379,15 @@ const DashboardScreen = () => {
         
         {urgentMedications.length > 0 && (
           <View style={styles.urgentMedicationsContainer}>
-            <Text style={styles.urgentMedicationsTitle}>
-              ⚠️ Needs Attention
-            </Text>
+            <NotificationPulse
+              priority={urgentMedications.some(med => med.reminderPriority === REMINDER_PRIORITY.URGENT)
+                ? REMINDER_PRIORITY.URGENT
+                : REMINDER_PRIORITY.HIGH}
+            >
+              <Text style={styles.urgentMedicationsTitle}>
+                ⚠️ Needs Attention
+              </Text>
+            </NotificationPulse>
             {urgentMedications.map((medication, index) => (
               <SlideInCard
                 key={medication.id}
@@ -354,16 +402,24 @@ const DashboardScreen = () => {
                   urgent={medication.urgent}
                   overdue={medication.status === 'overdue'}
                 >
-                  <MedicationCard medication={medication} />
+                  <MedicationReminderPulse
+                    urgent={medication.reminderPriority === REMINDER_PRIORITY.HIGH}
+                    overdue={medication.reminderPriority === REMINDER_PRIORITY.URGENT}
+                  >
+                    <MedicationCard
+                      medication={medication}
+                      supplyForecast={supplyForecasts[medication.id]}
+                    />
+                  </MedicationReminderPulse>
                 </MedicationSwipeCard>
               </SlideInCard>
             ))}
           </View>
         )}
         
-        {dueMedications.length > 0 && (
+        {upcomingMedications.length > 0 && (
           <View style={styles.dueMedicationsContainer}>
-            {dueMedications.map((medication, index) => (
+            {upcomingMedications.map((medication, index) => (
               <SlideInCard
                 key={medication.id}
                 direction="left"
@@ -375,12 +431,40 @@ const DashboardScreen = () => {
                   onTaken={handleMedicationTaken}
                   onSkipped={handleMedicationSkipped}
                 >
-                  <MedicationCard medication={medication} />
+                  <MedicationCard
+                    medication={medication}
+                    supplyForecast={supplyForecasts[medication.id]}
+                  />
                 </MedicationSwipeCard>
               </SlideInCard>
             ))}
           </View>
         )}
+        
+        {refillReminders.length > 0 && (
+          <View style={styles.refillRemindersContainer}>
+            <Text style={styles.refillRemindersTitle}>
+              📦 Refill Soon
+            </Text>
+            {refillReminders.map(({ medication, forecast }) => (
+              <View key={medication.id} style={styles.refillReminderRow}>
+                <View style={styles.refillReminderInfo}>
+                  <Text style={styles.refillReminderName}>{medication.name}</Text>
+                  <Text style={styles.refillReminderDetail}>
+                    {forecast.unitsOnHand} left
+                    {medication.refillsRemaining != null && ` • ${medication.refillsRemaining} refills remaining`}
+                  </Text>
+                </View>
+                <Button
+                  title="Log Refill"
+                  variant="outline"
+                  size="small"
+                  onPress={() => handleLogRefill(medication)}
+                />
+              </View>
+            ))}
+          </View>
+        )}
       </View>
     );
   };
@@ -433,8 +517,10 @@ const DashboardScreen = () => {
         style={styles.chartCard}
       >
         <HealthChart
-          data={dashboardData.healthData}
+          data={bloodPressureSeries}
           preset="bloodPressure"
+          normalRange={bloodPressureRange?.normalRange}
+          criticalRange={bloodPressureRange?.criticalRange}
           timeRange="7d"
           height={180}
           showRanges={true}
@@ -457,7 +543,7 @@ const DashboardScreen = () => {
           title="Add Vital Signs"
           variant="outline"
           leftIcon={<Text style={{ fontSize: 18 }}>📊</Text>}
-          onPress={navigateToVitals}
+          onPress={() => navigateToVitals()}
           fullWidth
         />
       </SlideInCard>
@@ -520,6 +606,18 @@ const DashboardScreen = () => {
         {/* Health Score */}
         {renderHealthScore()}
         
+        {/* Travel Mode */}
+        {renderTravelNotice()}
+        
+        {/* Vital Alerts */}
+        <VitalAlertList
+          alerts={vitalAlerts}
+          emergencyContact={emergencyContact}
+          onDismiss={(alert) => dispatch(acknowledgeVitalAlert(alert.id))}
+          onAlertPress={(alert) => navigateToVitals(alert.vitalType)}
+          limit={2}
+        />
+        
         {/* Quick Stats */}
         {renderQuickStats()}
         
@@ -664,6 +762,22 @@ const styles = StyleSheet.create({
     fontWeight: '600',
   },
   
+  // Travel notice
+  travelNotice: {
+    marginBottom: SPACING.md,
+  },
+  
+  travelNoticeTitle: {
+    ...TYPOGRAPHY.h6,
+    color: COLORS.text.primary,
+  },
+  
+  travelNoticeText: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+    marginTop: SPACING.xs,
+  },
+  
   // Medications
   urgentMedicationsContainer: {
     marginBottom: SPACING.lg,
@@ -684,6 +798,42 @@ const styles = StyleSheet.create({
     marginBottom: SPACING.sm,
   },
   
+  refillRemindersContainer: {
+    marginTop: SPACING.md,
+    padding: SPACING.md,
+    backgroundColor: COLORS.status.warning.background,
+    borderRadius: BORDER_RADIUS.md,
+  },
+  
+  refillRemindersTitle: {
+    ...TYPOGRAPHY.bodyMedium,
+    color: COLORS.status.warning.dark,
+    fontWeight: '600',
+    marginBottom: SPACING.sm,
+  },
+  
+  refillReminderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: SPACING.xs,
+  },
+  
+  refillReminderInfo: {
+    flex: 1,
+    marginRight: SPACING.md,
+  },
+  
+  refillReminderName: {
+    ...TYPOGRAPHY.bodyMedium,
+    fontWeight: '600',
+  },
+  
+  refillReminderDetail: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+  },
+  
   // Appointments
   appointmentCard: {
     marginBottom: SPACING.sm,
@@ -32,16 +32,63 @@ import AnimatedHeader from '../../src/components/common/AnimatedHeader';
 import Button, { FAB } from '../../src/components/common/Button';
 import Input from '../../src/components/common/Input';
 import Card, { MedicationCard } from '../../src/components/common/Card';
-import StatusPill, { MedicationStatusPill } from '../../src/components/common/StatusPill';
+import StatusPill, { MedicationStatusPill, SupplyStatusPill } from '../../src/components/common/StatusPill';
 import SlideInCard from '../../src/components/animations/SlideInCard';
 import FadeInView from '../../src/components/animations/FadeInView';
 import SwipeGesture, { MedicationSwipeCard } from '../../src/components/animations/SwipeGesture';
-import MedicationChart, { AdherenceChart, WeeklyAdherenceCalendar } from '../../src/components/charts/MedicationChart';
+import MedicationChart, {
+  AdherenceChart,
+  DosagePatternChart,
+  WeeklyAdherenceCalendar,
+} from '../../src/components/charts/MedicationChart';
 import Modal, { BottomSheetModal } from '../../src/components/common/Modal';
 import LoadingSpinner from '../../src/components/common/LoadingSpinner';
 
-// Redux actions (commented out)
-// import { fetchMedications, addMedication, updateMedication, deleteMedication } from '../../store/slices/medicationSlice';
+// Redux
+import {
+  fetchMedications,
+  discontinueMedication,
+  restartMedication,
+  isArchivedMedication,
+  recordDoseEvent,
+  logPrnDose,
+  logRefill,
+  selectMedicationsWithStats,
+  selectAdherenceData,
+  selectMedicationsDueToday,
+  selectOverallAdherenceRate,
+  selectMedicationsLoading,
+  selectSupplyForecasts,
+  selectPrnDoseData,
+  selectPrnStatuses,
+  selectMedicationDoseHistory,
+} from '../../store/slices/medicationSlice';
+import { selectTravel } from '../../store/slices/settingsSlice';
+import {
+  DOSE_STATUS,
+  PRN_REASON_OPTIONS,
+  PRN_WINDOW_HOURS,
+  DISCONTINUE_REASONS,
+} from '../../utils/constants';
+import {
+  getDoseInstances,
+  getNextDoseInstance,
+  getSchedulePhases,
+  getRegimenStatus,
+  getCurrentDoseSpec,
+  addHours,
+  formatTimeOfDay,
+  isAsNeeded,
+} from '../../utils/dateUtils';
+import {
+  formatDoseSpec,
+  formatRegimenSummary,
+  formatShortDate,
+  formatNextAllowed,
+  formatDiscontinuation,
+  formatDoseEventTime,
+} from '../../utils/formatters';
+import { describeMedicationChange } from '../../utils/visitOutcome';
 
 // Styles
 import { COLORS } from '../../styles/colors';
@@ -52,97 +99,6 @@ import { SHADOWS } from '../../styles/shadows';
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const AnimatedFlatList = Animated.createAnimatedComponent(FlatList);
 
-// Mock data
-const MOCK_MEDICATIONS = [
-  {
-    id: '1',
-    name: 'Lisinopril',
-    genericName: 'Lisinopril',
-    dosage: '10mg',
-    frequency: 'Once daily',
-    type: 'prescription',
-    reminderTimes: ['09:00'],
-    remindersEnabled: true,
-    prescribingDoctor: 'Dr. Sarah Johnson',
-    startDate: new Date('2024-01-15'),
-    endDate: null,
-    instructions: 'Take with food',
-    sideEffects: ['Dizziness', 'Dry cough'],
-    refillsRemaining: 3,
-    lastTaken: new Date(Date.now() - 24 * 60 * 60 * 1000),
-    adherenceRate: 92,
-    status: 'active',
-    color: COLORS.medical.medication.prescription,
-  },
-  {
-    id: '2',
-    name: 'Metformin',
-    genericName: 'Metformin HCl',
-    dosage: '500mg',
-    frequency: 'Twice daily',
-    type: 'prescription',
-    reminderTimes: ['08:00', '20:00'],
-    remindersEnabled: true,
-    prescribingDoctor: 'Dr. Michael Chen',
-    startDate: new Date('2024-02-01'),
-    endDate: null,
-    instructions: 'Take with meals',
-    sideEffects: ['Nausea', 'Stomach upset'],
-    refillsRemaining: 1,
-    lastTaken: new Date(Date.now() - 12 * 60 * 60 * 1000),
-    adherenceRate: 88,
-    status: 'active',
-    color: COLORS.medical.medication.prescription,
-  },
-  {
-    id: '3',
-    name: 'Vitamin D3',
-    genericName: 'Cholecalciferol',
-    dosage: '2000 IU',
-    frequency: 'Once daily',
-    type: 'supplement',
-    reminderTimes: ['09:00'],
-    remindersEnabled: true,
-    prescribingDoctor: null,
-    startDate: new Date('2024-01-01'),
-    endDate: null,
-    instructions: 'Take with fatty meal for better absorption',
-    sideEffects: [],
-    refillsRemaining: null,
-    lastTaken: new Date(Date.now() - 36 * 60 * 60 * 1000),
-    adherenceRate: 75,
-    status: 'active',
-    color: COLORS.medical.medication.supplement,
-  },
-  {
-    id: '4',
-    name: 'Ibuprofen',
-    genericName: 'Ibuprofen',
-    dosage: '200mg',
-    frequency: 'As needed',
-    type: 'otc',
-    reminderTimes: [],
-    remindersEnabled: false,
-    prescribingDoctor: null,
-    startDate: new Date('2024-03-01'),
-    endDate: new Date('2024-03-15'),
-    instructions: 'Take with food or milk',
-    sideEffects: ['Stomach irritation'],
-    refillsRemaining: null,
-    lastTaken: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
-    adherenceRate: 100,
-    status: 'completed',
-    color: COLORS.medical.medication.overTheCounter,
-  },
-];
-
-const MOCK_ADHERENCE_DATA = [
-  { medicationId: '1', date: new Date(), status: 'taken', scheduledTime: '09:00' },
-  { medicationId: '2', date: new Date(), status: 'taken', scheduledTime: '08:00' },
-  { medicationId: '2', date: new Date(), status: 'missed', scheduledTime: '20:00' },
-  { medicationId: '3', date: new Date(), status: 'skipped', scheduledTime: '09:00' },
-];
-
 // Filter options
 const FILTER_OPTIONS = [
   { key: 'all', label: 'All', color: COLORS.primary.main },
@@ -151,6 +107,7 @@ const FILTER_OPTIONS = [
   { key: 'prescription', label: 'Prescription', color: COLORS.medical.medication.prescription },
   { key: 'otc', label: 'OTC', color: COLORS.medical.medication.overTheCounter },
   { key: 'supplement', label: 'Supplements', color: COLORS.medical.medication.supplement },
+  { key: 'archived', label: 'Archived', color: COLORS.neutral.gray[500] },
 ];
 
 // Sort options
@@ -166,19 +123,37 @@ const MedicationsScreen = () => {
   const navigation = useNavigation();
   const dispatch = useDispatch();
   
-  // Redux state (commented out)
-  // const { medications, adherenceData, loading, error } = useSelector(state => state.medications);
-  
   // Local state
-  const [medications, setMedications] = useState(MOCK_MEDICATIONS);
-  const [adherenceData, setAdherenceData] = useState(MOCK_ADHERENCE_DATA);
-  const [loading, setLoading] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  
+  // Redux state
+  const medications = useSelector(selectMedicationsWithStats);
+  const adherenceData = useSelector(selectAdherenceData);
+  const dueToday = useSelector(state => selectMedicationsDueToday(state, now));
+  const overallAdherence = useSelector(selectOverallAdherenceRate);
+  const supplyForecasts = useSelector(state => selectSupplyForecasts(state, now));
+  const prnDoses = useSelector(selectPrnDoseData);
+  const prnStatuses = useSelector(state => selectPrnStatuses(state, now));
+  const loading = useSelector(selectMedicationsLoading);
+  const travel = useSelector(selectTravel);
+  
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedFilter, setSelectedFilter] = useState('all');
   const [selectedSort, setSelectedSort] = useState('nextDose');
   const [showAnalytics, setShowAnalytics] = useState(false);
   const [selectedMedication, setSelectedMedication] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
+  const [prnMedication, setPrnMedication] = useState(null);
+  const [prnReason, setPrnReason] = useState('');
+  const [loggingPrn, setLoggingPrn] = useState(false);
+  const [discontinuingMedication, setDiscontinuingMedication] = useState(null);
+  const [discontinueReason, setDiscontinueReason] = useState(null);
+  const [discontinueNote, setDiscontinueNote] = useState('');
+  
+  // Dose history for the medication open in the details modal
+  const selectedHistory = useSelector(state => (
+    selectedMedication ? selectMedicationDoseHistory(state, selectedMedication.id) : []
+  ));
   
   // Animation values
   const scrollY = useSharedValue(0);
@@ -198,91 +173,76 @@ const MedicationsScreen = () => {
   // Load medications
   const loadMedications = async () => {
     try {
-      setLoading(true);
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // In real implementation:
-      // await dispatch(fetchMedications()).unwrap();
-      
-      console.log('Medications loaded');
+      setNow(Date.now());
+      await dispatch(fetchMedications()).unwrap();
     } catch (error) {
       console.error('Error loading medications:', error);
       Alert.alert('Error', 'Failed to load medications');
-    } finally {
-      setLoading(false);
     }
   };
   
+  // Earliest unresolved dose today, if the medication has one
+  const getPendingDose = (medication) => {
+    const due = dueToday.find(med => med.id === medication.id);
+    return due ? due.nextDose : null;
+  };
+  
   // Filter and sort medications
   const getFilteredMedications = () => {
-    let filtered = medications;
+    let filtered = [...medications];
     
     // Apply search filter
     if (searchQuery.trim()) {
       const query = searchQuery.toLowerCase();
       filtered = filtered.filter(med =>
         med.name.toLowerCase().includes(query) ||
-        med.genericName.toLowerCase().includes(query) ||
+        (med.genericName && med.genericName.toLowerCase().includes(query)) ||
         (med.prescribingDoctor && med.prescribingDoctor.toLowerCase().includes(query))
       );
     }
     
+    // Archived medications only show under their own filter
+    filtered = filtered.filter(med => isArchivedMedication(med) === (selectedFilter === 'archived'));
+    
     // Apply category filter
-    if (selectedFilter !== 'all') {
+    if (selectedFilter !== 'all' && selectedFilter !== 'archived') {
       switch (selectedFilter) {
         case 'active':
           filtered = filtered.filter(med => med.status === 'active');
           break;
         case 'due':
-          const now = new Date();
-          const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-          filtered = filtered.filter(med => {
-            if (!med.reminderTimes.length) return false;
-            return med.reminderTimes.some(time => {
-              const [hours, minutes] = time.split(':');
-              const reminderTime = new Date(today);
-              reminderTime.setHours(parseInt(hours), parseInt(minutes));
-              return reminderTime <= now && now - reminderTime < 24 * 60 * 60 * 1000;
-            });
-          });
+          filtered = filtered.filter(med => dueToday.some(due => due.id === med.id));
           break;
         default:
           filtered = filtered.filter(med => med.type === selectedFilter);
       }
     }
     
+    // Next doses are looked up once per medication rather than on every comparison
+    const nextDoses = new Map();
+    const getNextDose = (med) => {
+      if (!nextDoses.has(med.id)) nextDoses.set(med.id, getNextDoseInstance(med, now, travel));
+      return nextDoses.get(med.id);
+    };
+
     // Apply sorting
     filtered.sort((a, b) => {
       switch (selectedSort) {
         case 'name':
           return a.name.localeCompare(b.name);
         case 'adherence':
-          return b.adherenceRate - a.adherenceRate;
+          return (b.adherenceRate ?? -1) - (a.adherenceRate ?? -1);
         case 'dateAdded':
-          return b.startDate - a.startDate;
+          return new Date(b.createdAt || b.startDate) - new Date(a.createdAt || a.startDate);
         case 'nextDose':
         default:
-          if (!a.reminderTimes.length && !b.reminderTimes.length) return 0;
-          if (!a.reminderTimes.length) return 1;
-          if (!b.reminderTimes.length) return -1;
-          
-          const now = new Date();
-          const getNextDose = (med) => {
-            const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-            const times = med.reminderTimes.map(time => {
-              const [hours, minutes] = time.split(':');
-              const doseTime = new Date(today);
-              doseTime.setHours(parseInt(hours), parseInt(minutes));
-              if (doseTime < now) {
-                doseTime.setDate(doseTime.getDate() + 1);
-              }
-              return doseTime;
-            });
-            return Math.min(...times);
-          };
+          const nextA = getNextDose(a);
+          const nextB = getNextDose(b);
+          if (!nextA && !nextB) return 0;
+          if (!nextA) return 1;
+          if (!nextB) return -1;
           
-          return getNextDose(a) - getNextDose(b);
+          return nextA.scheduledAt.localeCompare(nextB.scheduledAt);
       }
     });
     
@@ -291,26 +251,26 @@ const MedicationsScreen = () => {
   
   // Handle medication actions
   const handleMedicationTaken = (medication) => {
+    dispatch(recordDoseEvent({
+      medicationId: medication.id,
+      status: DOSE_STATUS.TAKEN,
+      scheduledAt: getPendingDose(medication),
+    }));
+    
     Alert.alert(
       'Medication Taken',
       `${medication.name} has been marked as taken.`,
       [{ text: 'OK' }]
     );
-    
-    // Update local state or dispatch action
-    setAdherenceData(prev => [...prev, {
-      medicationId: medication.id,
-      date: new Date(),
-      status: 'taken',
-      scheduledTime: new Date().toLocaleTimeString('en-US', { 
-        hour12: false, 
-        hour: '2-digit', 
-        minute: '2-digit' 
-      }),
-    }]);
   };
   
   const handleMedicationSkipped = (medication) => {
+    dispatch(recordDoseEvent({
+      medicationId: medication.id,
+      status: DOSE_STATUS.SKIPPED,
+      scheduledAt: getPendingDose(medication),
+    }));
+    
     Alert.alert(
       'Dose Skipped',
       `${medication.name} dose has been skipped.`,
@@ -318,27 +278,109 @@ const MedicationsScreen = () => {
     );
   };
   
+  // "As needed" doses are logged with a reason instead of against a scheduled slot
+  const handleOpenPrnLog = (medication) => {
+    setNow(Date.now());
+    setPrnReason('');
+    setPrnMedication(medication);
+  };
+  
+  const handleLogPrnDose = async (override = false) => {
+    const medication = prnMedication;
+    const status = prnStatuses[medication.id];
+    
+    if (!override && status?.violations.length && !status.blocked) {
+      Alert.alert(
+        'Dose Limit Warning',
+        `${status.violations.map(violation => violation.message).join(' ')}\n\n${formatNextAllowed(status, now)}. Log this dose anyway?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Log Anyway', style: 'destructive', onPress: () => handleLogPrnDose(true) },
+        ]
+      );
+      return;
+    }
+    
+    setLoggingPrn(true);
+    try {
+      await dispatch(logPrnDose({
+        medicationId: medication.id,
+        reason: prnReason,
+        override,
+      })).unwrap();
+      setPrnMedication(null);
+      setNow(Date.now());
+      Alert.alert('Dose Logged', `${medication.name} has been logged.`);
+    } catch (error) {
+      Alert.alert('Dose Not Logged', error || 'Failed to log dose. Please try again.');
+    } finally {
+      setLoggingPrn(false);
+    }
+  };
+  
   const handleMedicationEdit = (medication) => {
     navigation.navigate('EditMedication', { medicationId: medication.id });
   };
   
-  const handleMedicationDelete = (medication) => {
+  const handleMedicationDiscontinue = (medication) => {
+    setDiscontinueReason(null);
+    setDiscontinueNote('');
+    setDiscontinuingMedication(medication);
+  };
+  
+  const handleConfirmDiscontinue = async () => {
+    const medication = discontinuingMedication;
+    
+    try {
+      await dispatch(discontinueMedication({
+        id: medication.id,
+        reason: discontinueReason,
+        note: discontinueNote,
+      })).unwrap();
+      setDiscontinuingMedication(null);
+      setNow(Date.now());
+      Alert.alert(
+        'Medication Archived',
+        `${medication.name} has been moved to Archived. Its dose history is kept.`
+      );
+    } catch (error) {
+      Alert.alert('Error', error || 'Failed to discontinue medication. Please try again.');
+    }
+  };
+  
+  const handleMedicationRestart = (medication) => {
     Alert.alert(
-      'Delete Medication',
-      `Are you sure you want to delete ${medication.name}?`,
+      'Restart Medication',
+      `Start taking ${medication.name} again with the same dose and schedule?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Delete',
-          style: 'destructive',
-          onPress: () => {
-            setMedications(prev => prev.filter(med => med.id !== medication.id));
+          text: 'Restart',
+          onPress: async () => {
+            try {
+              await dispatch(restartMedication(medication.id)).unwrap();
+              setNow(Date.now());
+              setSelectedFilter('active');
+            } catch (error) {
+              Alert.alert('Error', error || 'Failed to restart medication. Please try again.');
+            }
           },
         },
       ]
     );
   };
   
+  const handleLogRefill = async (medication) => {
+    try {
+      await dispatch(logRefill({ medicationId: medication.id })).unwrap();
+      setNow(Date.now());
+      Alert.alert('Refill Logged', `${medication.name} supply has been updated.`);
+    } catch (error) {
+      console.error('Error logging refill:', error);
+      Alert.alert('Error', error || 'Failed to log refill. Please try again.');
+    }
+  };
+  
   const handleAddMedication = () => {
     navigation.navigate('AddMedication');
   };
@@ -363,102 +405,151 @@ const MedicationsScreen = () => {
   }));
   
   // Render medication item
-  const renderMedicationItem = ({ item: medication, index }) => (
-    <SlideInCard
-      direction="left"
-      delay={index * 50}
-      style={styles.medicationItemContainer}
-    >
-      <MedicationSwipeCard
-        medication={medication}
-        onTaken={() => handleMedicationTaken(medication)}
-        onSkipped={() => handleMedicationSkipped(medication)}
-        urgent={medication.status === 'overdue'}
-        overdue={false}
+  const renderMedicationItem = ({ item: medication, index }) => {
+    const upcomingDoses = medication.status === 'active'
+      ? getDoseInstances(medication, new Date(now), addHours(now, 24), travel)
+      : [];
+    const regimen = formatRegimenSummary(getRegimenStatus(medication, now));
+    const prnStatus = prnStatuses[medication.id];
+    
+    return (
+      <SlideInCard
+        direction="left"
+        delay={index * 50}
+        style={styles.medicationItemContainer}
       >
-        <TouchableOpacity
-          onPress={() => setSelectedMedication(medication)}
-          style={styles.medicationItem}
+        <MedicationSwipeCard
+          medication={medication}
+          onTaken={isArchivedMedication(medication) ? undefined : () => (isAsNeeded(medication)
+            ? handleOpenPrnLog(medication)
+            : handleMedicationTaken(medication)
+          )}
+          onSkipped={isArchivedMedication(medication) || isAsNeeded(medication)
+            ? undefined
+            : () => handleMedicationSkipped(medication)
+          }
+          urgent={medication.status === 'overdue'}
+          overdue={false}
         >
-          <View style={styles.medicationHeader}>
-            <View style={styles.medicationInfo}>
-              <Text style={styles.medicationName}>{medication.name}</Text>
-              {medication.genericName !== medication.name && (
-                <Text style={styles.medicationGeneric}>({medication.genericName})</Text>
-              )}
-              <Text style={styles.medicationDosage}>
-                {medication.dosage} • {medication.frequency}
-              </Text>
-              {medication.prescribingDoctor && (
-                <Text style={styles.medicationDoctor}>
-                  Prescribed by {medication.prescribingDoctor}
+          <TouchableOpacity
+            onPress={() => setSelectedMedication(medication)}
+            style={styles.medicationItem}
+          >
+            <View style={styles.medicationHeader}>
+              <View style={styles.medicationInfo}>
+                <Text style={styles.medicationName}>{medication.name}</Text>
+                {medication.genericName && medication.genericName !== medication.name && (
+                  <Text style={styles.medicationGeneric}>({medication.genericName})</Text>
+                )}
+                <Text style={styles.medicationDosage}>
+                  {formatDoseSpec(getCurrentDoseSpec(medication, now))}
                 </Text>
-              )}
-            </View>
+                {regimen && (
+                  <Text style={styles.medicationRegimen}>
+                    {[regimen.phaseLabel, regimen.nextChangeLabel].filter(Boolean).join(' • ')}
+                  </Text>
+                )}
+                {isArchivedMedication(medication) && (
+                  <Text style={styles.medicationArchived}>
+                    {formatDiscontinuation(medication)}
+                  </Text>
+                )}
+                {medication.prescribingDoctor && (
+                  <Text style={styles.medicationDoctor}>
+                    Prescribed by {medication.prescribingDoctor}
+                  </Text>
+                )}
+              </View>
             
-            <View style={styles.medicationActions}>
-              <MedicationStatusPill medication={medication} />
+              <View style={styles.medicationActions}>
+                <MedicationStatusPill medication={medication} />
               
-              {medication.adherenceRate && (
-                <View style={styles.adherenceContainer}>
-                  <Text style={styles.adherenceLabel}>Adherence</Text>
+                {medication.adherenceRate !== null && (
+                  <View style={styles.adherenceContainer}>
+                    <Text style={styles.adherenceLabel}>Adherence</Text>
+                    <Text style={[
+                      styles.adherenceValue,
+                      {
+                        color: medication.adherenceRate >= 90 
+                          ? COLORS.status.success.main
+                          : medication.adherenceRate >= 70
+                          ? COLORS.status.warning.main
+                          : COLORS.status.error.main
+                      }
+                    ]}>
+                      {medication.adherenceRate}%
+                    </Text>
+                  </View>
+                )}
+              </View>
+            </View>
+          
+            {prnStatus && (
+              <View style={styles.prnStatus}>
+                <StatusPill
+                  status={prnStatus.nextAllowedAt ? (prnStatus.blocked ? 'error' : 'warning') : 'success'}
+                  text={formatNextAllowed(prnStatus, now)}
+                  size="small"
+                />
+                <Text style={styles.prnStatusText}>
+                  {prnStatus.remaining !== null
+                    ? `${prnStatus.dosesInWindow} of ${medication.maxDosesPer24Hours} doses in ${PRN_WINDOW_HOURS}h`
+                    : `${prnStatus.dosesInWindow} doses in ${PRN_WINDOW_HOURS}h`
+                  }
+                </Text>
+              </View>
+            )}
+          
+            {upcomingDoses.length > 0 && (
+              <View style={styles.reminderTimes}>
+                <Text style={styles.reminderLabel}>Next doses:</Text>
+                <View style={styles.reminderTimesContainer}>
+                  {upcomingDoses.map((dose, timeIndex) => (
+                    <StatusPill
+                      key={timeIndex}
+                      status="info"
+                      text={regimen
+                        ? `${formatTimeOfDay(dose.scheduledAt)} · ${dose.dosage}`
+                        : formatTimeOfDay(dose.scheduledAt)
+                      }
+                      size="small"
+                      style={styles.reminderTime}
+                    />
+                  ))}
+                </View>
+              </View>
+            )}
+          
+            {(medication.refillsRemaining != null || supplyForecasts[medication.id]) && (
+              <View style={styles.refillInfo}>
+                <SupplyStatusPill
+                  forecast={supplyForecasts[medication.id]}
+                  style={styles.supplyPill}
+                />
+                {medication.refillsRemaining != null && (
                   <Text style={[
-                    styles.adherenceValue,
+                    styles.refillText,
                     {
-                      color: medication.adherenceRate >= 90 
-                        ? COLORS.status.success.main
-                        : medication.adherenceRate >= 70
+                      color: medication.refillsRemaining <= 1 
+                        ? COLORS.status.error.main 
+                        : medication.refillsRemaining <= 3
                         ? COLORS.status.warning.main
-                        : COLORS.status.error.main
+                        : COLORS.text.secondary
                     }
                   ]}>
-                    {medication.adherenceRate}%
+                    {medication.refillsRemaining > 0 
+                      ? `${medication.refillsRemaining} refills remaining`
+                      : 'No refills remaining - Contact doctor'
+                    }
                   </Text>
-                </View>
-              )}
-            </View>
-          </View>
-          
-          {medication.reminderTimes.length > 0 && (
-            <View style={styles.reminderTimes}>
-              <Text style={styles.reminderLabel}>Next doses:</Text>
-              <View style={styles.reminderTimesContainer}>
-                {medication.reminderTimes.map((time, timeIndex) => (
-                  <StatusPill
-                    key={timeIndex}
-                    status="info"
-                    text={time}
-                    size="small"
-                    style={styles.reminderTime}
-                  />
-                ))}
+                )}
               </View>
-            </View>
-          )}
-          
-          {medication.refillsRemaining !== null && (
-            <View style={styles.refillInfo}>
-              <Text style={[
-                styles.refillText,
-                {
-                  color: medication.refillsRemaining <= 1 
-                    ? COLORS.status.error.main 
-                    : medication.refillsRemaining <= 3
-                    ? COLORS.status.warning.main
-                    : COLORS.text.secondary
-                }
-              ]}>
-                {medication.refillsRemaining > 0 
-                  ? `${medication.refillsRemaining} refills remaining`
-                  : 'No refills remaining - Contact doctor'
-                }
-              </Text>
-            </View>
-          )}
-        </TouchableOpacity>
-      </MedicationSwipeCard>
-    </SlideInCard>
-  );
+            )}
+          </TouchableOpacity>
+        </MedicationSwipeCard>
+      </SlideInCard>
+    );
+  };
   
   // Render filter chips
   const renderFilterChips = () => (
@@ -513,9 +604,29 @@ const MedicationsScreen = () => {
             height={200}
           />
           
+          <WeeklyAdherenceCalendar
+            medications={medications}
+            adherenceData={adherenceData}
+            travel={travel}
+            style={styles.analyticsCalendar}
+          />
+          
+          {prnDoses.length > 0 && (
+            <DosagePatternChart
+              medications={medications}
+              adherenceData={adherenceData}
+              prnDoses={prnDoses}
+              timeRange="7d"
+              height={200}
+              style={styles.analyticsCalendar}
+            />
+          )}
+          
           <View style={styles.analyticsStats}>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>89%</Text>
+              <Text style={styles.statValue}>
+                {overallAdherence !== null ? `${overallAdherence}%` : '-'}
+              </Text>
               <Text style={styles.statLabel}>Overall Adherence</Text>
             </View>
             <View style={styles.statItem}>
@@ -523,7 +634,7 @@ const MedicationsScreen = () => {
               <Text style={styles.statLabel}>Active Medications</Text>
             </View>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>3</Text>
+              <Text style={styles.statValue}>{dueToday.length}</Text>
               <Text style={styles.statLabel}>Due Today</Text>
             </View>
           </View>
@@ -549,6 +660,12 @@ const MedicationsScreen = () => {
               size="small"
               leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.inverse }}>📊</Text>}
             />
+            <Button
+              onPress={() => navigation.navigate('ReminderSettings')}
+              variant="ghost"
+              size="small"
+              leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.inverse }}>🔔</Text>}
+            />
             <Button
               onPress={() => setShowFilters(true)}
               variant="ghost"
@@ -657,6 +774,60 @@ const MedicationsScreen = () => {
         </View>
       </BottomSheetModal>
       
+      {/* "As Needed" Dose Sheet */}
+      {prnMedication && (
+        <BottomSheetModal
+          visible={!!prnMedication}
+          onClose={() => setPrnMedication(null)}
+          title={`Log ${prnMedication.name}`}
+        >
+          <View style={styles.filtersContent}>
+            <Text style={styles.medicationDetailText}>
+              {formatDoseSpec(getCurrentDoseSpec(prnMedication, now))}
+            </Text>
+            {prnStatuses[prnMedication.id]?.nextAllowedAt && (
+              <Text style={[
+                styles.prnLimitText,
+                {
+                  color: prnStatuses[prnMedication.id].blocked
+                    ? COLORS.status.error.main
+                    : COLORS.status.warning.main,
+                }
+              ]}>
+                {formatNextAllowed(prnStatuses[prnMedication.id], now)}
+              </Text>
+            )}
+            
+            <Text style={styles.filterSectionTitle}>Reason or Symptom</Text>
+            <View style={styles.prnReasons}>
+              {PRN_REASON_OPTIONS.map((reason) => (
+                <Button
+                  key={reason}
+                  title={reason}
+                  variant={prnReason === reason ? 'primary' : 'outline'}
+                  size="small"
+                  onPress={() => setPrnReason(reason)}
+                />
+              ))}
+            </View>
+            <Input
+              placeholder="Or describe it..."
+              value={prnReason}
+              onChangeText={setPrnReason}
+              maxLength={100}
+            />
+            
+            <Button
+              title={prnStatuses[prnMedication.id]?.blocked ? 'Limit Reached' : 'Log Dose'}
+              onPress={() => handleLogPrnDose()}
+              loading={loggingPrn}
+              disabled={loggingPrn || prnStatuses[prnMedication.id]?.blocked}
+              style={styles.prnLogButton}
+            />
+          </View>
+        </BottomSheetModal>
+      )}
+      
       {/* Medication Details Modal */}
       {selectedMedication && (
         <Modal
@@ -667,36 +838,165 @@ const MedicationsScreen = () => {
         >
           <View style={styles.medicationDetails}>
             <Text style={styles.medicationDetailText}>
-              {selectedMedication.dosage} • {selectedMedication.frequency}
+              {formatDoseSpec(getCurrentDoseSpec(selectedMedication, now))}
             </Text>
+            {getRegimenStatus(selectedMedication, now) && (
+              <View style={styles.regimenPhases}>
+                {getSchedulePhases(selectedMedication).map((phase) => (
+                  <Text key={phase.index} style={styles.regimenPhaseText}>
+                    {`${phase.index + 1}. ${formatDoseSpec(phase)} · ${formatShortDate(phase.start)}`}
+                    {phase.end ? ` – ${formatShortDate(phase.end)}` : ' onward'}
+                  </Text>
+                ))}
+              </View>
+            )}
             {selectedMedication.instructions && (
               <Text style={styles.medicationInstructions}>
                 {selectedMedication.instructions}
               </Text>
             )}
             
-            <View style={styles.medicationActions}>
-              <Button
-                title="Edit"
-                onPress={() => {
-                  setSelectedMedication(null);
-                  handleMedicationEdit(selectedMedication);
-                }}
-                style={styles.medicationActionButton}
-              />
-              <Button
-                title="Delete"
-                variant="error"
-                onPress={() => {
-                  setSelectedMedication(null);
-                  handleMedicationDelete(selectedMedication);
-                }}
-                style={styles.medicationActionButton}
-              />
-            </View>
+            {isArchivedMedication(selectedMedication) && (
+              <Text style={styles.medicationArchived}>
+                {formatDiscontinuation(selectedMedication)}
+              </Text>
+            )}
+            
+            {selectedMedication.changeLog?.length > 0 && (
+              <View style={styles.doseHistory}>
+                <Text style={styles.doseHistoryTitle}>
+                  Changes from Visits
+                </Text>
+                {[...selectedMedication.changeLog].reverse().map((entry) => (
+                  <Text key={entry.id} style={styles.regimenPhaseText}>
+                    {`${formatShortDate(entry.at)} · ${describeMedicationChange(entry)}`}
+                    {` · ${entry.visit.doctorName || 'Visit'}, ${formatShortDate(entry.visit.dateTime)}`}
+                    {entry.note ? ` · ${entry.note}` : ''}
+                  </Text>
+                ))}
+              </View>
+            )}
+            
+            {selectedHistory.length > 0 && (
+              <View style={styles.doseHistory}>
+                <Text style={styles.doseHistoryTitle}>
+                  Dose History ({selectedHistory.length})
+                </Text>
+                {selectedHistory.slice(0, 5).map((event) => (
+                  <Text key={event.id} style={styles.regimenPhaseText}>
+                    {`${formatDoseEventTime(event)} · `}
+                    {event.status.charAt(0).toUpperCase() + event.status.slice(1)}
+                    {event.reason ? ` · ${event.reason}` : ''}
+                  </Text>
+                ))}
+              </View>
+            )}
+            
+            {isArchivedMedication(selectedMedication) ? (
+              <View style={styles.medicationActions}>
+                {!selectedMedication.restartedAs && (
+                  <Button
+                    title="Restart Medication"
+                    onPress={() => {
+                      setSelectedMedication(null);
+                      handleMedicationRestart(selectedMedication);
+                    }}
+                    style={styles.medicationActionButton}
+                  />
+                )}
+              </View>
+            ) : (
+              <View style={styles.medicationActions}>
+                {prnStatuses[selectedMedication.id] && (
+                  <Button
+                    title="Log Dose"
+                    variant="outline"
+                    onPress={() => {
+                      setSelectedMedication(null);
+                      handleOpenPrnLog(selectedMedication);
+                    }}
+                    style={styles.medicationActionButton}
+                  />
+                )}
+                <Button
+                  title="Edit"
+                  onPress={() => {
+                    setSelectedMedication(null);
+                    handleMedicationEdit(selectedMedication);
+                  }}
+                  style={styles.medicationActionButton}
+                />
+                {selectedMedication.inventory && (
+                  <Button
+                    title="Log Refill"
+                    variant="outline"
+                    onPress={() => {
+                      setSelectedMedication(null);
+                      handleLogRefill(selectedMedication);
+                    }}
+                    style={styles.medicationActionButton}
+                  />
+                )}
+                <Button
+                  title="Discontinue"
+                  variant="error"
+                  onPress={() => {
+                    setSelectedMedication(null);
+                    handleMedicationDiscontinue(selectedMedication);
+                  }}
+                  style={styles.medicationActionButton}
+                />
+              </View>
+            )}
           </View>
         </Modal>
       )}
+      
+      {/* Discontinue Sheet */}
+      {discontinuingMedication && (
+        <BottomSheetModal
+          visible={!!discontinuingMedication}
+          onClose={() => setDiscontinuingMedication(null)}
+          title={`Stop ${discontinuingMedication.name}`}
+        >
+          <View style={styles.filtersContent}>
+            <Text style={styles.filterSectionTitle}>Why are you stopping it?</Text>
+            {DISCONTINUE_REASONS.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                onPress={() => setDiscontinueReason(option.value)}
+                style={styles.sortOption}
+              >
+                <Text style={[
+                  styles.sortOptionText,
+                  { fontWeight: discontinueReason === option.value ? 'bold' : 'normal' }
+                ]}>
+                  {option.label}
+                </Text>
+                {discontinueReason === option.value && (
+                  <Text style={styles.sortOptionSelected}>✓</Text>
+                )}
+              </TouchableOpacity>
+            ))}
+            
+            <Input
+              placeholder="Notes (optional)"
+              value={discontinueNote}
+              onChangeText={setDiscontinueNote}
+              maxLength={200}
+              multiline
+            />
+            
+            <Button
+              title="Discontinue"
+              variant="error"
+              onPress={handleConfirmDiscontinue}
+              disabled={!discontinueReason}
+              style={styles.prnLogButton}
+            />
+          </View>
+        </BottomSheetModal>
+      )}
     </View>
   );
 };
@@ -774,6 +1074,10 @@ const styles = StyleSheet.create({
     // Additional analytics content styles
   },
   
+  analyticsCalendar: {
+    marginTop: SPACING.md,
+  },
+  
   analyticsStats: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -852,6 +1156,18 @@ const styles = StyleSheet.create({
     marginBottom: SPACING.xs,
   },
   
+  medicationRegimen: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.medical.medication.prescription,
+    marginBottom: SPACING.xs,
+  },
+  
+  medicationArchived: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.tertiary,
+    marginBottom: SPACING.xs,
+  },
+  
   medicationDoctor: {
     ...TYPOGRAPHY.bodySmall,
     color: COLORS.text.tertiary,
@@ -877,6 +1193,18 @@ const styles = StyleSheet.create({
   },
   
   // Reminder Times
+  prnStatus: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    marginBottom: SPACING.sm,
+  },
+  
+  prnStatusText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+  },
+  
   reminderTimes: {
     marginBottom: SPACING.sm,
   },
@@ -899,11 +1227,18 @@ const styles = StyleSheet.create({
   
   // Refill Info
   refillInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
     borderTopWidth: 1,
     borderTopColor: COLORS.border.light,
     paddingTop: SPACING.sm,
   },
   
+  supplyPill: {
+    marginRight: SPACING.sm,
+  },
+  
   refillText: {
     ...TYPOGRAPHY.bodySmall,
     fontWeight: '500',
@@ -978,6 +1313,43 @@ const styles = StyleSheet.create({
     marginBottom: SPACING.md,
   },
   
+  regimenPhases: {
+    gap: SPACING.xs,
+    marginBottom: SPACING.md,
+  },
+  
+  regimenPhaseText: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+  },
+  
+  doseHistory: {
+    marginBottom: SPACING.lg,
+  },
+  
+  doseHistoryTitle: {
+    ...TYPOGRAPHY.label,
+    marginBottom: SPACING.xs,
+  },
+  
+  // "As needed" dose sheet
+  prnLimitText: {
+    ...TYPOGRAPHY.bodySmall,
+    fontWeight: '600',
+    marginBottom: SPACING.md,
+  },
+  
+  prnReasons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.xs,
+    marginBottom: SPACING.md,
+  },
+  
+  prnLogButton: {
+    marginTop: SPACING.md,
+  },
+  
   medicationInstructions: {
     ...TYPOGRAPHY.bodyMedium,
     color: COLORS.text.secondary,
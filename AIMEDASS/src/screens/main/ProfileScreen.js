@@ -0,0 +1,81 @@
+/**
+ * MediAssist App - ProfileScreen
+ * The user's health profile, whose date of birth, conditions and target ranges drive vital ranges and alerts
+ */
+
+import React, { useEffect, useMemo } from 'react';
+import { StyleSheet } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
+
+// Components
+import ProfileForm from '../../components/forms/ProfileForm';
+
+// Redux
+import {
+  fetchVitalRangeProfile,
+  saveVitalRangeProfile,
+  selectVitalRangeProfile,
+  selectVitalsSaving,
+  selectVitalsError,
+} from '../../store/slices/vitalsSlice';
+import { selectUnitPreferences } from '../../store/slices/settingsSlice';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+
+const ProfileScreen = () => {
+  const navigation = useNavigation();
+  const dispatch = useDispatch();
+
+  // Redux state
+  const rangeProfile = useSelector(selectVitalRangeProfile);
+  const saving = useSelector(selectVitalsSaving);
+  const error = useSelector(selectVitalsError);
+  const units = useSelector(selectUnitPreferences);
+
+  useEffect(() => {
+    dispatch(fetchVitalRangeProfile());
+  }, [dispatch]);
+
+  const initialValues = useMemo(() => {
+    const { overrides, ...profile } = rangeProfile;
+    return { ...profile, vitalRangeOverrides: overrides };
+  }, [rangeProfile]);
+
+  // Handlers
+  const handleSave = async ({ vitalRangeOverrides, ...profile }) => {
+    try {
+      await dispatch(saveVitalRangeProfile({ ...profile, overrides: vitalRangeOverrides })).unwrap();
+    } catch (saveError) {
+      throw new Error(saveError || 'Unable to save profile. Please try again.');
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ProfileForm
+        // Remount once the stored profile has loaded, so the form starts from it
+        key={rangeProfile.updatedAt || 'new'}
+        initialValues={initialValues}
+        onSave={handleSave}
+        onCancel={() => navigation.goBack()}
+        saving={saving}
+        error={error}
+        units={units}
+        editMode
+        animateOnMount={false}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background.primary,
+  },
+});
+
+export default ProfileScreen;
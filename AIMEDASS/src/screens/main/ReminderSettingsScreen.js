@@ -0,0 +1,531 @@
+/**
+ * MediAssist App - ReminderSettingsScreen
+ * Snooze length, quiet hours, reminder batching and the caregiver, with a preview of today's reminders
+ */
+
+import React, { useState, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Switch,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import DatePicker from 'react-native-date-picker';
+
+// Components
+import AnimatedHeader from '../../components/common/AnimatedHeader';
+import Button from '../../components/common/Button';
+import Card from '../../components/common/Card';
+import Input from '../../components/common/Input';
+
+// Redux
+import { fetchMedications, selectAllMedications } from '../../store/slices/medicationSlice';
+import {
+  fetchSettings,
+  updateSettings,
+  selectSnoozeMinutes,
+  selectCaregiver,
+  selectQuietHours,
+  selectBatchWindowMinutes,
+  selectTravel,
+} from '../../store/slices/settingsSlice';
+
+// Utils
+import { getDayPreview } from '../../services/notifications/ReminderService';
+import {
+  SNOOZE_DURATION_OPTIONS,
+  BATCH_WINDOW_OPTIONS,
+  CAREGIVER_CHANNELS,
+  CAREGIVER_CHANNEL_OPTIONS,
+} from '../../utils/constants';
+import { atTimeOfDay, formatTimeOfDay, startOfDay } from '../../utils/dateUtils';
+import { getQuietHoursMinutes } from '../../utils/reminderTiming';
+import { formatTravelMode } from '../../utils/formatters';
+import { validateCaregiver } from '../../utils/validation';
+import { normalizeMeetingUrl } from '../../utils/telehealth';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+import { TYPOGRAPHY } from '../../styles/typography';
+import { SPACING, BORDER_RADIUS } from '../../styles/spacing';
+
+const MINUTES_PER_DAY = 24 * 60;
+const TIMELINE_LABELS = ['00', '06', '12', '18', '24'];
+
+const toDayPercent = minutes => `${(minutes / MINUTES_PER_DAY) * 100}%`;
+
+const minutesOfDay = (date) => {
+  const d = new Date(date);
+  return d.getHours() * 60 + d.getMinutes();
+};
+
+// Quiet hours as [start, end) minute ranges within one day; overnight hours split in two
+const getQuietSegments = (quietHours) => {
+  const length = getQuietHoursMinutes(quietHours);
+  if (!length) return [];
+
+  const start = minutesOfDay(atTimeOfDay(new Date(), quietHours.start));
+  const end = start + length;
+  return end <= MINUTES_PER_DAY
+    ? [[start, end]]
+    : [[start, MINUTES_PER_DAY], [0, end - MINUTES_PER_DAY]];
+};
+
+const toCaregiverDraft = (caregiver) => ({
+  name: caregiver?.name || '',
+  phone: caregiver?.phone || '',
+  channel: caregiver?.channel || CAREGIVER_CHANNELS.SMS,
+  endpoint: caregiver?.endpoint || '',
+});
+
+const ReminderSettingsScreen = () => {
+  const navigation = useNavigation();
+  const dispatch = useDispatch();
+
+  // Redux state
+  const medications = useSelector(selectAllMedications);
+  const snoozeMinutes = useSelector(selectSnoozeMinutes);
+  const caregiver = useSelector(selectCaregiver);
+  const quietHours = useSelector(selectQuietHours);
+  const batchWindowMinutes = useSelector(selectBatchWindowMinutes);
+  const travel = useSelector(selectTravel);
+
+  // Local state
+  const [editingQuietTime, setEditingQuietTime] = useState(null); // 'start' | 'end'
+  const [caregiverDraft, setCaregiverDraft] = useState(() => toCaregiverDraft(caregiver));
+  const [caregiverErrors, setCaregiverErrors] = useState({});
+
+  const preview = useMemo(
+    () => getDayPreview(medications, { quietHours, batchWindowMinutes, travel }, startOfDay(new Date())),
+    [medications, quietHours, batchWindowMinutes, travel]
+  );
+  const quietSegments = getQuietSegments(quietHours);
+
+  // Focus effect
+  useFocusEffect(
+    useCallback(() => {
+      dispatch(fetchMedications());
+      dispatch(fetchSettings());
+    }, [])
+  );
+
+  // Handlers
+  const handleQuietHoursChange = (changes) => {
+    dispatch(updateSettings({ quietHours: { ...quietHours, ...changes } }));
+  };
+
+  const handleSaveCaregiver = async () => {
+    const errors = validateCaregiver(caregiverDraft);
+    setCaregiverErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const usesEndpoint = caregiverDraft.channel === CAREGIVER_CHANNELS.PUSH;
+    try {
+      await dispatch(updateSettings({
+        caregiver: {
+          name: caregiverDraft.name.trim(),
+          phone: caregiverDraft.phone.trim(),
+          channel: caregiverDraft.channel,
+          endpoint: usesEndpoint ? normalizeMeetingUrl(caregiverDraft.endpoint) : '',
+        },
+      })).unwrap();
+      Alert.alert('Caregiver Saved', `${caregiverDraft.name.trim() || 'Your caregiver'} will be told about unconfirmed doses.`);
+    } catch (error) {
+      Alert.alert('Caregiver Not Saved', error || 'Failed to save your caregiver. Please try again.');
+    }
+  };
+
+  const handleRemoveCaregiver = () => {
+    dispatch(updateSettings({ caregiver: null }));
+    setCaregiverDraft(toCaregiverDraft(null));
+    setCaregiverErrors({});
+  };
+
+  // Render functions
+  const renderOptions = (options, selected, onSelect) => (
+    <View style={styles.options}>
+      {options.map((option) => (
+        <Button
+          key={option.value}
+          title={option.label}
+          variant={selected === option.value ? 'primary' : 'outline'}
+          size="small"
+          onPress={() => onSelect(option.value)}
+        />
+      ))}
+    </View>
+  );
+
+  const renderQuietHours = () => (
+    <Card variant="outlined" style={styles.section}>
+      <View style={styles.switchRow}>
+        <View style={styles.switchLabel}>
+          <Text style={styles.sectionTitle}>Quiet Hours</Text>
+          <Text style={styles.sectionHint}>
+            Medication reminders due now wait until quiet hours end. Medications set to remind
+            during quiet hours still ring.
+          </Text>
+        </View>
+        <Switch
+          value={quietHours.enabled}
+          onValueChange={(enabled) => handleQuietHoursChange({ enabled })}
+          trackColor={{ false: COLORS.neutral.gray[300], true: COLORS.primary.light }}
+          thumbColor={quietHours.enabled ? COLORS.primary.main : COLORS.neutral.gray[400]}
+        />
+      </View>
+
+      {quietHours.enabled && (
+        <View style={styles.quietTimes}>
+          {['start', 'end'].map(field => (
+            <TouchableOpacity
+              key={field}
+              style={styles.quietTime}
+              onPress={() => setEditingQuietTime(field)}
+            >
+              <Text style={styles.quietTimeLabel}>{field === 'start' ? 'From' : 'Until'}</Text>
+              <Text style={styles.quietTimeValue}>{quietHours[field]}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </Card>
+  );
+
+  const renderTimeline = () => (
+    <Card variant="outlined" style={styles.section}>
+      <Text style={styles.sectionTitle}>Today's Reminders</Text>
+      <Text style={styles.sectionHint}>When each dose reminder will ring with these settings</Text>
+
+      <View style={styles.timeline}>
+        {quietSegments.map(([start, end]) => (
+          <View
+            key={start}
+            style={[styles.timelineQuiet, { left: toDayPercent(start), width: toDayPercent(end - start) }]}
+          />
+        ))}
+        {preview.map(reminder => (
+          <View
+            key={reminder.fireAt}
+            style={[
+              styles.timelineMark,
+              reminder.doses.length > 1 && styles.timelineMarkBatched,
+              { left: toDayPercent(minutesOfDay(reminder.fireAt)) },
+            ]}
+          />
+        ))}
+      </View>
+      <View style={styles.timelineLabels}>
+        {TIMELINE_LABELS.map(label => (
+          <Text key={label} style={styles.timelineLabel}>{label}</Text>
+        ))}
+      </View>
+
+      {preview.length === 0 ? (
+        <Text style={styles.emptyText}>No dose reminders today</Text>
+      ) : preview.map(reminder => (
+        <View key={reminder.fireAt} style={styles.previewItem}>
+          <Text style={styles.previewTime}>{formatTimeOfDay(reminder.fireAt)}</Text>
+          <View style={styles.previewDoses}>
+            {reminder.doses.map(dose => {
+              const deferred = new Date(dose.scheduledAt) < new Date(reminder.fireAt);
+              return (
+                <View key={`${dose.medicationId}|${dose.scheduledAt}`}>
+                  <Text style={styles.previewName}>{dose.name}</Text>
+                  {(deferred || reminder.doses.length > 1) && (
+                    <Text style={styles.previewNote}>
+                      {deferred
+                        ? `Due ${formatTimeOfDay(dose.scheduledAt)} · moved past quiet hours`
+                        : `Due ${formatTimeOfDay(dose.scheduledAt)}`}
+                    </Text>
+                  )}
+                </View>
+              );
+            })}
+            {reminder.doses.length > 1 && (
+              <Text style={styles.previewBatch}>{reminder.doses.length} doses in one reminder</Text>
+            )}
+          </View>
+        </View>
+      ))}
+    </Card>
+  );
+
+  const renderCaregiver = () => (
+    <Card variant="outlined" style={styles.section}>
+      <Text style={styles.sectionTitle}>Caregiver</Text>
+      <Text style={styles.sectionHint}>
+        Told when a dose is still not confirmed after its last repeat reminder
+      </Text>
+      <Input
+        placeholder="Name"
+        value={caregiverDraft.name}
+        onChangeText={(name) => setCaregiverDraft(prev => ({ ...prev, name }))}
+        errorMessage={caregiverErrors.name}
+        maxLength={50}
+      />
+      <Input
+        placeholder="Phone number"
+        value={caregiverDraft.phone}
+        onChangeText={(phone) => setCaregiverDraft(prev => ({ ...prev, phone }))}
+        errorMessage={caregiverErrors.phone}
+        keyboardType="phone-pad"
+      />
+      {renderOptions(
+        CAREGIVER_CHANNEL_OPTIONS,
+        caregiverDraft.channel,
+        channel => setCaregiverDraft(prev => ({ ...prev, channel }))
+      )}
+      {caregiverDraft.channel === CAREGIVER_CHANNELS.PUSH && (
+        <Input
+          placeholder="https://push.example.com/caregiver"
+          value={caregiverDraft.endpoint}
+          onChangeText={(endpoint) => setCaregiverDraft(prev => ({ ...prev, endpoint }))}
+          errorMessage={caregiverErrors.endpoint}
+          autoCapitalize="none"
+          keyboardType="url"
+        />
+      )}
+
+      <Button title="Save Caregiver" onPress={handleSaveCaregiver} />
+      {caregiver && (
+        <Button
+          title="Remove Caregiver"
+          variant="ghost"
+          onPress={handleRemoveCaregiver}
+        />
+      )}
+    </Card>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AnimatedHeader
+        title="Reminders"
+        variant="medical"
+        leftAction={
+          <Button
+            onPress={() => navigation.goBack()}
+            variant="ghost"
+            size="small"
+            leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.inverse }}>✕</Text>}
+          />
+        }
+      />
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {renderQuietHours()}
+
+        <Card variant="outlined" style={styles.section}>
+          <Text style={styles.sectionTitle}>Combine Nearby Doses</Text>
+          <Text style={styles.sectionHint}>
+            Doses due within this long of each other share one reminder, at the earliest time
+          </Text>
+          {renderOptions(
+            BATCH_WINDOW_OPTIONS,
+            batchWindowMinutes,
+            value => dispatch(updateSettings({ batchWindowMinutes: value }))
+          )}
+        </Card>
+
+        {renderTimeline()}
+
+        {travel && (
+          <Card
+            variant="outlined"
+            style={styles.section}
+            onPress={() => navigation.navigate('TravelMode')}
+          >
+            <Text style={styles.sectionTitle}>Travel Mode ›</Text>
+            <Text style={styles.sectionHint}>
+              {`${formatTravelMode(travel)}. Choose how they follow you across time zones.`}
+            </Text>
+          </Card>
+        )}
+
+        <Card variant="outlined" style={styles.section}>
+          <Text style={styles.sectionTitle}>Snooze Length</Text>
+          <Text style={styles.sectionHint}>How long "Snooze" on a dose reminder puts it off</Text>
+          {renderOptions(
+            SNOOZE_DURATION_OPTIONS,
+            snoozeMinutes,
+            value => dispatch(updateSettings({ snoozeMinutes: value }))
+          )}
+        </Card>
+
+        {renderCaregiver()}
+      </ScrollView>
+
+      <DatePicker
+        modal
+        open={!!editingQuietTime}
+        date={atTimeOfDay(new Date(), quietHours[editingQuietTime] || quietHours.start)}
+        mode="time"
+        onConfirm={(time) => {
+          handleQuietHoursChange({ [editingQuietTime]: formatTimeOfDay(time) });
+          setEditingQuietTime(null);
+        }}
+        onCancel={() => setEditingQuietTime(null)}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background.primary,
+  },
+
+  content: {
+    padding: SPACING.lg,
+    paddingBottom: SPACING.xxl,
+  },
+
+  section: {
+    marginBottom: SPACING.md,
+  },
+
+  sectionTitle: {
+    ...TYPOGRAPHY.h6,
+    marginBottom: SPACING.xs,
+  },
+
+  sectionHint: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+    marginBottom: SPACING.md,
+  },
+
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.xs,
+    marginBottom: SPACING.md,
+  },
+
+  // Quiet hours
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+
+  switchLabel: {
+    flex: 1,
+    marginRight: SPACING.md,
+  },
+
+  quietTimes: {
+    flexDirection: 'row',
+    gap: SPACING.sm,
+  },
+
+  quietTime: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: COLORS.border.medium,
+    borderRadius: BORDER_RADIUS.md,
+    padding: SPACING.md,
+    backgroundColor: COLORS.background.surface,
+  },
+
+  quietTimeLabel: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+  },
+
+  quietTimeValue: {
+    ...TYPOGRAPHY.h5,
+    color: COLORS.text.primary,
+  },
+
+  // Timeline
+  timeline: {
+    height: 24,
+    borderRadius: BORDER_RADIUS.sm,
+    backgroundColor: COLORS.neutral.gray[100],
+    overflow: 'hidden',
+  },
+
+  timelineQuiet: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    backgroundColor: COLORS.neutral.gray[300],
+  },
+
+  timelineMark: {
+    position: 'absolute',
+    top: 4,
+    bottom: 4,
+    width: 3,
+    marginLeft: -1,
+    borderRadius: 2,
+    backgroundColor: COLORS.primary.main,
+  },
+
+  timelineMarkBatched: {
+    width: 5,
+    marginLeft: -2,
+    backgroundColor: COLORS.status.warning.main,
+  },
+
+  timelineLabels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: SPACING.xs,
+    marginBottom: SPACING.md,
+  },
+
+  timelineLabel: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.tertiary,
+  },
+
+  previewItem: {
+    flexDirection: 'row',
+    paddingVertical: SPACING.sm,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border.light,
+  },
+
+  previewTime: {
+    ...TYPOGRAPHY.bodyMedium,
+    fontWeight: '600',
+    color: COLORS.text.primary,
+    width: 56,
+  },
+
+  previewDoses: {
+    flex: 1,
+    gap: SPACING.xs,
+  },
+
+  previewName: {
+    ...TYPOGRAPHY.bodyMedium,
+    color: COLORS.text.primary,
+  },
+
+  previewNote: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+  },
+
+  previewBatch: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.status.warning.dark,
+  },
+
+  emptyText: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+    textAlign: 'center',
+  },
+});
+
+export default ReminderSettingsScreen;
@@ -0,0 +1,356 @@
+/**
+ * MediAssist App - TravelModeScreen
+ * Choose how dose times follow a new time zone, with a preview of the next few days before applying
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
+
+// Components
+import AnimatedHeader from '../../components/common/AnimatedHeader';
+import Button from '../../components/common/Button';
+import Card from '../../components/common/Card';
+import StatusPill from '../../components/common/StatusPill';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+// Redux
+import { selectActiveMedications } from '../../store/slices/medicationSlice';
+import { applyTravelMode, selectTravel, selectSettingsSaving } from '../../store/slices/settingsSlice';
+
+// Utils
+import {
+  TRAVEL_MODES,
+  TRAVEL_MODE_OPTIONS,
+  TRAVEL_SHIFT_HOURS_OPTIONS,
+  DEFAULT_TRAVEL_SHIFT_HOURS,
+  TRAVEL_PREVIEW_DAYS,
+} from '../../utils/constants';
+import {
+  addDays,
+  endOfDay,
+  formatTimeOfDay,
+  getScheduleForRange,
+  isAsNeeded,
+  startOfDay,
+} from '../../utils/dateUtils';
+import { formatShortDate, formatTravelMode } from '../../utils/formatters';
+import {
+  formatOffsetDifference,
+  formatTimeInZone,
+  getDeviceTimeZone,
+  getTimeZoneLabel,
+  getTimeZoneOffset,
+} from '../../utils/timeZones';
+import { addTravelZone, getScheduleTimeZone, keepsHomeTime } from '../../utils/travel';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+import { TYPOGRAPHY } from '../../styles/typography';
+import { SPACING, BORDER_RADIUS } from '../../styles/spacing';
+
+// Upcoming doses per day under some travel settings: [{ day, doses: [{ medication, scheduledAt }] }]
+const getPreviewDays = (medications, travel, now) => {
+  const scheduled = medications.filter(med => !isAsNeeded(med));
+  const byId = Object.fromEntries(scheduled.map(med => [med.id, med]));
+
+  return Array.from({ length: TRAVEL_PREVIEW_DAYS }, (_, index) => {
+    const day = addDays(startOfDay(now), index);
+    const doses = getScheduleForRange(scheduled, index === 0 ? now : day, endOfDay(day), travel)
+      .map(dose => ({ medication: byId[dose.medicationId], scheduledAt: dose.scheduledAt }));
+    return { day, doses };
+  });
+};
+
+const TravelModeScreen = () => {
+  const navigation = useNavigation();
+  const dispatch = useDispatch();
+
+  // Redux state
+  const medications = useSelector(selectActiveMedications);
+  const travel = useSelector(selectTravel);
+  const saving = useSelector(selectSettingsSaving);
+
+  // Local state
+  const [now] = useState(() => new Date());
+  const [mode, setMode] = useState(TRAVEL_MODES.LOCAL);
+  const [shiftHoursPerDay, setShiftHoursPerDay] = useState(DEFAULT_TRAVEL_SHIFT_HOURS);
+
+  const timeZone = getDeviceTimeZone();
+  const homeTimeZone = travel?.homeTimeZone;
+  const scheduleTimeZone = getScheduleTimeZone(travel);
+  const offsetFromHome = homeTimeZone
+    ? getTimeZoneOffset(now, timeZone) - getTimeZoneOffset(now, homeTimeZone)
+    : 0;
+
+  const candidate = useMemo(
+    () => (travel ? addTravelZone(travel, { timeZone, mode, shiftHoursPerDay, now }) : null),
+    [travel, timeZone, mode, shiftHoursPerDay, now]
+  );
+  const previewDays = useMemo(
+    () => (candidate ? getPreviewDays(medications, candidate, now) : []),
+    [medications, candidate, now]
+  );
+  const currentTimes = useMemo(() => new Set(
+    (travel ? getPreviewDays(medications, travel, now) : [])
+      .flatMap(({ doses }) => doses.map(dose => `${dose.medication.id}|${dose.scheduledAt}`))
+  ), [medications, travel, now]);
+
+  // Handlers
+  const handleApply = async () => {
+    try {
+      await dispatch(applyTravelMode({ timeZone, mode, shiftHoursPerDay })).unwrap();
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert('Travel Mode Not Applied', error || 'Failed to update your dose times. Please try again.');
+    }
+  };
+
+  // Render functions
+  const renderModeOption = (option) => {
+    const selected = mode === option.value;
+    return (
+      <TouchableOpacity
+        key={option.value}
+        style={[styles.modeOption, selected && styles.modeOptionSelected]}
+        onPress={() => setMode(option.value)}
+      >
+        <Text style={[styles.modeLabel, selected && styles.modeLabelSelected]}>
+          {option.label}
+        </Text>
+        <Text style={styles.modeDescription}>{option.description}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderDose = ({ medication, scheduledAt }) => {
+    const moved = !currentTimes.has(`${medication.id}|${scheduledAt}`);
+    const homeTime = homeTimeZone && offsetFromHome !== 0 ? formatTimeInZone(scheduledAt, homeTimeZone) : null;
+
+    return (
+      <View key={`${medication.id}|${scheduledAt}`} style={styles.previewDose}>
+        <Text style={[styles.previewTime, moved && styles.previewTimeMoved]}>
+          {formatTimeOfDay(scheduledAt)}
+        </Text>
+        <View style={styles.previewInfo}>
+          <Text style={styles.previewName}>{medication.name}</Text>
+          {homeTime && (
+            <Text style={styles.previewHint}>
+              {`${homeTime} in ${getTimeZoneLabel(homeTimeZone)}`}
+            </Text>
+          )}
+        </View>
+        {keepsHomeTime(medication) && (
+          <StatusPill status="info" text="Home time" size="small" />
+        )}
+      </View>
+    );
+  };
+
+  const renderPreview = () => (
+    <Card variant="outlined" style={styles.section}>
+      <Text style={styles.sectionTitle}>Your Next Doses</Text>
+      <Text style={styles.sectionHint}>
+        Local times on this phone. Times in bold change when you apply this.
+      </Text>
+      {previewDays.map(({ day, doses }) => (
+        <View key={day.toISOString()} style={styles.previewDay}>
+          <Text style={styles.previewDayTitle}>{formatShortDate(day)}</Text>
+          {doses.length ? doses.map(renderDose) : (
+            <Text style={styles.previewHint}>No scheduled doses</Text>
+          )}
+        </View>
+      ))}
+    </Card>
+  );
+
+  // The home time zone is recorded on app start (see useTravelMode)
+  if (!travel) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <LoadingSpinner message="Loading travel mode..." />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AnimatedHeader
+        title="Travel Mode"
+        variant="medical"
+        leftAction={
+          <Button
+            onPress={() => navigation.goBack()}
+            variant="ghost"
+            size="small"
+            leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.inverse }}>✕</Text>}
+          />
+        }
+      />
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Card variant="outlined" style={styles.section}>
+          <Text style={styles.sectionTitle}>
+            {`This phone is on ${getTimeZoneLabel(timeZone)} time`}
+          </Text>
+          <Text style={styles.sectionHint}>
+            {offsetFromHome !== 0
+              ? `${formatOffsetDifference(offsetFromHome)} from home (${getTimeZoneLabel(homeTimeZone)}). `
+              : ''}
+            {formatTravelMode(travel, now)}
+            {scheduleTimeZone !== timeZone ? ' until you choose below.' : '.'}
+          </Text>
+        </Card>
+
+        <Card variant="outlined" style={styles.section}>
+          <Text style={styles.sectionTitle}>How Should Doses Follow You?</Text>
+          <Text style={styles.sectionHint}>
+            Birth control pills and anti-rejection medicines keep home time whatever you choose.
+            You can change this for any medication when editing it.
+          </Text>
+          {TRAVEL_MODE_OPTIONS.map(renderModeOption)}
+
+          {mode === TRAVEL_MODES.GRADUAL && (
+            <View style={styles.options}>
+              {TRAVEL_SHIFT_HOURS_OPTIONS.map((option) => (
+                <Button
+                  key={option.value}
+                  title={option.label}
+                  variant={shiftHoursPerDay === option.value ? 'primary' : 'outline'}
+                  size="small"
+                  onPress={() => setShiftHoursPerDay(option.value)}
+                />
+              ))}
+            </View>
+          )}
+        </Card>
+
+        {renderPreview()}
+
+        <Button
+          title="Apply"
+          onPress={handleApply}
+          loading={saving}
+          disabled={saving}
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background.primary,
+  },
+
+  content: {
+    padding: SPACING.lg,
+    paddingBottom: SPACING.xxl,
+  },
+
+  section: {
+    marginBottom: SPACING.md,
+  },
+
+  sectionTitle: {
+    ...TYPOGRAPHY.h6,
+    marginBottom: SPACING.xs,
+  },
+
+  sectionHint: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+    marginBottom: SPACING.md,
+  },
+
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.xs,
+    marginTop: SPACING.sm,
+  },
+
+  // Modes
+  modeOption: {
+    borderWidth: 1,
+    borderColor: COLORS.border.medium,
+    borderRadius: BORDER_RADIUS.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.sm,
+  },
+
+  modeOptionSelected: {
+    borderColor: COLORS.primary.main,
+    backgroundColor: COLORS.primary.light + '20',
+  },
+
+  modeLabel: {
+    ...TYPOGRAPHY.bodyMedium,
+    fontWeight: '600',
+    color: COLORS.text.primary,
+  },
+
+  modeLabelSelected: {
+    color: COLORS.primary.main,
+  },
+
+  modeDescription: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+  },
+
+  // Preview
+  previewDay: {
+    marginBottom: SPACING.md,
+  },
+
+  previewDayTitle: {
+    ...TYPOGRAPHY.label,
+    color: COLORS.text.secondary,
+    marginBottom: SPACING.xs,
+  },
+
+  previewDose: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.xs,
+  },
+
+  previewTime: {
+    ...TYPOGRAPHY.bodyMedium,
+    color: COLORS.text.primary,
+    width: 56,
+  },
+
+  previewTimeMoved: {
+    fontWeight: '700',
+    color: COLORS.primary.main,
+  },
+
+  previewInfo: {
+    flex: 1,
+    marginRight: SPACING.sm,
+  },
+
+  previewName: {
+    ...TYPOGRAPHY.bodyMedium,
+    color: COLORS.text.primary,
+  },
+
+  previewHint: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+  },
+});
+
+export default TravelModeScreen;
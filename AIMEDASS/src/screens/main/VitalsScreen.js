@@ -0,0 +1,699 @@
+/**
+ * MediAssist App - VitalsScreen
+ * Vital sign history with trend charts, manual reading entry and alert rules
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  Switch,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { useFocusEffect, useRoute } from '@react-navigation/native';
+
+// Components
+import AnimatedHeader from '../../components/common/AnimatedHeader';
+import Button, { FAB } from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import Modal from '../../components/common/Modal';
+import StatusPill, { VitalStatusPill } from '../../components/common/StatusPill';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import FadeInView from '../../components/animations/FadeInView';
+import HealthChart, {
+  BloodPressureChart,
+  HeartRateChart,
+  GlucoseChart,
+  WeightChart,
+} from '../../components/charts/HealthChart';
+import VitalForm from '../../components/forms/VitalForm';
+import AlertRuleForm from '../../components/forms/AlertRuleForm';
+import VitalAlertList, { promptEmergencyContact } from '../../components/common/VitalAlerts';
+
+// Redux
+import {
+  fetchVitals,
+  fetchVitalRangeProfile,
+  fetchVitalAlerts,
+  saveVitalAlertSettings,
+  acknowledgeVitalAlert,
+  addVitalReading,
+  updateVitalReading,
+  deleteVitalReading,
+  selectVitalReadingsByType,
+  selectVitalSeries,
+  selectVitalRanges,
+  selectActiveVitalAlerts,
+  selectVitalAlertRules,
+  selectEmergencyContact,
+  selectVitalsLoading,
+  selectVitalsSaving,
+  selectVitalsError,
+} from '../../store/slices/vitalsSlice';
+import {
+  fetchSettings,
+  updateSettings,
+  selectUnitSystem,
+  selectGlucoseUnit,
+  selectUnitPreferences,
+} from '../../store/slices/settingsSlice';
+import {
+  VITAL_TYPES,
+  VITAL_DEFINITIONS,
+  GLUCOSE_MEAL_CONTEXTS,
+  UNIT_SYSTEM_OPTIONS,
+  GLUCOSE_UNIT_OPTIONS,
+} from '../../utils/constants';
+import { formatVitalReading, formatShortDate } from '../../utils/formatters';
+import { formatTimeOfDay } from '../../utils/dateUtils';
+import { getVitalRange } from '../../utils/vitalRanges';
+import { DEFAULT_ALERT_RULES, describeAlertRule } from '../../utils/vitalAlerts';
+import { getDisplayUnit, seriesToDisplay, rangeToDisplay } from '../../utils/units';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+import { TYPOGRAPHY } from '../../styles/typography';
+import { SPACING, BORDER_RADIUS } from '../../styles/spacing';
+
+// Charts with a medical preset; other vitals use a plain HealthChart
+const PRESET_CHARTS = {
+  [VITAL_TYPES.BLOOD_PRESSURE]: BloodPressureChart,
+  [VITAL_TYPES.HEART_RATE]: HeartRateChart,
+  [VITAL_TYPES.GLUCOSE]: GlucoseChart,
+  [VITAL_TYPES.WEIGHT]: WeightChart,
+};
+
+const VitalsScreen = () => {
+  const route = useRoute();
+  const dispatch = useDispatch();
+
+  // Local state
+  const [selectedType, setSelectedType] = useState(route.params?.type || VITAL_TYPES.BLOOD_PRESSURE);
+  const [mealContext, setMealContext] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [editingReading, setEditingReading] = useState(null);
+  const [rulesOpen, setRulesOpen] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [contactDraft, setContactDraft] = useState({ name: '', phone: '' });
+
+  // Redux state
+  const readings = useSelector(state => selectVitalReadingsByType(state, selectedType));
+  const series = useSelector(state => selectVitalSeries(state, selectedType, { mealContext }));
+  const ranges = useSelector(selectVitalRanges);
+  const activeAlerts = useSelector(selectActiveVitalAlerts);
+  const alertRules = useSelector(selectVitalAlertRules);
+  const emergencyContact = useSelector(selectEmergencyContact);
+  const loading = useSelector(selectVitalsLoading);
+  const saving = useSelector(selectVitalsSaving);
+  const error = useSelector(selectVitalsError);
+  const unitSystem = useSelector(selectUnitSystem);
+  const glucoseUnit = useSelector(selectGlucoseUnit);
+  const units = useSelector(selectUnitPreferences);
+
+  const definition = VITAL_DEFINITIONS[selectedType];
+  const ChartComponent = PRESET_CHARTS[selectedType] || HealthChart;
+  const chartRange = rangeToDisplay(getVitalRange(ranges, selectedType), selectedType, units);
+
+  // Focus effect
+  useFocusEffect(
+    useCallback(() => {
+      dispatch(fetchVitals());
+      dispatch(fetchVitalRangeProfile());
+      dispatch(fetchVitalAlerts());
+      dispatch(fetchSettings());
+    }, [])
+  );
+
+  // Handlers
+  const handleSelectType = (type) => {
+    setSelectedType(type);
+    setMealContext(null);
+  };
+
+  const handleOpenForm = (reading = null) => {
+    setEditingReading(reading);
+    setFormOpen(true);
+  };
+
+  const handleSave = async (values) => {
+    const { alerts } = editingReading
+      ? await dispatch(updateVitalReading({ id: editingReading.id, changes: values })).unwrap()
+      : await dispatch(addVitalReading(values)).unwrap();
+
+    setSelectedType(values.type);
+    setFormOpen(false);
+    setEditingReading(null);
+    promptEmergencyContact(alerts, emergencyContact);
+  };
+
+  const handleOpenRules = () => {
+    setContactDraft({
+      name: emergencyContact?.name || '',
+      phone: emergencyContact?.phone || '',
+    });
+    setEditingRule(null);
+    setRulesOpen(true);
+  };
+
+  const handleSaveRule = async (rule) => {
+    const exists = alertRules.some(item => item.id === rule.id);
+    const rules = exists
+      ? alertRules.map(item => (item.id === rule.id ? rule : item))
+      : [...alertRules, rule];
+
+    await dispatch(saveVitalAlertSettings({ rules })).unwrap();
+    setEditingRule(null);
+  };
+
+  const handleDeleteRule = (rule) => {
+    Alert.alert(
+      'Delete Rule',
+      `Stop checking readings for "${rule.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await dispatch(saveVitalAlertSettings({ rules: alertRules.filter(item => item.id !== rule.id) }));
+            setEditingRule(null);
+          },
+        },
+      ]
+    );
+  };
+
+  const handleToggleRule = (rule, enabled) => {
+    dispatch(saveVitalAlertSettings({
+      rules: alertRules.map(item => (item.id === rule.id ? { ...item, enabled } : item)),
+    }));
+  };
+
+  const handleRestoreDefaultRules = () => {
+    Alert.alert(
+      'Restore Default Rules',
+      'Your custom rules will be replaced with the defaults.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Restore', onPress: () => dispatch(saveVitalAlertSettings({ rules: DEFAULT_ALERT_RULES })) },
+      ]
+    );
+  };
+
+  const handleSaveContact = () => {
+    const phone = contactDraft.phone.trim();
+    dispatch(saveVitalAlertSettings({
+      emergencyContact: phone ? { name: contactDraft.name.trim(), phone } : null,
+    }));
+  };
+
+  const handleReadingPress = (reading) => {
+    Alert.alert(
+      formatVitalReading(reading, units),
+      new Date(reading.measuredAt).toLocaleString(),
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Edit', onPress: () => handleOpenForm(reading) },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => dispatch(deleteVitalReading(reading.id)),
+        },
+      ]
+    );
+  };
+
+  // Render functions
+  const renderTypeChips = () => (
+    <FlatList
+      horizontal
+      data={Object.entries(VITAL_DEFINITIONS)}
+      keyExtractor={([type]) => type}
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.chipsContent}
+      renderItem={({ item: [type, typeDefinition] }) => (
+        <TouchableOpacity
+          onPress={() => handleSelectType(type)}
+          style={[
+            styles.chip,
+            selectedType === type && styles.chipSelected,
+          ]}
+        >
+          <Text style={[
+            styles.chipText,
+            selectedType === type && styles.chipTextSelected,
+          ]}>
+            {typeDefinition.icon} {typeDefinition.label}
+          </Text>
+        </TouchableOpacity>
+      )}
+    />
+  );
+
+  const renderMealContextChips = () => selectedType === VITAL_TYPES.GLUCOSE && (
+    <View style={styles.mealContexts}>
+      {[{ value: null, label: 'All' }, ...GLUCOSE_MEAL_CONTEXTS].map((context) => (
+        <TouchableOpacity
+          key={context.label}
+          onPress={() => setMealContext(context.value)}
+          style={[
+            styles.chip,
+            mealContext === context.value && styles.chipSelected,
+          ]}
+        >
+          <Text style={[
+            styles.chipText,
+            mealContext === context.value && styles.chipTextSelected,
+          ]}>
+            {context.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderChart = () => (
+    <View style={styles.chartContainer}>
+      <ChartComponent
+        data={seriesToDisplay(series, selectedType, units)}
+        timeRange="1m"
+        unit={getDisplayUnit(selectedType, units)}
+        units={units}
+        normalRange={chartRange?.normalRange}
+        criticalRange={chartRange?.criticalRange}
+        height={200}
+      />
+    </View>
+  );
+
+  const renderRule = (rule) => (
+    <TouchableOpacity
+      key={rule.id}
+      onPress={() => setEditingRule(rule)}
+      style={styles.ruleItem}
+    >
+      <View style={styles.ruleInfo}>
+        <Text style={styles.ruleName}>{rule.name}</Text>
+        <Text style={styles.ruleDescription}>
+          {[VITAL_DEFINITIONS[rule.vitalType]?.label || 'Any vital', describeAlertRule(rule, units)].join(' · ')}
+        </Text>
+        <StatusPill
+          status={rule.severity}
+          text={rule.severity.toUpperCase()}
+          size="small"
+          style={{ alignSelf: 'flex-start', marginTop: SPACING.xs }}
+        />
+      </View>
+
+      <Switch
+        value={rule.enabled}
+        onValueChange={(enabled) => handleToggleRule(rule, enabled)}
+        trackColor={{
+          false: COLORS.neutral.gray[300],
+          true: COLORS.primary.light,
+        }}
+        thumbColor={rule.enabled ? COLORS.primary.main : COLORS.neutral.gray[400]}
+      />
+    </TouchableOpacity>
+  );
+
+  const renderUnitChips = (options, selected, onSelect) => (
+    <View style={styles.unitOptions}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option.value}
+          onPress={() => onSelect(option.value)}
+          style={[
+            styles.chip,
+            selected === option.value && styles.chipSelected,
+          ]}
+        >
+          <Text style={[
+            styles.chipText,
+            selected === option.value && styles.chipTextSelected,
+          ]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderRules = () => (
+    <View style={styles.rulesContent}>
+      <Text style={styles.sectionTitle}>Units</Text>
+      {renderUnitChips(UNIT_SYSTEM_OPTIONS, unitSystem, value => dispatch(updateSettings({ unitSystem: value })))}
+      {renderUnitChips(GLUCOSE_UNIT_OPTIONS, glucoseUnit, value => dispatch(updateSettings({ glucoseUnit: value })))}
+
+      <Text style={styles.sectionTitle}>Emergency Contact</Text>
+      <Input
+        label="Name"
+        placeholder="Jane Doe"
+        value={contactDraft.name}
+        onChangeText={(name) => setContactDraft(draft => ({ ...draft, name }))}
+      />
+      <Input
+        label="Phone"
+        placeholder="(555) 123-4567"
+        value={contactDraft.phone}
+        onChangeText={(phone) => setContactDraft(draft => ({ ...draft, phone }))}
+        keyboardType="phone-pad"
+      />
+      <Button
+        title="Save Contact"
+        onPress={handleSaveContact}
+        variant="outline"
+        size="small"
+        loading={saving}
+        style={{ alignSelf: 'flex-start', marginBottom: SPACING.lg }}
+      />
+
+      <Text style={styles.sectionTitle}>Rules</Text>
+      {alertRules.map(renderRule)}
+
+      <View style={styles.rulesActions}>
+        <Button
+          title="Restore Defaults"
+          onPress={handleRestoreDefaultRules}
+          variant="outline"
+          style={{ flex: 1 }}
+        />
+        <Button
+          title="Add Rule"
+          onPress={() => setEditingRule({})}
+          variant="primary"
+          style={{ flex: 1 }}
+        />
+      </View>
+    </View>
+  );
+
+  const renderReading = ({ item: reading }) => (
+    <TouchableOpacity
+      onPress={() => handleReadingPress(reading)}
+      style={styles.readingItem}
+    >
+      <View style={styles.readingHeader}>
+        <View style={styles.readingSummary}>
+          <Text style={styles.readingValue}>{formatVitalReading(reading, units)}</Text>
+          <VitalStatusPill vital={reading} ranges={ranges} />
+        </View>
+        <Text style={styles.readingTime}>
+          {`${formatShortDate(reading.measuredAt)} ${formatTimeOfDay(reading.measuredAt)}`}
+        </Text>
+      </View>
+
+      {reading.tags?.length > 0 && (
+        <View style={styles.readingTags}>
+          {reading.tags.map(tag => (
+            <StatusPill key={tag} status="neutral" text={tag} size="small" />
+          ))}
+        </View>
+      )}
+
+      {!!reading.note && (
+        <Text style={styles.readingNote}>{reading.note}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <AnimatedHeader
+        title="Vitals"
+        variant="medical"
+        rightAction={
+          <Button
+            onPress={handleOpenRules}
+            variant="ghost"
+            size="small"
+            leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.inverse }}>🔔</Text>}
+          />
+        }
+      />
+
+      {renderTypeChips()}
+
+      {loading && !readings.length ? (
+        <View style={styles.loadingContainer}>
+          <LoadingSpinner message="Loading vitals..." />
+        </View>
+      ) : (
+        <FlatList
+          data={readings}
+          keyExtractor={(item) => item.id}
+          renderItem={renderReading}
+          ListHeaderComponent={
+            <View>
+              <VitalAlertList
+                alerts={activeAlerts}
+                emergencyContact={emergencyContact}
+                onDismiss={(alert) => dispatch(acknowledgeVitalAlert(alert.id))}
+              />
+              {renderMealContextChips()}
+              {renderChart()}
+              <Text style={styles.sectionTitle}>History</Text>
+            </View>
+          }
+          ListEmptyComponent={
+            <FadeInView style={styles.emptyContainer}>
+              <Text style={styles.emptyIcon}>{definition.icon}</Text>
+              <Text style={styles.emptyTitle}>No {definition.label} Readings</Text>
+              <Text style={styles.emptySubtitle}>
+                Tap + to log your first reading
+              </Text>
+            </FadeInView>
+          }
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+
+      <FAB
+        icon={<Text style={{ fontSize: 24, color: COLORS.text.inverse }}>+</Text>}
+        onPress={() => handleOpenForm()}
+        variant="medical"
+        position="bottomRight"
+      />
+
+      <Modal
+        visible={formOpen}
+        onClose={() => setFormOpen(false)}
+        title={editingReading ? 'Edit Reading' : 'Log Reading'}
+        variant="bottom"
+      >
+        <VitalForm
+          key={editingReading?.id || 'new'}
+          initialValues={editingReading || {}}
+          initialType={selectedType}
+          units={units}
+          editMode={!!editingReading}
+          onSave={handleSave}
+          onCancel={() => setFormOpen(false)}
+          saving={saving}
+          error={error}
+        />
+      </Modal>
+
+      <Modal
+        visible={rulesOpen}
+        onClose={() => setRulesOpen(false)}
+        title={editingRule ? (editingRule.id ? 'Edit Rule' : 'New Rule') : 'Vitals Settings'}
+        variant="bottom"
+      >
+        {editingRule ? (
+          <AlertRuleForm
+            key={editingRule.id || 'new'}
+            initialValues={editingRule}
+            units={units}
+            onSave={handleSaveRule}
+            onDelete={handleDeleteRule}
+            onCancel={() => setEditingRule(null)}
+            saving={saving}
+          />
+        ) : renderRules()}
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background.primary,
+  },
+
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  // Chips
+  chipsContent: {
+    paddingHorizontal: SPACING.lg,
+    paddingVertical: SPACING.md,
+    gap: SPACING.sm,
+  },
+
+  chip: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.pill,
+    backgroundColor: COLORS.neutral.gray[100],
+  },
+
+  chipSelected: {
+    backgroundColor: COLORS.primary.main,
+  },
+
+  chipText: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+  },
+
+  chipTextSelected: {
+    color: COLORS.text.inverse,
+    fontWeight: '600',
+  },
+
+  mealContexts: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.xs,
+    marginBottom: SPACING.md,
+  },
+
+  // Chart
+  chartContainer: {
+    backgroundColor: COLORS.background.surface,
+    borderRadius: BORDER_RADIUS.lg,
+    padding: SPACING.md,
+    marginBottom: SPACING.lg,
+  },
+
+  sectionTitle: {
+    ...TYPOGRAPHY.h6,
+    marginBottom: SPACING.sm,
+  },
+
+  // Settings
+  rulesContent: {
+    padding: SPACING.lg,
+  },
+
+  unitOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.xs,
+    marginBottom: SPACING.md,
+  },
+
+  ruleItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.background.surface,
+    borderRadius: BORDER_RADIUS.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.sm,
+  },
+
+  ruleInfo: {
+    flex: 1,
+    marginRight: SPACING.md,
+  },
+
+  ruleName: {
+    ...TYPOGRAPHY.bodyMedium,
+    fontWeight: '600',
+    color: COLORS.text.primary,
+  },
+
+  ruleDescription: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+  },
+
+  rulesActions: {
+    flexDirection: 'row',
+    gap: SPACING.sm,
+    marginTop: SPACING.md,
+  },
+
+  // Readings
+  listContent: {
+    paddingHorizontal: SPACING.lg,
+    paddingBottom: SPACING.xxl * 2,
+  },
+
+  readingItem: {
+    backgroundColor: COLORS.background.surface,
+    borderRadius: BORDER_RADIUS.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.sm,
+  },
+
+  readingHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+
+  readingSummary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+  },
+
+  readingValue: {
+    ...TYPOGRAPHY.bodyLarge,
+    fontWeight: '600',
+    color: COLORS.text.primary,
+  },
+
+  readingTime: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.tertiary,
+  },
+
+  readingTags: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.xs,
+    marginTop: SPACING.sm,
+  },
+
+  readingNote: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+    marginTop: SPACING.sm,
+  },
+
+  // Empty state
+  emptyContainer: {
+    alignItems: 'center',
+    paddingVertical: SPACING.xxl,
+  },
+
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: SPACING.md,
+  },
+
+  emptyTitle: {
+    ...TYPOGRAPHY.h5,
+    marginBottom: SPACING.sm,
+  },
+
+  emptySubtitle: {
+    ...TYPOGRAPHY.bodyMedium,
+    color: COLORS.text.secondary,
+    textAlign: 'center',
+  },
+});
+
+export default VitalsScreen;
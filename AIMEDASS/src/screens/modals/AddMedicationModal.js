@@ -0,0 +1,287 @@
+/**
+ * MediAssist App - AddMedicationModal
+ * Add a medication by hand or by scanning its prescription label; with a medicationId
+ * route param (the EditMedication route) the same screen edits that medication
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { RNCamera } from 'react-native-camera';
+import { launchImageLibrary } from 'react-native-image-picker';
+
+// Components
+import AnimatedHeader from '../../components/common/AnimatedHeader';
+import Button from '../../components/common/Button';
+import Modal from '../../components/common/Modal';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import MedicationForm from '../../components/forms/MedicationForm';
+
+// Redux
+import {
+  addMedication,
+  updateMedication,
+  selectActiveMedications,
+  selectMedicationById,
+  selectDoseOutcomes,
+  selectMedicationsSaving,
+  selectMedicationsError,
+} from '../../store/slices/medicationSlice';
+import { fetchVitalRangeProfile, selectHealthProfile } from '../../store/slices/vitalsSlice';
+
+// Services
+import { getTextRecognizer, scanPrescriptionLabel } from '../../services/ai/LabelScanner';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+import { TYPOGRAPHY } from '../../styles/typography';
+import { SPACING, BORDER_RADIUS } from '../../styles/spacing';
+
+const AddMedicationModal = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const dispatch = useDispatch();
+
+  const medicationId = route.params?.medicationId;
+
+  // Redux state
+  const activeMedications = useSelector(selectActiveMedications);
+  const medication = useSelector(state => selectMedicationById(state, medicationId));
+  const doseOutcomes = useSelector(selectDoseOutcomes);
+  const healthProfile = useSelector(selectHealthProfile);
+  const saving = useSelector(selectMedicationsSaving);
+  const error = useSelector(selectMedicationsError);
+
+  // Local state
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [parsedMedication, setParsedMedication] = useState(null);
+
+  // Refs
+  const cameraRef = useRef(null);
+
+  const recognizer = getTextRecognizer();
+
+  // Allergies and conditions for the interaction check
+  useEffect(() => {
+    dispatch(fetchVitalRangeProfile());
+  }, [dispatch]);
+
+  // Handlers
+  const handleSave = async (medicationData) => {
+    await dispatch(medication
+      ? updateMedication({ id: medication.id, changes: medicationData })
+      : addMedication(medicationData)
+    ).unwrap();
+    navigation.goBack();
+  };
+
+  const runScan = async (image) => {
+    setScanning(true);
+    try {
+      const result = await scanPrescriptionLabel(image, { recognizer });
+      setParsedMedication(result);
+    } catch (scanError) {
+      Alert.alert('Scan Failed', scanError.message || 'Unable to read the label. Please try again.');
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const handleOpenCamera = () => {
+    recognizer.reset?.();
+    setCameraOpen(true);
+  };
+
+  const handleCapture = async () => {
+    if (!cameraRef.current || scanning) return;
+
+    try {
+      const photo = await cameraRef.current.takePictureAsync({ quality: 0.6 });
+      setCameraOpen(false);
+      await runScan(recognizer.capture ? recognizer.capture(photo) : photo);
+    } catch (captureError) {
+      Alert.alert('Camera Error', captureError.message || 'Unable to take a photo.');
+    }
+  };
+
+  const handleChoosePhoto = async () => {
+    const result = await launchImageLibrary({ mediaType: 'photo', selectionLimit: 1 });
+    if (result.didCancel) return;
+
+    if (result.errorCode) {
+      Alert.alert('Photo Error', result.errorMessage || 'Unable to open the photo library.');
+      return;
+    }
+
+    const image = result.assets?.[0];
+    if (image) await runScan(image);
+  };
+
+  // Render functions
+  const renderScanActions = () => (
+    <View style={styles.scanActions}>
+      <Button
+        title="📷 Scan Label"
+        variant="outline"
+        size="small"
+        onPress={handleOpenCamera}
+        disabled={scanning}
+        style={styles.scanButton}
+      />
+
+      {recognizer.supportsStoredImages && (
+        <Button
+          title="🖼️ Choose Photo"
+          variant="outline"
+          size="small"
+          onPress={handleChoosePhoto}
+          disabled={scanning}
+          style={styles.scanButton}
+        />
+      )}
+    </View>
+  );
+
+  const renderCamera = () => (
+    <Modal
+      visible={cameraOpen}
+      onClose={() => setCameraOpen(false)}
+      variant="fullscreen"
+      title="Scan Prescription Label"
+    >
+      <View style={styles.cameraContainer}>
+        <RNCamera
+          ref={cameraRef}
+          style={styles.camera}
+          type={RNCamera.Constants.Type.back}
+          captureAudio={false}
+          onTextRecognized={recognizer.handleTextRecognized}
+          androidCameraPermissionOptions={{
+            title: 'Camera Permission',
+            message: 'MediAssist needs the camera to read your prescription label.',
+            buttonPositive: 'OK',
+            buttonNegative: 'Cancel',
+          }}
+        />
+
+        <Text style={styles.cameraHint}>
+          Fit the whole label in the frame and hold steady
+        </Text>
+
+        <Button
+          title="Capture"
+          variant="primary"
+          onPress={handleCapture}
+          style={styles.captureButton}
+        />
+      </View>
+    </Modal>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AnimatedHeader
+        title={medication ? 'Edit Medication' : 'Add Medication'}
+        variant="medical"
+        leftAction={
+          <Button
+            onPress={() => navigation.goBack()}
+            variant="ghost"
+            size="small"
+            leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.inverse }}>✕</Text>}
+          />
+        }
+      />
+
+      {renderScanActions()}
+
+      {/* The form stays mounted while scanning so anything typed is kept */}
+      <View style={styles.formContainer}>
+        <MedicationForm
+          onSave={handleSave}
+          onCancel={() => navigation.goBack()}
+          saving={saving}
+          error={error}
+          initialValues={medication || {}}
+          editMode={!!medication}
+          activeMedications={activeMedications}
+          healthProfile={healthProfile}
+          doseOutcomes={doseOutcomes}
+          parsedMedication={parsedMedication}
+          animateOnMount={false}
+        />
+
+        {scanning && (
+          <View style={styles.scanningOverlay}>
+            <LoadingSpinner message="Reading label..." />
+          </View>
+        )}
+      </View>
+
+      {renderCamera()}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background.primary,
+  },
+
+  // Scan
+  scanActions: {
+    flexDirection: 'row',
+    gap: SPACING.sm,
+    paddingHorizontal: SPACING.lg,
+    paddingTop: SPACING.md,
+  },
+
+  scanButton: {
+    flex: 1,
+  },
+
+  formContainer: {
+    flex: 1,
+  },
+
+  scanningOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: COLORS.background.primary + 'E6',
+  },
+
+  // Camera
+  cameraContainer: {
+    flex: 1,
+    padding: SPACING.lg,
+  },
+
+  camera: {
+    flex: 1,
+    borderRadius: BORDER_RADIUS.lg,
+    overflow: 'hidden',
+  },
+
+  cameraHint: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+    textAlign: 'center',
+    marginVertical: SPACING.md,
+  },
+
+  captureButton: {
+    alignSelf: 'stretch',
+  },
+});
+
+export default AddMedicationModal;
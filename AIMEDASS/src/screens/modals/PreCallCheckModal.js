@@ -0,0 +1,368 @@
+/**
+ * MediAssist App - PreCallCheckModal
+ * Check camera, microphone and connection before joining a video visit
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  Linking,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useSelector } from 'react-redux';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { check, request, openSettings, PERMISSIONS, RESULTS } from 'react-native-permissions';
+import NetInfo from '@react-native-community/netinfo';
+
+// Components
+import AnimatedHeader from '../../components/common/AnimatedHeader';
+import Button from '../../components/common/Button';
+import Card from '../../components/common/Card';
+import StatusPill from '../../components/common/StatusPill';
+
+// Redux
+import { selectAppointmentById } from '../../store/slices/appointmentSlice';
+
+// Utils
+import { getOccurrence } from '../../utils/appointmentUtils';
+import { getJoinState, getDialInUrl, getTelehealthPlatform, JOIN_STATE } from '../../utils/telehealth';
+import { formatAppointmentTime } from '../../utils/formatters';
+import { formatTimeOfDay } from '../../utils/dateUtils';
+
+// Styles
+import { COLORS } from '../../styles/colors';
+import { TYPOGRAPHY } from '../../styles/typography';
+import { SPACING } from '../../styles/spacing';
+
+const DEVICE_PERMISSIONS = [
+  {
+    key: 'camera',
+    label: 'Camera',
+    icon: '📷',
+    permission: Platform.OS === 'ios' ? PERMISSIONS.IOS.CAMERA : PERMISSIONS.ANDROID.CAMERA,
+  },
+  {
+    key: 'microphone',
+    label: 'Microphone',
+    icon: '🎙️',
+    permission: Platform.OS === 'ios' ? PERMISSIONS.IOS.MICROPHONE : PERMISSIONS.ANDROID.RECORD_AUDIO,
+  },
+];
+
+const CALL_TIPS = [
+  'Find a quiet, private and well-lit space',
+  'Keep your medication list and recent readings at hand',
+  'Plug in your phone or make sure it is charged',
+  'Close other apps that may use the camera',
+];
+
+const isReady = status => status === RESULTS.GRANTED || status === RESULTS.LIMITED;
+
+const PreCallCheckModal = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { appointmentId, occurrenceStart } = route.params || {};
+
+  // Redux state
+  const appointment = useSelector(state => selectAppointmentById(state, appointmentId));
+  const visit = appointment ? getOccurrence(appointment, occurrenceStart) : null;
+  const telehealth = visit?.telehealth || {};
+
+  // Local state
+  const [statuses, setStatuses] = useState({});
+  const [online, setOnline] = useState(null);
+  const [checking, setChecking] = useState(true);
+
+  const runChecks = useCallback(async () => {
+    setChecking(true);
+    try {
+      const results = await Promise.all(DEVICE_PERMISSIONS.map(item => check(item.permission)));
+      setStatuses(Object.fromEntries(DEVICE_PERMISSIONS.map((item, index) => [item.key, results[index]])));
+
+      const connection = await NetInfo.fetch();
+      setOnline(connection.isConnected && connection.isInternetReachable !== false);
+    } catch (error) {
+      console.warn('Error checking call readiness:', error);
+    } finally {
+      setChecking(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    runChecks();
+  }, [runChecks]);
+
+  // Handlers
+  const handleAllow = async (item) => {
+    const status = statuses[item.key];
+
+    // Blocked permissions can only be changed in the device settings
+    if (status === RESULTS.BLOCKED) {
+      openSettings().catch(() => Alert.alert('Settings Unavailable', 'Open your device settings to allow access.'));
+      return;
+    }
+
+    const result = await request(item.permission);
+    setStatuses(prev => ({ ...prev, [item.key]: result }));
+  };
+
+  const openLink = async (url, failureMessage) => {
+    try {
+      await Linking.openURL(url);
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert('Unable to Join', failureMessage);
+    }
+  };
+
+  const handleJoin = () => {
+    const join = () => openLink(telehealth.meetingUrl, 'The meeting link could not be opened. Check it with your provider.');
+    const missing = DEVICE_PERMISSIONS.filter(item => !isReady(statuses[item.key]));
+
+    if (!missing.length) {
+      join();
+      return;
+    }
+
+    Alert.alert(
+      'Join Anyway?',
+      `${missing.map(item => item.label).join(' and ')} access is off, so your doctor may not see or hear you.`,
+      [
+        { text: 'Check Again', style: 'cancel' },
+        { text: 'Join Anyway', onPress: join },
+      ]
+    );
+  };
+
+  const handleDialIn = () => {
+    openLink(getDialInUrl(telehealth), 'This device cannot place calls.');
+  };
+
+  // Render functions
+  const renderCheck = ({ key, icon, label, ready, statusText, action }) => (
+    <View key={key} style={styles.checkRow}>
+      <Text style={styles.checkIcon}>{icon}</Text>
+      <Text style={styles.checkLabel}>{label}</Text>
+      {action || (
+        <StatusPill
+          status={ready ? 'success' : 'warning'}
+          text={statusText}
+          size="small"
+        />
+      )}
+    </View>
+  );
+
+  const renderPermissionCheck = (item) => {
+    const status = statuses[item.key];
+    const ready = isReady(status);
+    const unavailable = status === RESULTS.UNAVAILABLE;
+
+    return renderCheck({
+      key: item.key,
+      icon: item.icon,
+      label: item.label,
+      ready,
+      statusText: ready ? 'READY' : unavailable ? 'NOT AVAILABLE' : 'CHECKING',
+      action: !ready && !unavailable && !checking && (
+        <Button
+          title={status === RESULTS.BLOCKED ? 'Open Settings' : 'Allow'}
+          variant="outline"
+          size="small"
+          onPress={() => handleAllow(item)}
+        />
+      ),
+    });
+  };
+
+  if (!visit) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <AnimatedHeader title="Video Visit" variant="medical" />
+        <View style={styles.missing}>
+          <Text style={styles.missingText}>This appointment is no longer on your calendar.</Text>
+          <Button title="Close" variant="outline" onPress={() => navigation.goBack()} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const joinState = getJoinState(visit);
+  const platform = getTelehealthPlatform(telehealth.platform);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AnimatedHeader
+        title="Before You Join"
+        variant="medical"
+        leftAction={
+          <Button
+            onPress={() => navigation.goBack()}
+            variant="ghost"
+            size="small"
+            leftIcon={<Text style={{ fontSize: 16, color: COLORS.text.inverse }}>✕</Text>}
+          />
+        }
+      />
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Card variant="outlined" style={styles.section}>
+          <Text style={styles.visitTitle}>{visit.doctorName || 'Video visit'}</Text>
+          <Text style={styles.visitDetail}>
+            {formatAppointmentTime(visit)}{platform && platform.value !== 'other' ? ` · ${platform.label}` : ''}
+          </Text>
+          {joinState.state === JOIN_STATE.UPCOMING && (
+            <Text style={styles.visitDetail}>You can join from {formatTimeOfDay(joinState.opensAt)}.</Text>
+          )}
+          {joinState.state === JOIN_STATE.ENDED && (
+            <Text style={styles.visitDetail}>This visit has ended.</Text>
+          )}
+        </Card>
+
+        <Card variant="outlined" style={styles.section}>
+          <Text style={styles.sectionTitle}>Device Check</Text>
+          {DEVICE_PERMISSIONS.map(renderPermissionCheck)}
+          {renderCheck({
+            key: 'connection',
+            icon: '📶',
+            label: 'Internet',
+            ready: online,
+            statusText: online ? 'CONNECTED' : online === false ? 'OFFLINE' : 'CHECKING',
+          })}
+          <Button
+            title="Check Again"
+            variant="ghost"
+            size="small"
+            onPress={runChecks}
+            loading={checking}
+            style={styles.recheck}
+          />
+        </Card>
+
+        <Card variant="outlined" style={styles.section}>
+          <Text style={styles.sectionTitle}>Tips</Text>
+          {CALL_TIPS.map(tip => (
+            <Text key={tip} style={styles.tip}>• {tip}</Text>
+          ))}
+        </Card>
+
+        {!!telehealth.meetingUrl && (
+          <Button
+            title="Join Video Visit"
+            variant="primary"
+            onPress={handleJoin}
+            disabled={joinState.state !== JOIN_STATE.OPEN}
+            style={styles.joinButton}
+          />
+        )}
+
+        {!!telehealth.dialIn && (
+          <Button
+            title={`📞 Dial In${telehealth.meetingUrl ? ' Instead' : ''}`}
+            variant="outline"
+            onPress={handleDialIn}
+            disabled={joinState.state === JOIN_STATE.ENDED}
+            style={styles.joinButton}
+          />
+        )}
+
+        {!!telehealth.passcode && (
+          <Text style={styles.passcode}>Meeting ID / passcode: {telehealth.passcode}</Text>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background.primary,
+  },
+
+  content: {
+    padding: SPACING.lg,
+  },
+
+  section: {
+    marginBottom: SPACING.lg,
+  },
+
+  // Visit
+  visitTitle: {
+    ...TYPOGRAPHY.h5,
+    marginBottom: SPACING.xs,
+  },
+
+  visitDetail: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+  },
+
+  // Checks
+  sectionTitle: {
+    ...TYPOGRAPHY.h6,
+    marginBottom: SPACING.md,
+  },
+
+  checkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: SPACING.md,
+  },
+
+  checkIcon: {
+    fontSize: 20,
+    marginRight: SPACING.sm,
+  },
+
+  checkLabel: {
+    ...TYPOGRAPHY.bodyMedium,
+    flex: 1,
+  },
+
+  recheck: {
+    alignSelf: 'flex-start',
+  },
+
+  tip: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+    marginBottom: SPACING.xs,
+  },
+
+  // Join
+  joinButton: {
+    alignSelf: 'stretch',
+    marginBottom: SPACING.sm,
+  },
+
+  passcode: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text.secondary,
+    textAlign: 'center',
+    marginTop: SPACING.sm,
+  },
+
+  // Missing appointment
+  missing: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: SPACING.xl,
+  },
+
+  missingText: {
+    ...TYPOGRAPHY.bodyMedium,
+    color: COLORS.text.secondary,
+    textAlign: 'center',
+    marginBottom: SPACING.lg,
+  },
+});
+
+export default PreCallCheckModal;
@@ -0,0 +1,169 @@
+/**
+ * MediAssist App - Interaction Checker
+ * Offline screening of a medication against the active list, allergies and medical conditions
+ */
+
+import dataset from './interactionData';
+import {
+  INTERACTION_SEVERITY,
+  INTERACTION_SEVERITY_ORDER,
+  BLOCKING_INTERACTION_SEVERITIES,
+} from '../../utils/constants';
+
+// Lowercase words separated by single spaces, so matching ignores punctuation
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Whole-word (or word-prefix, for stems like "pregnan") containment
+const containsTerm = (text, term) => ` ${text} `.includes(` ${normalizeText(term)}`);
+
+const containsWord = (text, term) => ` ${text} `.includes(` ${normalizeText(term)} `);
+
+const getDrugNames = (key, drug) => [key.replace(/_/g, ' '), ...drug.aliases].map(normalizeText);
+
+// Salt words right after a known name belong to that drug, so "losartan potassium" is not also a potassium supplement
+const stripSaltForms = (text) => {
+  const names = Object.entries(dataset.drugs).flatMap(([key, drug]) => getDrugNames(key, drug));
+  const words = text.split(' ');
+
+  return words
+    .filter((word, index) => {
+      if (!dataset.saltForms.includes(word)) return true;
+      const before = words.slice(0, index).join(' ');
+      return !names.some(name => ` ${before}`.endsWith(` ${name}`));
+    })
+    .join(' ');
+};
+
+/**
+ * Identify the known drugs a medication refers to by generic or brand name.
+ * Combination products can resolve to more than one drug.
+ */
+export const resolveDrugs = (medication) => {
+  const text = stripSaltForms(normalizeText([medication?.name, medication?.genericName].filter(Boolean).join(' ')));
+  if (!text) return [];
+
+  return Object.entries(dataset.drugs)
+    .filter(([key, drug]) => getDrugNames(key, drug).some(name => containsWord(text, name)))
+    .map(([key, drug]) => ({ key, classes: drug.classes }));
+};
+
+// A rule side is a generic name or a 'class:' reference
+const matchesReference = (drugs, reference) => {
+  if (reference.startsWith('class:')) {
+    const drugClass = reference.slice('class:'.length);
+    return drugs.some(drug => drug.classes.includes(drugClass));
+  }
+  return drugs.some(drug => drug.key === reference);
+};
+
+const matchesAny = (drugs, references) => references.some(reference => matchesReference(drugs, reference));
+
+const toFinding = (rule, type, against, againstKey) => ({
+  id: `${rule.id}|${againstKey}`,
+  ruleId: rule.id,
+  type,
+  severity: rule.severity,
+  title: rule.title,
+  explanation: rule.explanation,
+  against,
+});
+
+const checkAgainstMedication = (drugs, other) => {
+  const otherDrugs = resolveDrugs(other);
+  if (!otherDrugs.length) return [];
+
+  const findings = dataset.interactions
+    .filter(({ between: [a, b] }) =>
+      (matchesReference(drugs, a) && matchesReference(otherDrugs, b)) ||
+      (matchesReference(drugs, b) && matchesReference(otherDrugs, a))
+    )
+    // Overlapping class rules (aspirin is an NSAID and an antiplatelet) report once
+    .filter((rule, index, rules) => rules.findIndex(r => r.title === rule.title) === index)
+    .map(rule => toFinding(rule, 'drug', other.name, other.id));
+
+  // The same ingredient under another name doubles the dose
+  drugs
+    .filter(drug => otherDrugs.some(otherDrug => otherDrug.key === drug.key))
+    .forEach(drug => {
+      findings.push(toFinding({
+        id: `dup-${drug.key}`,
+        severity: INTERACTION_SEVERITY.MODERATE,
+        title: 'Duplicate medication',
+        explanation: `${other.name} contains the same active ingredient. Taking both may double the dose.`,
+      }, 'duplicate', other.name, other.id));
+    });
+
+  return findings;
+};
+
+// Free-text profile fields ("Penicillin, shellfish") checked term by term
+const checkAgainstProfileText = (drugs, text, rules, termsKey, type, against) => {
+  const normalized = normalizeText(text);
+  if (!normalized) return [];
+
+  return rules.flatMap(rule => {
+    const term = rule[termsKey].find(candidate => containsTerm(normalized, candidate));
+    return term && matchesAny(drugs, rule.matches)
+      ? [toFinding(rule, type, against, term)]
+      : [];
+  });
+};
+
+export const compareSeverity = (a, b) => INTERACTION_SEVERITY_ORDER.indexOf(a) - INTERACTION_SEVERITY_ORDER.indexOf(b);
+
+/**
+ * Screen a medication being added or edited.
+ * `medications` is the user's active list (the medication itself is skipped by id);
+ * `allergies` and `medicalConditions` are the free-text ProfileForm fields.
+ * Findings are ordered most severe first.
+ */
+export const checkInteractions = (medication, { medications = [], allergies = '', medicalConditions = '' } = {}) => {
+  const drugs = resolveDrugs(medication);
+
+  const findings = drugs.length
+    ? [
+        ...medications
+          .filter(other => other.id !== medication.id)
+          .flatMap(other => checkAgainstMedication(drugs, other)),
+        ...checkAgainstProfileText(drugs, allergies, dataset.allergies, 'allergens', 'allergy', 'your allergies'),
+        ...checkAgainstProfileText(drugs, medicalConditions, dataset.conditions, 'conditions', 'condition', 'your medical conditions'),
+      ]
+    : [];
+
+  return {
+    datasetVersion: dataset.version,
+    recognized: drugs.length > 0,
+    findings: findings.sort((a, b) => compareSeverity(a.severity, b.severity)),
+  };
+};
+
+export const getBlockingFindings = (findings) => {
+  return findings.filter(finding => BLOCKING_INTERACTION_SEVERITIES.includes(finding.severity));
+};
+
+// Every blocking finding has already been acknowledged for this medication
+export const isAcknowledged = (findings, acknowledgement) => {
+  const acknowledgedIds = (acknowledgement?.findings || []).map(finding => finding.id);
+  return getBlockingFindings(findings).every(finding => acknowledgedIds.includes(finding.id));
+};
+
+// Record of the warnings the user confirmed, stored with the medication
+export const createAcknowledgement = (findings, datasetVersion = dataset.version, now = new Date()) => ({
+  acknowledgedAt: new Date(now).toISOString(),
+  datasetVersion,
+  findings: getBlockingFindings(findings).map(({ id, severity, title, against }) => ({
+    id,
+    severity,
+    title,
+    against,
+  })),
+});
+
+export default {
+  resolveDrugs,
+  checkInteractions,
+  getBlockingFindings,
+  isAcknowledged,
+  createAcknowledgement,
+  compareSeverity,
+};
@@ -0,0 +1,365 @@
+/**
+ * MediAssist App - Medication Parser
+ * Turns free text and prescription-label sigs into a MedicationForm draft with per-field confidence
+ */
+
+import nlp from 'compromise';
+import natural from 'natural';
+import { DRUGS } from './interactionData';
+import { PARSE_CONFIDENCE_THRESHOLD } from '../../utils/constants';
+import { getDefaultReminderTimes, addDays, startOfDay } from '../../utils/dateUtils';
+
+// Fields MedicationForm cannot save without; flagged for review when not found
+const REQUIRED_FIELDS = ['name', 'dosage', 'frequency'];
+
+// Minimum Jaro-Winkler similarity for correcting a misspelled or mis-scanned drug name
+const NAME_MATCH_THRESHOLD = 0.9;
+
+// Strength units MedicationForm accepts as a dosage
+const FORM_DOSAGE_UNITS = ['mg', 'mcg', 'g', 'ml', 'unit', 'units'];
+
+const KNOWN_DRUG_NAMES = Object.entries(DRUGS).flatMap(([key, drug]) => [key.replace(/_/g, ' '), ...drug.aliases]);
+
+// Dosage form keywords, checked in order
+const DOSAGE_FORM_PATTERNS = [
+  { form: 'Tablet', pattern: /\b(tablets?|tabs?|caplets?)\b/ },
+  { form: 'Capsule', pattern: /\b(capsules?|caps?)\b/ },
+  { form: 'Inhaler', pattern: /\b(inhalers?|inhalations?|puffs?|hfa)\b/ },
+  { form: 'Injection', pattern: /\b(injections?|inject|inj|pens?|vials?|syringes?)\b/ },
+  { form: 'Drop', pattern: /\b(drops?|gtts?)\b/ },
+  { form: 'Patch', pattern: /\b(patch|patches)\b/ },
+  { form: 'Spray', pattern: /\b(sprays?)\b/ },
+  { form: 'Cream', pattern: /\b(creams?)\b/ },
+  { form: 'Ointment', pattern: /\b(ointments?)\b/ },
+  { form: 'Powder', pattern: /\b(powders?|sachets?)\b/ },
+  { form: 'Liquid', pattern: /\b(solution|syrup|suspension|liquid|elixir|oral soln)\b/ },
+];
+
+// Dose units that imply a dosage form when the form itself is not named
+const UNIT_DOSAGE_FORMS = {
+  tablet: 'Tablet',
+  tab: 'Tablet',
+  capsule: 'Capsule',
+  cap: 'Capsule',
+  puff: 'Inhaler',
+  drop: 'Drop',
+  spray: 'Spray',
+  patch: 'Patch',
+  ml: 'Liquid',
+};
+
+const timesPerDay = (digit, word) => new RegExp(
+  `\\b(?:${digit}|${word}) times? (?:a |per |each )?day\\b|\\b(?:${digit}|${word}) times daily\\b`
+);
+
+// Fixed-times frequencies, most specific first
+const FREQUENCY_PATTERNS = [
+  { value: 'four_times_daily', pattern: timesPerDay(4, 'four'), confidence: 0.9 },
+  { value: 'four_times_daily', pattern: /\b(qid|q\.i\.d\.?)(?=\W|$)/, confidence: 0.85 },
+  { value: 'three_times_daily', pattern: timesPerDay(3, 'three'), confidence: 0.9 },
+  { value: 'three_times_daily', pattern: /\b(tid|t\.i\.d\.?)(?=\W|$)/, confidence: 0.85 },
+  { value: 'twice_daily', pattern: /\btwice (?:a |per |each )?day\b|\btwice daily\b/, confidence: 0.9 },
+  { value: 'twice_daily', pattern: timesPerDay(2, 'two'), confidence: 0.9 },
+  { value: 'twice_daily', pattern: /\b(bid|b\.i\.d\.?)(?=\W|$)/, confidence: 0.85 },
+  { value: 'once_daily', pattern: /\bonce (?:a |per |each )?day\b|\bonce daily\b|\bevery day\b|\bdaily\b/, confidence: 0.9 },
+  { value: 'once_daily', pattern: /\bevery (morning|evening|night)\b|\bat bedtime\b|\bnightly\b|\b(qd|qam|qpm|qhs|q\.d\.?)(?=\W|$)/, confidence: 0.85 },
+  { value: 'custom', pattern: /\b(weekly|once (?:a |per |every )week|every week)\b/, confidence: 0.5 },
+];
+
+const INTERVAL_FREQUENCIES = {
+  6: 'every_6_hours',
+  8: 'every_8_hours',
+  12: 'every_12_hours',
+  24: 'once_daily',
+};
+
+// Time-of-day hints for once-daily medications
+const TIME_HINTS = [
+  { time: '08:00', pattern: /\b(morning|qam|breakfast|in the am)\b/ },
+  { time: '18:00', pattern: /\b(evening|qpm|dinner|supper)\b/ },
+  { time: '21:00', pattern: /\b(bedtime|night|nightly|qhs|hs)\b/ },
+];
+
+// Verbs that open the directions ("take 1 tablet...")
+const SIG_START = /\b(take|apply|inhale|instill|inject|use|place|insert|chew|dissolve|give)\b/i;
+
+// Label boilerplate that is not part of the directions
+const SIG_STOP = /\b(\d+ refills?|refills?\s*:?\s*\d+|no refills?|qty|quantity|#\s*\d+|rx\s*#|dr\.?\s|prescribed by)/i;
+
+const titleCase = (text) => text.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+
+// Spell out number words ("take one tablet" -> "take 1 tablet") and flatten line breaks
+const normalizeText = (text) => {
+  const doc = nlp(String(text || '').replace(/\s*[\r\n]+\s*/g, '. '));
+  doc.numbers().toNumber();
+  return doc.text().replace(/\s+/g, ' ').trim();
+};
+
+const field = (value, confidence) => ({ value, confidence });
+
+// Strength as printed; `perVolume` marks a concentration ("100 units/ml", "250 mg/5 ml")
+const parseStrength = (lower) => {
+  const match = lower.match(/(\d+(?:\.\d+)?)\s*(mg|mcg|µg|ug|g|ml|units?|iu|%)(?![a-z])/);
+  if (!match) return null;
+
+  const unit = match[2] === 'µg' || match[2] === 'ug' ? 'mcg' : match[2];
+  const rest = lower.slice(match.index + match[0].length);
+  const perVolume = /^\s*(?:\/|per)\s*(?:\d+(?:\.\d+)?\s*)?ml\b/.test(rest);
+  return { amount: parseFloat(match[1]), unit, index: match.index, perVolume };
+};
+
+const normalizeDoseUnit = (unit) => unit.replace(/(es|s)$/, '').replace(/^tab$/, 'tablet').replace(/^cap$/, 'capsule');
+
+// Number of units per dose from the directions ("take 2 tablets")
+const parseDoseCount = (lower) => {
+  const match = lower.match(/\b(?:take|inhale|instill|use|apply|chew|inject|give)\s+(\d+(?:\.\d+)?|1\/2|½)\s*(tablets?|tabs?|capsules?|caps?|puffs?|drops?|sprays?|ml|units?|mg|mcg|patch(?:es)?)?(?![a-z])/);
+  if (!match) return null;
+
+  const amount = match[1] === '1/2' || match[1] === '½' ? 0.5 : parseFloat(match[1]);
+  const unit = match[2] ? normalizeDoseUnit(match[2]) : null;
+  return { amount, unit };
+};
+
+// Daily maximum in doses. A cap in units ("max 6 tablets per day") is divided by the units
+// per dose, and kept for review when those are not known.
+const parseMaxDoses = (lower, doseCount) => {
+  const match = lower.match(/\b(?:max(?:imum)?|no more than|not to exceed)\s*:?\s*(\d+)\s*((?:[a-z]+ ){0,2}?)(?:in|per|a|every)\s*(?:24 hours|day|24h)\b/);
+  if (!match) return null;
+
+  const limit = parseInt(match[1], 10);
+  const unitMatch = match[2].match(/\b(tablets?|tabs?|capsules?|caps?|puffs?|drops?|sprays?|ml|patch(?:es)?)\b/);
+  if (!unitMatch) return field(limit, 0.8);
+
+  const unit = normalizeDoseUnit(unitMatch[1]);
+  if (doseCount?.amount > 0 && (!doseCount.unit || doseCount.unit === unit)) {
+    return field(Math.floor(limit / doseCount.amount), doseCount.amount === 1 ? 0.8 : 0.75);
+  }
+  return field(limit, 0.4);
+};
+
+// Closest known drug name to the first word, for OCR slips like "Metfornin"
+const matchKnownName = (name) => {
+  const [firstWord, ...rest] = name.split(' ');
+  const candidate = firstWord.toLowerCase();
+
+  if (KNOWN_DRUG_NAMES.includes(candidate)) return { name, exact: true };
+  if (candidate.length < 4) return null;
+
+  const best = KNOWN_DRUG_NAMES
+    .filter(known => !known.includes(' '))
+    .map(known => ({ known, score: natural.JaroWinklerDistance(candidate, known) }))
+    .sort((a, b) => b.score - a.score)[0];
+
+  return best && best.score >= NAME_MATCH_THRESHOLD
+    ? { name: [titleCase(best.known), ...rest].join(' '), exact: false }
+    : null;
+};
+
+const parseName = (text, strength) => {
+  const sigStart = text.search(SIG_START);
+  // Directions with no drug name ahead of them ("Take 1 tablet by mouth daily") have no name to offer
+  const startsWithSig = sigStart === 0;
+  if (startsWithSig && !strength) return field(null, 0);
+
+  const end = strength ? strength.index : (sigStart > 0 ? sigStart : text.search(/[,.;]/));
+  // Only the line or sentence the name sits on, not a pharmacy header above it
+  let line = (end > 0 ? text.slice(0, end) : text).split(/[.;:]\s+/).pop();
+  // A name inside the directions ("Take 1 metformin 500 mg") comes after the verb and count
+  if (startsWithSig) line = line.replace(SIG_START, '').replace(/\b\d+(?:\.\d+)?\b|\bof\b/gi, '');
+
+  const raw = line
+    .replace(/^(rx|medication|drug)\s*:\s*/i, '')
+    .replace(/\b(tablets?|tabs?|capsules?|caps?|oral|solution)\b/gi, '')
+    .replace(/[^A-Za-z0-9\s\-/]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!raw || !/[a-z]/i.test(raw)) return field(null, 0);
+
+  // Labels are often printed in capitals
+  const name = raw === raw.toUpperCase() ? titleCase(raw.toLowerCase()) : raw;
+  const known = matchKnownName(name);
+  // A name read out of the directions is only a guess unless it is a known drug
+  if (!known) return field(name, startsWithSig ? 0.5 : 0.7);
+  return field(known.name, known.exact ? 0.95 : 0.6);
+};
+
+const parseDosageForm = (lower, doseCount) => {
+  const explicit = DOSAGE_FORM_PATTERNS.find(({ pattern }) => pattern.test(lower));
+  if (explicit) return field(explicit.form, 0.9);
+
+  const implied = doseCount?.unit && UNIT_DOSAGE_FORMS[doseCount.unit];
+  return implied ? field(implied, 0.7) : field(null, 0);
+};
+
+const formatAmount = (amount) => Number.isInteger(amount) ? String(amount) : amount.toFixed(2).replace(/0+$/, '');
+
+// Per-dose amount in a shape MedicationForm accepts ("1000 mg", "2 puffs"). The strength is
+// multiplied by the count only for whole units like tablets: a count with its own measure
+// ("inject 20 units") is the dose itself, and a concentration is not a per-dose amount.
+const parseDosage = (strength, doseCount) => {
+  const count = doseCount?.amount || 1;
+
+  if (doseCount?.unit && FORM_DOSAGE_UNITS.includes(doseCount.unit)) {
+    const unit = doseCount.unit === 'unit' && count !== 1 ? 'units' : doseCount.unit;
+    return field(`${formatAmount(count)} ${unit}`, 0.85);
+  }
+  if (strength?.perVolume) {
+    return field(`${formatAmount(strength.amount)} ${strength.unit}`, 0.4);
+  }
+  if (strength && FORM_DOSAGE_UNITS.includes(strength.unit)) {
+    return field(`${formatAmount(strength.amount * count)} ${strength.unit}`, doseCount ? 0.9 : 0.8);
+  }
+  if (doseCount?.unit) {
+    const unit = doseCount.unit === 'ml' || count === 1 ? doseCount.unit : `${doseCount.unit}s`;
+    return field(`${formatAmount(count)} ${unit}`, 0.75);
+  }
+  if (strength) return field(`${formatAmount(strength.amount)} ${strength.unit}`, 0.4);
+  return field(null, 0);
+};
+
+const parseFrequency = (lower, doseCount) => {
+  const asNeeded = /\b(as needed|when needed|if needed|prn|p\.r\.n\.?)(?=\W|$)/.test(lower);
+  const interval = lower.match(/\bevery (\d+)\s*(?:-\s*\d+\s*)?(?:hours?|hrs?|h)\b|\bq\s?(\d+)\s?h(?:rs?)?\b/);
+  const intervalHours = interval ? parseInt(interval[1] || interval[2], 10) : null;
+
+  if (asNeeded) {
+    return {
+      frequency: field('as_needed', 0.9),
+      minIntervalHours: intervalHours ? field(intervalHours, 0.85) : null,
+      maxDosesPer24Hours: parseMaxDoses(lower, doseCount),
+    };
+  }
+
+  if (intervalHours) {
+    const value = INTERVAL_FREQUENCIES[intervalHours];
+    return { frequency: value ? field(value, 0.9) : field('custom', 0.4) };
+  }
+
+  const match = FREQUENCY_PATTERNS.find(({ pattern }) => pattern.test(lower));
+  return { frequency: match ? field(match.value, match.confidence) : field(null, 0) };
+};
+
+const parseReminderTimes = (lower, frequency) => {
+  if (!frequency) return field(null, 0);
+
+  if (frequency === 'once_daily') {
+    const hint = TIME_HINTS.find(({ pattern }) => pattern.test(lower));
+    if (hint) return field([hint.time], 0.8);
+  }
+
+  const times = getDefaultReminderTimes(frequency);
+  return times.length ? field(times, 0.6) : field(null, 0);
+};
+
+const parseFoodInstructions = (lower) => {
+  if (/\b(empty stomach|before (meals|food|breakfast|eating)|without food)\b/.test(lower)) {
+    return field('without_food', 0.85);
+  }
+  if (/\b(with|after) (meals?|food|breakfast|dinner|supper)\b/.test(lower)) {
+    return field('with_food', 0.85);
+  }
+  return field(null, 0);
+};
+
+const parseEndDate = (lower, now) => {
+  const match = lower.match(/\b(?:x|for)\s*(\d+)\s*(days?|d|weeks?|wks?|months?|mos?)\b/);
+  if (!match) return { endDate: field(null, 0), durationDays: null };
+
+  const amount = parseInt(match[1], 10);
+  const unit = match[2];
+  const days = unit.startsWith('w') ? amount * 7 : unit.startsWith('m') ? amount * 30 : amount;
+
+  return {
+    endDate: field(addDays(startOfDay(now), days - 1).toISOString(), unit.startsWith('m') ? 0.7 : 0.85),
+    durationDays: days,
+  };
+};
+
+const parseRefills = (lower) => {
+  if (/\b(no|zero) refills?\b|\brefills?\s*:?\s*(none|no)\b/.test(lower)) return field(0, 0.9);
+
+  // "Refills: 2" before "3 refills", so "Qty: 30 Refills: 2" is not read as 30 refills
+  const match = lower.match(/\b(?:refills?|rf)\s*(?:remaining|left)?\s*:?\s*(\d+)\b/) ||
+    lower.match(/\b(\d+)\s*refills?\b/);
+  return match ? field(parseInt(match[1], 10), 0.9) : field(null, 0);
+};
+
+const parseQuantity = (lower) => {
+  const withoutRxNumber = lower.replace(/\brx\s*(?:#|no\.?|number)\s*:?\s*\d+/g, '');
+  const match = withoutRxNumber.match(/\b(?:qty|quantity|disp(?:ense)?)\s*:?\s*#?\s*(\d+)\b|#\s*(\d+)\b/);
+  return match ? field(parseInt(match[1] || match[2], 10), 0.85) : field(null, 0);
+};
+
+// The directions sentence, without refill and quantity boilerplate
+const parseInstructions = (text) => {
+  const start = text.search(SIG_START);
+  if (start < 0) return field(null, 0);
+
+  let sig = text.slice(start);
+  const stop = sig.search(SIG_STOP);
+  if (stop > 0) sig = sig.slice(0, stop);
+
+  sig = sig.replace(/[\s,;.]+$/, '').trim();
+  return sig
+    ? field(`${sig.charAt(0).toUpperCase()}${sig.slice(1)}`, 0.8)
+    : field(null, 0);
+};
+
+/**
+ * Parse a free-text or label sig into a MedicationForm draft, e.g.
+ * "Metformin HCl 500 mg tab, take 1 by mouth twice daily with meals x 90 days, 3 refills".
+ *
+ * Only fields that were found appear in `draft`; `confidence` holds a 0-1 score
+ * for every field and `lowConfidenceFields` lists the ones worth reviewing,
+ * including required fields that could not be found.
+ */
+export const parseMedicationText = (text, { now = new Date() } = {}) => {
+  const normalized = normalizeText(text);
+  const lower = normalized.toLowerCase();
+
+  const strength = parseStrength(lower);
+  const doseCount = parseDoseCount(lower);
+  const { frequency, minIntervalHours, maxDosesPer24Hours } = parseFrequency(lower, doseCount);
+  const { endDate, durationDays } = parseEndDate(lower, now);
+
+  const fields = {
+    name: parseName(normalized, strength),
+    dosage: parseDosage(strength, doseCount),
+    dosageForm: parseDosageForm(lower, doseCount),
+    frequency,
+    reminderTimes: parseReminderTimes(lower, frequency.value),
+    foodInstructions: parseFoodInstructions(lower),
+    instructions: parseInstructions(normalized),
+    endDate,
+    refillsRemaining: parseRefills(lower),
+    quantityPerFill: parseQuantity(lower),
+    ...(minIntervalHours && { minIntervalHours }),
+    ...(maxDosesPer24Hours && { maxDosesPer24Hours }),
+  };
+
+  const draft = {};
+  const confidence = {};
+  Object.entries(fields).forEach(([key, { value, confidence: score }]) => {
+    confidence[key] = score;
+    if (value !== null) draft[key] = value;
+  });
+
+  if (endDate.value) draft.startDate = startOfDay(now).toISOString();
+
+  return {
+    text: normalized,
+    draft,
+    confidence,
+    durationDays,
+    lowConfidenceFields: Object.keys(confidence).filter(key =>
+      key in draft
+        ? confidence[key] < PARSE_CONFIDENCE_THRESHOLD
+        : REQUIRED_FIELDS.includes(key)
+    ),
+  };
+};
+
+export default {
+  parseMedicationText,
+};
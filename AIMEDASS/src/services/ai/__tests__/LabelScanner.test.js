@@ -0,0 +1,102 @@
+/**
+ * MediAssist App - Label Scanner tests
+ * The scan pipeline end to end through the fixture adapter, and the camera adapter's capture stamp
+ */
+
+import {
+  LABEL_FIXTURES,
+  createFixtureTextRecognizer,
+  createCameraTextRecognizer,
+  scanPrescriptionLabel,
+} from '../LabelScanner';
+
+const NOW = new Date('2026-10-19T09:00:00');
+
+describe('scanPrescriptionLabel with the fixture adapter', () => {
+  const recognizer = createFixtureTextRecognizer();
+
+  it('turns a label into a medication draft', async () => {
+    const result = await scanPrescriptionLabel({ fileName: 'metformin-label.jpg' }, { recognizer, now: NOW });
+
+    expect(result.recognizedText).toBe(LABEL_FIXTURES['metformin-label.jpg']);
+    expect(result.draft).toMatchObject({
+      name: 'Metformin Hcl',
+      dosage: '500 mg',
+      dosageForm: 'Tablet',
+      frequency: 'twice_daily',
+      foodInstructions: 'with_food',
+      refillsRemaining: 3,
+      quantityPerFill: 60,
+    });
+  });
+
+  it('reads the image key from a picked photo uri', async () => {
+    const result = await scanPrescriptionLabel(
+      { uri: 'file:///photos/lisinopril-label.jpg' },
+      { recognizer, now: NOW }
+    );
+
+    expect(result.draft).toMatchObject({
+      dosage: '10 mg',
+      frequency: 'once_daily',
+      reminderTimes: ['08:00'],
+      refillsRemaining: 5,
+    });
+  });
+
+  it('derives an end date from the course length', async () => {
+    const result = await scanPrescriptionLabel({ fixture: 'amoxicillin-label.jpg' }, { recognizer, now: NOW });
+
+    expect(result.draft.frequency).toBe('three_times_daily');
+    expect(result.durationDays).toBe(10);
+    expect(result.draft.refillsRemaining).toBe(0);
+  });
+
+  it('rejects images it has no fixture for', async () => {
+    await expect(scanPrescriptionLabel({ fileName: 'unknown.jpg' }, { recognizer }))
+      .rejects.toThrow('No label fixture for image "unknown.jpg"');
+  });
+
+  it('rejects labels without text', async () => {
+    const blank = createFixtureTextRecognizer({ 'blank.jpg': '   ' });
+
+    await expect(scanPrescriptionLabel({ fileName: 'blank.jpg' }, { recognizer: blank }))
+      .rejects.toThrow('No text was found on the label');
+  });
+});
+
+describe('createCameraTextRecognizer', () => {
+  const frame = (...lines) => ({
+    textBlocks: lines.map(([value, x, y]) => ({ value, bounds: { origin: { x, y } } })),
+  });
+
+  it('reads the text in view when the photo was captured, top to bottom', async () => {
+    const recognizer = createCameraTextRecognizer();
+    recognizer.handleTextRecognized(frame(['Take 1 tablet daily', 0, 40], ['LISINOPRIL 10MG', 0, 10]));
+    const photo = recognizer.capture({ uri: 'file:///camera/1.jpg' });
+
+    // Later frames do not change a photo already taken
+    recognizer.handleTextRecognized(frame(['Something else', 0, 0]));
+
+    await expect(recognizer.recognize(photo)).resolves.toEqual({
+      text: 'LISINOPRIL 10MG\nTake 1 tablet daily',
+    });
+  });
+
+  it('forgets the previous label on reset', async () => {
+    const recognizer = createCameraTextRecognizer();
+    recognizer.handleTextRecognized(frame(['OLD LABEL', 0, 0]));
+    recognizer.reset();
+
+    await expect(recognizer.recognize(recognizer.capture({ uri: 'file:///camera/2.jpg' })))
+      .resolves.toEqual({ text: '' });
+  });
+
+  it('cannot read photos it did not capture', async () => {
+    const recognizer = createCameraTextRecognizer();
+    recognizer.handleTextRecognized(frame(['LISINOPRIL 10MG', 0, 0]));
+
+    await expect(recognizer.recognize({ uri: 'file:///photos/picked.jpg' }))
+      .rejects.toThrow('not taken with the label camera');
+  });
+});
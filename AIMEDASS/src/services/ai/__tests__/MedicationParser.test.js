@@ -0,0 +1,87 @@
+/**
+ * MediAssist App - Medication Parser tests
+ * Free-text and label sigs into MedicationForm drafts, with the fields worth reviewing flagged
+ */
+
+import { parseMedicationText } from '../MedicationParser';
+
+const NOW = new Date(2026, 9, 19, 9);
+
+const parse = text => parseMedicationText(text, { now: NOW });
+
+describe('parseMedicationText', () => {
+  it('parses the prescription from the request', () => {
+    const { draft, durationDays } = parse('Metformin HCl 500 mg tab, take 1 by mouth twice daily with meals x 90 days, 3 refills');
+
+    expect(draft).toMatchObject({
+      name: 'Metformin HCl',
+      dosage: '500 mg',
+      dosageForm: 'Tablet',
+      frequency: 'twice_daily',
+      foodInstructions: 'with_food',
+      instructions: 'Take 1 by mouth twice daily with meals x 90 days',
+      refillsRemaining: 3,
+      startDate: new Date(2026, 9, 19).toISOString(),
+      endDate: new Date(2027, 0, 16).toISOString(),
+    });
+    expect(durationDays).toBe(90);
+  });
+
+  it('multiplies the strength by a count of tablets', () => {
+    expect(parse('Lisinopril 10 mg tablet, take 2 tablets daily').draft.dosage).toBe('20 mg');
+  });
+
+  it('reads as-needed limits in doses', () => {
+    const { draft } = parse('Albuterol HFA 90 mcg, inhale 2 puffs every 4-6 hours as needed for wheezing, max 12 puffs per day');
+
+    expect(draft).toMatchObject({
+      dosage: '180 mcg',
+      dosageForm: 'Inhaler',
+      frequency: 'as_needed',
+      minIntervalHours: 4,
+      maxDosesPer24Hours: 6,
+    });
+  });
+});
+
+describe('directions without a drug name', () => {
+  it('offers no name and asks for one', () => {
+    const { draft, lowConfidenceFields } = parse('Take 1 tablet by mouth daily');
+
+    expect(draft).not.toHaveProperty('name');
+    expect(draft).toMatchObject({ dosage: '1 tablet', frequency: 'once_daily' });
+    expect(lowConfidenceFields).toContain('name');
+  });
+
+  it('takes a known drug named inside the directions', () => {
+    expect(parse('Take metformin 500 mg twice daily').draft).toMatchObject({ name: 'metformin', dosage: '500 mg' });
+  });
+
+  it('flags an unknown name read out of the directions', () => {
+    const { draft, lowConfidenceFields } = parse('Take Zorbitrel 5 mg daily');
+
+    expect(draft.name).toBe('Zorbitrel');
+    expect(lowConfidenceFields).toContain('name');
+  });
+});
+
+describe('concentration strengths', () => {
+  it('keeps the units to inject rather than multiplying the concentration', () => {
+    const { draft, lowConfidenceFields } = parse('Insulin glargine 100 units/ml inject 20 units at bedtime');
+
+    expect(draft).toMatchObject({ name: 'Insulin glargine', dosage: '20 units', dosageForm: 'Injection', reminderTimes: ['21:00'] });
+    expect(lowConfidenceFields).not.toContain('dosage');
+  });
+
+  it('keeps the volume to take for a liquid', () => {
+    expect(parse('Amoxicillin 250 mg/5 ml suspension, take 5 ml three times daily x 10 days').draft)
+      .toMatchObject({ dosage: '5 ml', dosageForm: 'Liquid', frequency: 'three_times_daily' });
+  });
+
+  it('flags the dosage when only the concentration is known', () => {
+    const { draft, lowConfidenceFields } = parse('Heparin 5000 units/ml inject every 12 hours');
+
+    expect(draft.dosage).toBe('5000 units');
+    expect(lowConfidenceFields).toContain('dosage');
+  });
+});
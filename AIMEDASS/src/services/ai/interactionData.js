@@ -0,0 +1,422 @@
+/**
+ * MediAssist App - Interaction Dataset
+ * Bundled, versioned drug interaction, allergy and condition rules used offline
+ *
+ * Rule sides reference either a generic drug name ('warfarin') or a drug class
+ * ('class:nsaid'). Bump DATASET_VERSION whenever rules change so stored
+ * acknowledgements can be told apart from ones made against older data.
+ */
+
+import { INTERACTION_SEVERITY } from '../../utils/constants';
+
+const { CONTRAINDICATED, MAJOR, MODERATE, MINOR } = INTERACTION_SEVERITY;
+
+export const DATASET_VERSION = '2026.10.2';
+
+// Generic drugs with their brand names and drug classes
+export const DRUGS = {
+  // Anticoagulants and antiplatelets
+  warfarin: { aliases: ['coumadin', 'jantoven'], classes: ['anticoagulant'] },
+  apixaban: { aliases: ['eliquis'], classes: ['anticoagulant'] },
+  rivaroxaban: { aliases: ['xarelto'], classes: ['anticoagulant'] },
+  clopidogrel: { aliases: ['plavix'], classes: ['antiplatelet'] },
+  aspirin: { aliases: ['bayer', 'ecotrin', 'asa'], classes: ['nsaid', 'antiplatelet', 'salicylate'] },
+
+  // Pain relief
+  ibuprofen: { aliases: ['advil', 'motrin'], classes: ['nsaid'] },
+  naproxen: { aliases: ['aleve', 'naprosyn'], classes: ['nsaid'] },
+  diclofenac: { aliases: ['voltaren'], classes: ['nsaid'] },
+  celecoxib: { aliases: ['celebrex'], classes: ['nsaid'] },
+  acetaminophen: { aliases: ['tylenol', 'paracetamol', 'panadol'], classes: ['analgesic'] },
+  tramadol: { aliases: ['ultram'], classes: ['opioid', 'serotonergic'] },
+  oxycodone: { aliases: ['oxycontin', 'percocet'], classes: ['opioid'] },
+
+  // Cardiovascular
+  lisinopril: { aliases: ['prinivil', 'zestril'], classes: ['ace_inhibitor'] },
+  enalapril: { aliases: ['vasotec'], classes: ['ace_inhibitor'] },
+  losartan: { aliases: ['cozaar'], classes: ['arb'] },
+  spironolactone: { aliases: ['aldactone'], classes: ['potassium_sparing_diuretic'] },
+  hydrochlorothiazide: { aliases: ['hctz', 'microzide'], classes: ['thiazide'] },
+  furosemide: { aliases: ['lasix'], classes: ['loop_diuretic'] },
+  metoprolol: { aliases: ['lopressor', 'toprol'], classes: ['beta_blocker'] },
+  propranolol: { aliases: ['inderal'], classes: ['beta_blocker', 'nonselective_beta_blocker'] },
+  amlodipine: { aliases: ['norvasc'], classes: ['calcium_channel_blocker'] },
+  digoxin: { aliases: ['lanoxin'], classes: ['cardiac_glycoside'] },
+  amiodarone: { aliases: ['pacerone', 'cordarone'], classes: ['antiarrhythmic'] },
+  nitroglycerin: { aliases: ['nitrostat'], classes: ['nitrate'] },
+  isosorbide: { aliases: ['imdur', 'isordil'], classes: ['nitrate'] },
+  sildenafil: { aliases: ['viagra', 'revatio'], classes: ['pde5_inhibitor'] },
+  tadalafil: { aliases: ['cialis'], classes: ['pde5_inhibitor'] },
+  simvastatin: { aliases: ['zocor'], classes: ['statin'] },
+  atorvastatin: { aliases: ['lipitor'], classes: ['statin'] },
+
+  // Endocrine
+  metformin: { aliases: ['glucophage'], classes: ['biguanide'] },
+  glipizide: { aliases: ['glucotrol'], classes: ['sulfonylurea'] },
+  insulin: { aliases: ['lantus', 'humalog', 'novolog'], classes: ['insulin'] },
+  levothyroxine: { aliases: ['synthroid', 'levoxyl'], classes: ['thyroid_hormone'] },
+  prednisone: { aliases: ['deltasone'], classes: ['corticosteroid'] },
+
+  // Mental health
+  sertraline: { aliases: ['zoloft'], classes: ['ssri', 'serotonergic'] },
+  fluoxetine: { aliases: ['prozac'], classes: ['ssri', 'serotonergic'] },
+  citalopram: { aliases: ['celexa'], classes: ['ssri', 'serotonergic'] },
+  escitalopram: { aliases: ['lexapro'], classes: ['ssri', 'serotonergic'] },
+  phenelzine: { aliases: ['nardil'], classes: ['maoi', 'serotonergic'] },
+  selegiline: { aliases: ['emsam', 'eldepryl'], classes: ['maoi', 'serotonergic'] },
+  lithium: { aliases: ['lithobid'], classes: ['mood_stabilizer'] },
+  alprazolam: { aliases: ['xanax'], classes: ['benzodiazepine'] },
+  lorazepam: { aliases: ['ativan'], classes: ['benzodiazepine'] },
+
+  // Anti-infectives
+  amoxicillin: { aliases: ['amoxil', 'augmentin'], classes: ['penicillin'] },
+  penicillin: { aliases: ['pen vk'], classes: ['penicillin'] },
+  cephalexin: { aliases: ['keflex'], classes: ['cephalosporin'] },
+  ciprofloxacin: { aliases: ['cipro'], classes: ['fluoroquinolone'] },
+  levofloxacin: { aliases: ['levaquin'], classes: ['fluoroquinolone'] },
+  clarithromycin: { aliases: ['biaxin'], classes: ['macrolide', 'strong_cyp3a4_inhibitor'] },
+  sulfamethoxazole: { aliases: ['bactrim', 'septra'], classes: ['sulfonamide'] },
+  fluconazole: { aliases: ['diflucan'], classes: ['azole_antifungal'] },
+
+  // Gastrointestinal
+  omeprazole: { aliases: ['prilosec'], classes: ['ppi'] },
+  calcium_carbonate: { aliases: ['calcium carbonate', 'tums', 'calcium'], classes: ['antacid', 'mineral'] },
+
+  // Supplements and herbals
+  potassium_chloride: { aliases: ['potassium chloride', 'potassium', 'k-dur', 'klor-con'], classes: ['potassium_supplement'] },
+  iron: { aliases: ['ferrous sulfate', 'ferrous', 'feosol'], classes: ['mineral'] },
+  st_johns_wort: { aliases: ["st. john's wort", "st john's wort", 'st johns wort', 'hypericum'], classes: ['serotonergic', 'cyp3a4_inducer'] },
+  ginkgo: { aliases: ['ginkgo biloba'], classes: ['herbal_antiplatelet'] },
+  pseudoephedrine: { aliases: ['sudafed'], classes: ['decongestant'] },
+  oral_contraceptive: { aliases: ['birth control', 'yaz', 'loestrin', 'ethinyl estradiol'], classes: ['hormonal_contraceptive'] },
+};
+
+// Salt and ester names that follow a generic name without changing the drug
+// ("losartan potassium", "atorvastatin calcium", "metoprolol succinate")
+export const SALT_FORMS = [
+  'potassium', 'sodium', 'calcium', 'magnesium', 'hcl', 'hydrochloride', 'hydrobromide',
+  'sulfate', 'succinate', 'tartrate', 'besylate', 'maleate', 'mesylate', 'citrate',
+  'phosphate', 'acetate', 'fumarate', 'bromide', 'chloride', 'carbonate',
+];
+
+// Drug-drug interaction rules
+export const DRUG_INTERACTIONS = [
+  {
+    id: 'ddi-nitrate-pde5',
+    between: ['class:nitrate', 'class:pde5_inhibitor'],
+    severity: CONTRAINDICATED,
+    title: 'Severe drop in blood pressure',
+    explanation: 'Nitrates and PDE5 inhibitors both widen blood vessels. Together they can cause dangerously low blood pressure, fainting or heart attack.',
+  },
+  {
+    id: 'ddi-maoi-ssri',
+    between: ['class:maoi', 'class:ssri'],
+    severity: CONTRAINDICATED,
+    title: 'Serotonin syndrome',
+    explanation: 'Combining an MAOI with an SSRI can cause serotonin syndrome, a potentially fatal reaction with fever, agitation and muscle rigidity.',
+  },
+  {
+    id: 'ddi-simvastatin-cyp3a4',
+    between: ['simvastatin', 'class:strong_cyp3a4_inhibitor'],
+    severity: CONTRAINDICATED,
+    title: 'Muscle breakdown risk',
+    explanation: 'Strong CYP3A4 inhibitors sharply raise simvastatin levels, which can cause severe muscle damage (rhabdomyolysis).',
+  },
+  {
+    id: 'ddi-anticoagulant-nsaid',
+    between: ['class:anticoagulant', 'class:nsaid'],
+    severity: MAJOR,
+    title: 'Increased bleeding risk',
+    explanation: 'NSAIDs irritate the stomach lining and affect platelets. With a blood thinner this raises the risk of serious bleeding.',
+  },
+  {
+    id: 'ddi-anticoagulant-antiplatelet',
+    between: ['class:anticoagulant', 'class:antiplatelet'],
+    severity: MAJOR,
+    title: 'Increased bleeding risk',
+    explanation: 'Taking a blood thinner with an antiplatelet medicine adds to the bleeding risk. This is sometimes intended, but should be supervised.',
+  },
+  {
+    id: 'ddi-warfarin-amiodarone',
+    between: ['warfarin', 'amiodarone'],
+    severity: MAJOR,
+    title: 'Raised warfarin effect',
+    explanation: 'Amiodarone slows warfarin breakdown, raising INR and bleeding risk. Warfarin doses usually need lowering and closer INR checks.',
+  },
+  {
+    id: 'ddi-warfarin-azole',
+    between: ['warfarin', 'class:azole_antifungal'],
+    severity: MAJOR,
+    title: 'Raised warfarin effect',
+    explanation: 'Azole antifungals slow warfarin breakdown, which can raise INR and cause bleeding.',
+  },
+  {
+    id: 'ddi-digoxin-amiodarone',
+    between: ['digoxin', 'amiodarone'],
+    severity: MAJOR,
+    title: 'Digoxin toxicity',
+    explanation: 'Amiodarone raises digoxin levels, which can cause nausea, vision changes and dangerous heart rhythms.',
+  },
+  {
+    id: 'ddi-ace-potassium',
+    between: ['class:ace_inhibitor', 'class:potassium_supplement'],
+    severity: MAJOR,
+    title: 'High potassium',
+    explanation: 'ACE inhibitors reduce potassium loss. Adding potassium can push levels high enough to affect heart rhythm.',
+  },
+  {
+    id: 'ddi-ace-potassium-sparing',
+    between: ['class:ace_inhibitor', 'class:potassium_sparing_diuretic'],
+    severity: MAJOR,
+    title: 'High potassium',
+    explanation: 'Both medicines raise potassium. Together they can cause hyperkalemia, especially with reduced kidney function.',
+  },
+  {
+    id: 'ddi-serotonergic-tramadol',
+    between: ['class:ssri', 'tramadol'],
+    severity: MAJOR,
+    title: 'Serotonin syndrome and seizures',
+    explanation: 'Tramadol adds serotonin activity to an SSRI and lowers the seizure threshold.',
+  },
+  {
+    id: 'ddi-ssri-st-johns-wort',
+    between: ['class:ssri', 'st_johns_wort'],
+    severity: MAJOR,
+    title: 'Serotonin syndrome',
+    explanation: "St. John's wort has serotonin activity of its own and should not be combined with an SSRI.",
+  },
+  {
+    id: 'ddi-contraceptive-st-johns-wort',
+    between: ['class:hormonal_contraceptive', 'st_johns_wort'],
+    severity: MAJOR,
+    title: 'Reduced contraceptive effect',
+    explanation: "St. John's wort speeds up hormone breakdown and can make hormonal birth control fail.",
+  },
+  {
+    id: 'ddi-opioid-benzodiazepine',
+    between: ['class:opioid', 'class:benzodiazepine'],
+    severity: MAJOR,
+    title: 'Breathing suppression',
+    explanation: 'Opioids and benzodiazepines both slow breathing. Together they can cause extreme drowsiness, slowed breathing or death.',
+  },
+  {
+    id: 'ddi-lithium-nsaid',
+    between: ['lithium', 'class:nsaid'],
+    severity: MAJOR,
+    title: 'Lithium toxicity',
+    explanation: 'NSAIDs reduce lithium clearance by the kidneys, which can raise lithium to toxic levels.',
+  },
+  {
+    id: 'ddi-lithium-ace',
+    between: ['lithium', 'class:ace_inhibitor'],
+    severity: MAJOR,
+    title: 'Lithium toxicity',
+    explanation: 'ACE inhibitors can raise lithium levels. Lithium levels should be monitored closely.',
+  },
+  {
+    id: 'ddi-ace-nsaid',
+    between: ['class:ace_inhibitor', 'class:nsaid'],
+    severity: MODERATE,
+    title: 'Reduced blood pressure control and kidney strain',
+    explanation: 'NSAIDs can blunt the effect of ACE inhibitors and, together, strain the kidneys. Occasional use is usually fine; regular use should be discussed.',
+  },
+  {
+    id: 'ddi-arb-nsaid',
+    between: ['class:arb', 'class:nsaid'],
+    severity: MODERATE,
+    title: 'Reduced blood pressure control and kidney strain',
+    explanation: 'NSAIDs can blunt the effect of ARBs and, together, strain the kidneys.',
+  },
+  {
+    id: 'ddi-ace-arb',
+    between: ['class:ace_inhibitor', 'class:arb'],
+    severity: MAJOR,
+    title: 'Double blockade of blood pressure hormones',
+    explanation: 'ACE inhibitors and ARBs act on the same system. Together they raise the risk of high potassium, low blood pressure and kidney injury without added benefit for most people.',
+  },
+  {
+    id: 'ddi-clopidogrel-omeprazole',
+    between: ['clopidogrel', 'omeprazole'],
+    severity: MODERATE,
+    title: 'Reduced clopidogrel effect',
+    explanation: 'Omeprazole reduces activation of clopidogrel, which may make it less protective. Another stomach protector may be preferred.',
+  },
+  {
+    id: 'ddi-levothyroxine-minerals',
+    between: ['levothyroxine', 'class:mineral'],
+    severity: MODERATE,
+    title: 'Reduced thyroid hormone absorption',
+    explanation: 'Calcium and iron bind levothyroxine in the gut. Take them at least 4 hours apart.',
+  },
+  {
+    id: 'ddi-fluoroquinolone-minerals',
+    between: ['class:fluoroquinolone', 'class:mineral'],
+    severity: MODERATE,
+    title: 'Reduced antibiotic absorption',
+    explanation: 'Calcium, iron and antacids bind fluoroquinolone antibiotics. Take the antibiotic 2 hours before or 6 hours after.',
+  },
+  {
+    id: 'ddi-insulin-beta-blocker',
+    between: ['class:insulin', 'class:beta_blocker'],
+    severity: MODERATE,
+    title: 'Masked low blood sugar',
+    explanation: 'Beta-blockers can hide warning signs of low blood sugar such as a racing heart.',
+  },
+  {
+    id: 'ddi-sulfonylurea-fluoroquinolone',
+    between: ['class:sulfonylurea', 'class:fluoroquinolone'],
+    severity: MODERATE,
+    title: 'Blood sugar swings',
+    explanation: 'Fluoroquinolones can cause unexpected low or high blood sugar in people taking sulfonylureas.',
+  },
+  {
+    id: 'ddi-anticoagulant-ginkgo',
+    between: ['class:anticoagulant', 'class:herbal_antiplatelet'],
+    severity: MODERATE,
+    title: 'Increased bleeding risk',
+    explanation: 'Ginkgo may affect platelets and add to the effect of blood thinners.',
+  },
+  {
+    id: 'ddi-thiazide-calcium',
+    between: ['class:thiazide', 'calcium_carbonate'],
+    severity: MINOR,
+    title: 'Raised calcium levels',
+    explanation: 'Thiazide diuretics reduce calcium loss. High-dose calcium supplements may raise blood calcium.',
+  },
+  {
+    id: 'ddi-amlodipine-simvastatin',
+    between: ['amlodipine', 'simvastatin'],
+    severity: MINOR,
+    title: 'Raised statin levels',
+    explanation: 'Amlodipine modestly raises simvastatin levels. Simvastatin is usually limited to 20 mg daily alongside it.',
+  },
+];
+
+// Allergy rules: a profile allergy mentioning one of the allergens flags matching drugs
+export const ALLERGY_RULES = [
+  {
+    id: 'alg-penicillin',
+    allergens: ['penicillin', 'amoxicillin', 'ampicillin'],
+    matches: ['class:penicillin'],
+    severity: CONTRAINDICATED,
+    title: 'Penicillin allergy',
+    explanation: 'This medicine is a penicillin antibiotic and can trigger the same allergic reaction.',
+  },
+  {
+    id: 'alg-penicillin-cephalosporin',
+    allergens: ['penicillin', 'amoxicillin'],
+    matches: ['class:cephalosporin'],
+    severity: MODERATE,
+    title: 'Possible cross-reaction with penicillin allergy',
+    explanation: 'A small number of people allergic to penicillin also react to cephalosporins.',
+  },
+  {
+    id: 'alg-sulfa',
+    allergens: ['sulfa', 'sulfonamide', 'bactrim'],
+    matches: ['class:sulfonamide'],
+    severity: CONTRAINDICATED,
+    title: 'Sulfa allergy',
+    explanation: 'This medicine is a sulfonamide antibiotic and can trigger the same allergic reaction.',
+  },
+  {
+    id: 'alg-nsaid',
+    allergens: ['nsaid', 'aspirin', 'ibuprofen', 'naproxen'],
+    matches: ['class:nsaid'],
+    severity: MAJOR,
+    title: 'NSAID allergy',
+    explanation: 'People who react to one NSAID often react to others, including aspirin.',
+  },
+  {
+    id: 'alg-codeine-opioid',
+    allergens: ['codeine', 'morphine', 'opioid', 'opiate'],
+    matches: ['class:opioid'],
+    severity: MAJOR,
+    title: 'Opioid allergy',
+    explanation: 'This is an opioid medicine. A previous reaction to an opioid may recur.',
+  },
+];
+
+// Condition rules: a medical condition mentioning one of the terms flags matching drugs
+export const CONDITION_RULES = [
+  {
+    id: 'cnd-pregnancy',
+    conditions: ['pregnan'],
+    matches: ['class:ace_inhibitor', 'class:arb', 'warfarin', 'class:statin'],
+    severity: CONTRAINDICATED,
+    title: 'Not recommended in pregnancy',
+    explanation: 'This medicine can harm an unborn baby. Discuss alternatives with your doctor.',
+  },
+  {
+    id: 'cnd-kidney-nsaid',
+    conditions: ['kidney', 'renal', 'ckd'],
+    matches: ['class:nsaid'],
+    severity: MAJOR,
+    title: 'Kidney disease',
+    explanation: 'NSAIDs reduce blood flow to the kidneys and can worsen kidney disease.',
+  },
+  {
+    id: 'cnd-kidney-metformin',
+    conditions: ['kidney', 'renal', 'ckd'],
+    matches: ['metformin'],
+    severity: MODERATE,
+    title: 'Kidney disease',
+    explanation: 'Metformin is cleared by the kidneys. The dose may need adjusting based on kidney function.',
+  },
+  {
+    id: 'cnd-ulcer-nsaid',
+    conditions: ['ulcer', 'gi bleed', 'stomach bleed'],
+    matches: ['class:nsaid'],
+    severity: MAJOR,
+    title: 'History of stomach ulcers or bleeding',
+    explanation: 'NSAIDs can cause new ulcers and bleeding in the stomach.',
+  },
+  {
+    id: 'cnd-asthma-beta-blocker',
+    conditions: ['asthma', 'copd'],
+    matches: ['class:nonselective_beta_blocker'],
+    severity: MAJOR,
+    title: 'Asthma or COPD',
+    explanation: 'Non-selective beta-blockers can tighten the airways and trigger breathing problems.',
+  },
+  {
+    id: 'cnd-heart-failure-nsaid',
+    conditions: ['heart failure', 'chf'],
+    matches: ['class:nsaid'],
+    severity: MODERATE,
+    title: 'Heart failure',
+    explanation: 'NSAIDs cause fluid retention, which can worsen heart failure.',
+  },
+  {
+    id: 'cnd-liver-acetaminophen',
+    conditions: ['liver', 'hepatic', 'cirrhosis', 'hepatitis'],
+    matches: ['acetaminophen'],
+    severity: MODERATE,
+    title: 'Liver disease',
+    explanation: 'Acetaminophen is processed by the liver. A lower maximum daily dose is usually advised.',
+  },
+  {
+    id: 'cnd-hypertension-decongestant',
+    conditions: ['hypertension', 'high blood pressure'],
+    matches: ['class:decongestant'],
+    severity: MODERATE,
+    title: 'High blood pressure',
+    explanation: 'Decongestants narrow blood vessels and can raise blood pressure.',
+  },
+  {
+    id: 'cnd-diabetes-corticosteroid',
+    conditions: ['diabet'],
+    matches: ['class:corticosteroid'],
+    severity: MODERATE,
+    title: 'Diabetes',
+    explanation: 'Corticosteroids raise blood sugar. Monitor glucose more often while taking them.',
+  },
+];
+
+export default {
+  version: DATASET_VERSION,
+  drugs: DRUGS,
+  saltForms: SALT_FORMS,
+  interactions: DRUG_INTERACTIONS,
+  allergies: ALLERGY_RULES,
+  conditions: CONDITION_RULES,
+};
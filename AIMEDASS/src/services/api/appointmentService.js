@@ -0,0 +1,163 @@
+/**
+ * MediAssist App - Appointment Service
+ * Local-first persistence for appointments and recurring appointment series
+ */
+
+import { getItem, setItem } from '../storage/AsyncStorage';
+import { STORAGE_KEYS, APPOINTMENT_STATUS } from '../../utils/constants';
+import { generateId, toISOString } from '../../utils/helpers';
+import { getIcsUid } from '../calendar/IcsCalendar';
+import { DEFAULT_PREP_TEMPLATES } from '../../utils/prepChecklists';
+
+// Dates inside a recurrence rule are stored as ISO strings like the appointment's own
+const normalizeRecurrence = (recurrence) => {
+  if (!recurrence?.frequency) return null;
+
+  return {
+    frequency: recurrence.frequency,
+    interval: Math.max(1, Math.floor(Number(recurrence.interval)) || 1),
+    until: toISOString(recurrence.until),
+    count: Number(recurrence.count) > 0 ? Math.floor(Number(recurrence.count)) : null,
+  };
+};
+
+const fetchAppointments = async () => {
+  return getItem(STORAGE_KEYS.APPOINTMENTS, []);
+};
+
+const buildAppointment = (data, now) => ({
+  status: APPOINTMENT_STATUS.SCHEDULED,
+  exceptions: {},
+  ...data,
+  id: generateId('appt_'),
+  dateTime: toISOString(data.dateTime),
+  recurrence: normalizeRecurrence(data.recurrence),
+  createdAt: now,
+  updatedAt: now,
+});
+
+const applyAppointmentChanges = (existing, changes, now) => {
+  const updated = {
+    ...existing,
+    ...changes,
+    id: existing.id,
+    updatedAt: now,
+  };
+
+  if ('dateTime' in changes) updated.dateTime = toISOString(changes.dateTime);
+  if ('recurrence' in changes) updated.recurrence = normalizeRecurrence(changes.recurrence);
+
+  return updated;
+};
+
+const createAppointment = async (data) => {
+  const appointments = await fetchAppointments();
+  const appointment = buildAppointment(data, new Date().toISOString());
+
+  await setItem(STORAGE_KEYS.APPOINTMENTS, [...appointments, appointment]);
+  return appointment;
+};
+
+const updateAppointment = async (id, changes) => {
+  const appointments = await fetchAppointments();
+  const existing = appointments.find(appointment => appointment.id === id);
+
+  if (!existing) {
+    throw new Error('Appointment not found');
+  }
+
+  const updated = applyAppointmentChanges(existing, changes, new Date().toISOString());
+
+  await setItem(
+    STORAGE_KEYS.APPOINTMENTS,
+    appointments.map(appointment => (appointment.id === id ? updated : appointment))
+  );
+  return updated;
+};
+
+/**
+ * Create and update several appointments in a single write, so either all of the changes are
+ * saved or none are. `created` lists new appointment data and `updated` lists { id, changes };
+ * `changes` may also be a function of the created appointments, for updates that link to them.
+ * Resolves to { created, updated } as stored.
+ */
+const saveAppointments = async ({ created = [], updated = [] }) => {
+  const appointments = await fetchAppointments();
+  const now = new Date().toISOString();
+  const added = created.map(data => buildAppointment(data, now));
+
+  const changed = new Map();
+  updated.forEach(({ id, changes }) => {
+    const existing = changed.get(id) || appointments.find(appointment => appointment.id === id);
+    if (!existing) {
+      throw new Error('Appointment not found');
+    }
+    const resolved = typeof changes === 'function' ? changes(added) : changes;
+    changed.set(id, applyAppointmentChanges(existing, resolved, now));
+  });
+
+  await setItem(STORAGE_KEYS.APPOINTMENTS, [
+    ...appointments.map(appointment => changed.get(appointment.id) || appointment),
+    ...added,
+  ]);
+  return { created: added, updated: Array.from(changed.values()) };
+};
+
+/**
+ * Save appointments read from a calendar file in one write. An appointment whose calendar
+ * UID was imported (or exported) before replaces that appointment instead of duplicating it.
+ */
+const importAppointments = async (imported) => {
+  const appointments = await fetchAppointments();
+  const now = new Date().toISOString();
+  const saved = [];
+  let created = 0;
+
+  const merged = imported.reduce((list, data) => {
+    const existing = list.find(appointment => getIcsUid(appointment) === data.icsUid);
+    const appointment = {
+      status: APPOINTMENT_STATUS.SCHEDULED,
+      exceptions: {},
+      ...existing,
+      ...data,
+      id: existing?.id || generateId('appt_'),
+      icsUid: existing ? getIcsUid(existing) : data.icsUid,
+      dateTime: toISOString(data.dateTime),
+      recurrence: normalizeRecurrence(data.recurrence),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+
+    saved.push(appointment);
+    if (!existing) {
+      created += 1;
+      return [...list, appointment];
+    }
+    return list.map(item => (item.id === existing.id ? appointment : item));
+  }, appointments);
+
+  await setItem(STORAGE_KEYS.APPOINTMENTS, merged);
+  return { appointments: saved, created, updated: saved.length - created };
+};
+
+// Preparation checklist templates, built-in ones included so they can be edited too
+const fetchPrepTemplates = async () => {
+  return getItem(STORAGE_KEYS.PREP_TEMPLATES, DEFAULT_PREP_TEMPLATES);
+};
+
+const savePrepTemplates = async (templates) => {
+  await setItem(STORAGE_KEYS.PREP_TEMPLATES, templates);
+  return templates;
+};
+
+const appointmentService = {
+  fetchAppointments,
+  createAppointment,
+  updateAppointment,
+  saveAppointments,
+  importAppointments,
+  fetchPrepTemplates,
+  savePrepTemplates,
+};
+
+export default appointmentService;
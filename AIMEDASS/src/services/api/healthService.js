@@ -0,0 +1,136 @@
+/**
+ * MediAssist App - Health Service
+ * Local-first persistence for vital sign readings, the user's range profile and vital alerts
+ */
+
+import { getItem, setItem } from '../storage/AsyncStorage';
+import { STORAGE_KEYS } from '../../utils/constants';
+import { generateId, toISOString } from '../../utils/helpers';
+import { DEFAULT_ALERT_RULES } from '../../utils/vitalAlerts';
+
+// Oldest alerts beyond this are dropped from the log
+const MAX_STORED_ALERTS = 200;
+
+// Vital readings
+const fetchVitalReadings = async () => {
+  return getItem(STORAGE_KEYS.VITALS, []);
+};
+
+const createVitalReading = async (data) => {
+  const readings = await fetchVitalReadings();
+  const now = new Date().toISOString();
+
+  const reading = {
+    note: '',
+    tags: [],
+    source: 'manual',
+    ...data,
+    id: generateId('vital_'),
+    measuredAt: toISOString(data.measuredAt) || now,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await setItem(STORAGE_KEYS.VITALS, [...readings, reading]);
+  return reading;
+};
+
+const updateVitalReading = async (id, changes) => {
+  const readings = await fetchVitalReadings();
+  const existing = readings.find(reading => reading.id === id);
+
+  if (!existing) {
+    throw new Error('Reading not found');
+  }
+
+  const updated = {
+    ...existing,
+    ...changes,
+    id,
+    updatedAt: new Date().toISOString(),
+  };
+
+  if ('measuredAt' in changes) updated.measuredAt = toISOString(changes.measuredAt) || existing.measuredAt;
+
+  await setItem(
+    STORAGE_KEYS.VITALS,
+    readings.map(reading => (reading.id === id ? updated : reading))
+  );
+  return updated;
+};
+
+const deleteVitalReading = async (id) => {
+  const readings = await fetchVitalReadings();
+  await setItem(STORAGE_KEYS.VITALS, readings.filter(reading => reading.id !== id));
+  return id;
+};
+
+// Range profile: { dateOfBirth, medicalConditions, allergies, overrides } plus ProfileForm's other details
+const fetchRangeProfile = async () => {
+  return getItem(STORAGE_KEYS.VITAL_RANGES, { dateOfBirth: null, medicalConditions: '', allergies: '', overrides: {} });
+};
+
+const saveRangeProfile = async (profile) => {
+  const saved = {
+    ...profile,
+    dateOfBirth: toISOString(profile.dateOfBirth),
+    updatedAt: new Date().toISOString(),
+  };
+
+  await setItem(STORAGE_KEYS.VITAL_RANGES, saved);
+  return saved;
+};
+
+// Alert settings: { rules, emergencyContact: { name, phone } }
+const fetchAlertSettings = async () => {
+  return getItem(STORAGE_KEYS.VITAL_ALERT_SETTINGS, { rules: DEFAULT_ALERT_RULES, emergencyContact: null });
+};
+
+const saveAlertSettings = async (settings) => {
+  const saved = { ...settings, updatedAt: new Date().toISOString() };
+  await setItem(STORAGE_KEYS.VITAL_ALERT_SETTINGS, saved);
+  return saved;
+};
+
+// Alert log, newest first
+const fetchVitalAlerts = async () => {
+  return getItem(STORAGE_KEYS.VITAL_ALERTS, []);
+};
+
+// Store newly raised alerts; an alert already in the log (same rule and reading) is kept as-is
+const recordVitalAlerts = async (alerts) => {
+  const existing = await fetchVitalAlerts();
+  const recorded = alerts.filter(alert => !existing.some(item => item.id === alert.id));
+
+  if (recorded.length) {
+    await setItem(STORAGE_KEYS.VITAL_ALERTS, [...recorded, ...existing].slice(0, MAX_STORED_ALERTS));
+  }
+  return recorded;
+};
+
+const acknowledgeVitalAlert = async (id) => {
+  const alerts = await fetchVitalAlerts();
+  const acknowledgedAt = new Date().toISOString();
+
+  await setItem(
+    STORAGE_KEYS.VITAL_ALERTS,
+    alerts.map(alert => (alert.id === id ? { ...alert, acknowledgedAt } : alert))
+  );
+  return { id, acknowledgedAt };
+};
+
+const healthService = {
+  fetchVitalReadings,
+  createVitalReading,
+  updateVitalReading,
+  deleteVitalReading,
+  fetchRangeProfile,
+  saveRangeProfile,
+  fetchAlertSettings,
+  saveAlertSettings,
+  fetchVitalAlerts,
+  recordVitalAlerts,
+  acknowledgeVitalAlert,
+};
+
+export default healthService;
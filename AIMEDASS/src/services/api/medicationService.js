@@ -0,0 +1,134 @@
+/**
+ * MediAssist App - Medication Service
+ * Local-first persistence for medications and the append-only dose ledger
+ */
+
+import { getItem, setItem } from '../storage/AsyncStorage';
+import { STORAGE_KEYS, MEDICATION_STATUS } from '../../utils/constants';
+import { generateId, toISOString } from '../../utils/helpers';
+
+// Medications
+const fetchMedications = async () => {
+  return getItem(STORAGE_KEYS.MEDICATIONS, []);
+};
+
+const buildMedication = (data, now) => ({
+  status: MEDICATION_STATUS.ACTIVE,
+  reminderTimes: [],
+  remindersEnabled: true,
+  ...data,
+  id: generateId('med_'),
+  startDate: toISOString(data.startDate) || now,
+  endDate: toISOString(data.endDate),
+  createdAt: now,
+  updatedAt: now,
+});
+
+const applyMedicationChanges = (existing, changes, now) => {
+  const updated = {
+    ...existing,
+    ...changes,
+    id: existing.id,
+    updatedAt: now,
+  };
+
+  if ('startDate' in changes) updated.startDate = toISOString(changes.startDate);
+  if ('endDate' in changes) updated.endDate = toISOString(changes.endDate);
+
+  return updated;
+};
+
+const createMedication = async (data) => {
+  const medications = await fetchMedications();
+  const medication = buildMedication(data, new Date().toISOString());
+
+  await setItem(STORAGE_KEYS.MEDICATIONS, [...medications, medication]);
+  return medication;
+};
+
+const updateMedication = async (id, changes) => {
+  const medications = await fetchMedications();
+  const existing = medications.find(med => med.id === id);
+
+  if (!existing) {
+    throw new Error('Medication not found');
+  }
+
+  const updated = applyMedicationChanges(existing, changes, new Date().toISOString());
+
+  await setItem(
+    STORAGE_KEYS.MEDICATIONS,
+    medications.map(med => (med.id === id ? updated : med))
+  );
+  return updated;
+};
+
+/**
+ * Create and update several medications in a single write, so either all of the changes are
+ * saved or none are. `created` lists new medication data and `updated` lists { id, changes }.
+ * Resolves to { created, updated } as stored.
+ */
+const saveMedications = async ({ created = [], updated = [] }) => {
+  const medications = await fetchMedications();
+  const now = new Date().toISOString();
+
+  const changed = new Map();
+  updated.forEach(({ id, changes }) => {
+    const existing = changed.get(id) || medications.find(med => med.id === id);
+    if (!existing) {
+      throw new Error('Medication not found');
+    }
+    changed.set(id, applyMedicationChanges(existing, changes, now));
+  });
+  const added = created.map(data => buildMedication(data, now));
+
+  await setItem(STORAGE_KEYS.MEDICATIONS, [
+    ...medications.map(med => changed.get(med.id) || med),
+    ...added,
+  ]);
+  return { created: added, updated: Array.from(changed.values()) };
+};
+
+const deleteMedication = async (id) => {
+  const medications = await fetchMedications();
+  await setItem(STORAGE_KEYS.MEDICATIONS, medications.filter(med => med.id !== id));
+  return id;
+};
+
+// Dose ledger (events are only ever appended)
+const fetchDoseEvents = async () => {
+  return getItem(STORAGE_KEYS.DOSE_EVENTS, []);
+};
+
+let appendQueue = Promise.resolve();
+
+/**
+ * Add events to the end of the ledger. Appends run one at a time, so writers in the app and
+ * in reminder buttons never overwrite each other's events. `events` may also be a function
+ * of the stored events returning those to add, for writers that must see the latest ledger.
+ * Resolves to the events added.
+ */
+const appendDoseEvents = (events) => {
+  const run = async () => {
+    const existing = await fetchDoseEvents();
+    const added = typeof events === 'function' ? events(existing) : events;
+    if (added.length) {
+      await setItem(STORAGE_KEYS.DOSE_EVENTS, [...existing, ...added]);
+    }
+    return added;
+  };
+  appendQueue = appendQueue.then(run, run);
+  return appendQueue;
+};
+
+const medicationService = {
+  fetchMedications,
+  createMedication,
+  updateMedication,
+  saveMedications,
+  deleteMedication,
+  fetchDoseEvents,
+  appendDoseEvents,
+};
+
+export default medicationService;
@@ -0,0 +1,31 @@
+/**
+ * MediAssist App - Settings Service
+ * Local-first persistence for app preferences
+ */
+
+import { getItem, setItem } from '../storage/AsyncStorage';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+const fetchSettings = async () => {
+  return getItem(STORAGE_KEYS.SETTINGS, {});
+};
+
+// Merge changes into the stored settings
+const updateSettings = async (changes) => {
+  const settings = await fetchSettings();
+  const updated = {
+    ...settings,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await setItem(STORAGE_KEYS.SETTINGS, updated);
+  return updated;
+};
+
+const settingsService = {
+  fetchSettings,
+  updateSettings,
+};
+
+export default settingsService;
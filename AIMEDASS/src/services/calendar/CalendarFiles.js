@@ -0,0 +1,64 @@
+/**
+ * MediAssist App - Calendar Files
+ * Reading .ics files from device folders and sharing appointments as .ics through react-native-share
+ */
+
+import { Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+import Share from 'react-native-share';
+import { parseIcsAppointments, serializeIcsAppointments } from './IcsCalendar';
+
+const ICS_MIME_TYPE = 'text/calendar';
+
+// Folders where calendar invites saved from mail or the browser usually end up
+const getImportFolders = () => [
+  RNFS.DocumentDirectoryPath,
+  Platform.OS === 'android' ? RNFS.DownloadDirectoryPath : null,
+].filter(Boolean);
+
+// .ics files in the import folders, newest first, as { name, path, modifiedAt }
+export const findIcsFiles = async () => {
+  const folders = await Promise.all(getImportFolders().map(async (folder) => {
+    if (!(await RNFS.exists(folder))) return [];
+    return RNFS.readDir(folder);
+  }));
+
+  return folders
+    .flat()
+    .filter(item => item.isFile() && /\.ics$/i.test(item.name))
+    .map(item => ({ name: item.name, path: item.path, modifiedAt: item.mtime?.toISOString() || null }))
+    .sort((a, b) => (b.modifiedAt || '').localeCompare(a.modifiedAt || ''));
+};
+
+// Appointments and warnings from an .ics file (see parseIcsAppointments)
+export const readIcsFile = async (path) => {
+  const text = await RNFS.readFile(path.replace(/^file:\/\//, ''), 'utf8');
+  return parseIcsAppointments(text);
+};
+
+/**
+ * Write appointments to an .ics file in the cache folder and open the share sheet,
+ * so they can be added to a calendar app or sent on. Dismissing the sheet is not an error.
+ */
+export const shareAppointments = async (appointments, { fileName = 'appointments.ics', title = 'Share Appointments' } = {}) => {
+  const path = `${RNFS.CachesDirectoryPath}/${fileName}`;
+  await RNFS.writeFile(path, serializeIcsAppointments(appointments), 'utf8');
+
+  await Share.open({
+    title,
+    url: `file://${path}`,
+    type: ICS_MIME_TYPE,
+    filename: fileName,
+    failOnCancel: false,
+  });
+
+  return path;
+};
+
+const CalendarFiles = {
+  findIcsFiles,
+  readIcsFile,
+  shareAppointments,
+};
+
+export default CalendarFiles;
@@ -0,0 +1,766 @@
+/**
+ * MediAssist App - iCalendar
+ * RFC 5545 (.ics) parsing and serialization for appointments: VEVENTs with RRULE, EXDATE,
+ * RECURRENCE-ID overrides and VALARM reminders, mapped onto AppointmentForm fields.
+ *
+ * Times are converted with Intl time zone support; TZID values are read as IANA names
+ * (plus common Windows names sent by Outlook), and an imported series repeats in its TZID.
+ * Exports use the appointment's time zone, or the device's, as TZID with a VTIMEZONE for it,
+ * so recurring visits keep their wall-clock time across DST changes in other calendar apps.
+ */
+
+import {
+  APPOINTMENT_STATUS,
+  RECURRENCE_FREQUENCY,
+  DEFAULT_APPOINTMENT_DURATION,
+} from '../../utils/constants';
+import {
+  generateSeriesStarts,
+  isRecurringAppointment,
+  getAppointmentEnd,
+} from '../../utils/appointmentUtils';
+import { endOfDay, MS_PER_DAY } from '../../utils/dateUtils';
+import {
+  getDeviceTimeZone,
+  getZonedFields,
+  zonedTimeToUtc,
+  getTimeZoneOffset,
+  getWallClockFields,
+} from '../../utils/timeZones';
+
+const PRODID = '-//MediAssist//Appointments//EN';
+const UID_DOMAIN = 'mediassist';
+const MAX_LINE_OCTETS = 75;
+const MS_PER_MINUTE = 60 * 1000;
+const UTC = 'UTC';
+const SERIES_START_TOLERANCE = 12 * 60 * MS_PER_MINUTE;
+
+// Years a DST rule must hold for before it is exported as a yearly rule, enough for each weekday alignment
+const YEARLY_RULE_CHECK_YEARS = 12;
+
+// All-day events carry no visit time, so they are placed at this hour
+const ALL_DAY_START_HOUR = 9;
+
+// Appointment fields with no standard property, carried as X- properties so exports re-import unchanged
+const EXTENSION_FIELDS = [
+  { field: 'doctorName', name: 'X-MEDIASSIST-DOCTOR' },
+  { field: 'specialty', name: 'X-MEDIASSIST-SPECIALTY' },
+  { field: 'reasonForVisit', name: 'X-MEDIASSIST-REASON' },
+  { field: 'clinic', name: 'X-MEDIASSIST-CLINIC' },
+  { field: 'address', name: 'X-MEDIASSIST-ADDRESS' },
+  { field: 'phone', name: 'X-MEDIASSIST-PHONE' },
+  { field: 'type', name: 'X-MEDIASSIST-TYPE' },
+  { field: 'status', name: 'X-MEDIASSIST-STATUS' },
+  { field: 'fastingRequired', name: 'X-MEDIASSIST-FASTING', boolean: true },
+  { field: 'transportationNeeded', name: 'X-MEDIASSIST-TRANSPORTATION', boolean: true },
+];
+
+const ICS_STATUS = {
+  CONFIRMED: APPOINTMENT_STATUS.CONFIRMED,
+  TENTATIVE: APPOINTMENT_STATUS.SCHEDULED,
+  CANCELLED: APPOINTMENT_STATUS.CANCELLED,
+};
+
+// Windows zone names used by Outlook and Exchange invites
+const WINDOWS_TIME_ZONES = {
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'India Standard Time': 'Asia/Kolkata',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'UTC': 'UTC',
+};
+
+// Text values
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+const getOctets = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+// Split a content line into 75-octet lines, continuations starting with a space
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const limit = lines.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + getOctets(char) > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += getOctets(char);
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+};
+
+// Content lines
+
+// "DTSTART;TZID="America/New_York":20261102T100000" -> { name, params: { TZID }, value }
+const parseContentLine = (line) => {
+  let index = 0;
+  const readUntil = (stops) => {
+    let result = '';
+    let quoted = false;
+    while (index < line.length && (quoted || !stops.includes(line[index]))) {
+      if (line[index] === '"') quoted = !quoted;
+      else result += line[index];
+      index += 1;
+    }
+    return result;
+  };
+
+  const name = readUntil([';', ':']).toUpperCase();
+  const params = {};
+
+  while (line[index] === ';') {
+    index += 1;
+    const key = readUntil(['=', ';', ':']).toUpperCase();
+    if (line[index] === '=') index += 1;
+    params[key] = readUntil([';', ':']);
+  }
+
+  return { name, params, value: line.slice(index + 1) };
+};
+
+// Nested BEGIN/END blocks as { type, properties: [contentLine], components: [] }
+const parseComponents = (text) => {
+  const root = { type: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  text
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(parseContentLine)
+    .forEach((contentLine) => {
+      const current = stack[stack.length - 1];
+
+      if (contentLine.name === 'BEGIN') {
+        const component = { type: contentLine.value.trim().toUpperCase(), properties: [], components: [] };
+        current.components.push(component);
+        stack.push(component);
+      } else if (contentLine.name === 'END') {
+        if (stack.length > 1) stack.pop();
+      } else {
+        current.properties.push(contentLine);
+      }
+    });
+
+  return root;
+};
+
+const getProperty = (component, name) => component.properties.find(property => property.name === name);
+
+const getAllProperties = (component, name) => component.properties.filter(property => property.name === name);
+
+// Dates and time zones
+
+const normalizeTimeZone = (tzid) => {
+  const name = String(tzid || '').replace(/^\//, '').trim();
+  return WINDOWS_TIME_ZONES[name] || name;
+};
+
+/**
+ * A DATE or DATE-TIME value as { date, allDay, timeZone }. UTC ("Z") and TZID times are exact
+ * and keep their zone; floating times and all-day dates are read in the device time zone.
+ * Throws for unknown time zones so the caller can report them.
+ */
+const parseDateValue = (value, params = {}) => {
+  const match = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = '0', utc] = match;
+  const fields = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second),
+  };
+
+  if (hour === undefined || params.VALUE === 'DATE') {
+    return { date: new Date(fields.year, fields.month - 1, fields.day), allDay: true, timeZone: null };
+  }
+  if (utc) {
+    return { date: zonedTimeToUtc(fields, UTC), allDay: false, timeZone: UTC };
+  }
+  if (params.TZID) {
+    const timeZone = normalizeTimeZone(params.TZID);
+    try {
+      return { date: zonedTimeToUtc(fields, timeZone), allDay: false, timeZone };
+    } catch (error) {
+      throw new Error(`Unknown time zone "${params.TZID}"`);
+    }
+  }
+  return { date: new Date(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second), allDay: false, timeZone: null };
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatFields = ({ year, month, day, hour, minute, second }) => (
+  `${pad(year, 4)}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`
+);
+
+const formatUtc = (date) => {
+  const d = new Date(date);
+  return `${formatFields({
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    hour: d.getUTCHours(),
+    minute: d.getUTCMinutes(),
+    second: d.getUTCSeconds(),
+  })}Z`;
+};
+
+// "DTSTART;TZID=Europe/Paris:20261102T100000", or UTC when there is no time zone
+const formatDateProperty = (name, date, timeZone) => {
+  if (!timeZone || timeZone === UTC) return `${name}:${formatUtc(date)}`;
+  return `${name};TZID=${timeZone}:${formatFields(getZonedFields(new Date(date).getTime(), timeZone))}`;
+};
+
+// "-PT1H30M", "P1D", "P2W" -> signed minutes
+const parseDuration = (value) => {
+  const match = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = Number(weeks) * 7 * 24 * 60 + Number(days) * 24 * 60 + Number(hours) * 60 + Number(minutes) + Number(seconds) / 60;
+  return sign === '-' ? -total : total;
+};
+
+const formatMinutesBefore = (minutes) => {
+  if (minutes % (24 * 60) === 0) return `-P${minutes / (24 * 60)}D`;
+  if (minutes % 60 === 0) return `-PT${minutes / 60}H`;
+  return `-PT${minutes}M`;
+};
+
+// Recurrence rules
+
+const parseRuleParts = (value) => Object.fromEntries(
+  value.split(';').filter(Boolean).map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=')];
+  })
+);
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const getWeekdayCode = ({ year, month, day }) => WEEKDAY_CODES[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+
+/**
+ * An RRULE as the app's { frequency, interval, count } plus the raw UNTIL, or { unsupported }
+ * with the reason. `start` is the wall-clock fields of DTSTART in its own zone.
+ * DAILY rules in whole weeks and YEARLY rules become weekly and monthly ones.
+ */
+const parseRecurrenceRule = (value, start) => {
+  const parts = parseRuleParts(value);
+  const interval = Math.max(1, Number(parts.INTERVAL) || 1);
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+  const startDay = getWeekdayCode(start);
+
+  let frequency = null;
+  let ruleInterval = interval;
+
+  if (parts.FREQ === 'WEEKLY' || (parts.FREQ === 'DAILY' && interval % 7 === 0)) {
+    frequency = RECURRENCE_FREQUENCY.WEEKLY;
+    if (parts.FREQ === 'DAILY') ruleInterval = interval / 7;
+    if (byDay.some(day => day !== startDay)) return { unsupported: 'repeats on several weekdays' };
+  } else if (parts.FREQ === 'MONTHLY' || parts.FREQ === 'YEARLY') {
+    frequency = RECURRENCE_FREQUENCY.MONTHLY;
+    if (parts.FREQ === 'YEARLY') ruleInterval = interval * 12;
+    if (byDay.length) return { unsupported: 'repeats on a weekday of the month' };
+    if (parts.BYMONTHDAY && Number(parts.BYMONTHDAY) !== start.day) {
+      return { unsupported: 'repeats on a different day of the month' };
+    }
+  } else {
+    return { unsupported: `repeats ${String(parts.FREQ || 'in an unknown way').toLowerCase()}` };
+  }
+
+  return {
+    frequency,
+    interval: ruleInterval,
+    count: Number(parts.COUNT) > 0 ? Number(parts.COUNT) : null,
+    until: parts.UNTIL ? parseDateValue(parts.UNTIL) : null,
+  };
+};
+
+const formatRecurrenceRule = (recurrence) => {
+  const parts = [`FREQ=${recurrence.frequency === RECURRENCE_FREQUENCY.MONTHLY ? 'MONTHLY' : 'WEEKLY'}`];
+  if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.until) parts.push(`UNTIL=${formatUtc(endOfDay(recurrence.until))}`);
+  else if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  return `RRULE:${parts.join(';')}`;
+};
+
+// Event -> appointment
+
+// UID a MediAssist appointment is exported with, and matched by when imported again
+export const getIcsUid = (appointment) => appointment.icsUid || `${appointment.id}@${UID_DOMAIN}`;
+
+const readEventTimes = (event) => {
+  const startProperty = getProperty(event, 'DTSTART');
+  const start = startProperty && parseDateValue(startProperty.value, startProperty.params);
+  if (!start) return null;
+
+  const endProperty = getProperty(event, 'DTEND');
+  const end = endProperty && parseDateValue(endProperty.value, endProperty.params);
+  const durationProperty = getProperty(event, 'DURATION');
+
+  let duration = end
+    ? Math.round((end.date - start.date) / MS_PER_MINUTE)
+    : durationProperty ? parseDuration(durationProperty.value) : null;
+
+  let dateTime = start.date;
+  if (start.allDay) {
+    dateTime = new Date(start.date);
+    dateTime.setHours(ALL_DAY_START_HOUR, 0, 0, 0);
+    duration = null;
+  }
+
+  return {
+    dateTime,
+    allDay: start.allDay,
+    timeZone: start.timeZone,
+    duration: duration > 0 ? duration : DEFAULT_APPOINTMENT_DURATION,
+  };
+};
+
+// Minutes before the start of the earliest display/audio alarm
+const readReminder = (event, start) => {
+  const leads = event.components
+    .filter(component => component.type === 'VALARM')
+    .map(alarm => getProperty(alarm, 'TRIGGER'))
+    .filter(Boolean)
+    .map(trigger => {
+      if (trigger.params.VALUE === 'DATE-TIME') {
+        const at = parseDateValue(trigger.value, trigger.params);
+        return at ? Math.round((start - at.date) / MS_PER_MINUTE) : null;
+      }
+      const offset = parseDuration(trigger.value);
+      return offset === null ? null : -offset;
+    })
+    .filter(lead => lead !== null && lead >= 0);
+
+  return leads.length ? Math.max(...leads) : null;
+};
+
+const readExtensions = (event) => Object.fromEntries(
+  EXTENSION_FIELDS
+    .map(({ field, name, boolean }) => {
+      const property = getProperty(event, name);
+      if (!property) return null;
+      const value = unescapeText(property.value);
+      return [field, boolean ? value.toUpperCase() === 'TRUE' : value];
+    })
+    .filter(Boolean)
+);
+
+const readStatus = (event, extensions) => {
+  if (extensions.status) return extensions.status;
+  const status = getProperty(event, 'STATUS')?.value.trim().toUpperCase();
+  return ICS_STATUS[status] || APPOINTMENT_STATUS.SCHEDULED;
+};
+
+/**
+ * The series visit an EXDATE or RECURRENCE-ID refers to, as an ISO string. A series repeats in
+ * its DTSTART zone, so the visit matches exactly unless the EXDATE was written in another zone
+ * or as a floating time; those can be an hour away across a DST change.
+ */
+const findSeriesStart = (appointment, date) => {
+  const { value } = generateSeriesStarts(
+    appointment,
+    new Date(date.getTime() - SERIES_START_TOLERANCE),
+    new Date(date.getTime() + SERIES_START_TOLERANCE)
+  ).next();
+  return value ? value.toISOString() : null;
+};
+
+// AppointmentForm fields from one VEVENT (without recurrence)
+const eventToAppointment = (event, times) => {
+  const extensions = readExtensions(event);
+  const text = name => {
+    const property = getProperty(event, name);
+    return property ? unescapeText(property.value).trim() : '';
+  };
+  const organizer = getProperty(event, 'ORGANIZER')?.params.CN;
+  const reminderMinutes = readReminder(event, times.dateTime);
+
+  // The event title says what the visit is for; only an organizer names who it is with
+  return {
+    ...(organizer && { doctorName: organizer }),
+    reasonForVisit: text('SUMMARY'),
+    address: text('LOCATION'),
+    notes: text('DESCRIPTION'),
+    ...extensions,
+    dateTime: times.dateTime.toISOString(),
+    timeZone: times.timeZone,
+    duration: times.duration,
+    reminderEnabled: reminderMinutes !== null,
+    reminderMinutes,
+    status: readStatus(event, extensions),
+  };
+};
+
+/**
+ * Parse .ics text into appointments ready for the store, one per series.
+ * EXDATEs become cancelled visits and RECURRENCE-ID events become per-visit exceptions.
+ * Returns { appointments, warnings }; warnings name events that were skipped or simplified.
+ */
+export const parseIcsAppointments = (text) => {
+  const root = parseComponents(text);
+  const events = root.components
+    .flatMap(component => (component.type === 'VCALENDAR' ? component.components : [component]))
+    .filter(component => component.type === 'VEVENT');
+
+  const warnings = [];
+  const byUid = new Map();
+  const overrides = [];
+
+  events.forEach((event, index) => {
+    const uid = getProperty(event, 'UID')?.value.trim() || `event-${index}`;
+    const label = getProperty(event, 'SUMMARY') ? unescapeText(getProperty(event, 'SUMMARY').value) : uid;
+
+    let times;
+    try {
+      times = readEventTimes(event);
+    } catch (error) {
+      warnings.push(`"${label}": ${error.message}; skipped`);
+      return;
+    }
+    if (!times) {
+      warnings.push(`"${label}": no start time; skipped`);
+      return;
+    }
+    if (times.allDay) warnings.push(`"${label}": all-day event placed at ${pad(ALL_DAY_START_HOUR)}:00`);
+
+    const recurrenceId = getProperty(event, 'RECURRENCE-ID');
+    if (recurrenceId) {
+      overrides.push({ uid, label, event, times, recurrenceId });
+      return;
+    }
+
+    const appointment = { icsUid: uid, ...eventToAppointment(event, times), exceptions: {} };
+    const rule = getProperty(event, 'RRULE');
+
+    if (rule) {
+      const recurrence = parseRecurrenceRule(rule.value, getWallClockFields(times.dateTime, times.timeZone));
+      if (recurrence.unsupported) {
+        warnings.push(`"${label}": ${recurrence.unsupported}, which is not supported; imported as a single visit`);
+      } else {
+        const { until, ...rest } = recurrence;
+        appointment.recurrence = { ...rest, until: null };
+        appointment.isRecurring = true;
+
+        // UNTIL is exact; the app keeps whole days, so end on the last visit at or before it
+        if (until) {
+          const starts = Array.from(generateSeriesStarts(appointment, times.dateTime, until.date));
+          appointment.recurrence.until = (starts[starts.length - 1] || times.dateTime).toISOString();
+        }
+      }
+    }
+
+    if (isRecurringAppointment(appointment)) {
+      getAllProperties(event, 'EXDATE')
+        .flatMap(property => property.value.split(',').map(value => parseDateValue(value, property.params)))
+        .filter(Boolean)
+        .map(({ date }) => findSeriesStart(appointment, date))
+        .filter(Boolean)
+        .forEach((occurrenceStart) => {
+          appointment.exceptions[occurrenceStart] = { status: APPOINTMENT_STATUS.CANCELLED };
+        });
+    }
+
+    byUid.set(uid, appointment);
+  });
+
+  overrides.forEach(({ uid, label, event, times, recurrenceId }) => {
+    const series = byUid.get(uid);
+    let original;
+    try {
+      original = parseDateValue(recurrenceId.value, recurrenceId.params);
+    } catch (error) {
+      warnings.push(`"${label}": ${error.message}; change to one visit skipped`);
+      return;
+    }
+
+    const occurrenceStart = series && isRecurringAppointment(series) && original
+      ? findSeriesStart(series, original.date)
+      : null;
+    if (!occurrenceStart) {
+      warnings.push(`"${label}": change to a visit of a series that was not imported; skipped`);
+      return;
+    }
+
+    const visit = eventToAppointment(event, times);
+    series.exceptions[occurrenceStart] = {
+      dateTime: visit.dateTime,
+      duration: visit.duration,
+      status: visit.status,
+      ...(visit.notes && visit.notes !== series.notes && { notes: visit.notes }),
+    };
+  });
+
+  return { appointments: Array.from(byUid.values()), warnings };
+};
+
+// Appointment -> event
+
+// Properties shared by a series and its per-visit override events
+const getEventProperties = (visit, timeZone) => {
+  const start = new Date(visit.dateTime);
+  const end = getAppointmentEnd(visit.dateTime, visit.duration);
+  const icsStatus = Object.keys(ICS_STATUS).find(key => ICS_STATUS[key] === visit.status);
+
+  return [
+    formatDateProperty('DTSTART', start, timeZone),
+    formatDateProperty('DTEND', end, timeZone),
+    `SUMMARY:${escapeText(visit.reasonForVisit || visit.doctorName || 'Appointment')}`,
+    ...([visit.clinic, visit.address].some(Boolean)
+      ? [`LOCATION:${escapeText([visit.clinic, visit.address].filter(Boolean).join(', '))}`]
+      : []),
+    ...(visit.notes ? [`DESCRIPTION:${escapeText(visit.notes)}`] : []),
+    ...(icsStatus ? [`STATUS:${icsStatus}`] : []),
+    ...EXTENSION_FIELDS
+      .filter(({ field }) => visit[field] !== undefined && visit[field] !== null && visit[field] !== '')
+      .map(({ field, name, boolean }) => `${name}:${boolean ? (visit[field] ? 'TRUE' : 'FALSE') : escapeText(visit[field])}`),
+  ];
+};
+
+// Alarms are components, so they follow all of the event's properties
+const getAlarmLines = (visit) => {
+  if (visit.reminderEnabled === false || !(visit.reminderMinutes > 0)) return [];
+
+  return [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(`Appointment with ${visit.doctorName || 'your provider'}`)}`,
+    `TRIGGER:${formatMinutesBefore(visit.reminderMinutes)}`,
+    'END:VALARM',
+  ];
+};
+
+const appointmentToEvents = (appointment, { timeZone, stamp }) => {
+  const uid = getIcsUid(appointment);
+  const header = ['BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${stamp}`];
+  const exceptions = Object.entries(appointment.exceptions || {});
+  const recurring = isRecurringAppointment(appointment);
+
+  // Cancelled visits are left out with EXDATE; any other change to a visit gets its own event
+  const cancelled = exceptions.filter(([, changes]) => changes.status === APPOINTMENT_STATUS.CANCELLED && !changes.dateTime);
+  const changed = exceptions.filter(entry => !cancelled.includes(entry));
+
+  const series = [
+    ...header,
+    ...getEventProperties(appointment, timeZone),
+    ...(recurring ? [formatRecurrenceRule(appointment.recurrence)] : []),
+    ...(recurring ? cancelled.map(([start]) => formatDateProperty('EXDATE', start, timeZone)) : []),
+    ...getAlarmLines(appointment),
+    'END:VEVENT',
+  ];
+
+  const visits = recurring ? changed.map(([start, changes]) => {
+    const visit = { ...appointment, dateTime: start, ...changes };
+    return [
+      ...header,
+      formatDateProperty('RECURRENCE-ID', start, timeZone),
+      ...getEventProperties(visit, timeZone),
+      ...getAlarmLines(visit),
+      'END:VEVENT',
+    ];
+  }) : [];
+
+  return [series, ...visits];
+};
+
+// Time zone definitions
+
+const formatUtcOffset = (offset) => {
+  const minutes = Math.round(offset / MS_PER_MINUTE);
+  const sign = minutes < 0 ? '-' : '+';
+  return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+};
+
+// A zone's UTC offset changes during a year as [{ at, from, to }], found day by day and then to the minute
+const getOffsetChanges = (timeZone, year) => {
+  const changes = [];
+  let previous = getTimeZoneOffset(Date.UTC(year, 0, 1), timeZone);
+
+  for (let day = Date.UTC(year, 0, 2); day <= Date.UTC(year + 1, 0, 1); day += MS_PER_DAY) {
+    const offset = getTimeZoneOffset(day, timeZone);
+    if (offset === previous) continue;
+
+    let before = day - MS_PER_DAY;
+    let after = day;
+    while (after - before > MS_PER_MINUTE) {
+      const middle = before + Math.floor((after - before) / (2 * MS_PER_MINUTE)) * MS_PER_MINUTE;
+      if (getTimeZoneOffset(middle, timeZone) === previous) before = middle;
+      else after = middle;
+    }
+
+    changes.push({ at: after, from: previous, to: offset });
+    previous = offset;
+  }
+
+  return changes;
+};
+
+// "2SU" for the second Sunday of its month, "-1SU" for the last one
+const getMonthlyWeekday = (fields) => {
+  const daysInMonth = new Date(Date.UTC(fields.year, fields.month, 0)).getUTCDate();
+  const ordinal = fields.day + 7 > daysInMonth ? -1 : Math.ceil(fields.day / 7);
+  return `${ordinal}${getWeekdayCode(fields)}`;
+};
+
+// Day of the month a "2SU" or "-1SU" weekday falls on in a given month
+const getMonthlyWeekdayDay = (year, month, byDay) => {
+  const ordinal = Number(byDay.slice(0, -2));
+  const weekday = WEEKDAY_CODES.indexOf(byDay.slice(-2));
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  if (ordinal > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return 1 + ((weekday - first + 7) % 7) + 7 * (ordinal - 1);
+  }
+  const last = new Date(Date.UTC(year, month - 1, daysInMonth)).getUTCDay();
+  return daysInMonth - ((last - weekday + 7) % 7);
+};
+
+// An offset change as a STANDARD or DAYLIGHT observance, starting at the wall time it happens at
+const toObservance = ({ at, from, to }) => {
+  const wall = new Date(at + from);
+  const onset = {
+    year: wall.getUTCFullYear(),
+    month: wall.getUTCMonth() + 1,
+    day: wall.getUTCDate(),
+    hour: wall.getUTCHours(),
+    minute: wall.getUTCMinutes(),
+    second: 0,
+  };
+
+  return { type: to > from ? 'DAYLIGHT' : 'STANDARD', onset, byDay: getMonthlyWeekday(onset), from, to };
+};
+
+// Whether an observance's change happens on the same weekday of the month at the same time in `year`
+const repeatsInYear = ({ onset, byDay, from, to }, year, timeZone) => {
+  const day = getMonthlyWeekdayDay(year, onset.month, byDay);
+  const at = Date.UTC(year, onset.month - 1, day, onset.hour, onset.minute) - from;
+  return getTimeZoneOffset(at - MS_PER_MINUTE, timeZone) === from && getTimeZoneOffset(at, timeZone) === to;
+};
+
+const formatObservance = ({ type, onset, byDay, from, to }, yearly) => [
+  `BEGIN:${type}`,
+  `DTSTART:${formatFields(onset)}`,
+  ...(yearly ? [`RRULE:FREQ=YEARLY;BYMONTH=${onset.month};BYDAY=${byDay}`] : []),
+  `TZOFFSETFROM:${formatUtcOffset(from)}`,
+  `TZOFFSETTO:${formatUtcOffset(to)}`,
+  `END:${type}`,
+];
+
+/**
+ * VTIMEZONE for a TZID used by visits from `firstYear` to `lastYear`, built from Intl offsets.
+ * DST that changes on the same weekday rule every year becomes yearly rules, so open-ended
+ * series stay right; other zones list each change through the year after `lastYear`.
+ */
+const getTimeZoneLines = (timeZone, firstYear, lastYear) => {
+  const startYear = firstYear - 1;
+  const endYear = Math.max(lastYear + 1, startYear + YEARLY_RULE_CHECK_YEARS);
+  const changes = getOffsetChanges(timeZone, startYear).map(toObservance);
+
+  const years = Array.from({ length: endYear - startYear }, (_, index) => startYear + index + 1);
+  const yearly = changes.length > 0
+    && changes.every(change => years.every(year => repeatsInYear(change, year, timeZone)));
+
+  let observances = changes;
+  if (!yearly) {
+    const offset = getTimeZoneOffset(Date.UTC(startYear, 0, 1), timeZone);
+    observances = [
+      { type: 'STANDARD', onset: { year: startYear, month: 1, day: 1, hour: 0, minute: 0, second: 0 }, from: offset, to: offset },
+      ...changes,
+      ...years.filter(year => year <= lastYear + 1).flatMap(year => getOffsetChanges(timeZone, year).map(toObservance)),
+    ];
+  }
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observances.flatMap(observance => formatObservance(observance, yearly)),
+    'END:VTIMEZONE',
+  ];
+};
+
+// Years with visits in each TZID of an export, including moved visits and a series' UNTIL
+const getTimeZoneYears = (exported) => exported.reduce((zones, { appointment, timeZone }) => {
+  if (!timeZone || timeZone === UTC) return zones;
+
+  const dates = [
+    appointment.dateTime,
+    appointment.recurrence?.until,
+    ...Object.entries(appointment.exceptions || {}).flatMap(([start, changes]) => [start, changes.dateTime]),
+  ].filter(Boolean);
+
+  zones.set(timeZone, [...(zones.get(timeZone) || []), ...dates.map(date => new Date(date).getUTCFullYear())]);
+  return zones;
+}, new Map());
+
+/**
+ * Serialize stored appointments as an iCalendar document (CRLF lines, folded at 75 octets).
+ * Appointments imported with a time zone keep it. Options: `timeZone` for the others (IANA name;
+ * defaults to the device's, null writes UTC) and `now` for DTSTAMP. Each TZID gets a VTIMEZONE.
+ */
+export const serializeIcsAppointments = (appointments, { timeZone = getDeviceTimeZone(), now = new Date() } = {}) => {
+  const stamp = formatUtc(now);
+  const exported = appointments
+    .filter(appointment => appointment?.dateTime)
+    .map(appointment => ({ appointment, timeZone: appointment.timeZone || timeZone }));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...Array.from(getTimeZoneYears(exported))
+      .flatMap(([zone, years]) => getTimeZoneLines(zone, Math.min(...years), Math.max(...years))),
+    ...exported
+      .flatMap(({ appointment, timeZone: eventTimeZone }) => appointmentToEvents(appointment, { timeZone: eventTimeZone, stamp }))
+      .flat(),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+export default {
+  parseIcsAppointments,
+  serializeIcsAppointments,
+  getIcsUid,
+};
@@ -0,0 +1,160 @@
+/**
+ * MediAssist App - iCalendar tests
+ * Import and export of recurring visits across time zones and DST changes, and round trips
+ */
+
+import { APPOINTMENT_STATUS } from '../../../utils/constants';
+import { getAppointmentOccurrences } from '../../../utils/appointmentUtils';
+import { getZonedFields } from '../../../utils/timeZones';
+import { parseIcsAppointments, serializeIcsAppointments } from '../IcsCalendar';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const NEW_YORK = 'America/New_York';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+// Weekly at 10:00 New York time; Europe changes to winter time on Oct 25 and New York on Nov 1
+const WEEKLY_NEW_YORK = calendar(
+  'BEGIN:VEVENT',
+  'UID:physio@clinic.example',
+  'SUMMARY:Physical therapy',
+  'ORGANIZER;CN=Dr. Rivera:mailto:rivera@clinic.example',
+  'DTSTART;TZID=America/New_York:20261012T100000',
+  'DTEND;TZID=America/New_York:20261012T104500',
+  'RRULE:FREQ=WEEKLY;COUNT=6',
+  'EXDATE;TZID=America/New_York:20261026T100000',
+  'END:VEVENT'
+);
+
+const wallTime = (dateTime, timeZone) => {
+  const { month, day, hour, minute } = getZonedFields(new Date(dateTime).getTime(), timeZone);
+  return `${month}/${day} ${hour}:${String(minute).padStart(2, '0')}`;
+};
+
+const importOne = (text) => {
+  const { appointments, warnings } = parseIcsAppointments(text);
+  expect(warnings).toEqual([]);
+  return { ...appointments[0], id: 'appt-1' };
+};
+
+const visitsOf = (appointment, timeZone) => getAppointmentOccurrences(appointment, '2026-10-01T00:00:00Z', '2026-12-31T00:00:00Z')
+  .map(visit => [wallTime(visit.dateTime, timeZone), visit.status]);
+
+const linesOf = (text, pattern) => text.split('\r\n').filter(line => pattern.test(line));
+
+describe('parseIcsAppointments', () => {
+  it('repeats a series at its wall-clock time in its TZID across DST changes', () => {
+    const appointment = importOne(WEEKLY_NEW_YORK);
+
+    expect(appointment.timeZone).toBe(NEW_YORK);
+    expect(visitsOf(appointment, NEW_YORK)).toEqual([
+      ['10/12 10:00', APPOINTMENT_STATUS.SCHEDULED],
+      ['10/19 10:00', APPOINTMENT_STATUS.SCHEDULED],
+      ['10/26 10:00', APPOINTMENT_STATUS.CANCELLED],
+      ['11/2 10:00', APPOINTMENT_STATUS.SCHEDULED],
+      ['11/9 10:00', APPOINTMENT_STATUS.SCHEDULED],
+      ['11/16 10:00', APPOINTMENT_STATUS.SCHEDULED],
+    ]);
+  });
+
+  it('keeps the event title as the reason for the visit, not the doctor', () => {
+    const appointment = importOne(WEEKLY_NEW_YORK);
+    const withoutOrganizer = importOne(calendar(
+      'BEGIN:VEVENT',
+      'UID:lab@clinic.example',
+      'SUMMARY:Blood work',
+      'DTSTART:20261103T133000Z',
+      'END:VEVENT'
+    ));
+
+    expect(appointment).toMatchObject({ doctorName: 'Dr. Rivera', reasonForVisit: 'Physical therapy' });
+    expect(withoutOrganizer.reasonForVisit).toBe('Blood work');
+    expect(withoutOrganizer).not.toHaveProperty('doctorName');
+  });
+
+  it('repeats a UTC series at the same UTC time', () => {
+    const appointment = importOne(calendar(
+      'BEGIN:VEVENT',
+      'UID:checkin@clinic.example',
+      'DTSTART:20261020T150000Z',
+      'RRULE:FREQ=WEEKLY;COUNT=3',
+      'END:VEVENT'
+    ));
+
+    expect(visitsOf(appointment, 'UTC').map(([time]) => time)).toEqual(['10/20 15:00', '10/27 15:00', '11/3 15:00']);
+  });
+});
+
+describe('serializeIcsAppointments', () => {
+  it('writes an imported series in its own zone with a VTIMEZONE for it', () => {
+    const text = serializeIcsAppointments([importOne(WEEKLY_NEW_YORK)], { timeZone: 'Europe/Berlin', now: NOW });
+
+    expect(linesOf(text, /^(TZID|DTSTART|EXDATE|RRULE)/)).toEqual([
+      'TZID:America/New_York',
+      'DTSTART:20250309T020000',
+      'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+      'DTSTART:20251102T020000',
+      'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+      'DTSTART;TZID=America/New_York:20261012T100000',
+      'RRULE:FREQ=WEEKLY;COUNT=6',
+      'EXDATE;TZID=America/New_York:20261026T100000',
+    ]);
+    expect(linesOf(text, /^TZOFFSET/)).toEqual([
+      'TZOFFSETFROM:-0500',
+      'TZOFFSETTO:-0400',
+      'TZOFFSETFROM:-0400',
+      'TZOFFSETTO:-0500',
+    ]);
+  });
+
+  it('uses the export zone for appointments without one, and UTC without either', () => {
+    const appointment = {
+      id: 'appt-2',
+      doctorName: 'Dr. Okafor',
+      dateTime: '2026-11-04T09:00:00.000Z',
+      duration: 30,
+    };
+
+    const berlin = serializeIcsAppointments([appointment], { timeZone: 'Europe/Berlin', now: NOW });
+    const utc = serializeIcsAppointments([appointment], { timeZone: null, now: NOW });
+
+    expect(linesOf(berlin, /^(TZID|DTSTART;|RRULE)/)).toEqual([
+      'TZID:Europe/Berlin',
+      'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+      'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+      'DTSTART;TZID=Europe/Berlin:20261104T100000',
+    ]);
+    expect(linesOf(utc, /^(BEGIN:VTIMEZONE|DTSTART)/)).toEqual(['DTSTART:20261104T090000Z']);
+  });
+
+  it('defines zones without DST by their fixed offset', () => {
+    const text = serializeIcsAppointments(
+      [{ id: 'appt-3', doctorName: 'Dr. Rao', dateTime: '2026-11-04T04:30:00.000Z', timeZone: 'Asia/Kolkata' }],
+      { now: NOW }
+    );
+
+    expect(linesOf(text, /^(TZID|DTSTART|RRULE|TZOFFSET)/)).toEqual([
+      'TZID:Asia/Kolkata',
+      'DTSTART:20250101T000000',
+      'TZOFFSETFROM:+0530',
+      'TZOFFSETTO:+0530',
+      'DTSTART;TZID=Asia/Kolkata:20261104T100000',
+    ]);
+  });
+
+  it('round-trips a series with a cancelled and a moved visit', () => {
+    const imported = importOne(WEEKLY_NEW_YORK);
+    const moved = {
+      ...imported,
+      exceptions: {
+        ...imported.exceptions,
+        '2026-11-09T15:00:00.000Z': { dateTime: '2026-11-10T15:00:00.000Z', duration: 45, status: APPOINTMENT_STATUS.SCHEDULED },
+      },
+    };
+
+    const roundTripped = importOne(serializeIcsAppointments([moved], { timeZone: 'Europe/Berlin', now: NOW }));
+
+    expect(roundTripped).toEqual(moved);
+    expect(visitsOf(roundTripped, NEW_YORK)).toEqual(visitsOf(moved, NEW_YORK));
+  });
+});
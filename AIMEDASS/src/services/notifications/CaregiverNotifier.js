@@ -0,0 +1,210 @@
+/**
+ * MediAssist App - Caregiver Notifier
+ * Tells the designated caregiver about doses still unanswered after the last repeat reminder
+ */
+
+import { Alert, Linking, Platform, Share } from 'react-native';
+import { getItem, setItem } from '../storage/AsyncStorage';
+import medicationService from '../api/medicationService';
+import settingsService from '../api/settingsService';
+import {
+  STORAGE_KEYS,
+  CAREGIVER_CHANNELS,
+  CAREGIVER_ALERT_OUTCOMES,
+  CAREGIVER_ALERT_LOOKBACK_HOURS,
+} from '../../utils/constants';
+import { getDoseOutcomes } from '../../utils/adherenceUtils';
+import { getDueCaregiverAlerts, getEscalationPolicy } from '../../utils/escalation';
+import { formatTimeOfDay } from '../../utils/dateUtils';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// A caregiver can be reached when the chosen channel has what it needs
+export const hasCaregiver = (caregiver) => {
+  if (!caregiver) return false;
+  if (caregiver.channel === CAREGIVER_CHANNELS.PUSH) return !!caregiver.endpoint;
+  if (caregiver.channel === CAREGIVER_CHANNELS.SHARE) return true;
+  return !!caregiver.phone;
+};
+
+/**
+ * Channels deliver { caregiver, message, alerts } and resolve to true once the message is
+ * handed off. SMS and the share sheet leave sending to the user, so they need the app in front
+ * and are marked `interactive`: the user is asked before they open.
+ */
+export const createSmsChannel = () => ({
+  interactive: true,
+  send: async ({ caregiver, message }) => {
+    const phone = String(caregiver.phone || '').replace(/[^\d+]/g, '');
+    // iOS reads the body after "&", Android after "?"
+    const separator = Platform.OS === 'ios' ? '&' : '?';
+    await Linking.openURL(`sms:${phone}${separator}body=${encodeURIComponent(message)}`);
+    return true;
+  },
+});
+
+export const createShareChannel = () => ({
+  interactive: true,
+  send: async ({ caregiver, message }) => {
+    const result = await Share.share({
+      title: `Message ${caregiver.name || 'your caregiver'}`,
+      message,
+    });
+    return result.action !== Share.dismissedAction;
+  },
+});
+
+// POSTs the alerts as JSON to the caregiver's push service
+export const createPushChannel = ({ endpoint, request = fetch } = {}) => ({
+  send: async ({ caregiver, message, alerts }) => {
+    const response = await request(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        caregiver: { name: caregiver.name || '', phone: caregiver.phone || '' },
+        message,
+        doses: alerts.map(alert => ({
+          medicationId: alert.medication.id,
+          medicationName: alert.medication.name,
+          scheduledAt: alert.scheduledAt,
+        })),
+        sentAt: new Date().toISOString(),
+      }),
+    });
+    if (!response.ok) throw new Error(`Caregiver service answered ${response.status}`);
+    return true;
+  },
+});
+
+/**
+ * Stand-in channel that records what would have been sent, for tests and previews. With
+ * `interactive` it stands in for SMS or the share sheet; `delivered: false` acts like the
+ * user closing them without sending.
+ */
+export const createMemoryChannel = ({ interactive = false, delivered = true } = {}) => {
+  const sent = [];
+
+  return {
+    sent,
+    interactive,
+    send: async (delivery) => {
+      sent.push(delivery);
+      return delivered;
+    },
+  };
+};
+
+// Ask before opening SMS or the share sheet; resolves to true when the user wants to send
+export const confirmCaregiverMessage = ({ caregiver, alerts }) => new Promise((resolve) => {
+  const doses = alerts.length === 1 ? 'A dose was' : `${alerts.length} doses were`;
+  Alert.alert(
+    `Let ${caregiver.name || 'your caregiver'} know?`,
+    `${doses} not confirmed after repeated reminders.`,
+    [
+      { text: 'Not Now', style: 'cancel', onPress: () => resolve(false) },
+      { text: 'Send', onPress: () => resolve(true) },
+    ],
+    { cancelable: true, onDismiss: () => resolve(false) }
+  );
+});
+
+// Used instead of the caregiver's own channel when set (see createMemoryChannel)
+let channelOverride = null;
+
+export const setCaregiverChannel = (channel) => {
+  channelOverride = channel || null;
+};
+
+const getChannel = (caregiver) => {
+  if (channelOverride) return channelOverride;
+  if (caregiver.channel === CAREGIVER_CHANNELS.PUSH) return createPushChannel({ endpoint: caregiver.endpoint });
+  if (caregiver.channel === CAREGIVER_CHANNELS.SHARE) return createShareChannel();
+  return createSmsChannel();
+};
+
+export const buildCaregiverMessage = (alerts) => {
+  const lines = alerts.map(({ medication, scheduledAt }) => {
+    const { maxRepeats } = getEscalationPolicy(medication);
+    return `• ${[medication.name, medication.dosage].filter(Boolean).join(' ')} due at ${formatTimeOfDay(scheduledAt)} (${maxRepeats + 1} reminders)`;
+  });
+  return [
+    'MediAssist: these doses were not confirmed after repeated reminders.',
+    ...lines,
+    'You may want to check in.',
+  ].join('\n');
+};
+
+// Attempts were stored as the time they were sent before dismissed ones were kept too
+const readAttempt = (attempt) => (
+  typeof attempt === 'string'
+    ? { at: attempt, outcome: CAREGIVER_ALERT_OUTCOMES.SENT, count: 1 }
+    : attempt
+);
+
+const runNotify = async (now, { confirm, retry }) => {
+  const [medications, doseEvents, settings, stored] = await Promise.all([
+    medicationService.fetchMedications(),
+    medicationService.fetchDoseEvents(),
+    settingsService.fetchSettings(),
+    getItem(STORAGE_KEYS.CAREGIVER_ALERTS, {}),
+  ]);
+  const { caregiver } = settings;
+  if (!hasCaregiver(caregiver)) return [];
+
+  const attempts = Object.fromEntries(Object.entries(stored).map(([key, attempt]) => [key, readAttempt(attempt)]));
+  const alerts = getDueCaregiverAlerts(medications, getDoseOutcomes(doseEvents), now, settings)
+    .filter(alert => (retry
+      ? attempts[alert.key]?.outcome !== CAREGIVER_ALERT_OUTCOMES.SENT
+      : !attempts[alert.key]));
+  if (!alerts.length) return [];
+
+  const channel = getChannel(caregiver);
+  const message = buildCaregiverMessage(alerts);
+  let outcome = CAREGIVER_ALERT_OUTCOMES.DECLINED;
+  if (!channel.interactive || await confirm({ caregiver, message, alerts })) {
+    const delivered = await channel.send({ caregiver, message, alerts });
+    outcome = delivered ? CAREGIVER_ALERT_OUTCOMES.SENT : CAREGIVER_ALERT_OUTCOMES.DISMISSED;
+  }
+
+  // Entries past the lookback can no longer come due again
+  const keepAfter = now.getTime() - 2 * CAREGIVER_ALERT_LOOKBACK_HOURS * MS_PER_HOUR;
+  const next = Object.fromEntries(Object.entries(attempts).filter(([, attempt]) => new Date(attempt.at).getTime() > keepAfter));
+  alerts.forEach(alert => {
+    next[alert.key] = { at: now.toISOString(), outcome, count: (attempts[alert.key]?.count || 0) + 1 };
+  });
+  await setItem(STORAGE_KEYS.CAREGIVER_ALERTS, next);
+
+  return outcome === CAREGIVER_ALERT_OUTCOMES.SENT ? alerts : [];
+};
+
+let pending = null;
+
+/**
+ * Send the caregiver one message about every dose that has come due for it and was not
+ * reported yet. The user is asked first when the channel opens SMS or the share sheet. Each
+ * attempt is stored per dose with its outcome, sent, dismissed or declined, so the regular
+ * check offers a dose only once; `retry` (the user tapping the caregiver notice) offers
+ * doses again until they are sent. Resolves to the alerts sent.
+ */
+export const notifyCaregiver = ({ now = new Date(), confirm = confirmCaregiverMessage, retry = false } = {}) => {
+  if (!pending) {
+    pending = runNotify(new Date(now), { confirm, retry }).finally(() => {
+      pending = null;
+    });
+  }
+  return pending;
+};
+
+const CaregiverNotifier = {
+  hasCaregiver,
+  createSmsChannel,
+  createShareChannel,
+  createPushChannel,
+  createMemoryChannel,
+  confirmCaregiverMessage,
+  setCaregiverChannel,
+  buildCaregiverMessage,
+  notifyCaregiver,
+};
+
+export default CaregiverNotifier;
@@ -0,0 +1,231 @@
+/**
+ * MediAssist App - Local Notifications
+ * On-device notifications presented through react-native-push-notification
+ */
+
+import { Platform } from 'react-native';
+import PushNotification from 'react-native-push-notification';
+import PushNotificationIOS from '@react-native-community/push-notification-ios';
+
+// Android channels, created lazily the first time they are used
+export const NOTIFICATION_CHANNELS = {
+  HEALTH_ALERTS: {
+    channelId: 'health-alerts',
+    channelName: 'Health Alerts',
+    channelDescription: 'Vital sign readings that need attention',
+    importance: 4,
+    vibrate: true,
+  },
+  MEDICATIONS: {
+    channelId: 'medication-reminders',
+    channelName: 'Medication Reminders',
+    channelDescription: 'Dose and refill reminders',
+    importance: 4,
+    vibrate: true,
+  },
+  MEDICATION_ESCALATIONS: {
+    channelId: 'medication-escalations',
+    channelName: 'Repeated Medication Reminders',
+    channelDescription: 'Repeat reminders for doses that have not been confirmed',
+    importance: 5,
+    vibrate: true,
+  },
+  APPOINTMENTS: {
+    channelId: 'appointments',
+    channelName: 'Appointments',
+    channelDescription: 'Appointment preparation reminders and video visit links',
+    importance: 4,
+    vibrate: true,
+  },
+};
+
+// Android notification priority for each reminder priority (NotificationPulse's terms)
+const ANDROID_PRIORITIES = {
+  normal: 'high',
+  high: 'high',
+  urgent: 'max',
+};
+
+const createdChannels = new Set();
+
+const ensureChannel = (channel) => {
+  if (createdChannels.has(channel.channelId)) return;
+  PushNotification.createChannel(channel, () => {});
+  createdChannels.add(channel.channelId);
+};
+
+// Show a notification now; `data` is handed back when the user taps it
+const presentNotification = ({ title, message, data = {}, channel = NOTIFICATION_CHANNELS.HEALTH_ALERTS }) => {
+  ensureChannel(channel);
+
+  PushNotification.localNotification({
+    channelId: channel.channelId,
+    title,
+    message,
+    userInfo: data,
+  });
+};
+
+/**
+ * Schedule a notification for `date`; `id` is a numeric string so it can be cancelled later.
+ * `actions` ([{ id, title }]) become buttons handled without opening the app: on Android they
+ * are attached to the notification, on iOS they come from the registered `category`.
+ * `priority` ('normal', 'high' or 'urgent') raises how insistently Android presents it.
+ */
+const scheduleNotification = ({
+  id,
+  date,
+  title,
+  message,
+  data = {},
+  channel = NOTIFICATION_CHANNELS.APPOINTMENTS,
+  category,
+  actions,
+  priority = 'normal',
+}) => {
+  ensureChannel(channel);
+
+  PushNotification.localNotificationSchedule({
+    id,
+    channelId: channel.channelId,
+    date: new Date(date),
+    title,
+    message,
+    userInfo: actions ? { ...data, actions } : data,
+    allowWhileIdle: true,
+    priority: ANDROID_PRIORITIES[priority] || ANDROID_PRIORITIES.normal,
+    ...(actions && {
+      actions: actions.map(action => action.title),
+      invokeApp: false,
+      category,
+    }),
+  });
+};
+
+const cancelNotification = (id) => {
+  PushNotification.cancelLocalNotification(id);
+};
+
+// Notifications still waiting to fire, as [{ id, date, data }]
+const getScheduledNotifications = () => new Promise((resolve) => {
+  PushNotification.getScheduledLocalNotifications((notifications = []) => {
+    resolve(notifications.map(notification => ({
+      id: String(notification.id),
+      date: new Date(notification.date).toISOString(),
+      data: notification.data || notification.userInfo || {},
+    })));
+  });
+});
+
+// Notifications showing in the notification center, as [{ id, data }]
+const getDeliveredNotifications = () => new Promise((resolve) => {
+  PushNotification.getDeliveredNotifications((notifications = []) => {
+    resolve(notifications.map(notification => ({
+      id: String(notification.identifier),
+      data: notification.userInfo || {},
+    })));
+  });
+});
+
+const removeDeliveredNotifications = (ids) => {
+  PushNotification.removeDeliveredNotifications(ids.map(String));
+};
+
+// iOS action buttons per category: [{ id, actions: [{ id, title }] }]; Android attaches them per notification
+const setNotificationCategories = (categories) => {
+  if (Platform.OS !== 'ios') return;
+
+  PushNotificationIOS.setNotificationCategories(categories.map(category => ({
+    id: category.id,
+    actions: category.actions.map(action => ({
+      id: action.id,
+      title: action.title,
+      options: { foreground: false, destructive: !!action.destructive },
+    })),
+  })));
+};
+
+/**
+ * Route taps and action buttons to handlers. The action handler is called with
+ * { action, data }, where `action` is the button's id. To handle buttons pressed while
+ * the app is not running, call this from the app's entry file.
+ */
+const configureNotifications = ({ onAction, onNotification } = {}) => {
+  PushNotification.configure({
+    onNotification: (notification) => {
+      onNotification?.({ data: notification.data || notification.userInfo || {} });
+      notification.finish?.(PushNotificationIOS.FetchResult.NoData);
+    },
+    onAction: (notification) => {
+      const data = notification.data || notification.userInfo || {};
+      // Android reports the button's title, iOS its id
+      const action = (data.actions || []).find(item => item.id === notification.action || item.title === notification.action);
+      onAction?.({ action: action?.id || notification.action, data, id: String(notification.id) });
+    },
+    popInitialNotification: true,
+    requestPermissions: false,
+  });
+};
+
+/**
+ * Stand-in for LocalNotifications that keeps scheduled notifications in memory, for
+ * ReminderService.setNotificationDriver when there is no device to schedule on.
+ */
+export const createMemoryDriver = () => {
+  const scheduled = new Map();
+  const delivered = new Map();
+  const presented = [];
+  let categories = [];
+
+  return {
+    scheduled,
+    delivered,
+    presented,
+    getCategories: () => categories,
+    // Move a scheduled notification to the notification center, as when it fires
+    deliver: (id) => {
+      const notification = scheduled.get(String(id));
+      scheduled.delete(String(id));
+      if (notification) delivered.set(String(id), notification);
+      return notification;
+    },
+    presentNotification: (notification) => {
+      presented.push(notification);
+    },
+    scheduleNotification: ({ id, date, title, message, data = {}, category, actions, priority = 'normal' }) => {
+      scheduled.set(String(id), {
+        id: String(id),
+        date: new Date(date).toISOString(),
+        title,
+        message,
+        data: actions ? { ...data, actions } : data,
+        category,
+        priority,
+      });
+    },
+    cancelNotification: (id) => {
+      scheduled.delete(String(id));
+    },
+    getScheduledNotifications: async () => Array.from(scheduled.values()),
+    getDeliveredNotifications: async () => Array.from(delivered.values()),
+    removeDeliveredNotifications: (ids) => {
+      ids.forEach(id => delivered.delete(String(id)));
+    },
+    setNotificationCategories: (next) => {
+      categories = next;
+    },
+  };
+};
+
+const LocalNotifications = {
+  presentNotification,
+  scheduleNotification,
+  cancelNotification,
+  getScheduledNotifications,
+  getDeliveredNotifications,
+  removeDeliveredNotifications,
+  setNotificationCategories,
+  configureNotifications,
+};
+
+export default LocalNotifications;
@@ -0,0 +1,147 @@
+/**
+ * MediAssist App - Reminder Actions
+ * Take, Snooze, Skip and Take all pressed on a dose reminder, recorded without opening the app
+ */
+
+import medicationService from '../api/medicationService';
+import settingsService from '../api/settingsService';
+import ReminderService, { getNotificationDriver, getReminderCategories } from './ReminderService';
+import { notifyCaregiver } from './CaregiverNotifier';
+import {
+  DOSE_STATUS,
+  RESOLVED_DOSE_STATUSES,
+  REMINDER_ACTIONS,
+  DEFAULT_SNOOZE_MINUTES,
+} from '../../utils/constants';
+import { classifyTakenStatus, getDoseOutcomes } from '../../utils/adherenceUtils';
+import { generateId } from '../../utils/helpers';
+import { getDeviceTimeZone } from '../../utils/timeZones';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const doseKey = dose => `${dose.medicationId}|${dose.scheduledAt}`;
+
+const toDoseEvent = (medication, dose, action, { now, snoozeMinutes }) => {
+  const recordedAt = now.toISOString();
+  const event = {
+    id: generateId('dose_'),
+    medicationId: dose.medicationId,
+    status: DOSE_STATUS.SKIPPED,
+    scheduledAt: dose.scheduledAt,
+    actualAt: recordedAt,
+    recordedAt,
+    timeZone: getDeviceTimeZone(),
+    note: '',
+    source: 'notification',
+  };
+
+  if (action === REMINDER_ACTIONS.TAKE || action === REMINDER_ACTIONS.TAKE_ALL) {
+    return { ...event, status: classifyTakenStatus(medication, dose.scheduledAt, recordedAt) };
+  }
+  if (action === REMINDER_ACTIONS.SNOOZE) {
+    return {
+      ...event,
+      status: DOSE_STATUS.SNOOZED,
+      snoozedUntil: new Date(now.getTime() + snoozeMinutes * MS_PER_MINUTE).toISOString(),
+    };
+  }
+  return event;
+};
+
+// Other notifications, waiting or already showing, that remind of any of these doses
+const cancelSiblingNotifications = async (doses) => {
+  const driver = getNotificationDriver();
+  const keys = new Set(doses.map(doseKey));
+  const remindsOf = notification => (notification.data?.doses || []).some(dose => keys.has(doseKey(dose)));
+
+  const [scheduled, delivered] = await Promise.all([
+    driver.getScheduledNotifications ? driver.getScheduledNotifications() : [],
+    driver.getDeliveredNotifications ? driver.getDeliveredNotifications() : [],
+  ]);
+
+  scheduled.filter(remindsOf).forEach(notification => driver.cancelNotification(notification.id));
+
+  const shown = delivered.filter(remindsOf).map(notification => notification.id);
+  if (shown.length && driver.removeDeliveredNotifications) {
+    driver.removeDeliveredNotifications(shown);
+  }
+};
+
+/**
+ * Record the button pressed on a dose reminder ({ action, data }) in the dose ledger, clear
+ * the reminders of those doses from the device and reschedule, so a snoozed dose is reminded
+ * again. Doses already resolved (e.g. taken in the app meanwhile) are left alone, so pressing
+ * twice records once. Resolves to the events written.
+ */
+export const handleReminderAction = async ({ action, data = {} }, { now = new Date() } = {}) => {
+  if (data.type !== 'medication_dose' || !Object.values(REMINDER_ACTIONS).includes(action)) return [];
+
+  const [medications, settings] = await Promise.all([
+    medicationService.fetchMedications(),
+    settingsService.fetchSettings(),
+  ]);
+  const byId = Object.fromEntries(medications.map(med => [med.id, med]));
+  const doses = (data.doses || []).filter(dose => byId[dose.medicationId]);
+  const snoozeMinutes = data.snoozeMinutes || settings.snoozeMinutes || DEFAULT_SNOOZE_MINUTES;
+
+  // Decided against the ledger as it is when the append runs, after any write in the app
+  const events = await medicationService.appendDoseEvents((doseEvents) => {
+    const resolved = new Set(
+      getDoseOutcomes(doseEvents)
+        .filter(event => event.scheduledAt && RESOLVED_DOSE_STATUSES.includes(event.status))
+        .map(doseKey)
+    );
+    return doses
+      .filter(dose => !resolved.has(doseKey(dose)))
+      .map(dose => toDoseEvent(byId[dose.medicationId], dose, action, { now: new Date(now), snoozeMinutes }));
+  });
+
+  await cancelSiblingNotifications(doses);
+  await ReminderService.syncReminders(null, { now: new Date(now) });
+
+  return events;
+};
+
+let registered = false;
+let listener = null;
+
+/**
+ * Route reminder buttons to handleReminderAction and register the iOS button categories;
+ * tapping a caregiver notice sends the caregiver message. `onDoseEvents` is told about what
+ * was recorded so a running app can refresh. For buttons pressed while the app is not
+ * running, the app's entry file should call this too.
+ */
+export const registerReminderActions = ({ onDoseEvents, snoozeMinutes = DEFAULT_SNOOZE_MINUTES } = {}) => {
+  const driver = getNotificationDriver();
+  listener = onDoseEvents || listener;
+
+  driver.setNotificationCategories?.(getReminderCategories(snoozeMinutes));
+
+  if (registered || !driver.configureNotifications) return;
+  registered = true;
+
+  driver.configureNotifications({
+    onAction: (notification) => {
+      handleReminderAction(notification)
+        .then(events => {
+          if (events.length) listener?.(events);
+        })
+        .catch((error) => {
+          console.warn('Error handling reminder action:', error);
+        });
+    },
+    onNotification: ({ data }) => {
+      if (data.type !== 'caregiver_alert') return;
+      notifyCaregiver({ retry: true }).catch((error) => {
+        console.warn('Error notifying caregiver:', error);
+      });
+    },
+  });
+};
+
+const ReminderActions = {
+  handleReminderAction,
+  registerReminderActions,
+};
+
+export default ReminderActions;
@@ -0,0 +1,572 @@
+/**
+ * MediAssist App - Reminder Service
+ * Keeps the device's scheduled notifications in step with the dose schedule, refills and appointments
+ */
+
+import { Platform } from 'react-native';
+import { getItem, setItem } from '../storage/AsyncStorage';
+import medicationService from '../api/medicationService';
+import appointmentService from '../api/appointmentService';
+import settingsService from '../api/settingsService';
+import LocalNotifications, { NOTIFICATION_CHANNELS } from './LocalNotifications';
+import {
+  STORAGE_KEYS,
+  MEDICATION_STATUS,
+  DOSE_STATUS,
+  RESOLVED_DOSE_STATUSES,
+  PREP_REMINDER_HORIZON_DAYS,
+  TELEHEALTH_REMINDER_MINUTES,
+  PENDING_NOTIFICATION_LIMITS,
+  RESERVED_NOTIFICATION_SLOTS,
+  DOSE_REMINDER_WINDOW_DAYS,
+  REFILL_REMINDER_TIME,
+  REMINDER_ACTIONS,
+  SNOOZE_DURATION_OPTIONS,
+  DEFAULT_SNOOZE_MINUTES,
+  REMINDER_PRIORITY,
+  DEFAULT_QUIET_HOURS,
+  DEFAULT_BATCH_WINDOW_MINUTES,
+} from '../../utils/constants';
+import { getOccurrencesForRange, isActiveAppointment } from '../../utils/appointmentUtils';
+import { getUpcomingPrepTasks } from '../../utils/prepChecklists';
+import {
+  addDays,
+  atTimeOfDay,
+  endOfDay,
+  formatTimeOfDay,
+  getScheduleForRange,
+  isAsNeeded,
+  startOfDay,
+} from '../../utils/dateUtils';
+import { formatAppointmentTime, formatShortDate } from '../../utils/formatters';
+import { isTelehealthAppointment, getTelehealthPlatform } from '../../utils/telehealth';
+import { getDoseOutcomes } from '../../utils/adherenceUtils';
+import { getEscalationSchedule, getEscalationSpanMinutes } from '../../utils/escalation';
+import { batchReminders } from '../../utils/reminderTiming';
+import { hasCaregiver } from './CaregiverNotifier';
+import { getSupplyForecast } from '../../utils/inventoryUtils';
+
+const DOSE_KEY_PREFIX = 'dose|';
+const REFILL_KEY_PREFIX = 'refill|';
+const VISIT_KEY_PREFIX = 'visit|';
+const PREP_KEY_PREFIX = 'prep|';
+const JOIN_KEY_PREFIX = 'join|';
+const CAREGIVER_KEY_PREFIX = 'caregiver|';
+const WINDOW_END_KEY = 'window|end';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MAX_SNOOZE_MINUTES = Math.max(...SNOOZE_DURATION_OPTIONS.map(option => option.value));
+const MAX_NOTIFICATION_ID = 2147483647;
+
+// Schedules, cancels and lists notifications; LocalNotifications unless replaced (see createMemoryDriver)
+let driver = LocalNotifications;
+
+export const setNotificationDriver = (nextDriver) => {
+  driver = nextDriver || LocalNotifications;
+};
+
+export const getNotificationDriver = () => driver;
+
+export const DOSE_CATEGORY = 'medication-dose';
+export const DOSE_GROUP_CATEGORY = 'medication-dose-group';
+
+const formatSnoozeMinutes = (minutes) => (
+  SNOOZE_DURATION_OPTIONS.find(option => option.value === minutes)?.label || `${minutes} min`
+);
+
+// Buttons on a dose reminder; doses due together get "Take all" instead of Take and Skip
+export const getDoseActions = (doseCount, snoozeMinutes = DEFAULT_SNOOZE_MINUTES) => {
+  const snooze = { id: REMINDER_ACTIONS.SNOOZE, title: `Snooze ${formatSnoozeMinutes(snoozeMinutes)}` };
+
+  if (doseCount > 1) {
+    return [{ id: REMINDER_ACTIONS.TAKE_ALL, title: 'Take all' }, snooze];
+  }
+  return [
+    { id: REMINDER_ACTIONS.TAKE, title: 'Take' },
+    snooze,
+    { id: REMINDER_ACTIONS.SKIP, title: 'Skip', destructive: true },
+  ];
+};
+
+// iOS attaches buttons by category, so these are registered again when the snooze length changes
+export const getReminderCategories = (snoozeMinutes = DEFAULT_SNOOZE_MINUTES) => [
+  { id: DOSE_CATEGORY, actions: getDoseActions(1, snoozeMinutes) },
+  { id: DOSE_GROUP_CATEGORY, actions: getDoseActions(2, snoozeMinutes) },
+];
+
+/**
+ * Android only accepts integer notification ids. A reminder keeps the id stored with it when it
+ * is rescheduled; a new one gets an id hashed from its key, moved on to the next free id when
+ * that is taken, since different keys can hash alike. `used` holds the ids in use and is updated.
+ */
+const allocateNotificationId = (key, previousId, used) => {
+  if (previousId && !used.has(previousId)) {
+    used.add(previousId);
+    return previousId;
+  }
+
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) | 0;
+  }
+
+  let id = (hash >>> 0) % MAX_NOTIFICATION_ID;
+  while (used.has(String(id))) {
+    id = (id + 1) % MAX_NOTIFICATION_ID;
+  }
+  used.add(String(id));
+  return String(id);
+};
+
+const wantsReminders = (medication) => (
+  medication.status === MEDICATION_STATUS.ACTIVE && medication.remindersEnabled !== false
+);
+
+const PRIORITY_ORDER = [REMINDER_PRIORITY.NORMAL, REMINDER_PRIORITY.HIGH, REMINDER_PRIORITY.URGENT];
+
+const getDoseTitle = (dose, medication) => {
+  if (dose.attempt === 0) return `Time for ${medication.name}`;
+  return dose.priority === REMINDER_PRIORITY.URGENT
+    ? `Last reminder: ${medication.name}`
+    : `Still due: ${medication.name}`;
+};
+
+// A batch fires at one time, so doses due at another (batched, repeated or held over quiet hours) say when
+const formatBatchedDose = (dose, byId, fireAt) => [
+  byId[dose.medicationId].name,
+  dose.dosage,
+  new Date(dose.scheduledAt).getTime() !== new Date(fireAt).getTime() && `(due ${formatTimeOfDay(dose.scheduledAt)})`,
+].filter(Boolean).join(' ');
+
+const toDoseReminder = (doses, byId, snoozeMinutes) => {
+  const [first] = doses;
+  const medication = byId[first.medicationId];
+  const single = doses.length === 1;
+  const priority = PRIORITY_ORDER[Math.max(...doses.map(dose => PRIORITY_ORDER.indexOf(dose.priority)))];
+  const repeated = doses.some(dose => dose.attempt > 0);
+
+  return {
+    fireAt: first.fireAt,
+    title: single
+      ? getDoseTitle(first, medication)
+      : `${doses.length} doses ${repeated ? 'still due' : `due at ${formatTimeOfDay(first.fireAt)}`}`,
+    message: single
+      ? [
+        first.snoozed && `Snoozed from ${formatTimeOfDay(first.scheduledAt)}`,
+        !first.snoozed && first.attempt > 0 && `Due at ${formatTimeOfDay(first.scheduledAt)}`,
+        first.dosage,
+        medication.instructions,
+      ].filter(Boolean).join(' · ') || `Scheduled for ${formatTimeOfDay(first.scheduledAt)}`
+      : doses.map(dose => formatBatchedDose(dose, byId, first.fireAt)).join(', '),
+    data: {
+      type: 'medication_dose',
+      doses: doses.map(({ medicationId, scheduledAt }) => ({ medicationId, scheduledAt })),
+      snoozeMinutes,
+      priority,
+    },
+    channel: priority === REMINDER_PRIORITY.NORMAL
+      ? NOTIFICATION_CHANNELS.MEDICATIONS
+      : NOTIFICATION_CHANNELS.MEDICATION_ESCALATIONS,
+    priority,
+    category: single ? DOSE_CATEGORY : DOSE_GROUP_CATEGORY,
+    actions: getDoseActions(doses.length, snoozeMinutes),
+  };
+};
+
+/**
+ * Unresolved doses from a while back (their repeats may still be ahead) to the end of the
+ * reminder window, with the escalation schedule each one is on:
+ * [{ dose, medication, snoozedUntil, attempts, caregiverAt }]
+ */
+const getOpenDoses = (medications, doseOutcomes, now, { quietHours = null, travel = null } = {}) => {
+  const time = new Date(now).getTime();
+  const scheduled = medications.filter(med => wantsReminders(med) && !isAsNeeded(med));
+  const byId = Object.fromEntries(scheduled.map(med => [med.id, med]));
+  const outcomes = Object.fromEntries(doseOutcomes
+    .filter(event => event.scheduledAt)
+    .map(event => [`${event.medicationId}|${event.scheduledAt}`, event]));
+
+  const from = new Date(time - (getEscalationSpanMinutes(scheduled, quietHours) + MAX_SNOOZE_MINUTES) * MS_PER_MINUTE);
+  const to = addDays(new Date(time + 1), DOSE_REMINDER_WINDOW_DAYS);
+
+  return getScheduleForRange(scheduled, from, to, travel)
+    .map(dose => {
+      const outcome = outcomes[`${dose.medicationId}|${dose.scheduledAt}`];
+      if (outcome && RESOLVED_DOSE_STATUSES.includes(outcome.status)) return null;
+
+      const medication = byId[dose.medicationId];
+      const snoozedUntil = outcome?.status === DOSE_STATUS.SNOOZED ? outcome.snoozedUntil : null;
+      return {
+        dose,
+        medication,
+        snoozedUntil,
+        ...getEscalationSchedule(medication, dose.scheduledAt, snoozedUntil, quietHours),
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Dose reminders for the next DOSE_REMINDER_WINDOW_DAYS, skipping doses already resolved
+ * in the ledger (e.g. taken early). Each dose is reminded again as its escalation policy
+ * asks, starting over when a snooze runs out; `escalate: false` leaves out the repeats.
+ * Reminders in quiet hours wait until they end, and reminders due within
+ * `batchWindowMinutes` of each other are merged into one at the earliest time, keyed by
+ * time: { [key]: { fireAt, title, message, data, channel, priority, category, actions } }.
+ * Dose times follow the `travel` mode settings (see utils/travel).
+ */
+export const getDoseReminders = (medications, doseOutcomes, now = new Date(), {
+  snoozeMinutes = DEFAULT_SNOOZE_MINUTES,
+  quietHours = DEFAULT_QUIET_HOURS,
+  batchWindowMinutes = DEFAULT_BATCH_WINDOW_MINUTES,
+  escalate = true,
+  travel = null,
+} = {}) => {
+  const time = new Date(now).getTime();
+  const byId = {};
+  const due = [];
+
+  getOpenDoses(medications, doseOutcomes, now, { quietHours, travel }).forEach(({ dose, medication, snoozedUntil, attempts }) => {
+    byId[medication.id] = medication;
+    (escalate ? attempts : attempts.slice(0, 1))
+      .filter(attempt => new Date(attempt.at).getTime() > time)
+      .forEach(({ attempt, at, priority }) => {
+        due.push({
+          ...dose,
+          key: `${dose.medicationId}|${dose.scheduledAt}`,
+          fireAt: at,
+          attempt,
+          priority,
+          snoozed: !!snoozedUntil,
+        });
+      });
+  });
+
+  return Object.fromEntries(batchReminders(due, batchWindowMinutes).map(doses => [
+    `${DOSE_KEY_PREFIX}${doses[0].fireAt}`,
+    toDoseReminder(doses, byId, snoozeMinutes),
+  ]));
+};
+
+/**
+ * A day's dose reminders as the settings ({ quietHours, batchWindowMinutes }) would deliver
+ * them, first reminders only, to preview quiet hours and batching:
+ * [{ fireAt, title, doses: [{ medicationId, name, scheduledAt }] }]
+ */
+export const getDayPreview = (medications, settings = {}, day = new Date()) => {
+  const names = Object.fromEntries(medications.map(med => [med.id, med.name]));
+  const dayEnd = endOfDay(day);
+  const reminders = getDoseReminders(
+    medications,
+    [],
+    new Date(startOfDay(day).getTime() - 1),
+    { ...settings, escalate: false }
+  );
+
+  return Object.values(reminders)
+    .filter(reminder => new Date(reminder.fireAt) <= dayEnd)
+    .sort((a, b) => a.fireAt.localeCompare(b.fireAt))
+    .map(reminder => ({
+      fireAt: reminder.fireAt,
+      title: reminder.title,
+      doses: reminder.data.doses.map(dose => ({ ...dose, name: names[dose.medicationId] })),
+    }));
+};
+
+/**
+ * When a dose's last repeat goes unanswered on a policy that notifies the caregiver, a final
+ * notification lets the user send the caregiver message (SMS and the share sheet need the
+ * app in front). Only scheduled while a caregiver is set up.
+ */
+export const getCaregiverReminders = (medications, doseOutcomes, now = new Date(), { caregiver, quietHours, travel } = {}) => {
+  if (!hasCaregiver(caregiver)) return {};
+  const reminders = {};
+
+  getOpenDoses(medications, doseOutcomes, now, { quietHours, travel })
+    .filter(({ caregiverAt }) => caregiverAt && new Date(caregiverAt) > new Date(now))
+    .forEach(({ dose, medication, caregiverAt }) => {
+      reminders[`${CAREGIVER_KEY_PREFIX}${dose.medicationId}|${dose.scheduledAt}`] = {
+        fireAt: caregiverAt,
+        title: `${medication.name} not confirmed`,
+        message: `The ${formatTimeOfDay(dose.scheduledAt)} dose is still open. Tap to let ${caregiver.name || 'your caregiver'} know.`,
+        data: {
+          type: 'caregiver_alert',
+          medicationId: dose.medicationId,
+          scheduledAt: dose.scheduledAt,
+        },
+        channel: NOTIFICATION_CHANNELS.MEDICATION_ESCALATIONS,
+        priority: REMINDER_PRIORITY.URGENT,
+      };
+    });
+
+  return reminders;
+};
+
+// Refill reminders on each tracked medication's forecast reminder date, while that is still ahead
+export const getRefillReminders = (medications, doseOutcomes, now = new Date(), { travel = null } = {}) => {
+  const reminders = {};
+
+  medications.filter(wantsReminders).forEach(medication => {
+    const forecast = getSupplyForecast(medication, doseOutcomes, new Date(now).getTime(), travel);
+    if (!forecast?.refillReminderDate) return;
+
+    const fireAt = atTimeOfDay(forecast.refillReminderDate, REFILL_REMINDER_TIME);
+    if (fireAt <= new Date(now)) return;
+
+    reminders[`${REFILL_KEY_PREFIX}${medication.id}`] = {
+      fireAt: fireAt.toISOString(),
+      title: `Time to refill ${medication.name}`,
+      message: `Your supply runs out around ${formatShortDate(forecast.runOutDate)}`,
+      data: {
+        type: 'medication_refill',
+        medicationId: medication.id,
+      },
+      channel: NOTIFICATION_CHANNELS.MEDICATIONS,
+    };
+  });
+
+  return reminders;
+};
+
+// The reminder each visit asks for with its reminderMinutes, in the next PREP_REMINDER_HORIZON_DAYS
+export const getVisitReminders = (appointments, now = new Date()) => {
+  const reminders = {};
+
+  getOccurrencesForRange(appointments, now, addDays(now, PREP_REMINDER_HORIZON_DAYS))
+    .filter(visit => isActiveAppointment(visit) && visit.reminderEnabled !== false && visit.reminderMinutes > 0)
+    .forEach(visit => {
+      const fireAt = new Date(new Date(visit.dateTime).getTime() - visit.reminderMinutes * MS_PER_MINUTE);
+      if (fireAt <= new Date(now)) return;
+
+      reminders[`${VISIT_KEY_PREFIX}${visit.id}`] = {
+        fireAt: fireAt.toISOString(),
+        title: `Appointment with ${visit.doctorName || 'your doctor'}`,
+        message: [formatAppointmentTime(visit), visit.clinic || visit.address].filter(Boolean).join(' · '),
+        data: {
+          type: 'appointment',
+          appointmentId: visit.appointmentId,
+          occurrenceStart: visit.occurrenceStart,
+        },
+      };
+    });
+
+  return reminders;
+};
+
+/**
+ * Preparation reminders for open tasks of visits in the next PREP_REMINDER_HORIZON_DAYS,
+ * keyed by visit and task: { [key]: { fireAt, title, message, data } }
+ */
+export const getPrepReminders = (appointments, now = new Date()) => {
+  const reminders = {};
+
+  getOccurrencesForRange(appointments, now, addDays(now, PREP_REMINDER_HORIZON_DAYS))
+    .filter(isActiveAppointment)
+    .forEach(visit => {
+      getUpcomingPrepTasks(visit, now).forEach(({ task, dueAt }) => {
+        reminders[`${PREP_KEY_PREFIX}${visit.id}|${task.id}`] = {
+          fireAt: dueAt.toISOString(),
+          title: task.title,
+          message: `To prepare for ${visit.doctorName || 'your appointment'} on ${formatAppointmentTime(visit)}`,
+          data: {
+            type: 'appointment_prep',
+            appointmentId: visit.appointmentId,
+            occurrenceStart: visit.occurrenceStart,
+            taskId: task.id,
+          },
+        };
+      });
+    });
+
+  return reminders;
+};
+
+/**
+ * Reminders with the join link, TELEHEALTH_REMINDER_MINUTES before each upcoming video visit,
+ * keyed by visit: { [key]: { fireAt, title, message, data } }
+ */
+export const getJoinReminders = (appointments, now = new Date()) => {
+  const reminders = {};
+
+  getOccurrencesForRange(appointments, now, addDays(now, PREP_REMINDER_HORIZON_DAYS))
+    .filter(visit => isActiveAppointment(visit) && isTelehealthAppointment(visit))
+    .forEach(visit => {
+      const fireAt = new Date(new Date(visit.dateTime).getTime() - TELEHEALTH_REMINDER_MINUTES * MS_PER_MINUTE);
+      if (fireAt <= new Date(now)) return;
+
+      const { platform, meetingUrl, dialIn } = visit.telehealth;
+      const platformLabel = getTelehealthPlatform(platform)?.label;
+      reminders[`${JOIN_KEY_PREFIX}${visit.id}`] = {
+        fireAt: fireAt.toISOString(),
+        title: `Video visit with ${visit.doctorName || 'your doctor'} at ${formatTimeOfDay(visit.dateTime)}`,
+        message: meetingUrl
+          ? `Join${platformLabel && platform !== 'other' ? ` on ${platformLabel}` : ''}: ${meetingUrl}`
+          : `Dial in: ${dialIn}`,
+        data: {
+          type: 'telehealth_join',
+          appointmentId: visit.appointmentId,
+          occurrenceStart: visit.occurrenceStart,
+          url: meetingUrl || null,
+        },
+      };
+    });
+
+  return reminders;
+};
+
+export const getPendingLimit = (platform = Platform.OS) => {
+  return (PENDING_NOTIFICATION_LIMITS[platform] || PENDING_NOTIFICATION_LIMITS.ios) - RESERVED_NOTIFICATION_SLOTS;
+};
+
+/**
+ * Every reminder that should be waiting on the device, soonest first up to `limit`. When the
+ * limit cuts the list short, the last slot tells the user to open the app so the rolling
+ * window can be topped up.
+ */
+export const getWantedReminders = (
+  { medications = [], doseEvents = [], appointments = [], settings = {} },
+  now = new Date(),
+  limit = getPendingLimit()
+) => {
+  const doseOutcomes = getDoseOutcomes(doseEvents);
+  const all = Object.entries({
+    ...getDoseReminders(medications, doseOutcomes, now, settings),
+    ...getCaregiverReminders(medications, doseOutcomes, now, settings),
+    ...getRefillReminders(medications, doseOutcomes, now, settings),
+    ...getVisitReminders(appointments, now),
+    ...getPrepReminders(appointments, now),
+    ...getJoinReminders(appointments, now),
+  }).sort(([, a], [, b]) => a.fireAt.localeCompare(b.fireAt));
+
+  if (all.length <= limit) return Object.fromEntries(all);
+
+  const kept = all.slice(0, limit - 1);
+  const lastFireAt = new Date(kept[kept.length - 1][1].fireAt);
+  kept.push([WINDOW_END_KEY, {
+    fireAt: new Date(lastFireAt.getTime() + MS_PER_MINUTE).toISOString(),
+    title: 'Open MediAssist to keep your reminders coming',
+    message: 'Reminders after this one are scheduled the next time you open the app.',
+    data: { type: 'reminder_window_end' },
+  }]);
+
+  return Object.fromEntries(kept);
+};
+
+const loadReminderSources = async () => {
+  const [medications, doseEvents, appointments, settings] = await Promise.all([
+    medicationService.fetchMedications(),
+    medicationService.fetchDoseEvents(),
+    appointmentService.fetchAppointments(),
+    settingsService.fetchSettings(),
+  ]);
+  return { medications, doseEvents, appointments, settings };
+};
+
+const getActionTitles = reminder => (reminder.actions || []).map(action => action.title).join('|');
+
+const isSameReminder = (a, b) => (
+  a.fireAt === b.fireAt &&
+  a.title === b.title &&
+  a.message === b.message &&
+  a.priority === b.priority &&
+  getActionTitles(a) === getActionTitles(b)
+);
+
+const runSync = async (sources, { now = new Date(), limit = getPendingLimit() } = {}) => {
+  const [stored, data, pending] = await Promise.all([
+    getItem(STORAGE_KEYS.SCHEDULED_REMINDERS, {}),
+    sources || loadReminderSources(),
+    driver.getScheduledNotifications ? driver.getScheduledNotifications() : null,
+  ]);
+  const wanted = getWantedReminders(data, now, limit);
+
+  // After a reboot, reinstall or cleared queue the device may no longer hold what was scheduled
+  const pendingIds = pending ? new Set(pending.map(notification => String(notification.id))) : null;
+  const isPending = reminder => !pendingIds || pendingIds.has(reminder.id);
+
+  const next = {};
+  const cancelledIds = new Set();
+  let scheduled = 0;
+  let cancelled = 0;
+
+  Object.entries(stored).forEach(([key, reminder]) => {
+    const target = wanted[key];
+
+    if (target && isPending(reminder) && isSameReminder(target, reminder)) {
+      next[key] = reminder;
+    } else if (isPending(reminder) && new Date(reminder.fireAt) > new Date(now)) {
+      driver.cancelNotification(reminder.id);
+      cancelledIds.add(reminder.id);
+      cancelled += 1;
+    }
+  });
+
+  // Reminders the device holds that were lost from storage
+  const storedIds = new Set(Object.values(stored).map(reminder => reminder.id));
+  (pending || [])
+    .filter(notification => notification.data?.reminderKey && !storedIds.has(String(notification.id)))
+    .forEach(notification => {
+      driver.cancelNotification(notification.id);
+      cancelledIds.add(String(notification.id));
+      cancelled += 1;
+    });
+
+  // Ids still taken: kept reminders and anything else the device holds
+  const usedIds = new Set([
+    ...Object.values(next).map(reminder => reminder.id),
+    ...(pending || []).map(notification => String(notification.id)).filter(id => !cancelledIds.has(id)),
+  ]);
+
+  Object.entries(wanted)
+    .filter(([key]) => !next[key])
+    .forEach(([key, { data, channel, category, ...reminder }]) => {
+      const id = allocateNotificationId(key, stored[key]?.id, usedIds);
+      driver.scheduleNotification({
+        id,
+        date: reminder.fireAt,
+        title: reminder.title,
+        message: reminder.message,
+        data: { ...data, reminderKey: key },
+        ...(channel && { channel }),
+        ...(reminder.priority && { priority: reminder.priority }),
+        ...(reminder.actions && { category, actions: reminder.actions }),
+      });
+      next[key] = { ...reminder, id };
+      scheduled += 1;
+    });
+
+  await setItem(STORAGE_KEYS.SCHEDULED_REMINDERS, next);
+  return { scheduled, cancelled, pending: Object.keys(next).length };
+};
+
+let syncQueue = Promise.resolve();
+
+/**
+ * Bring the device's scheduled notifications in line with the schedule: reminders that are no
+ * longer wanted or have changed are cancelled, new or changed ones are scheduled, and the rest
+ * are left alone. `sources` ({ medications, doseEvents, appointments, settings }) defaults to what is stored.
+ * Syncs run one at a time. Resolves to { scheduled, cancelled, pending } counts.
+ */
+export const syncReminders = (sources = null, options = {}) => {
+  const run = () => runSync(sources, options);
+  syncQueue = syncQueue.then(run, run);
+  return syncQueue;
+};
+
+const ReminderService = {
+  setNotificationDriver,
+  getNotificationDriver,
+  getDoseActions,
+  getReminderCategories,
+  getDoseReminders,
+  getCaregiverReminders,
+  getDayPreview,
+  getRefillReminders,
+  getVisitReminders,
+  getPrepReminders,
+  getJoinReminders,
+  getWantedReminders,
+  syncReminders,
+};
+
+export default ReminderService;
@@ -0,0 +1,116 @@
+/**
+ * MediAssist App - Caregiver Notifier tests
+ * notifyCaregiver against the in-memory channel: asking first, and offering each missed dose once
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  STORAGE_KEYS,
+  MEDICATION_STATUS,
+  ESCALATION_POLICIES,
+  CAREGIVER_CHANNELS,
+  CAREGIVER_ALERT_OUTCOMES,
+} from '../../../utils/constants';
+import { createMemoryChannel, setCaregiverChannel, notifyCaregiver } from '../CaregiverNotifier';
+
+jest.mock('@react-native-async-storage/async-storage', () => require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+// Local times, as doses are due at clock times on the device; the 08:00 dose reaches the caregiver at 08:40
+const at = (hour, minute = 0) => new Date(2026, 9, 19, hour, minute);
+const NOW = at(9);
+
+const WARFARIN = {
+  id: 'med-1',
+  name: 'Warfarin',
+  dosage: '5 mg',
+  frequency: 'once_daily',
+  reminderTimes: ['08:00'],
+  startDate: new Date(2026, 9, 1).toISOString(),
+  status: MEDICATION_STATUS.ACTIVE,
+  escalation: { policy: ESCALATION_POLICIES.AGGRESSIVE },
+};
+
+const CAREGIVER = { name: 'Sam', phone: '+1 555 0100', channel: CAREGIVER_CHANNELS.SMS };
+
+const storedAttempts = async () => JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.CAREGIVER_ALERTS));
+
+describe('notifyCaregiver', () => {
+  let confirm;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await AsyncStorage.setItem(STORAGE_KEYS.MEDICATIONS, JSON.stringify([WARFARIN]));
+    await AsyncStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify({ caregiver: CAREGIVER }));
+    confirm = jest.fn(async () => true);
+  });
+
+  afterAll(() => {
+    setCaregiverChannel(null);
+  });
+
+  it('sends a dose once and records the attempt', async () => {
+    const channel = createMemoryChannel();
+    setCaregiverChannel(channel);
+
+    const alerts = await notifyCaregiver({ now: NOW, confirm });
+    await notifyCaregiver({ now: at(9, 1), confirm });
+
+    expect(alerts.map(alert => alert.medication.id)).toEqual(['med-1']);
+    expect(channel.sent).toHaveLength(1);
+    expect(channel.sent[0].message).toContain('Warfarin 5 mg');
+    expect(confirm).not.toHaveBeenCalled();
+    expect(Object.values(await storedAttempts()))
+      .toEqual([{ at: NOW.toISOString(), outcome: CAREGIVER_ALERT_OUTCOMES.SENT, count: 1 }]);
+  });
+
+  it('asks before opening SMS or the share sheet and does not ask again when declined', async () => {
+    const channel = createMemoryChannel({ interactive: true });
+    setCaregiverChannel(channel);
+    confirm.mockResolvedValue(false);
+
+    await expect(notifyCaregiver({ now: NOW, confirm })).resolves.toEqual([]);
+    await notifyCaregiver({ now: at(9, 1), confirm });
+
+    expect(confirm).toHaveBeenCalledTimes(1);
+    expect(channel.sent).toEqual([]);
+    expect(Object.values(await storedAttempts())[0].outcome).toBe(CAREGIVER_ALERT_OUTCOMES.DECLINED);
+  });
+
+  it('does not reopen a dismissed share sheet on the next check', async () => {
+    const channel = createMemoryChannel({ interactive: true, delivered: false });
+    setCaregiverChannel(channel);
+
+    await expect(notifyCaregiver({ now: NOW, confirm })).resolves.toEqual([]);
+    await notifyCaregiver({ now: at(9, 1), confirm });
+    await notifyCaregiver({ now: at(10), confirm });
+
+    expect(channel.sent).toHaveLength(1);
+    expect(Object.values(await storedAttempts())[0].outcome).toBe(CAREGIVER_ALERT_OUTCOMES.DISMISSED);
+  });
+
+  it('offers a dismissed dose again when the user taps the caregiver notice', async () => {
+    setCaregiverChannel(createMemoryChannel({ interactive: true, delivered: false }));
+    await notifyCaregiver({ now: NOW, confirm });
+
+    const channel = createMemoryChannel({ interactive: true });
+    setCaregiverChannel(channel);
+    const alerts = await notifyCaregiver({ now: at(9, 5), confirm, retry: true });
+
+    expect(alerts).toHaveLength(1);
+    expect(confirm).toHaveBeenCalledTimes(2);
+    expect(Object.values(await storedAttempts()))
+      .toEqual([{ at: at(9, 5).toISOString(), outcome: CAREGIVER_ALERT_OUTCOMES.SENT, count: 2 }]);
+
+    await expect(notifyCaregiver({ now: at(9, 6), confirm, retry: true })).resolves.toEqual([]);
+  });
+
+  it('reads doses stored as sent before outcomes were recorded', async () => {
+    const channel = createMemoryChannel();
+    setCaregiverChannel(channel);
+    const key = `med-1|${at(8).toISOString()}`;
+    await AsyncStorage.setItem(STORAGE_KEYS.CAREGIVER_ALERTS, JSON.stringify({ [key]: at(8, 40).toISOString() }));
+
+    await expect(notifyCaregiver({ now: NOW, confirm, retry: true })).resolves.toEqual([]);
+    expect(channel.sent).toEqual([]);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * MediAssist App - Reminder Actions tests
+ * Take, Skip and Snooze pressed on a dose reminder, against the in-memory driver and the dose ledger
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  STORAGE_KEYS,
+  MEDICATION_STATUS,
+  ESCALATION_POLICIES,
+  DOSE_STATUS,
+  REMINDER_ACTIONS,
+} from '../../../utils/constants';
+import medicationService from '../../api/medicationService';
+import { createMemoryDriver } from '../LocalNotifications';
+import { syncReminders, setNotificationDriver } from '../ReminderService';
+import { handleReminderAction } from '../ReminderActions';
+
+jest.mock('@react-native-async-storage/async-storage', () => require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('react-native-push-notification', () => ({}));
+jest.mock('@react-native-community/push-notification-ios', () => ({}));
+
+// Local times, as reminder times are clock times on the device
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute);
+const PRESSED_AT = at(19, 8, 5);
+
+const medication = (id, name, reminderTime) => ({
+  id,
+  name,
+  dosage: '10 mg',
+  frequency: 'once_daily',
+  reminderTimes: [reminderTime],
+  startDate: new Date(2026, 9, 1).toISOString(),
+  status: MEDICATION_STATUS.ACTIVE,
+  escalation: { policy: ESCALATION_POLICIES.OFF },
+});
+
+const LISINOPRIL = medication('med-1', 'Lisinopril', '08:00');
+const ATORVASTATIN = medication('med-2', 'Atorvastatin', '08:00');
+
+// The reminder for today's 08:00 dose, as it shows in the notification center
+const showTodaysReminder = (driver) => {
+  const reminder = Array.from(driver.scheduled.values()).find(notification => notification.date === at(19, 8).toISOString());
+  return driver.deliver(reminder.id);
+};
+
+const press = (action, notification, now = PRESSED_AT) => handleReminderAction({ action, data: notification.data }, { now });
+
+describe('handleReminderAction', () => {
+  let driver;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await AsyncStorage.setItem(STORAGE_KEYS.MEDICATIONS, JSON.stringify([LISINOPRIL]));
+    await AsyncStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify({ snoozeMinutes: 15 }));
+    driver = createMemoryDriver();
+    setNotificationDriver(driver);
+    await syncReminders(null, { now: at(19, 7) });
+  });
+
+  afterAll(() => {
+    setNotificationDriver(null);
+  });
+
+  it('records a dose taken from the reminder and clears it', async () => {
+    const reminder = showTodaysReminder(driver);
+
+    const events = await press(REMINDER_ACTIONS.TAKE, reminder);
+
+    expect(events).toEqual([expect.objectContaining({
+      medicationId: LISINOPRIL.id,
+      status: DOSE_STATUS.TAKEN,
+      scheduledAt: at(19, 8).toISOString(),
+      actualAt: PRESSED_AT.toISOString(),
+      source: 'notification',
+    })]);
+    expect(await medicationService.fetchDoseEvents()).toEqual(events);
+    expect(driver.delivered.size).toBe(0);
+    expect(Array.from(driver.scheduled.values()).map(notification => notification.date))
+      .not.toContain(at(19, 8).toISOString());
+  });
+
+  it('records a skipped dose', async () => {
+    const [event] = await press(REMINDER_ACTIONS.SKIP, showTodaysReminder(driver));
+
+    expect(event.status).toBe(DOSE_STATUS.SKIPPED);
+  });
+
+  it('snoozes a dose and reminds of it again when the snooze ends', async () => {
+    const [event] = await press(REMINDER_ACTIONS.SNOOZE, showTodaysReminder(driver));
+
+    expect(event).toMatchObject({ status: DOSE_STATUS.SNOOZED, snoozedUntil: at(19, 8, 20).toISOString() });
+    expect(Array.from(driver.scheduled.values()).map(notification => notification.date))
+      .toContain(at(19, 8, 20).toISOString());
+  });
+
+  it('records once when pressed twice', async () => {
+    const reminder = showTodaysReminder(driver);
+
+    await press(REMINDER_ACTIONS.TAKE, reminder);
+    await expect(press(REMINDER_ACTIONS.SKIP, reminder, at(19, 8, 6))).resolves.toEqual([]);
+    expect(await medicationService.fetchDoseEvents()).toHaveLength(1);
+  });
+
+  it('takes every dose of a grouped reminder', async () => {
+    await AsyncStorage.setItem(STORAGE_KEYS.MEDICATIONS, JSON.stringify([LISINOPRIL, ATORVASTATIN]));
+    const doses = [LISINOPRIL, ATORVASTATIN].map(med => ({ medicationId: med.id, scheduledAt: at(19, 8).toISOString() }));
+
+    const events = await press(REMINDER_ACTIONS.TAKE_ALL, { data: { type: 'medication_dose', doses } });
+
+    expect(events.map(event => [event.medicationId, event.status])).toEqual([
+      [LISINOPRIL.id, DOSE_STATUS.TAKEN],
+      [ATORVASTATIN.id, DOSE_STATUS.TAKEN],
+    ]);
+  });
+
+  it('leaves a dose taken in the app meanwhile alone', async () => {
+    const reminder = showTodaysReminder(driver);
+    const inApp = { id: 'dose-app', medicationId: LISINOPRIL.id, status: DOSE_STATUS.TAKEN, scheduledAt: at(19, 8).toISOString(), actualAt: at(19, 8, 1).toISOString() };
+
+    const [, events] = await Promise.all([
+      medicationService.appendDoseEvents([inApp]),
+      press(REMINDER_ACTIONS.SKIP, reminder),
+    ]);
+
+    expect(events).toEqual([]);
+    expect(await medicationService.fetchDoseEvents()).toEqual([inApp]);
+  });
+
+  it('ignores other notifications, unknown buttons and deleted medications', async () => {
+    const reminder = showTodaysReminder(driver);
+
+    await expect(handleReminderAction({ action: REMINDER_ACTIONS.TAKE, data: { type: 'appointment' } })).resolves.toEqual([]);
+    await expect(press('dance', reminder)).resolves.toEqual([]);
+
+    await AsyncStorage.setItem(STORAGE_KEYS.MEDICATIONS, JSON.stringify([]));
+    await expect(press(REMINDER_ACTIONS.TAKE, reminder)).resolves.toEqual([]);
+    expect(await medicationService.fetchDoseEvents()).toEqual([]);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * MediAssist App - Reminder Service tests
+ * syncReminders against the in-memory notification driver: scheduling, rescheduling and cancelling
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, MEDICATION_STATUS, ESCALATION_POLICIES } from '../../../utils/constants';
+import { createMemoryDriver } from '../LocalNotifications';
+import { syncReminders, setNotificationDriver } from '../ReminderService';
+
+jest.mock('@react-native-async-storage/async-storage', () => require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('react-native-push-notification', () => ({}));
+jest.mock('@react-native-community/push-notification-ios', () => ({}));
+
+// Local times, as reminder times are clock times on the device
+const at = (day, hour) => new Date(2026, 9, day, hour).toISOString();
+const NOW = new Date(2026, 9, 19, 12);
+
+const LISINOPRIL = {
+  id: 'med-1',
+  name: 'Lisinopril',
+  dosage: '10 mg',
+  frequency: 'once_daily',
+  reminderTimes: ['08:00'],
+  startDate: new Date(2026, 9, 1).toISOString(),
+  status: MEDICATION_STATUS.ACTIVE,
+  escalation: { policy: ESCALATION_POLICIES.OFF },
+};
+
+const sourcesWith = (...medications) => ({ medications, doseEvents: [], appointments: [], settings: {} });
+
+const scheduledDates = driver => Array.from(driver.scheduled.values()).map(notification => notification.date).sort();
+
+describe('syncReminders', () => {
+  let driver;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    driver = createMemoryDriver();
+    setNotificationDriver(driver);
+  });
+
+  afterAll(() => {
+    setNotificationDriver(null);
+  });
+
+  it('schedules the reminder window and stores what it scheduled by key', async () => {
+    await expect(syncReminders(sourcesWith(LISINOPRIL), { now: NOW }))
+      .resolves.toEqual({ scheduled: 3, cancelled: 0, pending: 3 });
+
+    expect(scheduledDates(driver)).toEqual([at(20, 8), at(21, 8), at(22, 8)]);
+
+    const stored = JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.SCHEDULED_REMINDERS));
+    Array.from(driver.scheduled.values()).forEach(notification => {
+      expect(stored[notification.data.reminderKey]).toMatchObject({ id: notification.id, fireAt: notification.date });
+    });
+  });
+
+  it('leaves unchanged reminders alone', async () => {
+    await syncReminders(sourcesWith(LISINOPRIL), { now: NOW });
+    const ids = Array.from(driver.scheduled.keys());
+
+    await expect(syncReminders(sourcesWith(LISINOPRIL), { now: NOW }))
+      .resolves.toEqual({ scheduled: 0, cancelled: 0, pending: 3 });
+    expect(Array.from(driver.scheduled.keys())).toEqual(ids);
+  });
+
+  it('reschedules reminders when the dose time changes', async () => {
+    await syncReminders(sourcesWith(LISINOPRIL), { now: NOW });
+
+    await expect(syncReminders(sourcesWith({ ...LISINOPRIL, reminderTimes: ['13:00'] }), { now: NOW }))
+      .resolves.toEqual({ scheduled: 3, cancelled: 3, pending: 3 });
+    expect(scheduledDates(driver)).toEqual([at(19, 13), at(20, 13), at(21, 13)]);
+  });
+
+  it('cancels the reminders of a paused medication', async () => {
+    await syncReminders(sourcesWith(LISINOPRIL), { now: NOW });
+
+    await expect(syncReminders(sourcesWith({ ...LISINOPRIL, status: MEDICATION_STATUS.PAUSED }), { now: NOW }))
+      .resolves.toEqual({ scheduled: 0, cancelled: 3, pending: 0 });
+    expect(driver.scheduled.size).toBe(0);
+  });
+
+  it('puts back reminders the device no longer holds', async () => {
+    await syncReminders(sourcesWith(LISINOPRIL), { now: NOW });
+    driver.scheduled.clear();
+
+    await expect(syncReminders(sourcesWith(LISINOPRIL), { now: NOW }))
+      .resolves.toEqual({ scheduled: 3, cancelled: 0, pending: 3 });
+    expect(scheduledDates(driver)).toEqual([at(20, 8), at(21, 8), at(22, 8)]);
+  });
+
+  it('cancels notifications left on the device when storage was cleared', async () => {
+    await syncReminders(sourcesWith(LISINOPRIL), { now: NOW });
+    await AsyncStorage.clear();
+
+    await expect(syncReminders(sourcesWith(LISINOPRIL), { now: NOW }))
+      .resolves.toEqual({ scheduled: 3, cancelled: 3, pending: 3 });
+    expect(driver.scheduled.size).toBe(3);
+  });
+
+  it('ends a cut-short window with a reminder to open the app', async () => {
+    await syncReminders(sourcesWith(LISINOPRIL), { now: NOW, limit: 2 });
+
+    const notifications = Array.from(driver.scheduled.values()).sort((a, b) => a.date.localeCompare(b.date));
+    expect(notifications.map(notification => notification.title))
+      .toEqual(['Time for Lisinopril', 'Open MediAssist to keep your reminders coming']);
+  });
+
+  it('gives reminders whose keys hash alike their own notification ids', async () => {
+    // "Aa" and "BB" hash to the same value
+    const visit = id => ({
+      id,
+      doctorName: `Dr. ${id}`,
+      dateTime: at(21, 10),
+      duration: 30,
+      reminderEnabled: true,
+      reminderMinutes: 60,
+    });
+
+    await syncReminders({ ...sourcesWith(), appointments: [visit('Aa'), visit('BB')] }, { now: NOW });
+
+    expect(Array.from(driver.scheduled.values()).map(notification => notification.title).sort())
+      .toEqual(['Appointment with Dr. Aa', 'Appointment with Dr. BB']);
+  });
+
+  it('keeps clear of ids the device holds for other notifications', async () => {
+    await syncReminders(sourcesWith(LISINOPRIL), { now: NOW });
+    const [first] = Array.from(driver.scheduled.values());
+    await AsyncStorage.clear();
+    driver.scheduled.clear();
+    driver.scheduleNotification({ id: first.id, date: at(25, 9), title: 'Something else', message: '' });
+
+    await syncReminders(sourcesWith(LISINOPRIL), { now: NOW });
+
+    expect(driver.scheduled.get(first.id).title).toBe('Something else');
+    expect(driver.scheduled.size).toBe(4);
+  });
+
+  it('runs overlapping syncs one after the other', async () => {
+    const results = await Promise.all([
+      syncReminders(sourcesWith(LISINOPRIL), { now: NOW }),
+      syncReminders(sourcesWith(LISINOPRIL), { now: NOW }),
+    ]);
+
+    expect(results.map(result => result.scheduled)).toEqual([3, 0]);
+    expect(driver.scheduled.size).toBe(3);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * MediAssist App - Visit Report
+ * Print-ready HTML for the visit summary (see buildVisitReport), shared through react-native-share
+ */
+
+import RNFS from 'react-native-fs';
+import Share from 'react-native-share';
+import { COLORS } from '../../styles/colors';
+import { formatShortDate } from '../../utils/formatters';
+import { formatTimeOfDay } from '../../utils/dateUtils';
+import { VITAL_RANGE_STATUS } from '../../utils/vitalRanges';
+
+const HTML_MIME_TYPE = 'text/html';
+
+const SPARKLINE_WIDTH = 160;
+const SPARKLINE_HEIGHT = 36;
+
+const TREND_LABELS = {
+  rising: '↑ Rising',
+  falling: '↓ Falling',
+  steady: '→ Steady',
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// "Oct 25, 2026"
+const formatLongDate = (date) => {
+  return new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+// Trend line of a vital as inline SVG, so the report needs no images
+const renderSparkline = (points, color) => {
+  if (points.length < 2) return '';
+
+  const values = points.map(point => point.value);
+  const min = Math.min(...values);
+  const spread = Math.max(...values) - min || 1;
+  const step = SPARKLINE_WIDTH / (points.length - 1);
+  const coordinates = values.map((value, index) => [
+    (index * step).toFixed(1),
+    (SPARKLINE_HEIGHT - 2 - ((value - min) / spread) * (SPARKLINE_HEIGHT - 4)).toFixed(1),
+  ]);
+  const [lastX, lastY] = coordinates[coordinates.length - 1];
+
+  return `<svg width="${SPARKLINE_WIDTH}" height="${SPARKLINE_HEIGHT}" viewBox="-2 0 ${SPARKLINE_WIDTH + 4} ${SPARKLINE_HEIGHT}">`
+    + `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${coordinates.map(point => point.join(',')).join(' ')}"/>`
+    + `<circle cx="${lastX}" cy="${lastY}" r="2.5" fill="${color}"/>`
+    + '</svg>';
+};
+
+const renderSection = (title, body) => `<section><h2>${escapeHtml(title)}</h2>${body}</section>`;
+
+const renderEmpty = (text) => `<p class="muted">${escapeHtml(text)}</p>`;
+
+const renderMedications = ({ medications, stoppedMedications, overallAdherence }) => {
+  if (!medications.length && !stoppedMedications.length) return renderEmpty('No medications recorded.');
+
+  const rows = medications.map((med) => {
+    const { adherence } = med;
+    const adherenceCell = med.asNeeded
+      ? '<span class="muted">As needed</span>'
+      : adherence
+        ? `<strong>${adherence.rate}%</strong> <span class="muted">${adherence.taken + adherence.late}/${adherence.total}`
+          + `${adherence.late ? `, ${adherence.late} late` : ''}${adherence.skipped ? `, ${adherence.skipped} skipped` : ''}`
+          + `${adherence.missed ? `, ${adherence.missed} missed` : ''}</span>`
+        : '<span class="muted">No doses logged</span>';
+
+    return `<tr><td><strong>${escapeHtml(med.name)}</strong>`
+      + `${med.instructions ? `<div class="muted">${escapeHtml(med.instructions)}</div>` : ''}</td>`
+      + `<td>${escapeHtml(med.dose)}</td><td>${adherenceCell}</td></tr>`;
+  }).join('');
+
+  const stopped = stoppedMedications.length
+    ? `<p class="muted">Stopped in this period: ${stoppedMedications
+      .map(med => `${escapeHtml(med.name)} (${escapeHtml(med.summary)})`).join('; ')}</p>`
+    : '';
+
+  return `${overallAdherence !== null ? `<p>Overall adherence to scheduled doses: <strong>${overallAdherence}%</strong></p>` : ''}`
+    + (rows ? `<table><tr><th>Medication</th><th>Dose</th><th>Adherence</th></tr>${rows}</table>` : '')
+    + stopped;
+};
+
+const renderPrnUse = (prnUse) => {
+  if (!prnUse.length) return renderEmpty('No "as needed" doses taken in this period.');
+
+  return `<table><tr><th>Medication</th><th>Doses</th><th>Reasons</th></tr>${prnUse.map(med => (
+    `<tr><td><strong>${escapeHtml(med.name)}</strong></td><td>${med.prnUse.count}</td>`
+    + `<td>${med.prnUse.reasons.map(({ reason, count }) => `${escapeHtml(reason)} ×${count}`).join(', ')}</td></tr>`
+  )).join('')}</table>`;
+};
+
+const renderVitals = (vitals) => {
+  if (!vitals.length) return renderEmpty('No readings recorded in this period.');
+
+  return vitals.map((vital) => {
+    const ranges = vital.fields.map(field => (
+      `${field.label ? `${escapeHtml(field.label)}: ` : ''}${field.min}–${field.max} (avg ${field.average})`
+    )).join('<br/>');
+
+    const events = vital.outOfRange.events.map(event => (
+      `<li class="${event.status === VITAL_RANGE_STATUS.CRITICAL ? 'critical' : 'elevated'}">`
+      + `${formatShortDate(event.timestamp)} ${formatTimeOfDay(event.timestamp)}: ${escapeHtml(event.value)}</li>`
+    )).join('');
+
+    const outOfRange = vital.outOfRange.count
+      ? `<p>${vital.outOfRange.count} out of range${vital.outOfRange.critical ? `, ${vital.outOfRange.critical} critical` : ''}`
+        + `${vital.outOfRange.count > vital.outOfRange.events.length ? ' (latest shown)' : ''}</p><ul>${events}</ul>`
+      : '<p class="muted">All readings in range</p>';
+
+    return '<div class="vital">'
+      + `<div><h3>${escapeHtml(vital.label)}</h3>`
+      + `<p>Latest <strong>${escapeHtml(vital.latest)}</strong> · ${vital.count} reading${vital.count === 1 ? '' : 's'}`
+      + `${vital.trend ? ` · ${TREND_LABELS[vital.trend]}` : ''}</p>`
+      + `${vital.count > 1 ? `<p class="muted">Range ${ranges} ${escapeHtml(vital.unit)}</p>` : ''}</div>`
+      + `<div>${renderSparkline(vital.points, COLORS.primary.main)}${outOfRange}</div>`
+      + '</div>';
+  }).join('');
+};
+
+const renderSideEffects = (sideEffects) => {
+  if (!sideEffects.length) return renderEmpty('None noted.');
+
+  return `<ul>${sideEffects.map(item => (
+    `<li><strong>${escapeHtml(item.medicationName)}</strong> (${formatShortDate(item.date)}): ${escapeHtml(item.text)}</li>`
+  )).join('')}</ul>`;
+};
+
+const renderQuestions = (questions) => {
+  if (!questions.length) return renderEmpty('No questions added.');
+  return `<ol>${questions.map(question => `<li>${escapeHtml(question)}</li>`).join('')}</ol>`;
+};
+
+/**
+ * The visit summary as a single self-contained HTML page, sized to print on one or two
+ * pages; the share sheet's print option turns it into a PDF.
+ */
+export const renderVisitReportHtml = (report) => {
+  const { visit, period } = report;
+  const visitLine = [visit.doctorName, visit.specialty, visit.clinic].filter(Boolean).map(escapeHtml).join(' · ');
+  const periodLine = period.previousVisit
+    ? `Since last visit on ${formatLongDate(period.previousVisit.dateTime)}`
+      + `${period.previousVisit.doctorName ? ` with ${escapeHtml(period.previousVisit.doctorName)}` : ''}`
+    : `${formatLongDate(period.from)} – ${formatLongDate(period.to)}`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width, initial-scale=1"/>
+<title>Visit Summary</title>
+<style>
+  @page { margin: 14mm; }
+  body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; font-size: 12px; color: ${COLORS.text.primary}; margin: 0; }
+  header { border-bottom: 2px solid ${COLORS.primary.main}; padding-bottom: 8px; margin-bottom: 12px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 14px; color: ${COLORS.primary.dark}; margin: 16px 0 6px; }
+  h3 { font-size: 13px; margin: 0 0 2px; }
+  p { margin: 2px 0; }
+  section { page-break-inside: avoid; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; vertical-align: top; padding: 4px 6px; border-bottom: 1px solid ${COLORS.neutral.gray[200]}; }
+  th { font-size: 11px; color: ${COLORS.text.secondary}; }
+  ul, ol { margin: 4px 0; padding-left: 18px; }
+  .muted { color: ${COLORS.text.tertiary}; }
+  .vital { display: flex; justify-content: space-between; gap: 12px; padding: 6px 0; border-bottom: 1px solid ${COLORS.neutral.gray[200]}; page-break-inside: avoid; }
+  .elevated { color: ${COLORS.status.warning.dark}; }
+  .critical { color: ${COLORS.status.error.main}; font-weight: bold; }
+  footer { margin-top: 16px; font-size: 10px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>Visit Summary</h1>
+  <p><strong>${formatLongDate(visit.dateTime)} at ${formatTimeOfDay(visit.dateTime)}</strong>${visitLine ? ` · ${visitLine}` : ''}</p>
+  ${visit.reasonForVisit ? `<p>Reason: ${escapeHtml(visit.reasonForVisit)}</p>` : ''}
+  <p class="muted">${periodLine}</p>
+</header>
+${renderSection('Questions for the Doctor', renderQuestions(report.questions))}
+${renderSection('Current Medications', renderMedications(report))}
+${renderSection('As-Needed Use', renderPrnUse(report.prnUse))}
+${renderSection('Vitals', renderVitals(report.vitals))}
+${renderSection('Side Effects & Notes', renderSideEffects(report.sideEffects))}
+<footer class="muted">Prepared by the patient with MediAssist on ${formatLongDate(report.generatedAt)}. Self-reported data.</footer>
+</body>
+</html>`;
+};
+
+/**
+ * Write the visit summary to the cache folder and open the share sheet, so it can be
+ * printed, saved as PDF or sent to the practice. Dismissing the sheet is not an error.
+ */
+export const shareVisitReport = async (report, { title = 'Share Visit Summary' } = {}) => {
+  const fileName = `visit-summary-${report.visit.dateTime.slice(0, 10)}.html`;
+  const path = `${RNFS.CachesDirectoryPath}/${fileName}`;
+  await RNFS.writeFile(path, renderVisitReportHtml(report), 'utf8');
+
+  await Share.open({
+    title,
+    url: `file://${path}`,
+    type: HTML_MIME_TYPE,
+    filename: fileName,
+    failOnCancel: false,
+  });
+
+  return path;
+};
+
+const VisitReport = {
+  renderVisitReportHtml,
+  shareVisitReport,
+};
+
+export default VisitReport;
@@ -0,0 +1,34 @@
+/**
+ * MediAssist App - AsyncStorage Service
+ * JSON-aware wrapper around React Native AsyncStorage
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Read and parse a stored value, falling back when missing or corrupt
+export const getItem = async (key, fallback = null) => {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    return raw !== null ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${key} from storage:`, error);
+    return fallback;
+  }
+};
+
+// Serialize and store a value
+export const setItem = async (key, value) => {
+  await AsyncStorage.setItem(key, JSON.stringify(value));
+  return value;
+};
+
+// Remove a stored value
+export const removeItem = async (key) => {
+  await AsyncStorage.removeItem(key);
+};
+
+export default {
+  getItem,
+  setItem,
+  removeItem,
+};
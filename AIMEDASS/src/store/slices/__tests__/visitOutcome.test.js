@@ -0,0 +1,122 @@
+/**
+ * MediAssist App - Visit Outcome tests
+ * recordVisitOutcome saves all of a visit's changes or none, and keeps the store in step with storage
+ */
+
+import { configureStore } from '@reduxjs/toolkit';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, MEDICATION_STATUS, APPOINTMENT_STATUS, VISIT_MEDICATION_ACTIONS } from '../../../utils/constants';
+import appointmentService from '../../../services/api/appointmentService';
+import appointmentsReducer, { fetchAppointments, recordVisitOutcome } from '../appointmentSlice';
+import medicationsReducer, { fetchMedications } from '../medicationSlice';
+
+jest.mock('@react-native-async-storage/async-storage', () => require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('react-native-fs', () => ({}));
+jest.mock('react-native-share', () => ({}));
+
+const VISIT = {
+  id: 'appt-1',
+  doctorName: 'Dr. Patel',
+  dateTime: '2026-10-19T14:00:00.000Z',
+  duration: 30,
+  status: APPOINTMENT_STATUS.SCHEDULED,
+  exceptions: {},
+};
+
+const medication = (id, name, status = MEDICATION_STATUS.ACTIVE) => ({
+  id,
+  name,
+  dosage: '10 mg',
+  frequency: 'once_daily',
+  reminderTimes: ['08:00'],
+  startDate: '2026-09-01T00:00:00.000Z',
+  status,
+});
+
+const OUTCOME = {
+  notes: 'Blood pressure better',
+  medicationChanges: [
+    { action: VISIT_MEDICATION_ACTIONS.START, name: 'Amlodipine', dosage: '5 mg', frequency: 'once_daily' },
+    { action: VISIT_MEDICATION_ACTIONS.STOP, medicationId: 'med-1', name: 'Lisinopril', note: 'Cough' },
+  ],
+  orders: [{ type: 'lab_work', description: 'Kidney panel', dueDate: '2026-11-02T00:00:00.000Z' }],
+  nextVisit: { option: 'three_months', book: true },
+};
+
+const stored = async key => JSON.parse(await AsyncStorage.getItem(key));
+
+const setup = async (medications) => {
+  await AsyncStorage.setItem(STORAGE_KEYS.APPOINTMENTS, JSON.stringify([VISIT]));
+  await AsyncStorage.setItem(STORAGE_KEYS.MEDICATIONS, JSON.stringify(medications));
+
+  const store = configureStore({ reducer: { appointments: appointmentsReducer, medications: medicationsReducer } });
+  await store.dispatch(fetchAppointments());
+  await store.dispatch(fetchMedications());
+  return store;
+};
+
+const storeList = (store, slice) => Object.values(store.getState()[slice].entities);
+
+const byId = list => [...list].sort((a, b) => a.id.localeCompare(b.id));
+
+describe('recordVisitOutcome', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves medication changes, bookings and the outcome linked to each other', async () => {
+    const store = await setup([medication('med-1', 'Lisinopril')]);
+
+    const result = await store.dispatch(recordVisitOutcome({ id: VISIT.id, outcome: OUTCOME }));
+    expect(result.error).toBeUndefined();
+
+    const medications = await stored(STORAGE_KEYS.MEDICATIONS);
+    const appointments = await stored(STORAGE_KEYS.APPOINTMENTS);
+    expect(byId(storeList(store, 'medications'))).toEqual(byId(medications));
+    expect(byId(storeList(store, 'appointments'))).toEqual(byId(appointments));
+
+    const started = medications.find(med => med.name === 'Amlodipine');
+    const { visitOutcome } = appointments.find(appointment => appointment.id === VISIT.id);
+    expect(visitOutcome.medicationChanges.map(change => [change.action, change.medicationId])).toEqual([
+      [VISIT_MEDICATION_ACTIONS.START, started.id],
+      [VISIT_MEDICATION_ACTIONS.STOP, 'med-1'],
+    ]);
+    expect(visitOutcome.orders[0].appointmentId).toBe(appointments[1].id);
+    expect(visitOutcome.nextVisit.appointmentId).toBe(appointments[2].id);
+  });
+
+  it('saves nothing when one of the changes cannot be made', async () => {
+    const medications = [medication('med-1', 'Lisinopril', MEDICATION_STATUS.DISCONTINUED)];
+    const store = await setup(medications);
+
+    const result = await store.dispatch(recordVisitOutcome({ id: VISIT.id, outcome: OUTCOME }));
+
+    expect(result.payload).toBe('Lisinopril is no longer active');
+    expect(await stored(STORAGE_KEYS.MEDICATIONS)).toEqual(medications);
+    expect(await stored(STORAGE_KEYS.APPOINTMENTS)).toEqual([VISIT]);
+    expect(storeList(store, 'medications')).toEqual(medications);
+  });
+
+  it('keeps saved medication changes in the store and does not repeat them on retry', async () => {
+    const store = await setup([medication('med-1', 'Lisinopril')]);
+    jest.spyOn(appointmentService, 'saveAppointments').mockRejectedValueOnce(new Error('Storage is full'));
+
+    const failed = await store.dispatch(recordVisitOutcome({ id: VISIT.id, outcome: OUTCOME }));
+    expect(failed.payload).toBe('Storage is full');
+    expect(byId(storeList(store, 'medications'))).toEqual(byId(await stored(STORAGE_KEYS.MEDICATIONS)));
+    expect(await stored(STORAGE_KEYS.APPOINTMENTS)).toEqual([VISIT]);
+
+    const retried = await store.dispatch(recordVisitOutcome({ id: VISIT.id, outcome: OUTCOME }));
+    expect(retried.error).toBeUndefined();
+
+    const medications = await stored(STORAGE_KEYS.MEDICATIONS);
+    expect(medications.map(med => med.name)).toEqual(['Lisinopril', 'Amlodipine']);
+    expect(medications[0].changeLog).toHaveLength(1);
+    expect(byId(storeList(store, 'medications'))).toEqual(byId(medications));
+    expect(retried.payload.appointment.visitOutcome.medicationChanges[0].medicationId).toBe(medications[1].id);
+  });
+});
@@ -0,0 +1,561 @@
+/**
+ * MediAssist App - Appointment Slice
+ * Appointments and recurring series, with per-occurrence cancel, reschedule and complete
+ */
+
+import {
+  createSlice,
+  createAsyncThunk,
+  createEntityAdapter,
+  createSelector,
+} from '@reduxjs/toolkit';
+import appointmentService from '../../services/api/appointmentService';
+import VisitReport from '../../services/reports/VisitReport';
+import { APPOINTMENT_STATUS, VITAL_TYPES, VISIT_MEDICATION_ACTIONS } from '../../utils/constants';
+import { toISOString } from '../../utils/helpers';
+import { validateRecurrence } from '../../utils/validation';
+import { DEFAULT_PREP_TEMPLATES } from '../../utils/prepChecklists';
+import { buildVisitReport } from '../../utils/visitReport';
+import {
+  getVisitReference,
+  isSameVisit,
+  getNextVisitDate,
+  buildOrderAppointment,
+  buildNextVisitAppointment,
+} from '../../utils/visitOutcome';
+import {
+  isRecurringAppointment,
+  isSeriesStart,
+  getOccurrence,
+  getOccurrencesForRange,
+} from '../../utils/appointmentUtils';
+import {
+  applyVisitMedicationChanges,
+  selectAllMedications,
+  selectAdherenceData,
+  selectPrnDoseData,
+  selectDoseOutcomes,
+} from './medicationSlice';
+import { selectVitalSeries, selectVitalRanges } from './vitalsSlice';
+import { selectUnitPreferences } from './settingsSlice';
+
+const appointmentsAdapter = createEntityAdapter({
+  sortComparer: (a, b) => (a.dateTime || '').localeCompare(b.dateTime || ''),
+});
+
+const initialState = appointmentsAdapter.getInitialState({
+  loading: false,
+  saving: false,
+  error: null,
+  prepTemplates: DEFAULT_PREP_TEMPLATES,
+});
+
+// Fields that belong to the series as a whole and cannot differ for one occurrence
+const SERIES_FIELDS = ['id', 'recurrence', 'isRecurring', 'exceptions', 'createdAt', 'updatedAt'];
+
+/**
+ * Storage changes for editing an appointment. With `occurrenceStart`, only that visit of a
+ * recurring series changes (as an exception); otherwise the whole appointment does, and
+ * exceptions for visits the new schedule no longer has are dropped.
+ */
+const getVisitChanges = (appointment, occurrenceStart, changes) => {
+  if (!appointment) throw new Error('Appointment not found');
+
+  if (occurrenceStart && isRecurringAppointment(appointment)) {
+    if (!isSeriesStart(appointment, occurrenceStart)) throw new Error('Appointment not found');
+
+    const overrides = Object.fromEntries(
+      Object.entries(changes).filter(([key]) => !SERIES_FIELDS.includes(key))
+    );
+    if ('dateTime' in overrides) overrides.dateTime = toISOString(overrides.dateTime);
+
+    return {
+      exceptions: {
+        ...appointment.exceptions,
+        [occurrenceStart]: { ...appointment.exceptions?.[occurrenceStart], ...overrides },
+      },
+    };
+  }
+
+  if (!('dateTime' in changes) && !('recurrence' in changes)) return changes;
+
+  const updated = { ...appointment, ...changes };
+  const exceptions = isRecurringAppointment(updated)
+    ? Object.fromEntries(
+        Object.entries(appointment.exceptions || {}).filter(([start]) => isSeriesStart(updated, start))
+      )
+    : {};
+
+  return { ...changes, exceptions };
+};
+
+const assertValidRecurrence = ({ recurrence, dateTime }) => {
+  const [message] = Object.values(validateRecurrence(recurrence, dateTime));
+  if (message) throw new Error(message);
+};
+
+const changeVisit = async (getState, { id, occurrenceStart, changes }) => {
+  const appointment = getState().appointments.entities[id];
+  const visitChanges = getVisitChanges(appointment, occurrenceStart, changes);
+  assertValidRecurrence({ ...appointment, ...visitChanges });
+
+  return appointmentService.updateAppointment(id, visitChanges);
+};
+
+// Async thunks
+export const fetchAppointments = createAsyncThunk(
+  'appointments/fetchAppointments',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await appointmentService.fetchAppointments();
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to load appointments');
+    }
+  }
+);
+
+export const addAppointment = createAsyncThunk(
+  'appointments/addAppointment',
+  async (appointmentData, { rejectWithValue }) => {
+    try {
+      assertValidRecurrence(appointmentData);
+      return await appointmentService.createAppointment(appointmentData);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to add appointment');
+    }
+  }
+);
+
+// Edit an appointment, a whole series, or with `occurrenceStart` a single visit of a series
+export const updateAppointment = createAsyncThunk(
+  'appointments/updateAppointment',
+  async ({ id, occurrenceStart = null, changes }, { getState, rejectWithValue }) => {
+    try {
+      return await changeVisit(getState, { id, occurrenceStart, changes });
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to update appointment');
+    }
+  }
+);
+
+export const cancelAppointment = createAsyncThunk(
+  'appointments/cancelAppointment',
+  async ({ id, occurrenceStart = null, reason = '' }, { getState, rejectWithValue }) => {
+    try {
+      return await changeVisit(getState, {
+        id,
+        occurrenceStart,
+        changes: {
+          status: APPOINTMENT_STATUS.CANCELLED,
+          cancelledAt: new Date().toISOString(),
+          cancellationReason: reason.trim(),
+        },
+      });
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to cancel appointment');
+    }
+  }
+);
+
+// Move a visit (or a whole series) to a new time; a cancelled visit that is moved is booked again
+export const rescheduleAppointment = createAsyncThunk(
+  'appointments/rescheduleAppointment',
+  async ({ id, occurrenceStart = null, dateTime, duration }, { getState, rejectWithValue }) => {
+    try {
+      const appointment = getState().appointments.entities[id];
+      const previous = occurrenceStart
+        ? appointment?.exceptions?.[occurrenceStart]?.dateTime || occurrenceStart
+        : appointment?.dateTime;
+
+      return await changeVisit(getState, {
+        id,
+        occurrenceStart,
+        changes: {
+          dateTime: toISOString(dateTime),
+          ...(duration && { duration }),
+          status: APPOINTMENT_STATUS.SCHEDULED,
+          rescheduledFrom: previous || null,
+        },
+      });
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to reschedule appointment');
+    }
+  }
+);
+
+export const completeAppointment = createAsyncThunk(
+  'appointments/completeAppointment',
+  async ({ id, occurrenceStart = null }, { getState, rejectWithValue }) => {
+    try {
+      return await changeVisit(getState, {
+        id,
+        occurrenceStart,
+        changes: {
+          status: APPOINTMENT_STATUS.COMPLETED,
+          completedAt: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to complete appointment');
+    }
+  }
+);
+
+/**
+ * Complete a visit with what came out of it: notes, medication changes (applied to the
+ * medication list and linked back to this visit), ordered labs or imaging (booked as
+ * appointments) and the recommended next visit, booked as a follow-up when `nextVisit.book`.
+ * Everything is checked before anything is saved. Medication changes are saved first, in one
+ * write, then the visit and the booked appointments together in another; a retry after the
+ * second fails does not apply the medication changes again.
+ * Resolves to { appointment, booked } with the appointments created for orders and follow-up.
+ */
+export const recordVisitOutcome = createAsyncThunk(
+  'appointments/recordVisitOutcome',
+  async ({ id, occurrenceStart = null, outcome }, { dispatch, getState, rejectWithValue }) => {
+    try {
+      const { notes = '', medicationChanges = [], orders = [], nextVisit = {} } = outcome;
+      const appointment = getState().appointments.entities[id];
+      if (!appointment) throw new Error('Appointment not found');
+
+      const visit = getOccurrence(appointment, occurrenceStart);
+      if (visit.visitOutcome) throw new Error('Notes for this visit were already recorded');
+
+      const reference = getVisitReference(visit);
+      const prepTemplates = getState().appointments.prepTemplates;
+      const booking = orders.map(order => buildOrderAppointment(order, visit, prepTemplates));
+      const followUpData = nextVisit.book ? buildNextVisitAppointment(nextVisit, visit, prepTemplates) : null;
+      if (followUpData) booking.push(followUpData);
+
+      const completion = {
+        status: APPOINTMENT_STATUS.COMPLETED,
+        completedAt: visit.completedAt || new Date().toISOString(),
+      };
+      assertValidRecurrence({ ...appointment, ...getVisitChanges(appointment, occurrenceStart, completion) });
+
+      let medications = [];
+      if (medicationChanges.length) {
+        const result = await dispatch(applyVisitMedicationChanges({ visit: reference, changes: medicationChanges }));
+        if (applyVisitMedicationChanges.rejected.match(result)) throw new Error(result.payload);
+        medications = result.payload.medications;
+      }
+
+      const recordedAt = new Date().toISOString();
+      const { created: booked, updated: [updated] } = await appointmentService.saveAppointments({
+        created: booking,
+        updated: [{
+          id,
+          changes: created => getVisitChanges(appointment, occurrenceStart, {
+            ...completion,
+            visitOutcome: {
+              notes: notes.trim(),
+              // Each change as logged on its medication for this visit; started ones are linked by their new id
+              medicationChanges: medicationChanges.map((change, index) => {
+                const medication = medications[index];
+                const { before, after } = medication.changeLog
+                  .filter(entry => entry.action === change.action && isSameVisit(entry.visit, reference))
+                  .slice(-1)[0];
+                return { action: change.action, medicationId: medication.id, name: change.name, before, after, note: change.note || '' };
+              }),
+              orders: orders.map((order, index) => ({ ...order, appointmentId: created[index].id })),
+              nextVisit: {
+                option: nextVisit.option || null,
+                dueDate: getNextVisitDate(nextVisit.option, visit.dateTime)?.toISOString() || null,
+                note: (nextVisit.note || '').trim(),
+                appointmentId: followUpData ? created[orders.length].id : null,
+              },
+              recordedAt,
+            },
+          }),
+        }],
+      });
+
+      return { appointment: updated, booked };
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to save visit notes');
+    }
+  }
+);
+
+// Save appointments parsed from an .ics file; ones imported before are updated in place
+export const importAppointments = createAsyncThunk(
+  'appointments/importAppointments',
+  async (appointments, { rejectWithValue }) => {
+    try {
+      appointments.forEach(assertValidRecurrence);
+      return await appointmentService.importAppointments(appointments);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to import appointments');
+    }
+  }
+);
+
+// Tick a preparation task off for one visit, or untick it
+export const togglePrepTask = createAsyncThunk(
+  'appointments/togglePrepTask',
+  async ({ id, occurrenceStart = null, taskId }, { getState, rejectWithValue }) => {
+    try {
+      const appointment = getState().appointments.entities[id];
+      const completed = (occurrenceStart
+        ? appointment?.exceptions?.[occurrenceStart]?.prepCompleted
+        : appointment?.prepCompleted) || {};
+      const { [taskId]: done, ...rest } = completed;
+
+      return await changeVisit(getState, {
+        id,
+        occurrenceStart,
+        changes: { prepCompleted: done ? rest : { ...completed, [taskId]: new Date().toISOString() } },
+      });
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to update checklist');
+    }
+  }
+);
+
+/**
+ * Save the questions for a visit, then share a summary for the doctor built from the same
+ * medication and vitals data the charts use. Resolves to the updated appointment.
+ */
+export const shareVisitSummary = createAsyncThunk(
+  'appointments/shareVisitSummary',
+  async ({ id, occurrenceStart = null, questions = '' }, { getState, rejectWithValue }) => {
+    try {
+      const updated = await changeVisit(getState, { id, occurrenceStart, changes: { questions } });
+      const state = getState();
+      const appointments = Object.values(state.appointments.entities)
+        .map(appointment => (appointment.id === id ? updated : appointment));
+
+      const report = buildVisitReport({
+        visit: getOccurrence(updated, occurrenceStart),
+        appointments,
+        medications: selectAllMedications(state),
+        adherenceData: selectAdherenceData(state),
+        prnDoses: selectPrnDoseData(state),
+        doseOutcomes: selectDoseOutcomes(state),
+        vitalSeries: Object.fromEntries(
+          Object.values(VITAL_TYPES).map(type => [type, selectVitalSeries(state, type)])
+        ),
+        ranges: selectVitalRanges(state),
+        units: selectUnitPreferences(state),
+      });
+      await VisitReport.shareVisitReport(report);
+
+      return updated;
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to share visit summary');
+    }
+  }
+);
+
+export const fetchPrepTemplates = createAsyncThunk(
+  'appointments/fetchPrepTemplates',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await appointmentService.fetchPrepTemplates();
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to load checklists');
+    }
+  }
+);
+
+// Add a checklist template, or replace the one with the same id
+export const savePrepTemplate = createAsyncThunk(
+  'appointments/savePrepTemplate',
+  async (template, { getState, rejectWithValue }) => {
+    try {
+      const templates = getState().appointments.prepTemplates;
+      const exists = templates.some(item => item.id === template.id);
+
+      return await appointmentService.savePrepTemplates(
+        exists
+          ? templates.map(item => (item.id === template.id ? template : item))
+          : [...templates, template]
+      );
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to save checklist');
+    }
+  }
+);
+
+export const deletePrepTemplate = createAsyncThunk(
+  'appointments/deletePrepTemplate',
+  async (id, { getState, rejectWithValue }) => {
+    try {
+      return await appointmentService.savePrepTemplates(
+        getState().appointments.prepTemplates.filter(item => item.id !== id)
+      );
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to delete checklist');
+    }
+  }
+);
+
+const appointmentSlice = createSlice({
+  name: 'appointments',
+  initialState,
+  reducers: {
+    clearAppointmentError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch
+      .addCase(fetchAppointments.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchAppointments.fulfilled, (state, action) => {
+        state.loading = false;
+        appointmentsAdapter.setAll(state, action.payload);
+      })
+      .addCase(fetchAppointments.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Add
+      .addCase(addAppointment.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(addAppointment.fulfilled, (state, action) => {
+        state.saving = false;
+        appointmentsAdapter.addOne(state, action.payload);
+      })
+      .addCase(addAppointment.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+
+      // Update
+      .addCase(updateAppointment.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(updateAppointment.fulfilled, (state, action) => {
+        state.saving = false;
+        appointmentsAdapter.upsertOne(state, action.payload);
+      })
+      .addCase(updateAppointment.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+
+      // Visit outcome
+      .addCase(recordVisitOutcome.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(recordVisitOutcome.fulfilled, (state, action) => {
+        state.saving = false;
+        appointmentsAdapter.upsertOne(state, action.payload.appointment);
+        appointmentsAdapter.addMany(state, action.payload.booked);
+      })
+      .addCase(recordVisitOutcome.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+
+      // Import
+      .addCase(importAppointments.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(importAppointments.fulfilled, (state, action) => {
+        state.saving = false;
+        appointmentsAdapter.upsertMany(state, action.payload.appointments);
+      })
+      .addCase(importAppointments.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+
+      // Cancel, reschedule and complete
+      .addCase(cancelAppointment.fulfilled, (state, action) => {
+        appointmentsAdapter.upsertOne(state, action.payload);
+      })
+      .addCase(cancelAppointment.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(rescheduleAppointment.fulfilled, (state, action) => {
+        appointmentsAdapter.upsertOne(state, action.payload);
+      })
+      .addCase(rescheduleAppointment.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(completeAppointment.fulfilled, (state, action) => {
+        appointmentsAdapter.upsertOne(state, action.payload);
+      })
+      .addCase(completeAppointment.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Visit summary
+      .addCase(shareVisitSummary.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(shareVisitSummary.fulfilled, (state, action) => {
+        state.saving = false;
+        appointmentsAdapter.upsertOne(state, action.payload);
+      })
+      .addCase(shareVisitSummary.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+
+      // Preparation checklists
+      .addCase(togglePrepTask.fulfilled, (state, action) => {
+        appointmentsAdapter.upsertOne(state, action.payload);
+      })
+      .addCase(togglePrepTask.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(fetchPrepTemplates.fulfilled, (state, action) => {
+        state.prepTemplates = action.payload;
+      })
+      .addCase(savePrepTemplate.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(savePrepTemplate.fulfilled, (state, action) => {
+        state.saving = false;
+        state.prepTemplates = action.payload;
+      })
+      .addCase(savePrepTemplate.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+      .addCase(deletePrepTemplate.fulfilled, (state, action) => {
+        state.prepTemplates = action.payload;
+      })
+      .addCase(deletePrepTemplate.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearAppointmentError } = appointmentSlice.actions;
+
+// Selectors
+const selectAppointmentsState = (state) => state.appointments;
+
+export const {
+  selectAll: selectAllAppointments,
+  selectById: selectAppointmentById,
+  selectIds: selectAppointmentIds,
+} = appointmentsAdapter.getSelectors(selectAppointmentsState);
+
+export const selectAppointmentsLoading = (state) => state.appointments.loading;
+export const selectAppointmentsSaving = (state) => state.appointments.saving;
+export const selectAppointmentsError = (state) => state.appointments.error;
+export const selectPrepTemplates = (state) => state.appointments.prepTemplates;
+
+// Visits (recurring series expanded, exceptions applied) starting within the range, in date order
+export const selectAppointmentOccurrences = createSelector(
+  [selectAllAppointments, (state, rangeStart) => rangeStart, (state, rangeStart, rangeEnd) => rangeEnd],
+  (appointments, rangeStart, rangeEnd) => getOccurrencesForRange(appointments, rangeStart, rangeEnd)
+);
+
+export default appointmentSlice.reducer;
@@ -0,0 +1,748 @@
+/**
+ * MediAssist App - Medication Slice
+ * Normalized medications with an append-only dose-event ledger
+ */
+
+import {
+  createSlice,
+  createAsyncThunk,
+  createEntityAdapter,
+  createSelector,
+} from '@reduxjs/toolkit';
+import medicationService from '../../services/api/medicationService';
+import settingsService from '../../services/api/settingsService';
+import {
+  DOSE_STATUS,
+  RESOLVED_DOSE_STATUSES,
+  TAKEN_DOSE_STATUSES,
+  MEDICATION_STATUS,
+  ARCHIVED_MEDICATION_STATUSES,
+  DISCONTINUE_REASONS,
+  VISIT_MEDICATION_ACTIONS,
+} from '../../utils/constants';
+import { generateId, toISOString } from '../../utils/helpers';
+import {
+  getDoseInstances,
+  getCurrentDoseSpec,
+  getDefaultReminderTimes,
+  normalizeFrequency,
+  isAsNeeded,
+  startOfDay,
+  endOfDay,
+} from '../../utils/dateUtils';
+import { classifyTakenStatus, findMissedDoses, getDoseOutcomes } from '../../utils/adherenceUtils';
+import { getUnitsOnHand, getSupplyForecast } from '../../utils/inventoryUtils';
+import { getPrnStatus } from '../../utils/prnUtils';
+import { getDeviceTimeZone } from '../../utils/timeZones';
+import { isSameVisit } from '../../utils/visitOutcome';
+import { selectTravel } from './settingsSlice';
+
+const medicationsAdapter = createEntityAdapter({
+  sortComparer: (a, b) => a.name.localeCompare(b.name),
+});
+
+const initialState = medicationsAdapter.getInitialState({
+  doseEvents: [],
+  loading: false,
+  saving: false,
+  reconciling: false,
+  error: null,
+});
+
+// Key identifying a single scheduled dose of a medication
+export const getDoseKey = (medicationId, scheduledAt) => `${medicationId}|${scheduledAt}`;
+
+// Completed and discontinued medications stay in the store, out of the active list
+export const isArchivedMedication = (medication) => ARCHIVED_MEDICATION_STATUSES.includes(medication?.status);
+
+// Async thunks
+export const fetchMedications = createAsyncThunk(
+  'medications/fetchMedications',
+  async (_, { rejectWithValue }) => {
+    try {
+      const [medications, doseEvents] = await Promise.all([
+        medicationService.fetchMedications(),
+        medicationService.fetchDoseEvents(),
+      ]);
+      return { medications, doseEvents };
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to load medications');
+    }
+  }
+);
+
+export const addMedication = createAsyncThunk(
+  'medications/addMedication',
+  async (medicationData, { rejectWithValue }) => {
+    try {
+      return await medicationService.createMedication(medicationData);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to add medication');
+    }
+  }
+);
+
+export const updateMedication = createAsyncThunk(
+  'medications/updateMedication',
+  async ({ id, changes }, { rejectWithValue }) => {
+    try {
+      return await medicationService.updateMedication(id, changes);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to update medication');
+    }
+  }
+);
+
+export const deleteMedication = createAsyncThunk(
+  'medications/deleteMedication',
+  async (id, { rejectWithValue }) => {
+    try {
+      return await medicationService.deleteMedication(id);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to delete medication');
+    }
+  }
+);
+
+// Storage changes that archive a medication as stopped for `reason`
+const getDiscontinueChanges = (medication, reason, note, now) => {
+  const reasonOption = DISCONTINUE_REASONS.find(option => option.value === reason);
+  if (!reasonOption) throw new Error('Choose why this medication was stopped');
+
+  return {
+    status: reasonOption.status,
+    // Nothing is scheduled after the day it was stopped
+    endDate: medication.endDate && medication.endDate < now ? medication.endDate : now,
+    discontinuation: {
+      reason,
+      note: note.trim(),
+      discontinuedAt: now,
+      previousStatus: medication.status,
+    },
+  };
+};
+
+// Stop a medication with a reason; it is archived rather than removed so its dose history stays
+export const discontinueMedication = createAsyncThunk(
+  'medications/discontinueMedication',
+  async ({ id, reason, note = '' }, { getState, rejectWithValue }) => {
+    try {
+      const medication = getState().medications.entities[id];
+      if (!medication) throw new Error('Medication not found');
+
+      return await medicationService.updateMedication(
+        id,
+        getDiscontinueChanges(medication, reason, note, new Date().toISOString())
+      );
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to discontinue medication');
+    }
+  }
+);
+
+/**
+ * Apply the medication changes decided at a visit: start new medications, change the dose of
+ * current ones, or stop them. Each change is added to the medication's changeLog with the
+ * visit it came from ({ appointmentId, occurrenceStart, doctorName, dateTime }), so every
+ * change can be traced back to that visit. All changes are checked before any is saved and
+ * then saved in one write; changes this visit already logged (from an attempt that failed
+ * later on) are not applied twice. Resolves to { created, updated, medications } with
+ * `medications` holding the medication each change was made to, in order.
+ */
+export const applyVisitMedicationChanges = createAsyncThunk(
+  'medications/applyVisitMedicationChanges',
+  async ({ visit, changes }, { getState, rejectWithValue }) => {
+    try {
+      const medications = selectAllMedications(getState());
+      const now = new Date().toISOString();
+      const toCreate = [];
+      const toUpdate = [];
+
+      const logEntry = (change, before, after) => ({
+        id: generateId('change_'),
+        action: change.action,
+        at: now,
+        visit,
+        before,
+        after,
+        note: (change.note || '').trim(),
+      });
+
+      const findLogged = (change) => medications.find(med => (
+        (change.action === VISIT_MEDICATION_ACTIONS.START
+          ? med.name === change.name?.trim()
+          : med.id === change.medicationId)
+        && (med.changeLog || []).some(entry => entry.action === change.action && isSameVisit(entry.visit, visit))
+      ));
+
+      const plan = changes.map((change) => {
+        const logged = findLogged(change);
+        if (logged) return { medication: logged };
+
+        if (change.action === VISIT_MEDICATION_ACTIONS.START) {
+          if (!change.name?.trim() || !change.dosage?.trim()) {
+            throw new Error('A new medication needs a name and dosage');
+          }
+          const frequency = normalizeFrequency(change.frequency);
+          const after = { dosage: change.dosage.trim(), frequency };
+
+          toCreate.push({
+            name: change.name.trim(),
+            ...after,
+            reminderTimes: getDefaultReminderTimes(frequency),
+            instructions: (change.note || '').trim(),
+            prescribedBy: visit.doctorName || '',
+            changeLog: [logEntry(change, null, after)],
+          });
+          return { created: toCreate.length - 1 };
+        }
+
+        const medication = medications.find(med => med.id === change.medicationId);
+        if (!medication || isArchivedMedication(medication)) {
+          throw new Error(`${change.name || 'A medication'} is no longer active`);
+        }
+        if (toUpdate.some(item => item.id === medication.id)) {
+          throw new Error(`${medication.name} has more than one change`);
+        }
+        const before = getCurrentDoseSpec(medication);
+        const changeLog = medication.changeLog || [];
+
+        if (change.action === VISIT_MEDICATION_ACTIONS.STOP) {
+          toUpdate.push({
+            id: medication.id,
+            changes: {
+              ...getDiscontinueChanges(medication, 'doctor_changed', change.note || '', now),
+              changeLog: [...changeLog, logEntry(change, before, null)],
+            },
+          });
+          return { updated: medication.id };
+        }
+
+        // A new dose replaces any taper or titration phases from here on
+        const after = {
+          dosage: change.dosage?.trim() || before.dosage,
+          frequency: change.frequency ? normalizeFrequency(change.frequency) : before.frequency,
+        };
+        toUpdate.push({
+          id: medication.id,
+          changes: {
+            ...after,
+            ...(medication.phases?.length && { phases: [] }),
+            ...(after.frequency !== before.frequency && { reminderTimes: getDefaultReminderTimes(after.frequency) }),
+            changeLog: [...changeLog, logEntry(change, before, after)],
+          },
+        });
+        return { updated: medication.id };
+      });
+
+      const { created, updated } = toCreate.length || toUpdate.length
+        ? await medicationService.saveMedications({ created: toCreate, updated: toUpdate })
+        : { created: [], updated: [] };
+
+      return {
+        created,
+        updated,
+        medications: plan.map(step => step.medication
+          || ('created' in step ? created[step.created] : updated.find(med => med.id === step.updated))),
+      };
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to update medications');
+    }
+  }
+);
+
+// Start an archived medication again as a new active copy linked to the archived one
+export const restartMedication = createAsyncThunk(
+  'medications/restartMedication',
+  async (id, { getState, rejectWithValue }) => {
+    try {
+      const state = getState();
+      const medication = state.medications.entities[id];
+      if (!medication) throw new Error('Medication not found');
+
+      const {
+        id: archivedId,
+        status,
+        discontinuation,
+        restartedAs,
+        startDate,
+        endDate,
+        createdAt,
+        updatedAt,
+        inventory,
+        ...details
+      } = medication;
+
+      // Carry over whatever supply was left when it was stopped
+      const unitsLeft = getUnitsOnHand(medication, selectDoseOutcomes(state));
+
+      const restarted = await medicationService.createMedication({
+        ...details,
+        inventory: inventory ? {
+          ...inventory,
+          unitsOnHand: unitsLeft,
+          countedAt: new Date().toISOString(),
+        } : null,
+        restartedFrom: archivedId,
+      });
+      const archived = await medicationService.updateMedication(archivedId, { restartedAs: restarted.id });
+
+      return { restarted, archived };
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to restart medication');
+    }
+  }
+);
+
+export const recordDoseEvent = createAsyncThunk(
+  'medications/recordDoseEvent',
+  async ({ medicationId, status, scheduledAt = null, actualAt, note = '' }, { getState, rejectWithValue }) => {
+    try {
+      const recordedAt = new Date().toISOString();
+      const takenAt = toISOString(actualAt) || recordedAt;
+      const medication = getState().medications.entities[medicationId];
+
+      const event = {
+        id: generateId('dose_'),
+        medicationId,
+        status: status === DOSE_STATUS.TAKEN
+          ? classifyTakenStatus(medication, scheduledAt, takenAt)
+          : status,
+        scheduledAt: toISOString(scheduledAt),
+        actualAt: takenAt,
+        recordedAt,
+        timeZone: getDeviceTimeZone(),
+        note,
+        source: 'user',
+      };
+
+      await medicationService.appendDoseEvents([event]);
+      return event;
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to record dose');
+    }
+  }
+);
+
+// Log an "as needed" dose with the reason it was taken.
+// Broken spacing or daily limits reject the dose unless the medication only warns and the user chose to override.
+export const logPrnDose = createAsyncThunk(
+  'medications/logPrnDose',
+  async ({ medicationId, reason = '', actualAt, note = '', override = false }, { getState, rejectWithValue }) => {
+    try {
+      const state = getState();
+      const medication = state.medications.entities[medicationId];
+      if (!medication) throw new Error('Medication not found');
+
+      const recordedAt = new Date().toISOString();
+      const takenAt = toISOString(actualAt) || recordedAt;
+      const status = getPrnStatus(medication, selectDoseOutcomes(state), takenAt);
+
+      if (status.blocked || (status.violations.length > 0 && !override)) {
+        throw new Error(status.violations.map(violation => violation.message).join(' '));
+      }
+
+      const event = {
+        id: generateId('dose_'),
+        medicationId,
+        status: DOSE_STATUS.TAKEN,
+        scheduledAt: null,
+        actualAt: takenAt,
+        recordedAt,
+        timeZone: getDeviceTimeZone(),
+        note,
+        source: 'user',
+        prn: true,
+        reason: reason.trim(),
+        dosage: getCurrentDoseSpec(medication, takenAt).dosage,
+        limitOverrides: status.violations.map(violation => violation.type),
+      };
+
+      await medicationService.appendDoseEvents([event]);
+      return event;
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to record dose');
+    }
+  }
+);
+
+// Log a pharmacy refill: add a fill to the units on hand and use up one refill
+export const logRefill = createAsyncThunk(
+  'medications/logRefill',
+  async ({ medicationId, quantity }, { getState, rejectWithValue }) => {
+    try {
+      const state = getState();
+      const medication = state.medications.entities[medicationId];
+      if (!medication) throw new Error('Medication not found');
+
+      const inventory = medication.inventory || {};
+      const fillQuantity = Number(quantity ?? inventory.quantityPerFill) || 0;
+      if (fillQuantity <= 0) {
+        throw new Error(`Set how many units come in a fill of ${medication.name} before logging a refill.`);
+      }
+      const currentUnits = getUnitsOnHand(medication, selectDoseOutcomes(state)) ?? 0;
+
+      return await medicationService.updateMedication(medicationId, {
+        inventory: {
+          ...inventory,
+          unitsOnHand: currentUnits + fillQuantity,
+          countedAt: new Date().toISOString(),
+          lastRefillAt: new Date().toISOString(),
+        },
+        refillsRemaining: Number.isFinite(medication.refillsRemaining)
+          ? Math.max(0, medication.refillsRemaining - 1)
+          : medication.refillsRemaining,
+      });
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to log refill');
+    }
+  }
+);
+
+// Close out scheduled doses whose grace window passed without a response
+export const reconcileMissedDoses = createAsyncThunk(
+  'medications/reconcileMissedDoses',
+  async (now = Date.now(), { getState, rejectWithValue }) => {
+    try {
+      // Read from storage so the schedule follows travel mode even before settings are loaded
+      const { travel } = await settingsService.fetchSettings();
+      const state = getState();
+      const missed = findMissedDoses(selectAllMedications(state), selectDoseOutcomes(state), now, travel);
+      if (!missed.length) return [];
+
+      const recordedAt = new Date(now).toISOString();
+      const toEvent = dose => ({
+        id: generateId('dose_'),
+        medicationId: dose.medicationId,
+        status: DOSE_STATUS.MISSED,
+        scheduledAt: dose.scheduledAt,
+        actualAt: null,
+        recordedAt,
+        timeZone: getDeviceTimeZone(),
+        note: '',
+        source: 'reconciliation',
+      });
+
+      // Checked again against the stored ledger: a reminder button may have answered a dose since it was loaded
+      return await medicationService.appendDoseEvents(doseEvents => (
+        findMissedDoses(selectAllMedications(state), getDoseOutcomes(doseEvents), now, travel).map(toEvent)
+      ));
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to reconcile doses');
+    }
+  },
+  {
+    condition: (_, { getState }) => !getState().medications.reconciling,
+  }
+);
+
+const medicationSlice = createSlice({
+  name: 'medications',
+  initialState,
+  reducers: {
+    clearMedicationError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch
+      .addCase(fetchMedications.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchMedications.fulfilled, (state, action) => {
+        state.loading = false;
+        medicationsAdapter.setAll(state, action.payload.medications);
+        state.doseEvents = action.payload.doseEvents;
+      })
+      .addCase(fetchMedications.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Add
+      .addCase(addMedication.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(addMedication.fulfilled, (state, action) => {
+        state.saving = false;
+        medicationsAdapter.addOne(state, action.payload);
+      })
+      .addCase(addMedication.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+
+      // Update
+      .addCase(updateMedication.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(updateMedication.fulfilled, (state, action) => {
+        state.saving = false;
+        medicationsAdapter.upsertOne(state, action.payload);
+      })
+      .addCase(updateMedication.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+
+      // Discontinue and restart
+      .addCase(discontinueMedication.fulfilled, (state, action) => {
+        medicationsAdapter.upsertOne(state, action.payload);
+      })
+      .addCase(discontinueMedication.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(restartMedication.fulfilled, (state, action) => {
+        medicationsAdapter.upsertOne(state, action.payload.archived);
+        medicationsAdapter.addOne(state, action.payload.restarted);
+      })
+      .addCase(restartMedication.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Changes from a visit
+      .addCase(applyVisitMedicationChanges.fulfilled, (state, action) => {
+        medicationsAdapter.addMany(state, action.payload.created);
+        medicationsAdapter.upsertMany(state, action.payload.updated);
+      })
+      .addCase(applyVisitMedicationChanges.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Refill
+      .addCase(logRefill.fulfilled, (state, action) => {
+        medicationsAdapter.upsertOne(state, action.payload);
+      })
+      .addCase(logRefill.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Delete (dose history is kept in the ledger)
+      .addCase(deleteMedication.fulfilled, (state, action) => {
+        medicationsAdapter.removeOne(state, action.payload);
+      })
+      .addCase(deleteMedication.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Dose events
+      .addCase(recordDoseEvent.fulfilled, (state, action) => {
+        state.doseEvents.push(action.payload);
+      })
+      .addCase(recordDoseEvent.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(logPrnDose.fulfilled, (state, action) => {
+        state.doseEvents.push(action.payload);
+      })
+      .addCase(logPrnDose.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Missed-dose reconciliation
+      .addCase(reconcileMissedDoses.pending, (state) => {
+        state.reconciling = true;
+      })
+      .addCase(reconcileMissedDoses.fulfilled, (state, action) => {
+        state.reconciling = false;
+        state.doseEvents.push(...action.payload);
+      })
+      .addCase(reconcileMissedDoses.rejected, (state, action) => {
+        state.reconciling = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearMedicationError } = medicationSlice.actions;
+
+// Selectors
+const selectMedicationsState = (state) => state.medications;
+
+export const {
+  selectAll: selectAllMedications,
+  selectById: selectMedicationById,
+  selectIds: selectMedicationIds,
+} = medicationsAdapter.getSelectors(selectMedicationsState);
+
+export const selectDoseEvents = (state) => state.medications.doseEvents;
+export const selectMedicationsLoading = (state) => state.medications.loading;
+export const selectMedicationsSaving = (state) => state.medications.saving;
+export const selectMedicationsError = (state) => state.medications.error;
+
+export const selectActiveMedications = createSelector(
+  [selectAllMedications],
+  (medications) => medications.filter(med => med.status === MEDICATION_STATUS.ACTIVE)
+);
+
+export const selectArchivedMedications = createSelector(
+  [selectAllMedications],
+  (medications) => medications.filter(isArchivedMedication)
+);
+
+// Latest event per scheduled dose; unscheduled events stand on their own
+export const selectDoseOutcomes = createSelector([selectDoseEvents], getDoseOutcomes);
+
+// Dose outcomes for a medication and the archived entries it was restarted from, newest first
+export const selectMedicationDoseHistory = createSelector(
+  [selectDoseOutcomes, (state) => state.medications.entities, (state, medicationId) => medicationId],
+  (outcomes, entities, medicationId) => {
+    const ids = [];
+    for (let id = medicationId; id && !ids.includes(id); id = entities[id]?.restartedFrom) {
+      ids.push(id);
+    }
+
+    return outcomes
+      .filter(event => ids.includes(event.medicationId))
+      .sort((a, b) => (b.scheduledAt || b.actualAt).localeCompare(a.scheduledAt || a.actualAt));
+  }
+);
+
+// Per-medication adherence statistics derived from the ledger.
+// Unscheduled ("as needed") doses have no slot to adhere to, so they only update lastTaken.
+export const selectAdherenceStats = createSelector(
+  [selectDoseOutcomes],
+  (outcomes) => {
+    const stats = {};
+
+    outcomes.forEach(event => {
+      if (!stats[event.medicationId]) {
+        stats[event.medicationId] = {
+          taken: 0,
+          late: 0,
+          skipped: 0,
+          missed: 0,
+          resolved: 0,
+          adherenceRate: null,
+          lastTaken: null,
+        };
+      }
+      const entry = stats[event.medicationId];
+
+      if (!RESOLVED_DOSE_STATUSES.includes(event.status)) return;
+
+      if (event.scheduledAt) {
+        entry[event.status] += 1;
+        entry.resolved += 1;
+      }
+
+      if (TAKEN_DOSE_STATUSES.includes(event.status) && (!entry.lastTaken || event.actualAt > entry.lastTaken)) {
+        entry.lastTaken = event.actualAt;
+      }
+    });
+
+    Object.values(stats).forEach(entry => {
+      entry.adherenceRate = entry.resolved > 0
+        ? Math.round(((entry.taken + entry.late) / entry.resolved) * 100)
+        : null;
+    });
+
+    return stats;
+  }
+);
+
+export const selectMedicationsWithStats = createSelector(
+  [selectAllMedications, selectAdherenceStats],
+  (medications, stats) => medications.map(med => ({
+    ...med,
+    adherenceRate: stats[med.id]?.adherenceRate ?? null,
+    lastTaken: stats[med.id]?.lastTaken ?? null,
+  }))
+);
+
+export const selectOverallAdherenceRate = createSelector(
+  [selectAdherenceStats],
+  (stats) => {
+    const totals = Object.values(stats).reduce((acc, entry) => ({
+      taken: acc.taken + entry.taken + entry.late,
+      resolved: acc.resolved + entry.resolved,
+    }), { taken: 0, resolved: 0 });
+
+    return totals.resolved > 0 ? Math.round((totals.taken / totals.resolved) * 100) : null;
+  }
+);
+
+// Scheduled-dose outcomes in the shape consumed by MedicationChart
+export const selectAdherenceData = createSelector(
+  [selectDoseOutcomes],
+  (outcomes) => outcomes
+    .filter(event => event.scheduledAt && RESOLVED_DOSE_STATUSES.includes(event.status))
+    .map(event => ({
+      medicationId: event.medicationId,
+      date: event.scheduledAt,
+      scheduledTime: event.scheduledAt,
+      status: event.status,
+    }))
+);
+
+// "As needed" doses taken, for MedicationChart's dosage pattern view
+export const selectPrnDoseData = createSelector(
+  [selectDoseOutcomes],
+  (outcomes) => outcomes
+    .filter(event => !event.scheduledAt && TAKEN_DOSE_STATUSES.includes(event.status))
+    .map(event => ({
+      medicationId: event.medicationId,
+      date: event.actualAt,
+      dosage: event.dosage || null,
+      reason: event.reason || '',
+    }))
+);
+
+// Guardrail status (see getPrnStatus) keyed by medication id, for active "as needed" medications
+export const selectPrnStatuses = createSelector(
+  [selectActiveMedications, selectDoseOutcomes, (state, now) => now],
+  (medications, outcomes, now) => medications
+    .filter(isAsNeeded)
+    .reduce((statuses, med) => {
+      statuses[med.id] = getPrnStatus(med, outcomes, now);
+      return statuses;
+    }, {})
+);
+
+// Active medications with doses today not yet resolved in the ledger
+export const selectMedicationsDueToday = createSelector(
+  [selectMedicationsWithStats, selectDoseOutcomes, (state, now) => now, selectTravel],
+  (medications, outcomes, now, travel) => {
+    const current = new Date(now);
+    const resolved = new Set(
+      outcomes
+        .filter(event => event.scheduledAt && RESOLVED_DOSE_STATUSES.includes(event.status))
+        .map(event => getDoseKey(event.medicationId, event.scheduledAt))
+    );
+
+    return medications
+      .filter(med => med.status === MEDICATION_STATUS.ACTIVE)
+      .map(med => {
+        const pendingDoses = getDoseInstances(med, startOfDay(current), endOfDay(current), travel)
+          .map(instance => instance.scheduledAt)
+          .filter(scheduledAt => !resolved.has(getDoseKey(med.id, scheduledAt)));
+
+        return { ...med, pendingDoses, nextDose: pendingDoses[0] || null };
+      })
+      .filter(med => med.pendingDoses.length > 0);
+  }
+);
+
+// Supply forecasts keyed by medication id (only medications with inventory tracking)
+export const selectSupplyForecasts = createSelector(
+  [selectActiveMedications, selectDoseOutcomes, (state, now) => now, selectTravel],
+  (medications, outcomes, now, travel) => medications.reduce((forecasts, med) => {
+    const forecast = getSupplyForecast(med, outcomes, now, travel);
+    if (forecast) forecasts[med.id] = forecast;
+    return forecasts;
+  }, {})
+);
+
+// Medications whose supply has entered the refill reminder window
+export const selectRefillReminders = createSelector(
+  [selectActiveMedications, (state, now) => selectSupplyForecasts(state, now)],
+  (medications, forecasts) => medications
+    .filter(med => forecasts[med.id]?.needsRefill)
+    .map(med => ({ medication: med, forecast: forecasts[med.id] }))
+);
+
+export default medicationSlice.reducer;
@@ -0,0 +1,173 @@
+/**
+ * MediAssist App - Settings Slice
+ * User preferences: the unit system vitals and forms display in, how reminders behave and travel mode
+ */
+
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import settingsService from '../../services/api/settingsService';
+import {
+  UNIT_SYSTEMS,
+  GLUCOSE_UNITS,
+  SNOOZE_DURATION_OPTIONS,
+  DEFAULT_SNOOZE_MINUTES,
+  DEFAULT_QUIET_HOURS,
+  BATCH_WINDOW_OPTIONS,
+  DEFAULT_BATCH_WINDOW_MINUTES,
+} from '../../utils/constants';
+import { getUnitPreferences } from '../../utils/units';
+import { addTravelZone } from '../../utils/travel';
+import { getDeviceTimeZone } from '../../utils/timeZones';
+
+const initialState = {
+  unitSystem: UNIT_SYSTEMS.IMPERIAL,
+  glucoseUnit: GLUCOSE_UNITS.MG_DL,
+  snoozeMinutes: DEFAULT_SNOOZE_MINUTES,
+  caregiver: null, // { name, phone, channel, endpoint }
+  quietHours: DEFAULT_QUIET_HOURS,
+  batchWindowMinutes: DEFAULT_BATCH_WINDOW_MINUTES,
+  travel: null, // { homeTimeZone, zones: [{ from, timeZone, mode, shiftHoursPerDay }] }, see utils/travel
+  loading: false,
+  saving: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchSettings = createAsyncThunk(
+  'settings/fetchSettings',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await settingsService.fetchSettings();
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to load settings');
+    }
+  }
+);
+
+export const updateSettings = createAsyncThunk(
+  'settings/updateSettings',
+  async (changes, { rejectWithValue }) => {
+    try {
+      return await settingsService.updateSettings(changes);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to save settings');
+    }
+  }
+);
+
+// Record the device's zone as home the first time, so dose times have a zone to follow when the user travels
+export const initTravelMode = createAsyncThunk(
+  'settings/initTravelMode',
+  async (_, { rejectWithValue }) => {
+    try {
+      const settings = await settingsService.fetchSettings();
+      const homeTimeZone = getDeviceTimeZone();
+      if (settings.travel?.homeTimeZone || !homeTimeZone) return settings;
+      return await settingsService.updateSettings({ travel: { homeTimeZone, zones: [] } });
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to set up travel mode');
+    }
+  }
+);
+
+// How doses follow the zone the device is in from now on ({ timeZone, mode, shiftHoursPerDay })
+export const applyTravelMode = createAsyncThunk(
+  'settings/applyTravelMode',
+  async (choice, { rejectWithValue }) => {
+    try {
+      const { travel } = await settingsService.fetchSettings();
+      return await settingsService.updateSettings({
+        travel: addTravelZone(travel, { ...choice, now: new Date() }),
+      });
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to apply travel mode');
+    }
+  }
+);
+
+const applySettings = (state, settings) => {
+  if (Object.values(UNIT_SYSTEMS).includes(settings.unitSystem)) state.unitSystem = settings.unitSystem;
+  if (Object.values(GLUCOSE_UNITS).includes(settings.glucoseUnit)) state.glucoseUnit = settings.glucoseUnit;
+  if (SNOOZE_DURATION_OPTIONS.some(option => option.value === settings.snoozeMinutes)) state.snoozeMinutes = settings.snoozeMinutes;
+  if (settings.caregiver !== undefined) state.caregiver = settings.caregiver;
+  if (settings.quietHours) state.quietHours = { ...DEFAULT_QUIET_HOURS, ...settings.quietHours };
+  if (BATCH_WINDOW_OPTIONS.some(option => option.value === settings.batchWindowMinutes)) state.batchWindowMinutes = settings.batchWindowMinutes;
+  if (settings.travel?.homeTimeZone) state.travel = settings.travel;
+};
+
+const settingsSlice = createSlice({
+  name: 'settings',
+  initialState,
+  reducers: {
+    clearSettingsError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch
+      .addCase(fetchSettings.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchSettings.fulfilled, (state, action) => {
+        state.loading = false;
+        applySettings(state, action.payload);
+      })
+      .addCase(fetchSettings.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Update; applied optimistically so a unit switch re-renders immediately
+      .addCase(updateSettings.pending, (state, action) => {
+        state.saving = true;
+        state.error = null;
+        applySettings(state, action.meta.arg);
+      })
+      .addCase(updateSettings.fulfilled, (state, action) => {
+        state.saving = false;
+        applySettings(state, action.payload);
+      })
+      .addCase(updateSettings.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+
+      // Travel mode
+      .addCase(initTravelMode.fulfilled, (state, action) => {
+        applySettings(state, action.payload);
+      })
+      .addCase(applyTravelMode.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(applyTravelMode.fulfilled, (state, action) => {
+        state.saving = false;
+        applySettings(state, action.payload);
+      })
+      .addCase(applyTravelMode.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearSettingsError } = settingsSlice.actions;
+
+// Selectors
+export const selectUnitSystem = (state) => state.settings.unitSystem;
+export const selectGlucoseUnit = (state) => state.settings.glucoseUnit;
+export const selectSnoozeMinutes = (state) => state.settings.snoozeMinutes;
+export const selectCaregiver = (state) => state.settings.caregiver;
+export const selectQuietHours = (state) => state.settings.quietHours;
+export const selectBatchWindowMinutes = (state) => state.settings.batchWindowMinutes;
+export const selectTravel = (state) => state.settings.travel;
+export const selectSettingsSaving = (state) => state.settings.saving;
+
+// Display unit per quantity, e.g. { temperature: '°C', weight: 'kg', height: 'cm', glucose: 'mmol/L' }
+export const selectUnitPreferences = createSelector(
+  [selectUnitSystem, selectGlucoseUnit],
+  (unitSystem, glucoseUnit) => getUnitPreferences({ unitSystem, glucoseUnit })
+);
+
+export default settingsSlice.reducer;
@@ -0,0 +1,419 @@
+/**
+ * MediAssist App - Vitals Slice
+ * Normalized vital sign readings with time-series selectors for HealthChart,
+ * the user's personalized normal/critical range profile and out-of-range alerts
+ */
+
+import {
+  createSlice,
+  createAsyncThunk,
+  createEntityAdapter,
+  createSelector,
+} from '@reduxjs/toolkit';
+import healthService from '../../services/api/healthService';
+import LocalNotifications from '../../services/notifications/LocalNotifications';
+import { VITAL_TYPES, VITAL_DEFINITIONS, ALERT_ACTIONS } from '../../utils/constants';
+import { validateVitalReading, validateVitalRanges } from '../../utils/validation';
+import { formatVitalValue } from '../../utils/formatters';
+import {
+  resolveVitalRanges,
+  getVitalRange,
+  getVitalReadingStatus,
+  normalizeRangeOverrides,
+} from '../../utils/vitalRanges';
+import { DEFAULT_ALERT_RULES, evaluateVitalAlerts, compareAlertSeverity } from '../../utils/vitalAlerts';
+import { getDisplayUnit } from '../../utils/units';
+import { selectUnitPreferences } from './settingsSlice';
+
+const vitalsAdapter = createEntityAdapter({
+  // Newest reading first
+  sortComparer: (a, b) => b.measuredAt.localeCompare(a.measuredAt),
+});
+
+const initialState = vitalsAdapter.getInitialState({
+  loading: false,
+  saving: false,
+  error: null,
+  rangeProfile: {
+    dateOfBirth: null,
+    medicalConditions: '',
+    allergies: '',
+    overrides: {},
+  },
+  alerts: [],
+  alertSettings: {
+    rules: DEFAULT_ALERT_RULES,
+    emergencyContact: null,
+  },
+});
+
+// Keep only the fields a vital type measures, as numbers, plus the shared context fields
+const buildReading = ({ type, measuredAt, note = '', tags = [], mealContext, ...values }) => ({
+  type,
+  ...Object.fromEntries(VITAL_DEFINITIONS[type].fields.map(({ key }) => [key, Number(values[key])])),
+  ...(type === VITAL_TYPES.GLUCOSE && { mealContext: mealContext || null }),
+  measuredAt,
+  note: note.trim(),
+  tags: [...new Set(tags)],
+});
+
+const assertValid = (reading) => {
+  const errors = validateVitalReading(reading);
+  const messages = Object.values(errors);
+  if (messages.length) throw new Error(messages[0]);
+};
+
+/**
+ * Run the alert rules over a saved reading, log any new alerts and notify for
+ * the severities that call for it. Card and emergency-contact actions are left to the UI.
+ * The reading is already saved, so a failure here is logged rather than failing the save.
+ */
+const raiseVitalAlerts = async (reading, state) => {
+  try {
+    const alerts = evaluateVitalAlerts(
+      reading,
+      selectAllVitalReadings(state),
+      state.vitals.alertSettings.rules,
+      selectVitalRanges(state),
+      { units: selectUnitPreferences(state) }
+    );
+    const recorded = await healthService.recordVitalAlerts(alerts);
+
+    recorded
+      .filter(alert => alert.actions.includes(ALERT_ACTIONS.NOTIFICATION))
+      .forEach(alert => LocalNotifications.presentNotification({
+        title: alert.title,
+        message: alert.message,
+        data: { alertId: alert.id, readingId: alert.readingId },
+      }));
+
+    return recorded;
+  } catch (error) {
+    console.warn('Error raising vital alerts:', error);
+    return [];
+  }
+};
+
+// Async thunks
+export const fetchVitals = createAsyncThunk(
+  'vitals/fetchVitals',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await healthService.fetchVitalReadings();
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to load vitals');
+    }
+  }
+);
+
+export const addVitalReading = createAsyncThunk(
+  'vitals/addVitalReading',
+  async (readingData, { getState, rejectWithValue }) => {
+    try {
+      assertValid(readingData);
+      const reading = await healthService.createVitalReading(buildReading(readingData));
+      const alerts = await raiseVitalAlerts(reading, getState());
+      return { reading, alerts };
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to save reading');
+    }
+  }
+);
+
+export const updateVitalReading = createAsyncThunk(
+  'vitals/updateVitalReading',
+  async ({ id, changes }, { getState, rejectWithValue }) => {
+    try {
+      const existing = getState().vitals.entities[id];
+      if (!existing) throw new Error('Reading not found');
+
+      const merged = { ...existing, ...changes };
+      assertValid(merged);
+      const reading = await healthService.updateVitalReading(id, buildReading(merged));
+      const alerts = await raiseVitalAlerts(reading, getState());
+      return { reading, alerts };
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to update reading');
+    }
+  }
+);
+
+export const deleteVitalReading = createAsyncThunk(
+  'vitals/deleteVitalReading',
+  async (id, { rejectWithValue }) => {
+    try {
+      return await healthService.deleteVitalReading(id);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to delete reading');
+    }
+  }
+);
+
+export const fetchVitalRangeProfile = createAsyncThunk(
+  'vitals/fetchVitalRangeProfile',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await healthService.fetchRangeProfile();
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to load target ranges');
+    }
+  }
+);
+
+// Save the profile fields the defaults depend on together with any clinician overrides.
+// Allergies and the rest of ProfileForm's details are kept alongside (see ProfileScreen).
+export const saveVitalRangeProfile = createAsyncThunk(
+  'vitals/saveVitalRangeProfile',
+  async ({ dateOfBirth = null, medicalConditions = '', allergies = '', overrides = {}, ...details }, { rejectWithValue }) => {
+    try {
+      const profile = {
+        ...details,
+        dateOfBirth,
+        medicalConditions,
+        allergies,
+        overrides: normalizeRangeOverrides(overrides),
+      };
+
+      const errors = validateVitalRanges(resolveVitalRanges(profile));
+      const messages = Object.values(errors).flatMap(Object.values);
+      if (messages.length) throw new Error(messages[0]);
+
+      return await healthService.saveRangeProfile(profile);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to save target ranges');
+    }
+  }
+);
+
+export const fetchVitalAlerts = createAsyncThunk(
+  'vitals/fetchVitalAlerts',
+  async (_, { rejectWithValue }) => {
+    try {
+      const [alerts, settings] = await Promise.all([
+        healthService.fetchVitalAlerts(),
+        healthService.fetchAlertSettings(),
+      ]);
+      return { alerts, settings };
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to load alerts');
+    }
+  }
+);
+
+export const saveVitalAlertSettings = createAsyncThunk(
+  'vitals/saveVitalAlertSettings',
+  async (changes, { getState, rejectWithValue }) => {
+    try {
+      return await healthService.saveAlertSettings({ ...getState().vitals.alertSettings, ...changes });
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to save alert settings');
+    }
+  }
+);
+
+export const acknowledgeVitalAlert = createAsyncThunk(
+  'vitals/acknowledgeVitalAlert',
+  async (id, { rejectWithValue }) => {
+    try {
+      return await healthService.acknowledgeVitalAlert(id);
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to dismiss alert');
+    }
+  }
+);
+
+const vitalsSlice = createSlice({
+  name: 'vitals',
+  initialState,
+  reducers: {
+    clearVitalsError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch
+      .addCase(fetchVitals.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchVitals.fulfilled, (state, action) => {
+        state.loading = false;
+        vitalsAdapter.setAll(state, action.payload);
+      })
+      .addCase(fetchVitals.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Add
+      .addCase(addVitalReading.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(addVitalReading.fulfilled, (state, action) => {
+        state.saving = false;
+        vitalsAdapter.addOne(state, action.payload.reading);
+        state.alerts = [...action.payload.alerts, ...state.alerts];
+      })
+      .addCase(addVitalReading.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+
+      // Update
+      .addCase(updateVitalReading.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(updateVitalReading.fulfilled, (state, action) => {
+        state.saving = false;
+        vitalsAdapter.upsertOne(state, action.payload.reading);
+        state.alerts = [...action.payload.alerts, ...state.alerts];
+      })
+      .addCase(updateVitalReading.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+
+      // Delete
+      .addCase(deleteVitalReading.fulfilled, (state, action) => {
+        vitalsAdapter.removeOne(state, action.payload);
+      })
+      .addCase(deleteVitalReading.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Range profile
+      .addCase(fetchVitalRangeProfile.fulfilled, (state, action) => {
+        state.rangeProfile = action.payload;
+      })
+      .addCase(saveVitalRangeProfile.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(saveVitalRangeProfile.fulfilled, (state, action) => {
+        state.saving = false;
+        state.rangeProfile = action.payload;
+      })
+      .addCase(saveVitalRangeProfile.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+
+      // Alerts
+      .addCase(fetchVitalAlerts.fulfilled, (state, action) => {
+        state.alerts = action.payload.alerts;
+        state.alertSettings = action.payload.settings;
+      })
+      .addCase(saveVitalAlertSettings.pending, (state) => {
+        state.saving = true;
+        state.error = null;
+      })
+      .addCase(saveVitalAlertSettings.fulfilled, (state, action) => {
+        state.saving = false;
+        state.alertSettings = action.payload;
+      })
+      .addCase(saveVitalAlertSettings.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+      .addCase(acknowledgeVitalAlert.fulfilled, (state, action) => {
+        const alert = state.alerts.find(item => item.id === action.payload.id);
+        if (alert) alert.acknowledgedAt = action.payload.acknowledgedAt;
+      });
+  },
+});
+
+export const { clearVitalsError } = vitalsSlice.actions;
+
+// Selectors
+const selectVitalsState = (state) => state.vitals;
+
+export const {
+  selectAll: selectAllVitalReadings,
+  selectById: selectVitalReadingById,
+} = vitalsAdapter.getSelectors(selectVitalsState);
+
+export const selectVitalsLoading = (state) => state.vitals.loading;
+export const selectVitalsSaving = (state) => state.vitals.saving;
+export const selectVitalsError = (state) => state.vitals.error;
+export const selectVitalRangeProfile = (state) => state.vitals.rangeProfile;
+
+// Normal/critical ranges in effect: age and condition defaults with the user's overrides
+export const selectVitalRanges = createSelector(
+  [selectVitalRangeProfile],
+  (rangeProfile) => resolveVitalRanges(rangeProfile)
+);
+
+// { normalRange, criticalRange } of one vital field (the first field when omitted)
+export const selectVitalRange = (state, type, field) => getVitalRange(selectVitalRanges(state), type, field);
+
+// ProfileForm's health fields, as the medication interaction check reads them
+export const selectHealthProfile = createSelector(
+  [selectVitalRangeProfile],
+  ({ allergies = '', medicalConditions = '' }) => ({ allergies, medicalConditions })
+);
+
+export const selectVitalAlertSettings = (state) => state.vitals.alertSettings;
+export const selectVitalAlertRules = (state) => state.vitals.alertSettings.rules;
+export const selectEmergencyContact = (state) => state.vitals.alertSettings.emergencyContact;
+
+// Alerts not yet dismissed, most severe then newest first
+export const selectActiveVitalAlerts = createSelector(
+  [(state) => state.vitals.alerts],
+  (alerts) => alerts
+    .filter(alert => !alert.acknowledgedAt)
+    .sort((a, b) => compareAlertSeverity(a, b) || b.triggeredAt.localeCompare(a.triggeredAt))
+);
+
+// Readings of one vital type, newest first
+export const selectVitalReadingsByType = createSelector(
+  [selectAllVitalReadings, (state, type) => type],
+  (readings, type) => readings.filter(reading => reading.type === type)
+);
+
+/**
+ * Oldest-first series in the { value, timestamp } shape HealthChart plots.
+ * Blood pressure plots systolic as the value and diastolic as secondaryValue;
+ * glucose can be narrowed to one meal context so fasting and post-meal readings are not mixed.
+ * Values are in stored units; screens convert them with seriesToDisplay.
+ */
+export const selectVitalSeries = createSelector(
+  [selectAllVitalReadings, (state, type) => type, (state, type, options) => options?.mealContext],
+  (readings, type, mealContext) => readings
+    .filter(reading => reading.type === type && (!mealContext || reading.mealContext === mealContext))
+    .map(reading => ({
+      id: reading.id,
+      value: type === VITAL_TYPES.BLOOD_PRESSURE ? reading.systolic : reading.value,
+      ...(type === VITAL_TYPES.BLOOD_PRESSURE && {
+        secondaryValue: reading.diastolic,
+        systolic: reading.systolic,
+        diastolic: reading.diastolic,
+      }),
+      timestamp: reading.measuredAt,
+      mealContext: reading.mealContext,
+      tags: reading.tags,
+      note: reading.note,
+    }))
+    .reverse()
+);
+
+// Most recent reading of each type in the shape VitalCard renders, in display units, with its range status
+export const selectLatestVitals = createSelector(
+  [selectAllVitalReadings, selectVitalRanges, selectUnitPreferences],
+  (readings, ranges, units) => Object.values(VITAL_TYPES)
+    .map(type => readings.find(reading => reading.type === type))
+    .filter(Boolean)
+    .map(reading => ({
+      id: reading.id,
+      type: reading.type,
+      value: formatVitalValue(reading, units),
+      label: VITAL_DEFINITIONS[reading.type].label,
+      unit: getDisplayUnit(reading.type, units),
+      status: getVitalReadingStatus(reading, ranges),
+      timestamp: reading.measuredAt,
+    }))
+);
+
+export default vitalsSlice.reducer;
@@ -0,0 +1,21 @@
+/**
+ * MediAssist App - Redux Store
+ * Root store configuration combining all feature slices
+ */
+
+import { configureStore } from '@reduxjs/toolkit';
+import medicationReducer from './slices/medicationSlice';
+import vitalsReducer from './slices/vitalsSlice';
+import settingsReducer from './slices/settingsSlice';
+import appointmentReducer from './slices/appointmentSlice';
+
+export const store = configureStore({
+  reducer: {
+    medications: medicationReducer,
+    vitals: vitalsReducer,
+    settings: settingsReducer,
+    appointments: appointmentReducer,
+  },
+});
+
+export default store;
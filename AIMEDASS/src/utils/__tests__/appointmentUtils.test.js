@@ -0,0 +1,88 @@
+/**
+ * MediAssist App - Appointment Utilities tests
+ * Recurrence expansion: COUNT and UNTIL ends, skipped months and ranges that start mid-series
+ */
+
+import { RECURRENCE_FREQUENCY } from '../constants';
+import { generateSeriesStarts, isSeriesStart, getAppointmentOccurrences } from '../appointmentUtils';
+
+// Local wall times, as the series are expanded in the device zone
+const at = (year, month, day, hour = 10) => new Date(year, month - 1, day, hour);
+
+const series = (dateTime, recurrence) => ({
+  id: 'appt-1',
+  doctorName: 'Dr. Patel',
+  dateTime: dateTime.toISOString(),
+  duration: 30,
+  recurrence: { interval: 1, until: null, count: null, ...recurrence },
+});
+
+const starts = (appointment, from, to) => Array.from(generateSeriesStarts(appointment, from, to));
+
+const MONTH_END = series(at(2026, 1, 31), { frequency: RECURRENCE_FREQUENCY.MONTHLY, count: 3 });
+
+describe('generateSeriesStarts', () => {
+  it('counts only the months that have the series day', () => {
+    expect(starts(MONTH_END, at(2026, 1, 1), at(2027, 12, 31))).toEqual([
+      at(2026, 1, 31),
+      at(2026, 3, 31),
+      at(2026, 5, 31),
+    ]);
+  });
+
+  it('keeps the count when the range starts mid-series', () => {
+    expect(starts(MONTH_END, at(2026, 4, 1), at(2027, 12, 31))).toEqual([at(2026, 5, 31)]);
+    expect(starts(MONTH_END, at(2026, 6, 1), at(2027, 12, 31))).toEqual([]);
+  });
+
+  it('ends a weekly series after COUNT visits', () => {
+    const weekly = series(at(2026, 10, 5), { frequency: RECURRENCE_FREQUENCY.WEEKLY, interval: 2, count: 3 });
+
+    expect(starts(weekly, at(2026, 10, 1), at(2027, 3, 1))).toEqual([
+      at(2026, 10, 5),
+      at(2026, 10, 19),
+      at(2026, 11, 2),
+    ]);
+  });
+
+  it('includes the whole UNTIL day', () => {
+    const monthly = series(at(2026, 1, 15, 18), {
+      frequency: RECURRENCE_FREQUENCY.MONTHLY,
+      until: at(2026, 3, 15, 0).toISOString(),
+    });
+
+    expect(starts(monthly, at(2026, 1, 1), at(2026, 12, 31))).toEqual([
+      at(2026, 1, 15, 18),
+      at(2026, 2, 15, 18),
+      at(2026, 3, 15, 18),
+    ]);
+  });
+
+  it('finds visits far into an open-ended series', () => {
+    const monthly = series(at(2026, 1, 30), { frequency: RECURRENCE_FREQUENCY.MONTHLY });
+
+    expect(starts(monthly, at(2030, 1, 1), at(2030, 3, 31))).toEqual([at(2030, 1, 30), at(2030, 3, 30)]);
+  });
+});
+
+describe('isSeriesStart', () => {
+  it('rejects starts past the counted visits', () => {
+    expect(isSeriesStart(MONTH_END, at(2026, 5, 31).toISOString())).toBe(true);
+    expect(isSeriesStart(MONTH_END, at(2026, 7, 31).toISOString())).toBe(false);
+  });
+});
+
+describe('getAppointmentOccurrences', () => {
+  it('moves a rescheduled visit and keeps the rest of the count', () => {
+    const appointment = {
+      ...MONTH_END,
+      exceptions: { [at(2026, 3, 31).toISOString()]: { dateTime: at(2026, 4, 2).toISOString() } },
+    };
+
+    expect(getAppointmentOccurrences(appointment, at(2026, 1, 1), at(2026, 12, 31)).map(visit => visit.dateTime)).toEqual([
+      at(2026, 1, 31).toISOString(),
+      at(2026, 4, 2).toISOString(),
+      at(2026, 5, 31).toISOString(),
+    ]);
+  });
+});
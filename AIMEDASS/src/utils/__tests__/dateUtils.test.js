@@ -0,0 +1,111 @@
+/**
+ * MediAssist App - Date Utilities tests
+ * The dose schedule engine: regimen phase boundaries, interval anchoring and end dates
+ */
+
+import {
+  getDoseInstances,
+  getSchedulePhases,
+  getRegimenStatus,
+  getNextDoseInstance,
+} from '../dateUtils';
+
+// Local wall times, as dose times are clock times on the device
+const at = (day, hour = 0, minute = 0) => new Date(2026, 9, day, hour, minute);
+
+const doses = (medication, from, to) => getDoseInstances(medication, from, to)
+  .map(dose => [dose.scheduledAt, dose.dosage]);
+
+const TAPER = {
+  id: 'med-1',
+  name: 'Prednisone',
+  dosage: '40 mg',
+  frequency: 'once_daily',
+  reminderTimes: ['08:00'],
+  startDate: at(1).toISOString(),
+  phases: [
+    { dosage: '40 mg', durationDays: 3 },
+    { dosage: '20 mg', durationDays: 2 },
+  ],
+};
+
+const EVERY_8_HOURS = {
+  id: 'med-2',
+  name: 'Ciprofloxacin',
+  dosage: '500 mg',
+  frequency: 'every_8_hours',
+  reminderTimes: ['20:00'],
+  startDate: at(1).toISOString(),
+};
+
+describe('regimen phases', () => {
+  it('switches dosage at the day a phase ends and stops after the last one', () => {
+    expect(doses(TAPER, at(1), at(10))).toEqual([
+      [at(1, 8).toISOString(), '40 mg'],
+      [at(2, 8).toISOString(), '40 mg'],
+      [at(3, 8).toISOString(), '40 mg'],
+      [at(4, 8).toISOString(), '20 mg'],
+      [at(5, 8).toISOString(), '20 mg'],
+    ]);
+  });
+
+  it('reports the phase in effect and when the dose changes next', () => {
+    expect(getRegimenStatus(TAPER, at(3, 23))).toMatchObject({
+      phaseNumber: 1,
+      totalPhases: 2,
+      started: true,
+      nextChangeAt: at(4).toISOString(),
+    });
+    expect(getRegimenStatus(TAPER, at(6)).completed).toBe(true);
+  });
+
+  it('gives a phase with another frequency its own default times', () => {
+    const titration = {
+      ...TAPER,
+      phases: [TAPER.phases[0], { dosage: '10 mg', frequency: 'twice_daily', durationDays: null }],
+    };
+
+    expect(getSchedulePhases(titration)[1]).toMatchObject({ reminderTimes: [], end: null });
+    expect(getDoseInstances(titration, at(4), at(4, 23, 59)).map(dose => dose.scheduledAt))
+      .toEqual([at(4, 9).toISOString(), at(4, 16).toISOString()]);
+  });
+});
+
+describe('interval schedules', () => {
+  it('stay anchored to the first dose across midnight', () => {
+    expect(doses(EVERY_8_HOURS, at(2), at(2, 23, 59)).map(([scheduledAt]) => scheduledAt)).toEqual([
+      at(2, 4).toISOString(),
+      at(2, 12).toISOString(),
+      at(2, 20).toISOString(),
+    ]);
+  });
+
+  it('start at the anchor, not at the start of the day', () => {
+    expect(getNextDoseInstance(EVERY_8_HOURS, at(1, 9)).scheduledAt).toBe(at(1, 20).toISOString());
+    expect(getNextDoseInstance(EVERY_8_HOURS, at(1, 23)).scheduledAt).toBe(at(2, 4).toISOString());
+  });
+});
+
+describe('end dates', () => {
+  it('include doses through the whole end day', () => {
+    const ending = { ...EVERY_8_HOURS, endDate: at(3).toISOString() };
+
+    expect(doses(ending, at(3), at(5)).map(([scheduledAt]) => scheduledAt)).toEqual([
+      at(3, 4).toISOString(),
+      at(3, 12).toISOString(),
+      at(3, 20).toISOString(),
+    ]);
+  });
+
+  it('cut a phase short and drop the phases after it', () => {
+    const stopped = { ...TAPER, endDate: at(2).toISOString() };
+
+    expect(getSchedulePhases(stopped)).toHaveLength(1);
+    expect(doses(stopped, at(1), at(10))).toHaveLength(2);
+    expect(getNextDoseInstance(stopped, at(2, 9))).toBeNull();
+  });
+
+  it('never schedule "as needed" medications', () => {
+    expect(getDoseInstances({ ...EVERY_8_HOURS, frequency: 'as_needed' }, at(1), at(10))).toEqual([]);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * MediAssist App - Inventory Utilities tests
+ * Run-out forecasts walk the same dose times as the reminders, travel mode included
+ */
+
+import { MEDICATION_STATUS, TRAVEL_MODES, DOSE_STATUS } from '../constants';
+import { getUnitsOnHand, forecastRunOutDate, getSupplyForecast } from '../inventoryUtils';
+
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+const LEVOTHYROXINE = {
+  id: 'med-1',
+  name: 'Levothyroxine',
+  dosage: '1 tablet',
+  dosageForm: 'Tablet',
+  frequency: 'once_daily',
+  reminderTimes: ['08:00'],
+  startDate: '2026-10-01T00:00:00.000Z',
+  status: MEDICATION_STATUS.ACTIVE,
+  inventory: { unitsOnHand: 2, countedAt: '2026-10-18T23:00:00.000Z', refillReminderDays: 1 },
+};
+
+// Home in New York, where 08:00 is 12:00 UTC in October, and now in Tokyo on home time
+const HOME_TIME = {
+  homeTimeZone: 'America/New_York',
+  zones: [{ from: '2026-10-15T00:00:00.000Z', timeZone: 'Asia/Tokyo', mode: TRAVEL_MODES.HOME }],
+};
+
+// Two tablets a day for the first week, then one
+const PREDNISONE = {
+  ...LEVOTHYROXINE,
+  id: 'med-2',
+  name: 'Prednisone',
+  dosage: '2 tablets',
+  startDate: new Date(2026, 9, 1).toISOString(),
+  phases: [
+    { dosage: '2 tablets', durationDays: 7 },
+    { dosage: '1 tablet', durationDays: null },
+  ],
+  inventory: { unitsOnHand: 20, countedAt: '2026-10-01T00:00:00.000Z' },
+};
+
+const taken = (medication, actualAt) => ({ medicationId: medication.id, status: DOSE_STATUS.TAKEN, scheduledAt: actualAt, actualAt });
+
+describe('getUnitsOnHand', () => {
+  it('counts each dose taken at the dosage of its regimen phase', () => {
+    const doses = [
+      taken(PREDNISONE, '2026-10-02T12:00:00.000Z'),
+      taken(PREDNISONE, '2026-10-03T12:00:00.000Z'),
+      taken(PREDNISONE, '2026-10-12T12:00:00.000Z'),
+    ];
+
+    expect(getUnitsOnHand(PREDNISONE, doses)).toBe(15);
+  });
+
+  it('ignores doses taken before the count', () => {
+    expect(getUnitsOnHand(LEVOTHYROXINE, [taken(LEVOTHYROXINE, '2026-10-18T12:00:00.000Z')])).toBe(2);
+  });
+});
+
+describe('forecastRunOutDate', () => {
+  it('uses the dosage of each phase it walks through', () => {
+    // Oct 1 to 7 take two tablets a day, so 6 are left for Oct 8 to 13
+    const runOut = forecastRunOutDate(PREDNISONE, 20, new Date(2026, 9, 1));
+
+    expect(runOut.getMonth()).toBe(9);
+    expect(runOut.getDate()).toBe(14);
+  });
+
+  it('runs out at the first dose the supply cannot cover, at its travel time', () => {
+    expect(forecastRunOutDate(LEVOTHYROXINE, 2, NOW, HOME_TIME)).toEqual(new Date('2026-10-21T12:00:00.000Z'));
+  });
+
+  it('follows local time once travel mode switched to it', () => {
+    const local = { ...HOME_TIME, zones: [{ ...HOME_TIME.zones[0], mode: TRAVEL_MODES.LOCAL }] };
+
+    // 08:00 in Tokyo is 23:00 UTC the day before; the doses of Oct 20 and 21 are covered
+    expect(forecastRunOutDate(LEVOTHYROXINE, 2, NOW, local)).toEqual(new Date('2026-10-21T23:00:00.000Z'));
+  });
+});
+
+describe('getSupplyForecast', () => {
+  it('passes travel settings through to the run-out date', () => {
+    expect(getSupplyForecast(LEVOTHYROXINE, [], NOW, HOME_TIME)).toMatchObject({
+      unitsOnHand: 2,
+      runOutDate: '2026-10-21T12:00:00.000Z',
+    });
+  });
+});
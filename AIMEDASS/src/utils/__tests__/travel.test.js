@@ -0,0 +1,104 @@
+/**
+ * MediAssist App - Travel Mode tests
+ * Where dose times land under home, local and gradual travel choices, whatever zone the device is in
+ */
+
+import { TRAVEL_MODES } from '../constants';
+import { getDeviceTimeZone } from '../timeZones';
+import {
+  keepsHomeTime,
+  followsDeviceClock,
+  getScheduleShift,
+  getScheduleTimeZone,
+  detectTimeZoneChange,
+  addTravelZone,
+  getCurrentTravelZone,
+} from '../travel';
+
+const NEW_YORK = 'America/New_York';
+const TOKYO = 'Asia/Tokyo';
+
+const METFORMIN = { id: 'med-1', name: 'Metformin' };
+const TACROLIMUS = { id: 'med-2', name: 'Tacrolimus' };
+
+// In Tokyo from Oct 20, 00:00 UTC, after starting out in New York
+const inTokyo = (mode, shiftHoursPerDay = null) => ({
+  homeTimeZone: NEW_YORK,
+  zones: [{ from: '2026-10-20T00:00:00.000Z', timeZone: TOKYO, mode, shiftHoursPerDay }],
+});
+
+// The moment a dose at 08:00 on the device's clock is moved to
+const doseAt = (medication, day, travel) => {
+  const localAt = new Date(2026, 9, day, 8);
+  return new Date(localAt.getTime() + getScheduleShift(medication, localAt, travel)).toISOString();
+};
+
+describe('getScheduleShift', () => {
+  it('leaves doses on the device clock until a zone away from home is recorded', () => {
+    const atHome = { homeTimeZone: getDeviceTimeZone(), zones: [] };
+
+    expect(followsDeviceClock(null)).toBe(true);
+    expect(followsDeviceClock(atHome)).toBe(true);
+    expect(followsDeviceClock({ homeTimeZone: NEW_YORK, zones: [] }, TOKYO)).toBe(false);
+    expect(getScheduleShift(METFORMIN, new Date(2026, 9, 20, 8), atHome)).toBe(0);
+  });
+
+  it('keeps home clock times in home mode', () => {
+    expect(doseAt(METFORMIN, 21, inTokyo(TRAVEL_MODES.HOME))).toBe('2026-10-21T12:00:00.000Z');
+  });
+
+  it('moves to local clock times in local mode, from the time the choice was made', () => {
+    const travel = inTokyo(TRAVEL_MODES.LOCAL);
+
+    expect(doseAt(METFORMIN, 19, travel)).toBe('2026-10-19T12:00:00.000Z');
+    expect(doseAt(METFORMIN, 21, travel)).toBe('2026-10-20T23:00:00.000Z');
+  });
+
+  it('shifts toward local time by the chosen hours each day', () => {
+    const travel = inTokyo(TRAVEL_MODES.GRADUAL, 2);
+
+    // New York is 13 hours behind Tokyo; each day closes two more of them
+    expect(doseAt(METFORMIN, 20, travel)).toBe('2026-10-20T10:00:00.000Z');
+    expect(doseAt(METFORMIN, 21, travel)).toBe('2026-10-21T08:00:00.000Z');
+  });
+
+  it('keeps medications whose timing must not drift on home time', () => {
+    expect(keepsHomeTime(TACROLIMUS)).toBe(true);
+    expect(keepsHomeTime({ ...TACROLIMUS, keepHomeTime: false })).toBe(false);
+    expect(doseAt(TACROLIMUS, 21, inTokyo(TRAVEL_MODES.LOCAL))).toBe('2026-10-21T12:00:00.000Z');
+  });
+});
+
+describe('zone entries', () => {
+  const NOW = new Date('2026-10-25T00:00:00.000Z');
+
+  it('detects a move to a zone with another offset only', () => {
+    const atHome = { homeTimeZone: NEW_YORK, zones: [] };
+
+    expect(detectTimeZoneChange(atHome, { timeZone: 'America/Detroit', now: NOW })).toBeNull();
+    expect(detectTimeZoneChange(atHome, { timeZone: TOKYO, now: NOW })).toEqual({ from: NEW_YORK, to: TOKYO });
+    expect(detectTimeZoneChange(inTokyo(TRAVEL_MODES.LOCAL), { timeZone: TOKYO, now: NOW })).toBeNull();
+  });
+
+  it('adds an entry from now and drops the ones after it', () => {
+    const travel = addTravelZone(inTokyo(TRAVEL_MODES.LOCAL), {
+      timeZone: 'Europe/Paris',
+      mode: TRAVEL_MODES.HOME,
+      shiftHoursPerDay: 2,
+      now: new Date('2026-10-19T00:00:00.000Z'),
+    });
+
+    expect(travel).toEqual({
+      homeTimeZone: NEW_YORK,
+      zones: [{ from: '2026-10-19T00:00:00.000Z', timeZone: 'Europe/Paris', mode: TRAVEL_MODES.HOME, shiftHoursPerDay: null }],
+    });
+    expect(getScheduleTimeZone(travel)).toBe('Europe/Paris');
+  });
+
+  it('finds the entry in effect at a time', () => {
+    const travel = inTokyo(TRAVEL_MODES.LOCAL);
+
+    expect(getCurrentTravelZone(travel, new Date('2026-10-19T00:00:00.000Z'))).toBeNull();
+    expect(getCurrentTravelZone(travel, NOW).timeZone).toBe(TOKYO);
+  });
+});
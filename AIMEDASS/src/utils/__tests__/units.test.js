@@ -0,0 +1,89 @@
+/**
+ * MediAssist App - Units tests
+ * Every value a user can enter in display units survives display -> stored -> display unchanged
+ */
+
+import { VITAL_TYPES, UNIT_SYSTEMS, GLUCOSE_UNITS } from '../constants';
+import { DEFAULT_VITAL_RANGES } from '../vitalRanges';
+import {
+  UNIT_CONVERSIONS,
+  getUnitPreferences,
+  getDisplayDefinition,
+  toDisplayValue,
+  fromDisplayValue,
+  toDisplayDelta,
+  fromDisplayDelta,
+  readingToDisplay,
+  readingFromDisplay,
+  rangesToDisplay,
+  rangesFromDisplay,
+} from '../units';
+
+const IMPERIAL = getUnitPreferences({ unitSystem: UNIT_SYSTEMS.IMPERIAL, glucoseUnit: GLUCOSE_UNITS.MG_DL });
+const METRIC = getUnitPreferences({ unitSystem: UNIT_SYSTEMS.METRIC, glucoseUnit: GLUCOSE_UNITS.MMOL_L });
+
+// Every value from min to max in steps of the display precision
+const displayValues = (min, max, decimals) => {
+  const step = 10 ** -decimals;
+  const count = Math.round((max - min) / step);
+  return Array.from({ length: count + 1 }, (_, index) => Number((min + index * step).toFixed(decimals)));
+};
+
+// Values that do not survive the round trip, as [entered, shown again]
+const roundTripFailures = (quantity, values, units) => values
+  .map(value => [value, toDisplayValue(quantity, fromDisplayValue(quantity, value, units), units)])
+  .filter(([value, shown]) => value !== shown);
+
+describe('display -> stored -> display', () => {
+  it.each([
+    VITAL_TYPES.TEMPERATURE,
+    VITAL_TYPES.WEIGHT,
+    VITAL_TYPES.GLUCOSE,
+  ])('keeps every %s a metric user can enter', (type) => {
+    const { min, max, decimals } = getDisplayDefinition(type, METRIC).fields[0];
+
+    expect(roundTripFailures(type, displayValues(min, max, decimals), METRIC)).toEqual([]);
+  });
+
+  it('keeps every height in centimetres', () => {
+    expect(roundTripFailures('height', displayValues(30, 250, UNIT_CONVERSIONS.height.decimals), METRIC)).toEqual([]);
+  });
+
+  it('keeps every delta in metric units', () => {
+    const deltas = displayValues(-20, 20, 1);
+    const failures = deltas
+      .map(delta => [delta, toDisplayDelta(VITAL_TYPES.WEIGHT, fromDisplayDelta(VITAL_TYPES.WEIGHT, delta, METRIC), METRIC)])
+      .filter(([delta, shown]) => delta !== shown);
+
+    expect(failures).toEqual([]);
+  });
+
+  it('keeps whole readings, text input included', () => {
+    const entered = { type: VITAL_TYPES.TEMPERATURE, value: '37.8', notes: 'After a walk' };
+    const stored = readingFromDisplay(entered, METRIC);
+
+    expect(stored).toEqual({ ...entered, value: 100.04 });
+    expect(readingToDisplay(stored, METRIC)).toEqual({ ...entered, value: 37.8 });
+  });
+
+  it('keeps target ranges set in metric units', () => {
+    const shown = rangesToDisplay(DEFAULT_VITAL_RANGES, METRIC);
+
+    expect(rangesToDisplay(rangesFromDisplay(shown, METRIC), METRIC)).toEqual(shown);
+  });
+});
+
+describe('conversions', () => {
+  it('converts with the offset for values and without it for deltas', () => {
+    expect(toDisplayValue(VITAL_TYPES.TEMPERATURE, 98.6, METRIC)).toBe(37);
+    expect(toDisplayDelta(VITAL_TYPES.TEMPERATURE, 1.8, METRIC)).toBe(1);
+    expect(fromDisplayValue(VITAL_TYPES.GLUCOSE, 5.5, METRIC)).toBe(99.09);
+  });
+
+  it('leaves stored units, blank input and vitals without alternate units as they are', () => {
+    expect(toDisplayValue(VITAL_TYPES.WEIGHT, 180.4, IMPERIAL)).toBe(180.4);
+    expect(fromDisplayValue(VITAL_TYPES.WEIGHT, '', METRIC)).toBe('');
+    expect(fromDisplayValue(VITAL_TYPES.WEIGHT, null, METRIC)).toBe(null);
+    expect(fromDisplayValue(VITAL_TYPES.HEART_RATE, 72, METRIC)).toBe(72);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * MediAssist App - Vital Alerts tests
+ * The default rules run over fixture reading series, one new reading at a time
+ */
+
+import { VITAL_TYPES, ALERT_SEVERITY } from '../constants';
+import { DEFAULT_VITAL_RANGES } from '../vitalRanges';
+import { DEFAULT_ALERT_RULES, evaluateVitalAlerts } from '../vitalAlerts';
+
+const NOW = new Date('2026-10-19T20:00:00Z');
+
+// [measuredAt, fields] pairs become readings with ids in measuring order
+const series = (type, points) => points.map(([measuredAt, fields], index) => ({
+  id: `${type}-${index + 1}`,
+  type,
+  measuredAt,
+  ...fields,
+}));
+
+const BP_SERIES = series(VITAL_TYPES.BLOOD_PRESSURE, [
+  ['2026-10-19T07:00:00.000Z', { systolic: 128, diastolic: 82 }],
+  ['2026-10-19T08:00:00.000Z', { systolic: 146, diastolic: 88 }],
+  ['2026-10-19T09:00:00.000Z', { systolic: 150, diastolic: 92 }],
+  ['2026-10-19T10:00:00.000Z', { systolic: 148, diastolic: 94 }],
+  ['2026-10-19T11:00:00.000Z', { systolic: 152, diastolic: 95 }],
+  ['2026-10-19T12:00:00.000Z', { systolic: 132, diastolic: 84 }],
+  ['2026-10-19T13:00:00.000Z', { systolic: 149, diastolic: 90 }],
+  ['2026-10-19T14:00:00.000Z', { systolic: 151, diastolic: 91 }],
+  ['2026-10-19T15:00:00.000Z', { systolic: 147, diastolic: 93 }],
+]);
+
+const WEIGHT_SERIES = series(VITAL_TYPES.WEIGHT, [
+  ['2026-10-17T08:00:00.000Z', { value: 180 }],
+  ['2026-10-18T08:00:00.000Z', { value: 180.6 }],
+  ['2026-10-18T20:00:00.000Z', { value: 182.8 }],
+]);
+
+const GLUCOSE_SERIES = series(VITAL_TYPES.GLUCOSE, [
+  ['2026-10-19T06:00:00.000Z', { value: 210 }],
+  ['2026-10-19T07:00:00.000Z', { value: 190 }],
+  ['2026-10-19T08:00:00.000Z', { value: 120 }],
+  ['2026-10-19T09:00:00.000Z', { value: 45 }],
+]);
+
+// Rule ids raised by each reading of a series as it is added, given the readings before it
+const replay = (readings, rules = DEFAULT_ALERT_RULES) => readings.map((reading, index) => {
+  return evaluateVitalAlerts(reading, readings.slice(0, index), rules, DEFAULT_VITAL_RANGES, { now: NOW })
+    .map(alert => alert.ruleId);
+});
+
+describe('evaluateVitalAlerts', () => {
+  it('flags blood pressure high three times in a row once per streak', () => {
+    expect(replay(BP_SERIES)).toEqual([
+      [],
+      ['out_of_target'],
+      ['out_of_target'],
+      ['bp_high_streak', 'out_of_target'],
+      ['out_of_target'],
+      [],
+      ['out_of_target'],
+      ['out_of_target'],
+      ['bp_high_streak', 'out_of_target'],
+    ]);
+  });
+
+  it('reports only the worse threshold for a reading past its alert limits', () => {
+    const reading = { id: 'bp-crisis', type: VITAL_TYPES.BLOOD_PRESSURE, measuredAt: '2026-10-19T16:00:00.000Z', systolic: 190, diastolic: 100 };
+    const [alert, ...others] = evaluateVitalAlerts(reading, [], DEFAULT_ALERT_RULES, DEFAULT_VITAL_RANGES, { now: NOW });
+
+    expect(others).toEqual([]);
+    expect(alert).toMatchObject({
+      id: 'critical_reading:bp-crisis',
+      ruleId: 'critical_reading',
+      readingId: 'bp-crisis',
+      severity: ALERT_SEVERITY.CRITICAL,
+      measuredAt: reading.measuredAt,
+      triggeredAt: NOW.toISOString(),
+      acknowledgedAt: null,
+    });
+  });
+
+  it('flags a weight gain within 24 hours but not one spread over longer', () => {
+    expect(replay(WEIGHT_SERIES)).toEqual([[], [], ['weight_gain_24h']]);
+  });
+
+  it('flags glucose falling fast between recent readings', () => {
+    expect(replay(GLUCOSE_SERIES)).toEqual([
+      ['out_of_target'],
+      ['out_of_target'],
+      ['glucose_fast_drop'],
+      ['critical_reading', 'glucose_fast_drop'],
+    ]);
+  });
+
+  it('ignores readings measured after the one being checked and other vitals', () => {
+    const [first, ...later] = BP_SERIES.slice(1);
+    const alerts = evaluateVitalAlerts(first, [...later, ...WEIGHT_SERIES], DEFAULT_ALERT_RULES, DEFAULT_VITAL_RANGES, { now: NOW });
+
+    expect(alerts.map(alert => alert.ruleId)).toEqual(['out_of_target']);
+  });
+
+  it('skips disabled rules', () => {
+    const rules = DEFAULT_ALERT_RULES.map(rule => ({ ...rule, enabled: rule.id !== 'out_of_target' }));
+
+    expect(replay(BP_SERIES.slice(0, 4), rules)).toEqual([[], [], [], ['bp_high_streak']]);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * MediAssist App - Adherence Utilities
+ * Grace-window policy and missed-dose detection over the dose ledger
+ */
+
+import {
+  DOSE_STATUS,
+  RESOLVED_DOSE_STATUSES,
+  MEDICATION_STATUS,
+  DEFAULT_GRACE_PERIOD_MINUTES,
+  DEFAULT_LATE_AFTER_MINUTES,
+  RECONCILE_LOOKBACK_DAYS,
+} from './constants';
+import { getDoseInstances, addDays } from './dateUtils';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+export const getGracePeriodMinutes = (medication) => {
+  const minutes = Number(medication?.gracePeriodMinutes);
+  return minutes > 0 ? minutes : DEFAULT_GRACE_PERIOD_MINUTES;
+};
+
+// Moment after which an unresolved dose counts as missed (snoozing pushes it back)
+export const getMissedDeadline = (medication, scheduledAt, snoozedUntil = null) => {
+  const base = Math.max(
+    new Date(scheduledAt).getTime(),
+    snoozedUntil ? new Date(snoozedUntil).getTime() : 0
+  );
+  return new Date(base + getGracePeriodMinutes(medication) * MS_PER_MINUTE);
+};
+
+// Moment after which taking a dose counts as late, well before it would be missed
+export const getLateDeadline = (medication, scheduledAt) => {
+  const minutes = Math.min(DEFAULT_LATE_AFTER_MINUTES, getGracePeriodMinutes(medication) / 2);
+  return new Date(new Date(scheduledAt).getTime() + minutes * MS_PER_MINUTE);
+};
+
+// A "taken" dose recorded past its late threshold is taken late
+export const classifyTakenStatus = (medication, scheduledAt, actualAt) => {
+  if (!scheduledAt) return DOSE_STATUS.TAKEN;
+  return new Date(actualAt) > getLateDeadline(medication, scheduledAt)
+    ? DOSE_STATUS.LATE
+    : DOSE_STATUS.TAKEN;
+};
+
+// Latest event per scheduled dose from the append-only ledger; unscheduled events stand on their own
+export const getDoseOutcomes = (doseEvents) => {
+  const bySlot = {};
+  const unscheduled = [];
+
+  doseEvents.forEach(event => {
+    if (!event.scheduledAt) {
+      unscheduled.push(event);
+      return;
+    }
+    const key = `${event.medicationId}|${event.scheduledAt}`;
+    const current = bySlot[key];
+    if (!current || event.recordedAt >= current.recordedAt) {
+      bySlot[key] = event;
+    }
+  });
+
+  return [...Object.values(bySlot), ...unscheduled];
+};
+
+/**
+ * Find scheduled doses whose grace window has passed without a resolving event.
+ * Only active medications are checked, and never before the medication was added.
+ * `travel` is the travel mode settings the schedule follows (see utils/travel).
+ */
+export const findMissedDoses = (medications, outcomes, now = Date.now(), travel = null) => {
+  const current = new Date(now);
+  const latestBySlot = {};
+
+  outcomes.forEach(event => {
+    if (event.scheduledAt) {
+      latestBySlot[`${event.medicationId}|${event.scheduledAt}`] = event;
+    }
+  });
+
+  const lookbackStart = addDays(current, -RECONCILE_LOOKBACK_DAYS);
+
+  return medications
+    .filter(med => med.status === MEDICATION_STATUS.ACTIVE)
+    .flatMap(med => {
+      const addedAt = med.createdAt ? new Date(med.createdAt) : lookbackStart;
+      const rangeStart = addedAt > lookbackStart ? addedAt : lookbackStart;
+
+      return getDoseInstances(med, rangeStart, current, travel).filter(dose => {
+        const latest = latestBySlot[`${med.id}|${dose.scheduledAt}`];
+        if (latest && RESOLVED_DOSE_STATUSES.includes(latest.status)) return false;
+
+        const snoozedUntil = latest?.status === DOSE_STATUS.SNOOZED ? latest.snoozedUntil : null;
+        return getMissedDeadline(med, dose.scheduledAt, snoozedUntil) <= current;
+      });
+    });
+};
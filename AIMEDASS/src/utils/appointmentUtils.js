@@ -0,0 +1,216 @@
+/**
+ * MediAssist App - Appointment Utilities
+ * Recurrence expansion with per-occurrence exceptions, and overlap detection between visits
+ */
+
+import {
+  APPOINTMENT_STATUS,
+  ACTIVE_APPOINTMENT_STATUSES,
+  DEFAULT_APPOINTMENT_DURATION,
+  RECURRENCE_FREQUENCY,
+  CONFLICT_HORIZON_DAYS,
+} from './constants';
+import { addDays, startOfDay, endOfDay, MS_PER_DAY } from './dateUtils';
+import { getWallClockFields, wallClockToDate } from './timeZones';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Key identifying one visit: the appointment itself, or one occurrence of a recurring series
+export const getOccurrenceKey = (appointmentId, occurrenceStart) => {
+  return occurrenceStart ? `${appointmentId}|${occurrenceStart}` : appointmentId;
+};
+
+export const isRecurringAppointment = (appointment) => !!appointment?.recurrence?.frequency;
+
+export const isActiveAppointment = (appointment) => {
+  return ACTIVE_APPOINTMENT_STATUSES.includes(appointment?.status || APPOINTMENT_STATUS.SCHEDULED);
+};
+
+export const getAppointmentEnd = (dateTime, duration) => {
+  return new Date(new Date(dateTime).getTime() + (Number(duration) || DEFAULT_APPOINTMENT_DURATION) * MS_PER_MINUTE);
+};
+
+const getInterval = (recurrence) => Math.max(1, Math.floor(Number(recurrence.interval)) || 1);
+
+// Start of the nth visit of a series from the wall-clock fields of its first, or null for
+// months without the series' day (as RRULE skips them)
+const getNthStart = (wall, recurrence, n, timeZone) => {
+  const interval = getInterval(recurrence);
+
+  if (recurrence.frequency === RECURRENCE_FREQUENCY.WEEKLY) {
+    const date = new Date(Date.UTC(wall.year, wall.month - 1, wall.day + 7 * interval * n));
+    return wallClockToDate({
+      ...wall,
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+    }, timeZone);
+  }
+
+  const months = wall.month - 1 + interval * n;
+  const year = wall.year + Math.floor(months / 12);
+  const month = (months % 12) + 1;
+
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (wall.day > daysInMonth) return null;
+
+  return wallClockToDate({ ...wall, year, month }, timeZone);
+};
+
+// An index at or just before the first visit on or after `from`, so long series are not walked from the start
+const getFirstIndex = (start, recurrence, from) => {
+  const interval = getInterval(recurrence);
+
+  const steps = recurrence.frequency === RECURRENCE_FREQUENCY.WEEKLY
+    ? (from.getTime() - start.getTime()) / (7 * interval * MS_PER_DAY)
+    : ((from.getFullYear() - start.getFullYear()) * 12 + from.getMonth() - start.getMonth()) / interval;
+
+  return Math.max(0, Math.floor(steps) - 1);
+};
+
+/**
+ * Original start times of an appointment's visits within [rangeStart, rangeEnd], before
+ * exceptions are applied. Visits keep the first visit's wall-clock time in the appointment's
+ * `timeZone` (set for calendar imports), or in the device's when it has none.
+ * UNTIL includes its whole day; COUNT counts from the first visit and, like RRULE, skips
+ * months without the series' day.
+ */
+export function* generateSeriesStarts(appointment, rangeStart, rangeEnd) {
+  if (!appointment?.dateTime) return;
+
+  const start = new Date(appointment.dateTime);
+  const from = new Date(rangeStart);
+  const to = new Date(rangeEnd);
+
+  if (!isRecurringAppointment(appointment)) {
+    if (start >= from && start <= to) yield start;
+    return;
+  }
+
+  const { recurrence } = appointment;
+  const until = recurrence.until ? endOfDay(recurrence.until) : null;
+  const count = recurrence.count > 0 ? recurrence.count : null;
+  const wall = getWallClockFields(start, appointment.timeZone);
+
+  // COUNT only counts visits that happen, so a counted series is walked from its first visit
+  let visits = 0;
+  for (let n = count ? 0 : getFirstIndex(start, recurrence, from); !count || visits < count; n++) {
+    const occurrenceStart = getNthStart(wall, recurrence, n, appointment.timeZone);
+    if (!occurrenceStart) continue;
+    if (occurrenceStart > to || (until && occurrenceStart > until)) return;
+    visits += 1;
+    if (occurrenceStart >= from) yield occurrenceStart;
+  }
+}
+
+// Whether an ISO time is the original start of one of the series' visits
+export const isSeriesStart = (appointment, occurrenceStart) => {
+  return !generateSeriesStarts(appointment, occurrenceStart, occurrenceStart).next().done;
+};
+
+// One visit with its exception applied; single appointments resolve to themselves
+const resolveOccurrence = (appointment, originalStart) => {
+  const { exceptions, ...details } = appointment;
+  const occurrenceStart = isRecurringAppointment(appointment) ? originalStart.toISOString() : null;
+  const overrides = (occurrenceStart && exceptions?.[occurrenceStart]) || {};
+  const dateTime = overrides.dateTime || originalStart.toISOString();
+
+  return {
+    ...details,
+    ...overrides,
+    id: getOccurrenceKey(appointment.id, occurrenceStart),
+    appointmentId: appointment.id,
+    occurrenceStart,
+    isException: Object.keys(overrides).length > 0,
+    dateTime,
+    endDateTime: getAppointmentEnd(dateTime, overrides.duration ?? appointment.duration).toISOString(),
+  };
+};
+
+// The visit of an appointment that originally starts at `occurrenceStart` (the appointment itself when null)
+export const getOccurrence = (appointment, occurrenceStart) => {
+  return resolveOccurrence(appointment, new Date(occurrenceStart || appointment.dateTime));
+};
+
+/**
+ * Visits of an appointment starting within [rangeStart, rangeEnd], in date order.
+ * Rescheduled occurrences appear at their new time, including ones moved in from outside the range.
+ */
+export const getAppointmentOccurrences = (appointment, rangeStart, rangeEnd) => {
+  const from = new Date(rangeStart);
+  const to = new Date(rangeEnd);
+  const starts = Array.from(generateSeriesStarts(appointment, from, to));
+
+  Object.entries(appointment.exceptions || {})
+    .filter(([occurrenceStart, overrides]) => overrides.dateTime && isSeriesStart(appointment, occurrenceStart))
+    .map(([occurrenceStart]) => new Date(occurrenceStart))
+    .filter(start => !starts.some(existing => existing.getTime() === start.getTime()))
+    .forEach(start => starts.push(start));
+
+  return starts
+    .map(start => resolveOccurrence(appointment, start))
+    .filter(occurrence => new Date(occurrence.dateTime) >= from && new Date(occurrence.dateTime) <= to)
+    .sort((a, b) => a.dateTime.localeCompare(b.dateTime));
+};
+
+// All visits of several appointments, in chronological order
+export const getOccurrencesForRange = (appointments, rangeStart, rangeEnd) => {
+  return appointments
+    .flatMap(appointment => getAppointmentOccurrences(appointment, rangeStart, rangeEnd))
+    .sort((a, b) => a.dateTime.localeCompare(b.dateTime));
+};
+
+export const appointmentsOverlap = (a, b) => {
+  return new Date(a.dateTime) < new Date(b.endDateTime) && new Date(b.dateTime) < new Date(a.endDateTime);
+};
+
+// Ids of scheduled visits in a date-ordered list that overlap another scheduled visit in it
+export const getOverlappingIds = (occurrences) => {
+  const active = occurrences.filter(isActiveAppointment);
+  const ids = new Set();
+
+  active.forEach((occurrence, index) => {
+    for (let next = index + 1; next < active.length && active[next].dateTime < occurrence.endDateTime; next++) {
+      if (appointmentsOverlap(occurrence, active[next])) {
+        ids.add(occurrence.id);
+        ids.add(active[next].id);
+      }
+    }
+  });
+
+  return ids;
+};
+
+/**
+ * Scheduled visits that overlap a new or edited appointment, checked up to
+ * CONFLICT_HORIZON_DAYS ahead. `candidate` is the appointment as it would be saved;
+ * its own series (`id`), or only the edited visit when `occurrenceStart` is set, is left out.
+ * Returns [{ occurrence, conflictsWith }] in date order.
+ */
+export const findAppointmentConflicts = (candidate, appointments, now = new Date()) => {
+  if (!candidate?.dateTime || !isActiveAppointment(candidate)) return [];
+
+  const from = startOfDay(Math.min(new Date(now).getTime(), new Date(candidate.dateTime).getTime()));
+  const to = addDays(from, CONFLICT_HORIZON_DAYS);
+  const editingOccurrence = !!candidate.occurrenceStart;
+
+  const candidateOccurrences = editingOccurrence
+    ? [{
+        ...candidate,
+        id: getOccurrenceKey(candidate.id, candidate.occurrenceStart),
+        endDateTime: getAppointmentEnd(candidate.dateTime, candidate.duration).toISOString(),
+      }]
+    : getAppointmentOccurrences({ ...candidate, id: candidate.id || 'candidate' }, from, to);
+
+  // A day earlier so long visits that started before `from` are still compared
+  const others = getOccurrencesForRange(
+    appointments.filter(appointment => editingOccurrence || appointment.id !== candidate.id),
+    addDays(from, -1),
+    to
+  ).filter(occurrence => isActiveAppointment(occurrence) && occurrence.id !== candidateOccurrences[0]?.id);
+
+  return candidateOccurrences.flatMap(occurrence => others
+    .filter(other => appointmentsOverlap(occurrence, other))
+    .map(other => ({ occurrence, conflictsWith: other }))
+  );
+};
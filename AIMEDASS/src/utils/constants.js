@@ -0,0 +1,618 @@
+/**
+ * MediAssist App - Constants
+ * Shared application constants for storage, medications and dose tracking
+ */
+
+// Persistent storage keys
+export const STORAGE_KEYS = {
+  MEDICATIONS: '@mediassist/medications',
+  DOSE_EVENTS: '@mediassist/doseEvents',
+  VITALS: '@mediassist/vitals',
+  VITAL_RANGES: '@mediassist/vitalRanges',
+  VITAL_ALERTS: '@mediassist/vitalAlerts',
+  VITAL_ALERT_SETTINGS: '@mediassist/vitalAlertSettings',
+  SETTINGS: '@mediassist/settings',
+  APPOINTMENTS: '@mediassist/appointments',
+  PREP_TEMPLATES: '@mediassist/prepTemplates',
+  SCHEDULED_REMINDERS: '@mediassist/scheduledReminders',
+  CAREGIVER_ALERTS: '@mediassist/caregiverAlerts',
+};
+
+// Dose event statuses recorded in the dose ledger
+export const DOSE_STATUS = {
+  TAKEN: 'taken',
+  SKIPPED: 'skipped',
+  SNOOZED: 'snoozed',
+  MISSED: 'missed',
+  LATE: 'late',
+};
+
+// Statuses that close out a scheduled dose (snoozed keeps it open)
+export const RESOLVED_DOSE_STATUSES = [
+  DOSE_STATUS.TAKEN,
+  DOSE_STATUS.LATE,
+  DOSE_STATUS.SKIPPED,
+  DOSE_STATUS.MISSED,
+];
+
+// Statuses that count as the dose having been taken
+export const TAKEN_DOSE_STATUSES = [
+  DOSE_STATUS.TAKEN,
+  DOSE_STATUS.LATE,
+];
+
+// Minutes after a scheduled dose before it is considered missed
+export const DEFAULT_GRACE_PERIOD_MINUTES = 120;
+
+// Minutes after a scheduled dose before taking it counts as late (at most half the grace window)
+export const DEFAULT_LATE_AFTER_MINUTES = 30;
+
+export const GRACE_PERIOD_OPTIONS = [
+  { value: 30, label: '30 min' },
+  { value: 60, label: '1 hour' },
+  { value: 120, label: '2 hours' },
+  { value: 240, label: '4 hours' },
+];
+
+// How far back the missed-dose reconciliation pass looks
+export const RECONCILE_LOOKBACK_DAYS = 7;
+
+// How often the reconciliation pass runs while the app is open
+export const RECONCILE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Medication lifecycle statuses
+export const MEDICATION_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  DISCONTINUED: 'discontinued',
+};
+
+// Statuses of medications that are no longer taken but kept with their dose history
+export const ARCHIVED_MEDICATION_STATUSES = [
+  MEDICATION_STATUS.COMPLETED,
+  MEDICATION_STATUS.DISCONTINUED,
+];
+
+// Why a medication was stopped; a finished course archives as completed, anything else as discontinued
+export const DISCONTINUE_REASONS = [
+  { value: 'completed_course', label: 'Completed course', status: MEDICATION_STATUS.COMPLETED },
+  { value: 'side_effects', label: 'Side effects', status: MEDICATION_STATUS.DISCONTINUED },
+  { value: 'doctor_changed', label: 'Doctor changed it', status: MEDICATION_STATUS.DISCONTINUED },
+  { value: 'cost', label: 'Cost', status: MEDICATION_STATUS.DISCONTINUED },
+  { value: 'other', label: 'Other', status: MEDICATION_STATUS.DISCONTINUED },
+];
+
+// Medication frequencies: fixed times per day, fixed intervals, or unscheduled
+export const FREQUENCY_OPTIONS = [
+  { value: 'once_daily', label: 'Once Daily', times: 1 },
+  { value: 'twice_daily', label: 'Twice Daily', times: 2 },
+  { value: 'three_times_daily', label: 'Three Times Daily', times: 3 },
+  { value: 'four_times_daily', label: 'Four Times Daily', times: 4 },
+  { value: 'every_6_hours', label: 'Every 6 Hours', times: 4, intervalHours: 6 },
+  { value: 'every_8_hours', label: 'Every 8 Hours', times: 3, intervalHours: 8 },
+  { value: 'every_12_hours', label: 'Every 12 Hours', times: 2, intervalHours: 12 },
+  { value: 'as_needed', label: 'As Needed', times: 0 },
+  { value: 'custom', label: 'Custom Schedule', times: 0 },
+];
+
+export const DAYS_OF_WEEK = [
+  { value: 0, label: 'Sun' },
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+];
+
+// Physical forms a medication can be dispensed in
+export const DOSAGE_FORMS = [
+  'Tablet', 'Capsule', 'Liquid', 'Injection', 'Inhaler',
+  'Cream', 'Ointment', 'Drop', 'Patch', 'Spray', 'Powder'
+];
+
+// Units a dosage can be counted in for each form (e.g. "2 tablets", "5 ml")
+export const DOSAGE_FORM_UNITS = {
+  Tablet: ['tablet'],
+  Capsule: ['capsule'],
+  Liquid: ['ml'],
+  Injection: ['ml', 'unit'],
+  Inhaler: ['puff'],
+  Drop: ['drop'],
+  Patch: ['patch'],
+  Spray: ['spray'],
+  Powder: ['g'],
+};
+
+// Days of supply left before a refill reminder is raised
+export const DEFAULT_REFILL_REMINDER_DAYS = 7;
+
+// How far ahead the run-out forecast walks the schedule
+export const SUPPLY_FORECAST_HORIZON_DAYS = 365;
+
+// Drug interaction severities, most severe first
+export const INTERACTION_SEVERITY = {
+  CONTRAINDICATED: 'contraindicated',
+  MAJOR: 'major',
+  MODERATE: 'moderate',
+  MINOR: 'minor',
+};
+
+export const INTERACTION_SEVERITY_ORDER = [
+  INTERACTION_SEVERITY.CONTRAINDICATED,
+  INTERACTION_SEVERITY.MAJOR,
+  INTERACTION_SEVERITY.MODERATE,
+  INTERACTION_SEVERITY.MINOR,
+];
+
+// Severities that must be acknowledged before a medication can be saved
+export const BLOCKING_INTERACTION_SEVERITIES = [
+  INTERACTION_SEVERITY.CONTRAINDICATED,
+  INTERACTION_SEVERITY.MAJOR,
+];
+
+// Parsed prescription fields below this confidence are flagged for review
+export const PARSE_CONFIDENCE_THRESHOLD = 0.7;
+
+// What happens when an "as needed" dose would break its spacing or daily limit
+export const PRN_LIMIT_MODE = {
+  WARN: 'warn',
+  BLOCK: 'block',
+};
+
+export const PRN_LIMIT_MODE_OPTIONS = [
+  { value: PRN_LIMIT_MODE.WARN, label: 'Warn me' },
+  { value: PRN_LIMIT_MODE.BLOCK, label: 'Block the dose' },
+];
+
+// Rolling window the maximum "as needed" doses are counted over
+export const PRN_WINDOW_HOURS = 24;
+
+// Quick picks for why an "as needed" dose was taken
+export const PRN_REASON_OPTIONS = [
+  'Pain', 'Headache', 'Fever', 'Nausea', 'Anxiety', 'Trouble sleeping', 'Allergy symptoms'
+];
+
+// Vital sign types recorded by the vitals log (keys match the HealthChart presets)
+export const VITAL_TYPES = {
+  HEART_RATE: 'heartRate',
+  BLOOD_PRESSURE: 'bloodPressure',
+  TEMPERATURE: 'temperature',
+  OXYGEN: 'oxygen',
+  GLUCOSE: 'glucose',
+  WEIGHT: 'weight',
+  RESPIRATORY_RATE: 'respiratoryRate',
+};
+
+// Label, canonical (stored) unit and the measured fields of each vital, with plausible entry bounds
+export const VITAL_DEFINITIONS = {
+  [VITAL_TYPES.HEART_RATE]: {
+    label: 'Heart Rate',
+    icon: '❤️',
+    unit: 'bpm',
+    fields: [{ key: 'value', label: 'Heart Rate', min: 20, max: 250, decimals: 0 }],
+  },
+  [VITAL_TYPES.BLOOD_PRESSURE]: {
+    label: 'Blood Pressure',
+    icon: '🩸',
+    unit: 'mmHg',
+    fields: [
+      { key: 'systolic', label: 'Systolic', min: 50, max: 260, decimals: 0 },
+      { key: 'diastolic', label: 'Diastolic', min: 30, max: 160, decimals: 0 },
+    ],
+  },
+  [VITAL_TYPES.TEMPERATURE]: {
+    label: 'Temperature',
+    icon: '🌡️',
+    unit: '°F',
+    fields: [{ key: 'value', label: 'Temperature', min: 86, max: 113, decimals: 1 }],
+  },
+  [VITAL_TYPES.OXYGEN]: {
+    label: 'Blood Oxygen',
+    icon: '🫁',
+    unit: '%',
+    fields: [{ key: 'value', label: 'SpO2', min: 50, max: 100, decimals: 0 }],
+  },
+  [VITAL_TYPES.GLUCOSE]: {
+    label: 'Blood Glucose',
+    icon: '🍬',
+    unit: 'mg/dL',
+    fields: [{ key: 'value', label: 'Glucose', min: 10, max: 800, decimals: 0 }],
+  },
+  [VITAL_TYPES.WEIGHT]: {
+    label: 'Weight',
+    icon: '⚖️',
+    unit: 'lbs',
+    fields: [{ key: 'value', label: 'Weight', min: 2, max: 1000, decimals: 1 }],
+  },
+  [VITAL_TYPES.RESPIRATORY_RATE]: {
+    label: 'Respiration',
+    icon: '💨',
+    unit: 'breaths/min',
+    fields: [{ key: 'value', label: 'Breaths per Minute', min: 4, max: 60, decimals: 0 }],
+  },
+};
+
+// When a glucose reading was taken relative to meals
+export const GLUCOSE_MEAL_CONTEXTS = [
+  { value: 'fasting', label: 'Fasting' },
+  { value: 'before_meal', label: 'Before Meal' },
+  { value: 'after_meal', label: 'After Meal' },
+  { value: 'bedtime', label: 'Bedtime' },
+  { value: 'random', label: 'Random' },
+];
+
+// Quick tags describing the circumstances of a reading
+export const VITAL_CONTEXT_TAGS = [
+  'Resting', 'After exercise', 'Stressed', 'Feeling unwell', 'After medication', 'Just woke up'
+];
+
+// Kinds of rule the vital alert engine evaluates against each new reading
+export const ALERT_RULE_KINDS = {
+  THRESHOLD: 'threshold',
+  CONSECUTIVE: 'consecutive',
+  CHANGE: 'change',
+  RATE: 'rate',
+};
+
+export const ALERT_RULE_KIND_OPTIONS = [
+  { value: ALERT_RULE_KINDS.THRESHOLD, label: 'Single reading' },
+  { value: ALERT_RULE_KINDS.CONSECUTIVE, label: 'Readings in a row' },
+  { value: ALERT_RULE_KINDS.CHANGE, label: 'Change over time' },
+  { value: ALERT_RULE_KINDS.RATE, label: 'Rate of change' },
+];
+
+// What a threshold or streak rule compares against: the profile's ranges or a fixed value
+export const ALERT_LIMITS = {
+  NORMAL: 'normal',
+  CRITICAL: 'critical',
+  CUSTOM: 'custom',
+};
+
+export const ALERT_LIMIT_OPTIONS = [
+  { value: ALERT_LIMITS.NORMAL, label: 'Target range' },
+  { value: ALERT_LIMITS.CRITICAL, label: 'Alert limits' },
+  { value: ALERT_LIMITS.CUSTOM, label: 'Fixed value' },
+];
+
+export const ALERT_DIRECTIONS = {
+  ABOVE: 'above',
+  BELOW: 'below',
+  EITHER: 'either',
+};
+
+export const ALERT_SEVERITY = {
+  INFO: 'info',
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+};
+
+export const ALERT_SEVERITY_OPTIONS = [
+  { value: ALERT_SEVERITY.INFO, label: 'In-app card' },
+  { value: ALERT_SEVERITY.WARNING, label: 'Notification' },
+  { value: ALERT_SEVERITY.CRITICAL, label: 'Call emergency contact' },
+];
+
+// How an alert reaches the user
+export const ALERT_ACTIONS = {
+  CARD: 'card',
+  NOTIFICATION: 'notification',
+  CONTACT: 'contact',
+};
+
+// Each severity adds a channel on top of the ones below it
+export const SEVERITY_ACTIONS = {
+  [ALERT_SEVERITY.INFO]: [ALERT_ACTIONS.CARD],
+  [ALERT_SEVERITY.WARNING]: [ALERT_ACTIONS.CARD, ALERT_ACTIONS.NOTIFICATION],
+  [ALERT_SEVERITY.CRITICAL]: [ALERT_ACTIONS.CARD, ALERT_ACTIONS.NOTIFICATION, ALERT_ACTIONS.CONTACT],
+};
+
+// Unit preferences; values are always stored in the imperial / mg/dL units of VITAL_DEFINITIONS
+export const UNIT_SYSTEMS = {
+  IMPERIAL: 'imperial',
+  METRIC: 'metric',
+};
+
+export const UNIT_SYSTEM_OPTIONS = [
+  { value: UNIT_SYSTEMS.IMPERIAL, label: 'Imperial (°F, lbs, in)' },
+  { value: UNIT_SYSTEMS.METRIC, label: 'Metric (°C, kg, cm)' },
+];
+
+export const GLUCOSE_UNITS = {
+  MG_DL: 'mg/dL',
+  MMOL_L: 'mmol/L',
+};
+
+export const GLUCOSE_UNIT_OPTIONS = [
+  { value: GLUCOSE_UNITS.MG_DL, label: 'mg/dL' },
+  { value: GLUCOSE_UNITS.MMOL_L, label: 'mmol/L' },
+];
+
+// Appointment lifecycle statuses
+export const APPOINTMENT_STATUS = {
+  SCHEDULED: 'scheduled',
+  CONFIRMED: 'confirmed',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+// Statuses of visits that still take up time on the calendar
+export const ACTIVE_APPOINTMENT_STATUSES = [
+  APPOINTMENT_STATUS.SCHEDULED,
+  APPOINTMENT_STATUS.CONFIRMED,
+];
+
+export const APPOINTMENT_TYPES = [
+  { value: 'routine_checkup', label: 'Routine Checkup', icon: '👩‍⚕️' },
+  { value: 'follow_up', label: 'Follow-up', icon: '🔄' },
+  { value: 'consultation', label: 'Consultation', icon: '💬' },
+  { value: 'procedure', label: 'Procedure', icon: '🏥' },
+  { value: 'lab_work', label: 'Lab Work', icon: '🧪' },
+  { value: 'imaging', label: 'Imaging', icon: '📷' },
+  { value: 'emergency', label: 'Emergency', icon: '🚨' },
+  { value: 'telehealth', label: 'Telehealth', icon: '💻' },
+];
+
+export const DEFAULT_APPOINTMENT_DURATION = 30;
+
+// Recurrence rules (a subset of RRULE): FREQ with INTERVAL, ended by UNTIL or COUNT
+export const RECURRENCE_FREQUENCY = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+};
+
+export const RECURRENCE_FREQUENCY_OPTIONS = [
+  { value: RECURRENCE_FREQUENCY.WEEKLY, label: 'Weekly', unit: 'week' },
+  { value: RECURRENCE_FREQUENCY.MONTHLY, label: 'Monthly', unit: 'month' },
+];
+
+export const RECURRENCE_END = {
+  NEVER: 'never',
+  UNTIL: 'until',
+  COUNT: 'count',
+};
+
+export const RECURRENCE_END_OPTIONS = [
+  { value: RECURRENCE_END.NEVER, label: 'Never' },
+  { value: RECURRENCE_END.UNTIL, label: 'On a date' },
+  { value: RECURRENCE_END.COUNT, label: 'After a number of visits' },
+];
+
+// How far ahead a new or moved appointment is checked against the calendar for overlaps
+export const CONFLICT_HORIZON_DAYS = 365;
+
+// When a preparation task is due: a clock time some days before the visit, or minutes before it
+export const PREP_TIMING_OPTIONS = [
+  { key: 'none', label: 'No reminder', timing: null },
+  { key: 'week_before', label: '1 week before', timing: { daysBefore: 7, time: '18:00' } },
+  { key: 'two_days_before', label: '2 days before', timing: { daysBefore: 2, time: '18:00' } },
+  { key: 'evening_before', label: 'Evening before', timing: { daysBefore: 1, time: '19:00' } },
+  { key: 'night_before', label: 'Night before, 22:00', timing: { daysBefore: 1, time: '22:00' } },
+  { key: 'morning_of', label: 'Morning of, 07:00', timing: { daysBefore: 0, time: '07:00' } },
+  { key: 'two_hours_before', label: '2 hours before', timing: { minutesBefore: 120 } },
+  { key: 'hour_before', label: '1 hour before', timing: { minutesBefore: 60 } },
+  { key: 'half_hour_before', label: '30 minutes before', timing: { minutesBefore: 30 } },
+];
+
+// Preparation reminders are scheduled for visits up to this far ahead
+export const PREP_REMINDER_HORIZON_DAYS = 14;
+
+// Medication changes recorded after a visit
+export const VISIT_MEDICATION_ACTIONS = {
+  START: 'start',
+  CHANGE: 'change',
+  STOP: 'stop',
+};
+
+export const VISIT_MEDICATION_ACTION_OPTIONS = [
+  { value: VISIT_MEDICATION_ACTIONS.START, label: 'Start new', icon: '➕' },
+  { value: VISIT_MEDICATION_ACTIONS.CHANGE, label: 'Change dose', icon: '🔁' },
+  { value: VISIT_MEDICATION_ACTIONS.STOP, label: 'Stop', icon: '⏹' },
+];
+
+// Tests a doctor can order at a visit; each becomes an appointment of the same type
+export const VISIT_ORDER_TYPES = ['lab_work', 'imaging'];
+
+// When the doctor wants to see the patient again
+export const NEXT_VISIT_OPTIONS = [
+  { value: 'as_needed', label: 'Only if needed', days: null },
+  { value: 'two_weeks', label: 'In 2 weeks', days: 14 },
+  { value: 'one_month', label: 'In 1 month', days: 30 },
+  { value: 'three_months', label: 'In 3 months', days: 91 },
+  { value: 'six_months', label: 'In 6 months', days: 182 },
+  { value: 'one_year', label: 'In 1 year', days: 365 },
+];
+
+// Video visit platforms; `hosts` are the link domains each one uses
+export const TELEHEALTH_PLATFORMS = [
+  { value: 'zoom', label: 'Zoom', hosts: ['zoom.us', 'zoomgov.com'] },
+  { value: 'teams', label: 'Microsoft Teams', hosts: ['teams.microsoft.com', 'teams.live.com'] },
+  { value: 'google_meet', label: 'Google Meet', hosts: ['meet.google.com'] },
+  { value: 'webex', label: 'Webex', hosts: ['webex.com'] },
+  { value: 'doxy', label: 'Doxy.me', hosts: ['doxy.me'] },
+  { value: 'other', label: 'Other', hosts: [] },
+];
+
+// A video visit can be joined from this long before it starts until it ends
+export const TELEHEALTH_JOIN_WINDOW_MINUTES = 15;
+
+// The reminder with the join link fires this long before a video visit
+export const TELEHEALTH_REMINDER_MINUTES = 10;
+
+// Pending local notifications the OS keeps per app (iOS drops the rest, Android caps alarms)
+export const PENDING_NOTIFICATION_LIMITS = {
+  ios: 64,
+  android: 500,
+};
+
+// Slots kept free for one-off notifications such as snoozed reminders
+export const RESERVED_NOTIFICATION_SLOTS = 4;
+
+// Dose reminders are scheduled this far ahead and topped up as the window rolls on
+export const DOSE_REMINDER_WINDOW_DAYS = 3;
+
+// Reminders are re-synced on returning to the app when the last sync is older than this
+export const REMINDER_RESYNC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Refill reminders fire at this time on the forecast reminder date
+export const REFILL_REMINDER_TIME = '10:00';
+
+// Buttons on medication reminders
+export const REMINDER_ACTIONS = {
+  TAKE: 'take',
+  TAKE_ALL: 'take_all',
+  SNOOZE: 'snooze',
+  SKIP: 'skip',
+};
+
+// How long "Snooze" on a reminder puts a dose off
+export const SNOOZE_DURATION_OPTIONS = [
+  { value: 5, label: '5 min' },
+  { value: 10, label: '10 min' },
+  { value: 15, label: '15 min' },
+  { value: 30, label: '30 min' },
+  { value: 60, label: '1 hour' },
+];
+
+export const DEFAULT_SNOOZE_MINUTES = 10;
+
+// How persistently an unanswered dose is reminded again
+export const ESCALATION_POLICIES = {
+  OFF: 'off',
+  STANDARD: 'standard',
+  AGGRESSIVE: 'aggressive',
+  CUSTOM: 'custom',
+};
+
+// Re-notify every intervalMinutes up to maxRepeats times, then optionally tell the caregiver
+export const ESCALATION_POLICY_SETTINGS = {
+  [ESCALATION_POLICIES.OFF]: { intervalMinutes: 0, maxRepeats: 0, notifyCaregiver: false },
+  [ESCALATION_POLICIES.STANDARD]: { intervalMinutes: 15, maxRepeats: 2, notifyCaregiver: false },
+  [ESCALATION_POLICIES.AGGRESSIVE]: { intervalMinutes: 10, maxRepeats: 3, notifyCaregiver: true },
+};
+
+export const ESCALATION_POLICY_OPTIONS = [
+  { value: ESCALATION_POLICIES.OFF, label: 'Once' },
+  { value: ESCALATION_POLICIES.STANDARD, label: 'Standard' },
+  { value: ESCALATION_POLICIES.AGGRESSIVE, label: 'Persistent' },
+  { value: ESCALATION_POLICIES.CUSTOM, label: 'Custom' },
+];
+
+export const ESCALATION_LIMITS = {
+  intervalMinutes: { min: 5, max: 120 },
+  maxRepeats: { min: 1, max: 10 },
+};
+
+// Medications that default to the persistent policy, matched against the name and generic name
+export const CRITICAL_MEDICATION_KEYWORDS = [
+  'insulin',
+  'warfarin',
+  'coumadin',
+  'apixaban',
+  'eliquis',
+  'rivaroxaban',
+  'xarelto',
+  'dabigatran',
+  'pradaxa',
+  'edoxaban',
+  'heparin',
+  'enoxaparin',
+  'lovenox',
+];
+
+// Reminder urgency, in NotificationPulse's priority terms; each repeat steps up
+export const REMINDER_PRIORITY = {
+  NORMAL: 'normal',
+  HIGH: 'high',
+  URGENT: 'urgent',
+};
+
+// How the caregiver is told about a dose that went unanswered
+export const CAREGIVER_CHANNELS = {
+  SMS: 'sms',
+  SHARE: 'share',
+  PUSH: 'push',
+};
+
+export const CAREGIVER_CHANNEL_OPTIONS = [
+  { value: CAREGIVER_CHANNELS.SMS, label: 'Text message' },
+  { value: CAREGIVER_CHANNELS.SHARE, label: 'Share sheet' },
+  { value: CAREGIVER_CHANNELS.PUSH, label: 'Push service' },
+];
+
+// What came of an attempt to tell the caregiver about a dose
+export const CAREGIVER_ALERT_OUTCOMES = {
+  SENT: 'sent',
+  DISMISSED: 'dismissed',
+  DECLINED: 'declined',
+};
+
+// Unanswered doses older than this are not reported to the caregiver any more
+export const CAREGIVER_ALERT_LOOKBACK_HOURS = 12;
+
+// How often the open app checks for doses to report to the caregiver
+export const CAREGIVER_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Medication reminders due in quiet hours wait until they end, unless the medication overrides them
+export const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '22:00',
+  end: '07:00',
+};
+
+// Doses due within this many minutes of each other share one notification
+export const BATCH_WINDOW_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 5, label: '5 min' },
+  { value: 15, label: '15 min' },
+  { value: 30, label: '30 min' },
+  { value: 60, label: '1 hour' },
+];
+
+export const DEFAULT_BATCH_WINDOW_MINUTES = 0;
+
+// Travel mode: how dose times follow the user across time zones
+export const TRAVEL_MODES = {
+  HOME: 'home',
+  LOCAL: 'local',
+  GRADUAL: 'gradual',
+};
+
+export const TRAVEL_MODE_OPTIONS = [
+  { value: TRAVEL_MODES.HOME, label: 'Keep home time', description: 'Doses stay at the same moment as at home' },
+  { value: TRAVEL_MODES.LOCAL, label: 'Switch to local time', description: 'Doses move to the same clock times here, starting now' },
+  { value: TRAVEL_MODES.GRADUAL, label: 'Shift gradually', description: 'Doses move toward local clock times a little each day' },
+];
+
+export const TRAVEL_SHIFT_HOURS_OPTIONS = [
+  { value: 1, label: '1 hour/day' },
+  { value: 2, label: '2 hours/day' },
+  { value: 3, label: '3 hours/day' },
+];
+
+export const DEFAULT_TRAVEL_SHIFT_HOURS = 2;
+
+// Days of dose times shown before a travel choice is applied
+export const TRAVEL_PREVIEW_DAYS = 3;
+
+// Name fragments of medications whose timing must not drift, kept on home time by default
+// (hormonal contraceptives and transplant immunosuppressants)
+export const HOME_TIME_MEDICATION_KEYWORDS = [
+  'contracept',
+  'levonorgestrel',
+  'norethindrone',
+  'norgestimate',
+  'desogestrel',
+  'drospirenone',
+  'ethinyl estradiol',
+  'tacrolimus',
+  'prograf',
+  'cyclosporine',
+  'ciclosporin',
+  'mycophenolate',
+  'cellcept',
+  'sirolimus',
+  'everolimus',
+  'azathioprine',
+];
@@ -0,0 +1,308 @@
+/**
+ * MediAssist App - Date Utilities
+ * Date helpers and the dose schedule engine that expands medications into dose instances
+ */
+
+import { FREQUENCY_OPTIONS } from './constants';
+import { getScheduleShift, followsDeviceClock } from './travel';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+// Default first-dose time when a medication has no reminder times
+const DEFAULT_DOSE_TIME = '09:00';
+
+// How far ahead getNextDoseInstance looks before giving up
+const NEXT_DOSE_HORIZON_DAYS = 60;
+
+// Basic date helpers
+export const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+export const endOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(23, 59, 59, 999);
+  return result;
+};
+
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+export const addHours = (date, hours) => new Date(new Date(date).getTime() + hours * MS_PER_HOUR);
+
+export const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+// Local calendar day key (YYYY-MM-DD), unlike toISOString which is UTC
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = (d.getMonth() + 1).toString().padStart(2, '0');
+  const day = d.getDate().toString().padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// Parse "HH:MM" into hours and minutes
+export const parseTimeOfDay = (time) => {
+  const [hours, minutes] = String(time).split(':').map(part => parseInt(part, 10));
+  return {
+    hours: isNaN(hours) ? 0 : hours,
+    minutes: isNaN(minutes) ? 0 : minutes,
+  };
+};
+
+// Format a Date (or ISO string) as "HH:MM" in 24h local time
+export const formatTimeOfDay = (date) => {
+  const d = new Date(date);
+  return `${d.getHours().toString().padStart(2, '0')}:${d.getMinutes().toString().padStart(2, '0')}`;
+};
+
+// Combine a calendar day with an "HH:MM" time
+export const atTimeOfDay = (day, time) => {
+  const { hours, minutes } = parseTimeOfDay(time);
+  const result = new Date(day);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+// Frequency resolution
+
+// Accept option values ('twice_daily') as well as legacy labels ('Twice daily')
+export const normalizeFrequency = (frequency) => {
+  if (!frequency) return 'once_daily';
+  const normalized = String(frequency).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const option = FREQUENCY_OPTIONS.find(opt =>
+    opt.value === normalized || opt.label.toLowerCase().replace(/\s+/g, '_') === normalized
+  );
+  return option ? option.value : 'custom';
+};
+
+export const getFrequencyOption = (frequency) => {
+  const value = normalizeFrequency(frequency);
+  return FREQUENCY_OPTIONS.find(opt => opt.value === value);
+};
+
+export const isAsNeeded = (medication) => normalizeFrequency(medication?.frequency) === 'as_needed';
+
+// Evenly spread default reminder times for a frequency, starting at 09:00
+export const getDefaultReminderTimes = (frequency) => {
+  const option = getFrequencyOption(frequency);
+  if (!option || option.times === 0) return [];
+
+  const { hours: startHour } = parseTimeOfDay(DEFAULT_DOSE_TIME);
+  const interval = option.intervalHours || (24 - startHour) / option.times;
+
+  const times = [];
+  for (let i = 0; i < option.times; i++) {
+    const hour = Math.floor(startHour + i * interval) % 24;
+    times.push(`${hour.toString().padStart(2, '0')}:00`);
+  }
+  return times.sort();
+};
+
+// Regimen phases
+
+// A medication's schedule as consecutive phases; plain medications are a single open-ended phase
+export const getSchedulePhases = (medication) => {
+  const medicationStart = startOfDay(medication.startDate || new Date());
+  const medicationEnd = medication.endDate ? endOfDay(medication.endDate) : null;
+
+  const definitions = medication.phases?.length
+    ? medication.phases
+    : [{
+        dosage: medication.dosage,
+        frequency: medication.frequency,
+        reminderTimes: medication.reminderTimes,
+        daysOfWeek: medication.daysOfWeek,
+        durationDays: null,
+      }];
+
+  const baseFrequency = normalizeFrequency(medication.frequency);
+  let cursor = medicationStart;
+
+  return definitions
+    .map((phase, index) => {
+      const start = cursor;
+      const frequency = normalizeFrequency(phase.frequency || medication.frequency);
+      let end = phase.durationDays ? endOfDay(addDays(start, phase.durationDays - 1)) : null;
+
+      if (medicationEnd && (!end || medicationEnd < end)) end = medicationEnd;
+      if (phase.durationDays) cursor = addDays(start, phase.durationDays);
+
+      // The medication's reminder times only fit phases that share its frequency
+      const inheritedTimes = frequency === baseFrequency ? medication.reminderTimes || [] : [];
+
+      return {
+        ...phase,
+        index,
+        frequency,
+        reminderTimes: phase.reminderTimes?.length ? phase.reminderTimes : inheritedTimes,
+        daysOfWeek: phase.daysOfWeek || medication.daysOfWeek || null,
+        dosage: phase.dosage || medication.dosage,
+        start,
+        end,
+      };
+    })
+    // Phases cut off entirely by the medication's end date never run
+    .filter(phase => !phase.end || phase.start <= phase.end);
+};
+
+/**
+ * Where a multi-phase (taper or titration) regimen stands at a moment: the phase in
+ * effect, its position, and when and to what the dose changes next.
+ * Returns null for single-phase medications.
+ */
+export const getRegimenStatus = (medication, at = new Date()) => {
+  if (!(medication?.phases?.length > 1)) return null;
+
+  const phases = getSchedulePhases(medication);
+  const moment = new Date(at);
+  const upcomingIndex = phases.findIndex(phase => !phase.end || moment <= phase.end);
+
+  if (upcomingIndex === -1) {
+    return {
+      phase: phases[phases.length - 1],
+      phaseNumber: phases.length,
+      totalPhases: phases.length,
+      started: true,
+      completed: true,
+      nextPhase: null,
+      nextChangeAt: null,
+    };
+  }
+
+  const phase = phases[upcomingIndex];
+  const started = phase.start <= moment;
+  const nextPhase = started ? phases[upcomingIndex + 1] || null : phase;
+
+  return {
+    phase,
+    phaseNumber: upcomingIndex + 1,
+    totalPhases: phases.length,
+    started,
+    completed: false,
+    nextPhase,
+    nextChangeAt: nextPhase ? nextPhase.start.toISOString() : null,
+  };
+};
+
+// Dose and frequency in effect at a moment, following the regimen phase if there is one
+export const getCurrentDoseSpec = (medication, at = new Date()) => {
+  const regimen = getRegimenStatus(medication, at);
+  if (!regimen) {
+    return { dosage: medication?.dosage, frequency: normalizeFrequency(medication?.frequency) };
+  }
+  return { dosage: regimen.phase.dosage, frequency: regimen.phase.frequency };
+};
+
+// Dose instances
+
+// Fixed times of day, optionally limited to certain days of the week.
+// `shift` moves a device wall-clock time to the zone the dose follows, so days either side are walked too.
+function* generateTimesOfDayDoses(phase, rangeStart, rangeEnd, shift) {
+  const times = [...(phase.reminderTimes.length ? phase.reminderTimes : getDefaultReminderTimes(phase.frequency))].sort();
+  if (!times.length) return;
+
+  let day = addDays(startOfDay(rangeStart > phase.start ? rangeStart : phase.start), -1);
+  const lastDay = addDays(phase.end && phase.end < rangeEnd ? phase.end : rangeEnd, 1);
+
+  while (day <= lastDay) {
+    if (!phase.daysOfWeek?.length || phase.daysOfWeek.includes(day.getDay())) {
+      for (const time of times) {
+        const wallClock = atTimeOfDay(day, time);
+        const scheduledAt = new Date(wallClock.getTime() + shift(wallClock));
+        if (
+          scheduledAt >= rangeStart &&
+          scheduledAt <= rangeEnd &&
+          scheduledAt >= phase.start &&
+          (!phase.end || scheduledAt <= phase.end)
+        ) {
+          yield scheduledAt;
+        }
+      }
+    }
+    day = addDays(day, 1);
+  }
+}
+
+// Fixed intervals anchored to the first dose of the phase; only the anchor follows travel mode
+function* generateIntervalDoses(phase, intervalHours, rangeStart, rangeEnd, shift) {
+  const wallClock = atTimeOfDay(phase.start, phase.reminderTimes[0] || DEFAULT_DOSE_TIME);
+  const anchor = new Date(wallClock.getTime() + shift(wallClock));
+  const intervalMs = intervalHours * MS_PER_HOUR;
+  const first = Math.max(0, Math.ceil((rangeStart.getTime() - anchor.getTime()) / intervalMs));
+
+  for (let step = first; ; step++) {
+    const scheduledAt = new Date(anchor.getTime() + step * intervalMs);
+    if (scheduledAt > rangeEnd || (phase.end && scheduledAt > phase.end)) return;
+    yield scheduledAt;
+  }
+}
+
+/**
+ * Expand a medication into its scheduled dose instances within [rangeStart, rangeEnd].
+ * Honors start/end dates, regimen phases, interval anchoring and day-of-week limits.
+ * With travel settings (see utils/travel), clock times follow the zone travel mode chose
+ * for each moment instead of the device's. "As needed" medications never produce scheduled instances.
+ */
+export function* generateDoseInstances(medication, rangeStart, rangeEnd, travel = null) {
+  if (!medication) return;
+
+  const from = new Date(rangeStart);
+  const to = new Date(rangeEnd);
+  // Checked once here, as looking up the device's zone for every dose is slow
+  const shift = followsDeviceClock(travel)
+    ? () => 0
+    : wallClock => getScheduleShift(medication, wallClock, travel);
+
+  for (const phase of getSchedulePhases(medication)) {
+    if ((phase.end && phase.end < from) || phase.start > to) continue;
+
+    const option = getFrequencyOption(phase.frequency);
+    if (option?.value === 'as_needed') continue;
+
+    const doses = option?.intervalHours
+      ? generateIntervalDoses(phase, option.intervalHours, from, to, shift)
+      : generateTimesOfDayDoses(phase, from, to, shift);
+
+    for (const scheduledAt of doses) {
+      yield {
+        medicationId: medication.id,
+        scheduledAt: scheduledAt.toISOString(),
+        dosage: phase.dosage,
+        phaseIndex: phase.index,
+      };
+    }
+  }
+}
+
+export const getDoseInstances = (medication, rangeStart, rangeEnd, travel = null) => {
+  return Array.from(generateDoseInstances(medication, rangeStart, rangeEnd, travel));
+};
+
+// All instances for several medications, in chronological order
+export const getScheduleForRange = (medications, rangeStart, rangeEnd, travel = null) => {
+  return medications
+    .flatMap(med => getDoseInstances(med, rangeStart, rangeEnd, travel))
+    .sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt));
+};
+
+// First scheduled dose strictly after a point in time, or null
+export const getNextDoseInstance = (medication, after = new Date(), travel = null) => {
+  const from = new Date(new Date(after).getTime() + 1);
+  const to = addDays(from, NEXT_DOSE_HORIZON_DAYS);
+  const { value } = generateDoseInstances(medication, from, to, travel).next();
+  return value || null;
+};
+
+// Earliest time another "as needed" dose may be taken given the minimum spacing
+export const getNextAllowedDoseTime = (medication, lastTakenAt) => {
+  if (!lastTakenAt || !medication?.minIntervalHours) return null;
+  return addHours(lastTakenAt, medication.minIntervalHours);
+};
+
+export { MS_PER_HOUR, MS_PER_DAY };
@@ -0,0 +1,139 @@
+/**
+ * MediAssist App - Reminder Escalation
+ * How often an unanswered dose is reminded again, how urgent each repeat is and when the caregiver is told
+ */
+
+import {
+  DOSE_STATUS,
+  MEDICATION_STATUS,
+  ESCALATION_POLICIES,
+  ESCALATION_POLICY_SETTINGS,
+  CRITICAL_MEDICATION_KEYWORDS,
+  REMINDER_PRIORITY,
+  CAREGIVER_ALERT_LOOKBACK_HOURS,
+  SNOOZE_DURATION_OPTIONS,
+} from './constants';
+import { getScheduleForRange, isAsNeeded } from './dateUtils';
+import { deferPastQuietHours, getQuietHoursMinutes } from './reminderTiming';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MAX_SNOOZE_MINUTES = Math.max(...SNOOZE_DURATION_OPTIONS.map(option => option.value));
+
+// Answers the user gave; a dose marked missed by reconciliation still counts as unanswered
+const ANSWERED_DOSE_STATUSES = [DOSE_STATUS.TAKEN, DOSE_STATUS.LATE, DOSE_STATUS.SKIPPED];
+
+export const isCriticalMedication = (medication) => {
+  if (medication?.critical) return true;
+  const names = [medication?.name, medication?.genericName].filter(Boolean).join(' ').toLowerCase();
+  return CRITICAL_MEDICATION_KEYWORDS.some(keyword => names.includes(keyword));
+};
+
+/**
+ * The medication's policy as { policy, intervalMinutes, maxRepeats, notifyCaregiver }.
+ * Without a saved choice, critical medications get the aggressive policy and others the standard one.
+ */
+export const getEscalationPolicy = (medication) => {
+  const saved = medication?.escalation;
+  const policy = saved?.policy || (isCriticalMedication(medication)
+    ? ESCALATION_POLICIES.AGGRESSIVE
+    : ESCALATION_POLICIES.STANDARD);
+
+  if (policy === ESCALATION_POLICIES.CUSTOM) {
+    return {
+      policy,
+      intervalMinutes: Number(saved.intervalMinutes) || 0,
+      maxRepeats: Number(saved.maxRepeats) || 0,
+      notifyCaregiver: !!saved.notifyCaregiver,
+    };
+  }
+
+  const settings = ESCALATION_POLICY_SETTINGS[policy] || ESCALATION_POLICY_SETTINGS[ESCALATION_POLICIES.STANDARD];
+  return { policy, ...settings };
+};
+
+// Normal for the first reminder, urgent for the last repeat and high in between
+export const getReminderPriority = (attempt, maxRepeats) => {
+  if (attempt === 0) return REMINDER_PRIORITY.NORMAL;
+  return attempt >= maxRepeats ? REMINDER_PRIORITY.URGENT : REMINDER_PRIORITY.HIGH;
+};
+
+/**
+ * Reminders for one dose, from its due time (or the end of a snooze) on:
+ * { attempts: [{ attempt, at, priority }], caregiverAt }. caregiverAt is one interval after
+ * the last repeat, or null when the policy does not notify the caregiver. Unless the
+ * medication overrides them, anything due in `quietHours` waits until they end; repeats
+ * that land together there collapse into the most urgent one.
+ */
+export const getEscalationSchedule = (medication, scheduledAt, snoozedUntil = null, quietHours = null) => {
+  const { intervalMinutes, maxRepeats, notifyCaregiver } = getEscalationPolicy(medication);
+  const quiet = medication?.overrideQuietHours ? null : quietHours;
+  const start = deferPastQuietHours(snoozedUntil || scheduledAt, quiet).getTime();
+  const repeats = intervalMinutes > 0 ? maxRepeats : 0;
+  const atOffset = steps => deferPastQuietHours(start + steps * intervalMinutes * MS_PER_MINUTE, quiet).toISOString();
+
+  const byTime = {};
+  Array.from({ length: repeats + 1 }, (_, attempt) => attempt).forEach(attempt => {
+    const at = atOffset(attempt);
+    byTime[at] = { attempt, at, priority: getReminderPriority(attempt, repeats) };
+  });
+
+  return {
+    attempts: Object.values(byTime),
+    caregiverAt: notifyCaregiver && repeats > 0 ? atOffset(repeats + 1) : null,
+  };
+};
+
+// Longest time from a dose's due time to its caregiver notice across these medications
+export const getEscalationSpanMinutes = (medications, quietHours = null) => {
+  return medications.reduce((longest, medication) => {
+    const { intervalMinutes, maxRepeats } = getEscalationPolicy(medication);
+    return Math.max(longest, intervalMinutes * (maxRepeats + 1));
+  }, 0) + getQuietHoursMinutes(quietHours);
+};
+
+// The reminder a dose is on at `now`, as { attempt, priority }, or null before it is due
+export const getEscalationState = (medication, scheduledAt, snoozedUntil = null, now = new Date(), quietHours = null) => {
+  const time = new Date(now).getTime();
+  const reached = getEscalationSchedule(medication, scheduledAt, snoozedUntil, quietHours).attempts
+    .filter(attempt => new Date(attempt.at).getTime() <= time);
+  return reached.length ? reached[reached.length - 1] : null;
+};
+
+/**
+ * Scheduled doses whose policy notifies the caregiver, whose last repeat went unanswered and
+ * whose caregiverAt passed within the last CAREGIVER_ALERT_LOOKBACK_HOURS:
+ * [{ key, medication, scheduledAt, caregiverAt }]
+ */
+export const getDueCaregiverAlerts = (medications, doseOutcomes, now = new Date(), { quietHours = null, travel = null } = {}) => {
+  const time = new Date(now).getTime();
+  const since = time - CAREGIVER_ALERT_LOOKBACK_HOURS * 60 * MS_PER_MINUTE;
+  const watched = medications.filter(med => (
+    med.status === MEDICATION_STATUS.ACTIVE &&
+    med.remindersEnabled !== false &&
+    !isAsNeeded(med) &&
+    getEscalationPolicy(med).notifyCaregiver
+  ));
+  const byId = Object.fromEntries(watched.map(med => [med.id, med]));
+  const outcomes = Object.fromEntries(doseOutcomes
+    .filter(event => event.scheduledAt)
+    .map(event => [`${event.medicationId}|${event.scheduledAt}`, event]));
+
+  // Snoozing pushes the caregiver notice back, so doses a little older than the lookback are checked too
+  const from = new Date(since - (getEscalationSpanMinutes(watched, quietHours) + MAX_SNOOZE_MINUTES) * MS_PER_MINUTE);
+
+  return getScheduleForRange(watched, from, new Date(time), travel)
+    .map(dose => {
+      const key = `${dose.medicationId}|${dose.scheduledAt}`;
+      const outcome = outcomes[key];
+      if (ANSWERED_DOSE_STATUSES.includes(outcome?.status)) return null;
+
+      const medication = byId[dose.medicationId];
+      const snoozedUntil = outcome?.status === DOSE_STATUS.SNOOZED ? outcome.snoozedUntil : null;
+      const { caregiverAt } = getEscalationSchedule(medication, dose.scheduledAt, snoozedUntil, quietHours);
+      return { key, medication, scheduledAt: dose.scheduledAt, caregiverAt };
+    })
+    .filter(alert => {
+      const at = alert?.caregiverAt ? new Date(alert.caregiverAt).getTime() : NaN;
+      return at <= time && at > since;
+    });
+};
@@ -0,0 +1,167 @@
+/**
+ * MediAssist App - Formatters
+ * Display strings for dates, doses and regimens
+ */
+
+import {
+  MEDICATION_STATUS,
+  DISCONTINUE_REASONS,
+  VITAL_TYPES,
+  GLUCOSE_MEAL_CONTEXTS,
+  RECURRENCE_FREQUENCY_OPTIONS,
+  PREP_TIMING_OPTIONS,
+  TRAVEL_MODES,
+} from './constants';
+import { getFrequencyOption, formatTimeOfDay, isSameDay } from './dateUtils';
+import { getDisplayDefinition, toDisplayValue } from './units';
+import { formatTimeInZone, getTimeZoneLabel, getTimeZoneOffset } from './timeZones';
+import { getCurrentTravelZone } from './travel';
+
+// "Oct 25"
+export const formatShortDate = (date) => {
+  return new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+// "10 mg • Twice Daily"
+export const formatDoseSpec = ({ dosage, frequency }) => {
+  const label = getFrequencyOption(frequency)?.label;
+  return [dosage, label].filter(Boolean).join(' • ');
+};
+
+/**
+ * Summary lines for a taper or titration regimen (see getRegimenStatus):
+ * { phaseLabel: 'Phase 2 of 4', nextChangeLabel: 'Next: 20 mg • Once Daily from Oct 25' }
+ */
+export const formatRegimenSummary = (regimen) => {
+  if (!regimen) return null;
+
+  const phaseLabel = regimen.completed
+    ? 'Regimen complete'
+    : regimen.started
+    ? `Phase ${regimen.phaseNumber} of ${regimen.totalPhases}`
+    : `Starts ${formatShortDate(regimen.phase.start)}`;
+
+  const nextChangeLabel = !regimen.started
+    ? `First phase: ${formatDoseSpec(regimen.phase)}`
+    : regimen.nextPhase
+    ? `Next: ${formatDoseSpec(regimen.nextPhase)} from ${formatShortDate(regimen.nextChangeAt)}`
+    : regimen.completed
+    ? null
+    : 'Final phase';
+
+  return { phaseLabel, nextChangeLabel };
+};
+
+// "Next allowed at 14:30" for an "as needed" medication (see getPrnStatus); the date is added when it is not today
+export const formatNextAllowed = (prnStatus, now = new Date()) => {
+  if (!prnStatus?.nextAllowedAt) return 'Available now';
+
+  const time = formatTimeOfDay(prnStatus.nextAllowedAt);
+  return isSameDay(prnStatus.nextAllowedAt, now)
+    ? `Next allowed at ${time}`
+    : `Next allowed ${formatShortDate(prnStatus.nextAllowedAt)} at ${time}`;
+};
+
+// "Discontinued Oct 19 · Side effects" for an archived medication
+export const formatDiscontinuation = (medication) => {
+  const { discontinuation } = medication || {};
+  if (!discontinuation) return null;
+
+  const action = medication.status === MEDICATION_STATUS.COMPLETED ? 'Completed' : 'Discontinued';
+  const reason = DISCONTINUE_REASONS.find(option => option.value === discontinuation.reason);
+
+  return [
+    `${action} ${formatShortDate(discontinuation.discontinuedAt)}`,
+    reason?.label,
+    discontinuation.note,
+  ].filter(Boolean).join(' · ');
+};
+
+// "120/80" for blood pressure, otherwise the value in display units at their precision ("98.6", "37.0")
+export const formatVitalValue = (reading, units) => {
+  const definition = getDisplayDefinition(reading?.type, units);
+  if (!definition) return '';
+
+  if (reading.type === VITAL_TYPES.BLOOD_PRESSURE) return `${reading.systolic}/${reading.diastolic}`;
+  return Number(toDisplayValue(reading.type, reading.value, units)).toFixed(definition.fields[0].decimals);
+};
+
+// "120/80 mmHg", with the meal context for glucose ("95 mg/dL · Fasting"), in the user's units
+export const formatVitalReading = (reading, units) => {
+  const definition = getDisplayDefinition(reading?.type, units);
+  if (!definition) return '';
+
+  const mealContext = GLUCOSE_MEAL_CONTEXTS.find(context => context.value === reading.mealContext);
+  return [`${formatVitalValue(reading, units)} ${definition.unit}`, mealContext?.label].filter(Boolean).join(' · ');
+};
+
+// "Weekly", "Every 2 weeks, until Mar 3" or "Monthly, 6 visits" for an appointment's recurrence rule
+export const formatRecurrence = (recurrence) => {
+  const option = RECURRENCE_FREQUENCY_OPTIONS.find(item => item.value === recurrence?.frequency);
+  if (!option) return null;
+
+  const interval = Number(recurrence.interval) || 1;
+  const repeat = interval === 1 ? option.label : `Every ${interval} ${option.unit}s`;
+  const end = recurrence.until
+    ? `until ${formatShortDate(recurrence.until)}`
+    : recurrence.count
+    ? `${recurrence.count} visits`
+    : null;
+
+  return [repeat, end].filter(Boolean).join(', ');
+};
+
+// "Oct 25 at 14:30" for a visit
+export const formatAppointmentTime = (appointment) => {
+  return `${formatShortDate(appointment.dateTime)} at ${formatTimeOfDay(appointment.dateTime)}`;
+};
+
+// "Night before, 22:00", "3 days before at 09:00" or "45 minutes before" for a preparation task
+export const formatPrepTiming = (timing) => {
+  if (!timing) return 'No reminder';
+
+  const option = PREP_TIMING_OPTIONS.find(item =>
+    item.timing &&
+    item.timing.minutesBefore === timing.minutesBefore &&
+    item.timing.daysBefore === timing.daysBefore &&
+    item.timing.time === timing.time
+  );
+  if (option) return option.label;
+
+  if (timing.minutesBefore !== undefined) return `${timing.minutesBefore} minutes before`;
+  if (timing.daysBefore === 0) return `Same day at ${timing.time}`;
+  return `${timing.daysBefore} day${timing.daysBefore === 1 ? '' : 's'} before at ${timing.time}`;
+};
+
+// "Oct 19 03:00 (09:00 Paris)": a dose event's time here, plus the clock where it was recorded when that differs
+export const formatDoseEventTime = (event) => {
+  const at = event.actualAt || event.scheduledAt;
+  const here = `${formatShortDate(at)} ${formatTimeOfDay(at)}`;
+  if (!event.timeZone) return here;
+
+  const deviceOffset = -new Date(at).getTimezoneOffset() * 60 * 1000;
+  try {
+    if (getTimeZoneOffset(at, event.timeZone) === deviceOffset) return here;
+    return `${here} (${formatTimeInZone(at, event.timeZone)} ${getTimeZoneLabel(event.timeZone)})`;
+  } catch (error) {
+    return here;
+  }
+};
+
+// "Doses follow Paris time", or home time / a gradual shift, per the travel zone in effect
+export const formatTravelMode = (travel, now = new Date()) => {
+  const zone = getCurrentTravelZone(travel, now);
+  const home = getTimeZoneLabel(travel?.homeTimeZone);
+  if (!zone || zone.mode === TRAVEL_MODES.HOME) return `Doses follow home time (${home})`;
+  if (zone.mode === TRAVEL_MODES.GRADUAL) {
+    return `Doses are shifting from ${home} toward ${getTimeZoneLabel(zone.timeZone)} time by ${zone.shiftHoursPerDay} h a day`;
+  }
+  return `Doses follow ${getTimeZoneLabel(zone.timeZone)} time`;
+};
+
+// "Reminds again every 10 min, up to 3 times, then tells your caregiver"
+export const formatEscalationPolicy = ({ intervalMinutes, maxRepeats, notifyCaregiver }) => {
+  if (!(intervalMinutes > 0 && maxRepeats > 0)) return 'Reminds once';
+  const times = maxRepeats === 1 ? 'once' : `up to ${maxRepeats} times`;
+  return `Reminds again every ${intervalMinutes} min, ${times}${notifyCaregiver ? ', then tells your caregiver' : ''}`;
+};
@@ -0,0 +1,18 @@
+/**
+ * MediAssist App - Helpers
+ * Small general-purpose utilities shared across services and slices
+ */
+
+// Generate a reasonably unique, sortable identifier for locally created records
+export const generateId = (prefix = '') => {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).slice(2, 10);
+  return `${prefix}${timestamp}-${random}`;
+};
+
+// Normalize Date | string | number to an ISO string (null-safe)
+export const toISOString = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
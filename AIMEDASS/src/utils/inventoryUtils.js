@@ -0,0 +1,93 @@
+/**
+ * MediAssist App - Inventory Utilities
+ * Units-on-hand accounting from the dose ledger and run-out forecasting from the schedule
+ */
+
+import {
+  DOSAGE_FORM_UNITS,
+  TAKEN_DOSE_STATUSES,
+  DEFAULT_REFILL_REMINDER_DAYS,
+  SUPPLY_FORECAST_HORIZON_DAYS,
+} from './constants';
+import { generateDoseInstances, getCurrentDoseSpec, addDays, startOfDay, MS_PER_DAY } from './dateUtils';
+
+// Units of the dispensed form consumed by one dose ("2 tablets" -> 2, "10 mg" tablet -> 1)
+export const getUnitsPerDose = (medication, dosage = medication?.dosage) => {
+  if (medication?.inventory?.unitsPerDose > 0) return medication.inventory.unitsPerDose;
+
+  const match = String(dosage || '').trim().match(/^([\d.]+)\s*([a-z]+)/i);
+  if (!match) return 1;
+
+  const amount = parseFloat(match[1]);
+  const unit = match[2].toLowerCase().replace(/s$/, '');
+  const countableUnits = DOSAGE_FORM_UNITS[medication?.dosageForm] || [];
+
+  return countableUnits.includes(unit) && amount > 0 ? amount : 1;
+};
+
+export const hasInventoryTracking = (medication) => {
+  return Number.isFinite(medication?.inventory?.unitsOnHand);
+};
+
+// Units left: last counted amount minus every dose taken since the count, each at the
+// dosage of the regimen phase in effect when it was taken
+export const getUnitsOnHand = (medication, doseOutcomes) => {
+  if (!hasInventoryTracking(medication)) return null;
+
+  const { unitsOnHand, countedAt } = medication.inventory;
+  const unitsTaken = doseOutcomes
+    .filter(event =>
+      event.medicationId === medication.id &&
+      TAKEN_DOSE_STATUSES.includes(event.status) &&
+      (!countedAt || event.actualAt > countedAt)
+    )
+    .reduce((total, event) => total + getUnitsPerDose(medication, getCurrentDoseSpec(medication, event.actualAt).dosage), 0);
+
+  return Math.max(0, unitsOnHand - unitsTaken);
+};
+
+// Walk the schedule, at the times travel mode moves doses to, and stop at the first dose the
+// supply can no longer cover
+export const forecastRunOutDate = (medication, unitsOnHand, now = Date.now(), travel = null) => {
+  if (unitsOnHand === null) return null;
+
+  const from = new Date(now);
+  const to = addDays(from, SUPPLY_FORECAST_HORIZON_DAYS);
+  const unitsByDosage = new Map();
+  let remaining = unitsOnHand;
+
+  for (const dose of generateDoseInstances(medication, from, to, travel)) {
+    if (!unitsByDosage.has(dose.dosage)) unitsByDosage.set(dose.dosage, getUnitsPerDose(medication, dose.dosage));
+    const units = unitsByDosage.get(dose.dosage);
+    if (remaining < units) return new Date(dose.scheduledAt);
+    remaining -= units;
+  }
+
+  return null;
+};
+
+/**
+ * Supply summary for a medication: units left, forecast run-out date and
+ * whether the refill reminder window has been reached. Dose times follow the
+ * `travel` mode settings (see utils/travel).
+ */
+export const getSupplyForecast = (medication, doseOutcomes, now = Date.now(), travel = null) => {
+  const unitsOnHand = getUnitsOnHand(medication, doseOutcomes);
+  if (unitsOnHand === null) return null;
+
+  const runOutDate = forecastRunOutDate(medication, unitsOnHand, now, travel);
+  const reminderDays = medication.inventory.refillReminderDays ?? DEFAULT_REFILL_REMINDER_DAYS;
+  const daysRemaining = runOutDate
+    ? Math.max(0, Math.floor((startOfDay(runOutDate) - startOfDay(now)) / MS_PER_DAY))
+    : null;
+
+  return {
+    medicationId: medication.id,
+    unitsOnHand,
+    unitsPerDose: getUnitsPerDose(medication),
+    runOutDate: runOutDate ? runOutDate.toISOString() : null,
+    daysRemaining,
+    refillReminderDate: runOutDate ? addDays(startOfDay(runOutDate), -reminderDays).toISOString() : null,
+    needsRefill: unitsOnHand === 0 || (daysRemaining !== null && daysRemaining <= reminderDays),
+  };
+};
@@ -0,0 +1,138 @@
+/**
+ * MediAssist App - Preparation Checklists
+ * Checklist templates by appointment type, with tasks timed relative to the visit
+ */
+
+import { PREP_TIMING_OPTIONS } from './constants';
+import { addDays, atTimeOfDay } from './dateUtils';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const timing = (key) => PREP_TIMING_OPTIONS.find(option => option.key === key).timing;
+
+/**
+ * Templates a new user starts with. A template applies to the listed appointment types
+ * (every type when empty), and only to fasting visits when `fastingOnly` is set.
+ */
+export const DEFAULT_PREP_TEMPLATES = [
+  {
+    id: 'prep_essentials',
+    name: 'Visit essentials',
+    appointmentTypes: ['routine_checkup', 'follow_up', 'consultation', 'procedure', 'lab_work', 'imaging'],
+    fastingOnly: false,
+    tasks: [
+      { id: 'medication_list', title: 'Bring your medication list', timing: timing('evening_before') },
+      { id: 'insurance_card', title: 'Bring insurance card and photo ID', timing: timing('evening_before') },
+      { id: 'questions', title: 'Write down questions for your doctor', timing: timing('two_days_before') },
+    ],
+  },
+  {
+    id: 'prep_fasting',
+    name: 'Fasting',
+    appointmentTypes: [],
+    fastingOnly: true,
+    tasks: [
+      { id: 'stop_eating', title: 'Stop eating and drinking anything but water', timing: timing('night_before') },
+      { id: 'morning_water', title: 'Water only this morning; take medications only as instructed', timing: timing('morning_of') },
+    ],
+  },
+  {
+    id: 'prep_lab_work',
+    name: 'Lab work',
+    appointmentTypes: ['lab_work'],
+    fastingOnly: false,
+    tasks: [
+      { id: 'lab_order', title: 'Bring the lab order form', timing: timing('evening_before') },
+      { id: 'hydrate', title: 'Drink a glass of water to make the draw easier', timing: timing('hour_before') },
+    ],
+  },
+  {
+    id: 'prep_imaging',
+    name: 'Imaging',
+    appointmentTypes: ['imaging'],
+    fastingOnly: false,
+    tasks: [
+      { id: 'previous_scans', title: 'Bring previous scans or reports', timing: timing('evening_before') },
+      { id: 'no_metal', title: 'Leave jewelry and metal items at home', timing: timing('two_hours_before') },
+    ],
+  },
+  {
+    id: 'prep_procedure',
+    name: 'Procedure',
+    appointmentTypes: ['procedure'],
+    fastingOnly: false,
+    tasks: [
+      { id: 'pause_medications', title: 'Confirm which medications to pause beforehand', timing: timing('week_before') },
+      { id: 'ride_home', title: 'Arrange a ride home', timing: timing('two_days_before') },
+      { id: 'comfortable_clothes', title: 'Pack loose, comfortable clothes', timing: timing('evening_before') },
+    ],
+  },
+  {
+    id: 'prep_telehealth',
+    name: 'Video visit',
+    appointmentTypes: ['telehealth'],
+    fastingOnly: false,
+    tasks: [
+      { id: 'test_setup', title: 'Test camera, microphone and internet', timing: timing('half_hour_before') },
+      { id: 'quiet_space', title: 'Find a quiet, private space', timing: timing('half_hour_before') },
+      { id: 'medication_list', title: 'Keep your medication list at hand', timing: null },
+    ],
+  },
+];
+
+// Templates that apply to an appointment's type and fasting flag
+export const getTemplatesForAppointment = (templates, { type, fastingRequired }) => {
+  return templates.filter(template =>
+    (!template.appointmentTypes?.length || template.appointmentTypes.includes(type)) &&
+    (!template.fastingOnly || fastingRequired)
+  );
+};
+
+/**
+ * The checklist an appointment starts with: tasks of every matching template, with
+ * tasks of the same title listed once. Task ids are prefixed with their template's id.
+ */
+export const buildPrepTasks = (templates, appointment) => {
+  const seen = new Set();
+
+  return getTemplatesForAppointment(templates, appointment)
+    .flatMap(template => template.tasks.map(task => ({ ...task, id: `${template.id}:${task.id}` })))
+    .filter(task => {
+      const title = task.title.trim().toLowerCase();
+      if (seen.has(title)) return false;
+      seen.add(title);
+      return true;
+    });
+};
+
+// When a task is due for a visit, or null for tasks without a reminder or due after the visit starts
+export const getPrepTaskDueAt = (task, visitStart) => {
+  if (!task?.timing) return null;
+
+  const start = new Date(visitStart);
+  const dueAt = task.timing.minutesBefore !== undefined
+    ? new Date(start.getTime() - task.timing.minutesBefore * MS_PER_MINUTE)
+    : atTimeOfDay(addDays(start, -task.timing.daysBefore), task.timing.time);
+
+  return dueAt < start ? dueAt : null;
+};
+
+export const isPrepTaskDone = (visit, taskId) => !!visit?.prepCompleted?.[taskId];
+
+// { completed, total } for a visit's checklist
+export const getPrepProgress = (visit) => {
+  const tasks = visit?.prepTasks || [];
+  return {
+    completed: tasks.filter(task => isPrepTaskDone(visit, task.id)).length,
+    total: tasks.length,
+  };
+};
+
+// Open tasks of a visit due after `now`, in due order, as [{ task, dueAt }]
+export const getUpcomingPrepTasks = (visit, now = new Date()) => {
+  return (visit?.prepTasks || [])
+    .filter(task => !isPrepTaskDone(visit, task.id))
+    .map(task => ({ task, dueAt: getPrepTaskDueAt(task, visit.dateTime) }))
+    .filter(({ dueAt }) => dueAt && dueAt > new Date(now))
+    .sort((a, b) => a.dueAt - b.dueAt);
+};
@@ -0,0 +1,85 @@
+/**
+ * MediAssist App - PRN Utilities
+ * Spacing and daily-maximum guardrails for "as needed" doses logged in the dose ledger
+ */
+
+import {
+  TAKEN_DOSE_STATUSES,
+  PRN_LIMIT_MODE,
+  PRN_WINDOW_HOURS,
+} from './constants';
+import { addHours, getNextAllowedDoseTime, MS_PER_HOUR } from './dateUtils';
+
+export const PRN_LIMIT_TYPES = {
+  MIN_INTERVAL: 'min_interval',
+  MAX_DAILY: 'max_daily',
+};
+
+export const getPrnLimitMode = (medication) => {
+  return medication?.prnLimitMode === PRN_LIMIT_MODE.BLOCK ? PRN_LIMIT_MODE.BLOCK : PRN_LIMIT_MODE.WARN;
+};
+
+export const hasPrnLimits = (medication) => {
+  return medication?.minIntervalHours > 0 || medication?.maxDosesPer24Hours > 0;
+};
+
+// Unscheduled doses taken in the rolling window ending at `at`, oldest first
+export const getPrnDosesInWindow = (medicationId, doseOutcomes, at = new Date()) => {
+  const end = new Date(at).getTime();
+  const start = end - PRN_WINDOW_HOURS * MS_PER_HOUR;
+
+  return doseOutcomes
+    .filter(event =>
+      event.medicationId === medicationId &&
+      !event.scheduledAt &&
+      TAKEN_DOSE_STATUSES.includes(event.status) &&
+      new Date(event.actualAt).getTime() > start &&
+      new Date(event.actualAt).getTime() <= end
+    )
+    .sort((a, b) => a.actualAt.localeCompare(b.actualAt));
+};
+
+/**
+ * Check whether another "as needed" dose may be taken at `at`.
+ * Returns the doses counted, any broken limits and the earliest time every limit is met again:
+ * { dosesInWindow, remaining, lastTakenAt, nextAllowedAt, violations, limitMode, blocked }
+ */
+export const getPrnStatus = (medication, doseOutcomes, at = new Date()) => {
+  const current = new Date(at);
+  const doses = getPrnDosesInWindow(medication.id, doseOutcomes, current);
+  const lastTakenAt = doses.length ? doses[doses.length - 1].actualAt : null;
+  const maxDoses = medication.maxDosesPer24Hours > 0 ? medication.maxDosesPer24Hours : null;
+  const violations = [];
+  let nextAllowedAt = null;
+
+  const spacedUntil = getNextAllowedDoseTime(medication, lastTakenAt);
+  if (spacedUntil && spacedUntil > current) {
+    violations.push({
+      type: PRN_LIMIT_TYPES.MIN_INTERVAL,
+      message: `Doses should be at least ${medication.minIntervalHours} hours apart.`,
+    });
+    nextAllowedAt = spacedUntil;
+  }
+
+  // The window reopens when enough of the oldest doses have aged out of it
+  if (maxDoses && doses.length >= maxDoses) {
+    const reopensAt = addHours(doses[doses.length - maxDoses].actualAt, PRN_WINDOW_HOURS);
+    violations.push({
+      type: PRN_LIMIT_TYPES.MAX_DAILY,
+      message: `You have reached the maximum of ${maxDoses} doses in ${PRN_WINDOW_HOURS} hours.`,
+    });
+    nextAllowedAt = !nextAllowedAt || reopensAt > nextAllowedAt ? reopensAt : nextAllowedAt;
+  }
+
+  const limitMode = getPrnLimitMode(medication);
+
+  return {
+    dosesInWindow: doses.length,
+    remaining: maxDoses ? Math.max(0, maxDoses - doses.length) : null,
+    lastTakenAt,
+    nextAllowedAt,
+    violations,
+    limitMode,
+    blocked: violations.length > 0 && limitMode === PRN_LIMIT_MODE.BLOCK,
+  };
+};
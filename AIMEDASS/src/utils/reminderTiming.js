@@ -0,0 +1,75 @@
+/**
+ * MediAssist App - Reminder Timing
+ * Quiet hours and batching: when medication reminders actually fire
+ */
+
+import { addDays, atTimeOfDay, parseTimeOfDay } from './dateUtils';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = (time) => {
+  const { hours, minutes } = parseTimeOfDay(time);
+  return hours * 60 + minutes;
+};
+
+// Quiet hours may run past midnight (22:00-07:00); equal start and end means none
+export const isWithinQuietHours = (date, quietHours) => {
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+
+  const d = new Date(date);
+  const minutes = d.getHours() * 60 + d.getMinutes();
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+export const getQuietHoursMinutes = (quietHours) => {
+  if (!quietHours?.enabled) return 0;
+  return (toMinutes(quietHours.end) - toMinutes(quietHours.start) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+};
+
+// The end of the quiet hours `date` falls in, or `date` itself when it is outside them
+export const deferPastQuietHours = (date, quietHours) => {
+  const at = new Date(date);
+  if (!isWithinQuietHours(at, quietHours)) return at;
+
+  const end = atTimeOfDay(at, quietHours.end);
+  return end > at ? end : addDays(end, 1);
+};
+
+/**
+ * Group reminders ([{ key, fireAt }]) so each group fires once, at its earliest reminder,
+ * and takes in every other reminder due within `windowMinutes` of it. A key (e.g. a dose)
+ * is never merged with itself, so a repeat reminder stays a separate notification.
+ * Returns groups in time order, each sorted by fireAt.
+ */
+export const batchReminders = (reminders, windowMinutes = 0) => {
+  const windowMs = windowMinutes * MS_PER_MINUTE;
+  const open = [];
+  const batches = [];
+
+  [...reminders]
+    .sort((a, b) => a.fireAt.localeCompare(b.fireAt))
+    .forEach(reminder => {
+      const time = new Date(reminder.fireAt).getTime();
+      const batch = open.find(candidate => (
+        time - candidate.start <= windowMs &&
+        !candidate.items.some(item => item.key === reminder.key)
+      ));
+
+      if (batch) {
+        batch.items.push(reminder);
+      } else {
+        const created = { start: time, items: [reminder] };
+        open.push(created);
+        batches.push(created);
+      }
+    });
+
+  return batches.map(batch => batch.items);
+};
@@ -0,0 +1,84 @@
+/**
+ * MediAssist App - Telehealth
+ * Join links, platforms and dial-in numbers of video visits, and when a visit can be joined
+ */
+
+import { TELEHEALTH_PLATFORMS, TELEHEALTH_JOIN_WINDOW_MINUTES } from './constants';
+import { getAppointmentEnd, isActiveAppointment } from './appointmentUtils';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// scheme://host[:port]/... — React Native's URL polyfill has no hostname, so links are parsed here
+const URL_PATTERN = /^([a-z][a-z\d+.-]*):\/\/([^/?#:@\s]+)(?::\d+)?(?:[/?#]\S*)?$/i;
+
+export const JOIN_STATE = {
+  UPCOMING: 'upcoming',
+  OPEN: 'open',
+  ENDED: 'ended',
+};
+
+export const isTelehealthAppointment = (appointment) => {
+  return appointment?.type === 'telehealth' && !!(appointment.telehealth?.meetingUrl || appointment.telehealth?.dialIn);
+};
+
+// Links pasted without a scheme ("zoom.us/j/123") are treated as https
+export const normalizeMeetingUrl = (url) => {
+  const trimmed = String(url || '').trim();
+  if (!trimmed) return '';
+  return /^[a-z][a-z\d+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+};
+
+// { scheme, host } of a link, or null when it is not a web address
+export const parseMeetingUrl = (url) => {
+  const match = URL_PATTERN.exec(normalizeMeetingUrl(url));
+  if (!match) return null;
+  return { scheme: match[1].toLowerCase(), host: match[2].toLowerCase() };
+};
+
+const hostMatches = (host, platformHost) => host === platformHost || host.endsWith(`.${platformHost}`);
+
+export const getTelehealthPlatform = (value) => {
+  return TELEHEALTH_PLATFORMS.find(platform => platform.value === value) || null;
+};
+
+// Platform whose domain a link belongs to, or null for links of other services
+export const detectTelehealthPlatform = (url) => {
+  const parsed = parseMeetingUrl(url);
+  if (!parsed) return null;
+  return TELEHEALTH_PLATFORMS.find(platform => platform.hosts.some(host => hostMatches(parsed.host, host))) || null;
+};
+
+export const isPlatformUrl = (url, platformValue) => {
+  const parsed = parseMeetingUrl(url);
+  const platform = getTelehealthPlatform(platformValue);
+  if (!parsed || !platform) return false;
+  return !platform.hosts.length || platform.hosts.some(host => hostMatches(parsed.host, host));
+};
+
+/**
+ * Whether a video visit can be joined at `now`: from TELEHEALTH_JOIN_WINDOW_MINUTES before
+ * it starts until it ends, unless it was cancelled or completed. Returns { state, opensAt, endsAt }.
+ */
+export const getJoinState = (visit, now = new Date()) => {
+  const start = new Date(visit.dateTime);
+  const opensAt = new Date(start.getTime() - TELEHEALTH_JOIN_WINDOW_MINUTES * MS_PER_MINUTE);
+  const endsAt = visit.endDateTime ? new Date(visit.endDateTime) : getAppointmentEnd(start, visit.duration);
+  const time = new Date(now).getTime();
+
+  let state = JOIN_STATE.OPEN;
+  if (!isActiveAppointment(visit) || time > endsAt.getTime()) {
+    state = JOIN_STATE.ENDED;
+  } else if (time < opensAt.getTime()) {
+    state = JOIN_STATE.UPCOMING;
+  }
+
+  return { state, opensAt, endsAt };
+};
+
+// tel: link that dials in and enters the meeting passcode after a pause
+export const getDialInUrl = ({ dialIn, passcode } = {}) => {
+  const number = String(dialIn || '').replace(/[^\d+]/g, '');
+  if (!number) return null;
+  const code = String(passcode || '').replace(/[^\d]/g, '');
+  return `tel:${number}${code ? `,,${code}#` : ''}`;
+};
@@ -0,0 +1,121 @@
+/**
+ * MediAssist App - Time Zones
+ * Wall-clock fields and UTC offsets of instants in IANA time zones, via Intl
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Formatters are slow to create and dose schedules read many instants, so one is kept per zone
+const zoneFormatters = new Map();
+
+const getZoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+// Wall-clock fields of an instant in a time zone
+export const getZonedFields = (timestamp, timeZone) => {
+  const parts = getZoneFormatter(timeZone).formatToParts(new Date(timestamp));
+
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour') % 24,
+    minute: get('minute'),
+    second: get('second'),
+  };
+};
+
+// Milliseconds the zone's wall clock is ahead of UTC at an instant (negative west of Greenwich)
+export const getTimeZoneOffset = (timestamp, timeZone) => {
+  const time = new Date(timestamp).getTime();
+  const fields = getZonedFields(time, timeZone);
+  const wall = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return wall - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Instant of a wall-clock time in a time zone. As RFC 5545 specifies, a time repeated when
+ * DST ends means its first occurrence, and a time skipped when DST starts uses the offset before the gap.
+ */
+export const zonedTimeToUtc = (fields, timeZone) => {
+  const wall = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  const firstOffset = getTimeZoneOffset(wall, timeZone);
+  const secondOffset = getTimeZoneOffset(wall - firstOffset, timeZone);
+  const candidate = wall - secondOffset;
+
+  return new Date(getTimeZoneOffset(candidate, timeZone) === secondOffset ? candidate : wall - firstOffset);
+};
+
+// Wall-clock fields of a date in a time zone, or in the device's when there is none
+export const getWallClockFields = (date, timeZone) => {
+  const time = new Date(date);
+  if (timeZone) return getZonedFields(time.getTime(), timeZone);
+
+  return {
+    year: time.getFullYear(),
+    month: time.getMonth() + 1,
+    day: time.getDate(),
+    hour: time.getHours(),
+    minute: time.getMinutes(),
+    second: time.getSeconds(),
+  };
+};
+
+// Date of wall-clock fields in a time zone, or in the device's when there is none
+export const wallClockToDate = (fields, timeZone) => {
+  if (timeZone) return zonedTimeToUtc(fields, timeZone);
+  return new Date(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// "HH:MM" in a time zone, like formatTimeOfDay does for the device's
+export const formatTimeInZone = (date, timeZone) => {
+  const { hour, minute } = getZonedFields(new Date(date).getTime(), timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// The place part of an IANA name: "America/New_York" -> "New York"
+export const getTimeZoneLabel = (timeZone) => {
+  if (!timeZone) return 'Unknown';
+  return timeZone.split('/').pop().replace(/_/g, ' ');
+};
+
+// Signed difference between two offsets, e.g. "+6h" or "-3h 30m"
+export const formatOffsetDifference = (offsetMs) => {
+  const minutes = Math.round(offsetMs / MS_PER_MINUTE);
+  const sign = minutes < 0 ? '-' : '+';
+  const hours = Math.floor(Math.abs(minutes) / 60);
+  const rest = Math.abs(minutes) % 60;
+  return `${sign}${hours}h${rest ? ` ${rest}m` : ''}`;
+};
@@ -0,0 +1,120 @@
+/**
+ * MediAssist App - Travel Mode
+ * Which time zone dose times follow away from home: home time, local time or a gradual shift between them
+ */
+
+import { TRAVEL_MODES, HOME_TIME_MEDICATION_KEYWORDS } from './constants';
+import { getDeviceTimeZone, getTimeZoneOffset } from './timeZones';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/*
+ * Travel settings are { homeTimeZone, zones: [{ from, timeZone, mode, shiftHoursPerDay }] }.
+ * Each zone entry starts when the user chose how doses follow the zone the device moved to,
+ * and lasts until the next one. Past entries are never rewritten, so doses already scheduled
+ * (and the ledger events keyed by them) keep the times they had.
+ */
+
+// A saved choice wins; otherwise contraceptives and immunosuppressants keep home time
+export const keepsHomeTime = (medication) => {
+  if (typeof medication?.keepHomeTime === 'boolean') return medication.keepHomeTime;
+  const names = [medication?.name, medication?.genericName].filter(Boolean).join(' ').toLowerCase();
+  return HOME_TIME_MEDICATION_KEYWORDS.some(keyword => names.includes(keyword));
+};
+
+// Index of the zone entry in effect at `time`, or -1 before the first one
+const getZoneIndex = (zones, time) => {
+  let index = -1;
+  zones.forEach((zone, i) => {
+    if (new Date(zone.from).getTime() <= time) index = i;
+  });
+  return index;
+};
+
+// UTC offset the schedule follows at `time` under zone entry `index` (home before the first)
+const getZoneOffset = (travel, index, time) => {
+  const zone = travel.zones?.[index];
+  if (!zone || zone.mode === TRAVEL_MODES.HOME) return getTimeZoneOffset(time, travel.homeTimeZone);
+
+  const localOffset = getTimeZoneOffset(time, zone.timeZone);
+  if (zone.mode !== TRAVEL_MODES.GRADUAL) return localOffset;
+
+  // Starts from where the previous entry left off and closes the gap by up to shiftHoursPerDay each day
+  const from = new Date(zone.from).getTime();
+  const startOffset = getZoneOffset(travel, index - 1, from);
+  const days = Math.max(0, Math.floor((time - from) / MS_PER_DAY) + 1);
+  const gap = localOffset - startOffset;
+  const step = Math.min(Math.abs(gap), days * (Number(zone.shiftHoursPerDay) || 0) * MS_PER_HOUR);
+  return startOffset + Math.sign(gap) * step;
+};
+
+// The moment a wall-clock time (as UTC ms) falls on under a zone rule that may change with time
+const toZonedTime = (wallTime, offsetAt) => wallTime - offsetAt(wallTime - offsetAt(wallTime));
+
+// Dose times keep to the device's clock until travel mode records a zone other than the device's
+export const followsDeviceClock = (travel, timeZone = getDeviceTimeZone()) => (
+  !travel?.homeTimeZone || (!travel.zones?.length && travel.homeTimeZone === timeZone)
+);
+
+/**
+ * How far a dose at the device's wall-clock time `localAt` moves to keep to the zone its
+ * medication follows, or 0 while dose times follow the device's clock. A dose follows the
+ * latest zone entry it falls on or after the start of, so the result depends only on the
+ * clock time and not on where the device is.
+ */
+export const getScheduleShift = (medication, localAt, travel) => {
+  if (followsDeviceClock(travel)) return 0;
+  const local = new Date(localAt);
+  const wallTime = local.getTime() - local.getTimezoneOffset() * MS_PER_MINUTE;
+  const zones = travel.zones || [];
+
+  let index = keepsHomeTime(medication) ? -1 : zones.length - 1;
+  let time = toZonedTime(wallTime, at => getZoneOffset(travel, index, at));
+  while (index >= 0 && time < new Date(zones[index].from).getTime()) {
+    index -= 1;
+    time = toZonedTime(wallTime, at => getZoneOffset(travel, index, at));
+  }
+  return time - local.getTime();
+};
+
+// The zone the schedule was last set to follow: the latest entry's, or home
+export const getScheduleTimeZone = (travel) => {
+  const zones = travel?.zones || [];
+  return zones.length ? zones[zones.length - 1].timeZone : travel?.homeTimeZone || null;
+};
+
+/**
+ * { from, to } when the device's clock no longer matches the zone the schedule last followed,
+ * else null. Zones with the same offset at `now` (e.g. Detroit and New York) count as one.
+ */
+export const detectTimeZoneChange = (travel, { timeZone = getDeviceTimeZone(), now = new Date() } = {}) => {
+  const current = getScheduleTimeZone(travel);
+  if (!current || !timeZone) return null;
+  if (getTimeZoneOffset(now, current) === getTimeZoneOffset(now, timeZone)) return null;
+  return { from: current, to: timeZone };
+};
+
+// Travel settings with a new zone entry starting at `now`; entries after it are dropped
+export const addTravelZone = (travel, { timeZone, mode, shiftHoursPerDay = null, now = new Date() }) => {
+  const from = new Date(now);
+  return {
+    homeTimeZone: travel?.homeTimeZone || timeZone,
+    zones: [
+      ...(travel?.zones || []).filter(zone => new Date(zone.from) < from),
+      {
+        from: from.toISOString(),
+        timeZone,
+        mode,
+        shiftHoursPerDay: mode === TRAVEL_MODES.GRADUAL ? shiftHoursPerDay : null,
+      },
+    ],
+  };
+};
+
+// The zone entry in effect now, or null at home
+export const getCurrentTravelZone = (travel, now = new Date()) => {
+  const zones = travel?.zones || [];
+  return zones[getZoneIndex(zones, new Date(now).getTime())] || null;
+};
@@ -0,0 +1,162 @@
+/**
+ * MediAssist App - Units
+ * Conversion between stored (canonical) values and the user's preferred display units
+ */
+
+import {
+  VITAL_DEFINITIONS,
+  UNIT_SYSTEMS,
+  GLUCOSE_UNITS,
+} from './constants';
+
+// Canonical values are stored with this many decimals so display -> stored -> display round-trips
+const CANONICAL_DECIMALS = 2;
+
+/**
+ * Linear conversions keyed by quantity (vital types share the names):
+ * display = canonical * factor + offset. Other vitals have one unit everywhere.
+ */
+export const UNIT_CONVERSIONS = {
+  temperature: { canonical: '°F', alternate: '°C', factor: 5 / 9, offset: -32 * 5 / 9, decimals: 1 },
+  weight: { canonical: 'lbs', alternate: 'kg', factor: 0.45359237, offset: 0, decimals: 1 },
+  height: { canonical: 'in', alternate: 'cm', factor: 2.54, offset: 0, decimals: 0 },
+  glucose: { canonical: 'mg/dL', alternate: 'mmol/L', factor: 1 / 18.016, offset: 0, decimals: 1 },
+};
+
+// Blank and non-numeric input passes through conversions untouched
+const isConvertible = value => value !== null && value !== '' && Number.isFinite(Number(value));
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Display unit per quantity for a unit system and glucose unit, e.g. { temperature: '°C', ... }
+export const getUnitPreferences = ({ unitSystem = UNIT_SYSTEMS.IMPERIAL, glucoseUnit = GLUCOSE_UNITS.MG_DL } = {}) => {
+  const metric = unitSystem === UNIT_SYSTEMS.METRIC;
+
+  return {
+    temperature: metric ? '°C' : '°F',
+    weight: metric ? 'kg' : 'lbs',
+    height: metric ? 'cm' : 'in',
+    glucose: glucoseUnit,
+  };
+};
+
+// The conversion to apply for a quantity, or null when it is displayed as stored
+const getActiveConversion = (quantity, units) => {
+  const conversion = UNIT_CONVERSIONS[quantity];
+  return conversion && units?.[quantity] === conversion.alternate ? conversion : null;
+};
+
+export const getDisplayUnit = (quantity, units) => {
+  const conversion = UNIT_CONVERSIONS[quantity];
+  if (!conversion) return VITAL_DEFINITIONS[quantity]?.unit || '';
+  return getActiveConversion(quantity, units) ? conversion.alternate : conversion.canonical;
+};
+
+export const getDisplayDecimals = (quantity, units, fallback = 0) => {
+  return getActiveConversion(quantity, units)?.decimals ?? fallback;
+};
+
+// Stored value -> display value, rounded to the display unit's precision when converted
+export const toDisplayValue = (quantity, value, units) => {
+  const conversion = getActiveConversion(quantity, units);
+  if (!conversion || !isConvertible(value)) return value;
+  return round(Number(value) * conversion.factor + conversion.offset, conversion.decimals);
+};
+
+// Display value (number or text input) -> stored value
+export const fromDisplayValue = (quantity, value, units) => {
+  const conversion = getActiveConversion(quantity, units);
+  if (!conversion || !isConvertible(value)) return value;
+  return round((Number(value) - conversion.offset) / conversion.factor, CANONICAL_DECIMALS);
+};
+
+// Differences (e.g. "+2 lbs in 24h") scale without the offset
+export const toDisplayDelta = (quantity, delta, units) => {
+  const conversion = getActiveConversion(quantity, units);
+  if (!conversion || !isConvertible(delta)) return delta;
+  return round(Number(delta) * conversion.factor, conversion.decimals);
+};
+
+export const fromDisplayDelta = (quantity, delta, units) => {
+  const conversion = getActiveConversion(quantity, units);
+  if (!conversion || !isConvertible(delta)) return delta;
+  return round(Number(delta) / conversion.factor, CANONICAL_DECIMALS);
+};
+
+// VITAL_DEFINITIONS entry with unit, entry bounds and precision in display units
+export const getDisplayDefinition = (type, units) => {
+  const definition = VITAL_DEFINITIONS[type];
+  if (!definition || !getActiveConversion(type, units)) return definition;
+
+  return {
+    ...definition,
+    unit: getDisplayUnit(type, units),
+    fields: definition.fields.map(field => ({
+      ...field,
+      min: toDisplayValue(type, field.min, units),
+      max: toDisplayValue(type, field.max, units),
+      decimals: getDisplayDecimals(type, units, field.decimals),
+    })),
+  };
+};
+
+// Convert every measured field of a reading (or form values) between stored and display units
+export const readingToDisplay = (reading, units) => {
+  const definition = VITAL_DEFINITIONS[reading?.type];
+  if (!definition) return reading;
+
+  return {
+    ...reading,
+    ...Object.fromEntries(definition.fields.map(({ key }) => [key, toDisplayValue(reading.type, reading[key], units)])),
+  };
+};
+
+export const readingFromDisplay = (values, units) => {
+  const definition = VITAL_DEFINITIONS[values?.type];
+  if (!definition) return values;
+
+  return {
+    ...values,
+    ...Object.fromEntries(definition.fields.map(({ key }) => [key, fromDisplayValue(values.type, values[key], units)])),
+  };
+};
+
+// HealthChart series points ({ value, secondaryValue, systolic, diastolic })
+export const seriesToDisplay = (series, type, units) => {
+  if (!getActiveConversion(type, units)) return series;
+
+  return series.map(point => ({
+    ...point,
+    value: toDisplayValue(type, point.value, units),
+    ...('secondaryValue' in point && { secondaryValue: toDisplayValue(type, point.secondaryValue, units) }),
+  }));
+};
+
+// { normalRange, criticalRange } in display units
+export const rangeToDisplay = (range, type, units) => {
+  if (!range || !getActiveConversion(type, units)) return range;
+
+  const convert = bounds => bounds && {
+    min: toDisplayValue(type, bounds.min, units),
+    max: toDisplayValue(type, bounds.max, units),
+  };
+  return { normalRange: convert(range.normalRange), criticalRange: convert(range.criticalRange) };
+};
+
+// Convert every bound of a { type: { field: { normalRange, criticalRange } } } tree
+const mapRangeBounds = (ranges, convert) => Object.fromEntries(
+  Object.entries(ranges || {}).map(([type, fields]) => [type, Object.fromEntries(
+    Object.entries(fields || {}).map(([field, range]) => [field, Object.fromEntries(
+      Object.entries(range || {}).map(([rangeKey, bounds]) => [rangeKey, bounds && Object.fromEntries(
+        Object.entries(bounds).map(([bound, value]) => [bound, convert(type, value)])
+      )])
+    )])
+  )])
+);
+
+export const rangesToDisplay = (ranges, units) => mapRangeBounds(ranges, (type, value) => toDisplayValue(type, value, units));
+
+export const rangesFromDisplay = (ranges, units) => mapRangeBounds(ranges, (type, value) => fromDisplayValue(type, value, units));
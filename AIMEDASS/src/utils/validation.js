@@ -0,0 +1,181 @@
+/**
+ * MediAssist App - Validation
+ * Plain validators for records saved outside of Formik forms
+ */
+
+import {
+  VITAL_TYPES,
+  GLUCOSE_MEAL_CONTEXTS,
+  RECURRENCE_FREQUENCY_OPTIONS,
+  TELEHEALTH_PLATFORMS,
+  CAREGIVER_CHANNELS,
+} from './constants';
+import { getDisplayDefinition } from './units';
+import { parseMeetingUrl, isPlatformUrl, getTelehealthPlatform } from './telehealth';
+
+/**
+ * Check a vital reading against its type's fields and plausible bounds.
+ * Pass `units` when the values are in display units (e.g. VitalForm input).
+ * Returns an object of field -> message; empty when the reading is valid.
+ */
+export const validateVitalReading = (reading, units) => {
+  const definition = getDisplayDefinition(reading?.type, units);
+  if (!definition) return { type: 'Choose a vital sign' };
+
+  const errors = {};
+
+  definition.fields.forEach(({ key, label, min, max }) => {
+    const value = reading[key];
+    if (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))) {
+      errors[key] = `${label} is required`;
+    } else if (Number(value) < min || Number(value) > max) {
+      errors[key] = `${label} must be between ${min} and ${max}`;
+    }
+  });
+
+  if (reading.type === VITAL_TYPES.BLOOD_PRESSURE && !errors.systolic && !errors.diastolic
+    && Number(reading.diastolic) >= Number(reading.systolic)) {
+    errors.diastolic = 'Diastolic must be lower than systolic';
+  }
+
+  if (reading.mealContext && !GLUCOSE_MEAL_CONTEXTS.some(context => context.value === reading.mealContext)) {
+    errors.mealContext = 'Choose when the reading was taken';
+  }
+
+  return errors;
+};
+
+/**
+ * Check resolved vital ranges for inverted or nested-wrong bounds.
+ * Returns { type: { field: message } }; empty when every range is usable.
+ */
+export const validateVitalRanges = (ranges) => {
+  const errors = {};
+
+  Object.entries(ranges || {}).forEach(([type, fields]) => {
+    Object.entries(fields).forEach(([field, { normalRange, criticalRange }]) => {
+      let message = null;
+
+      if (normalRange && normalRange.min >= normalRange.max) {
+        message = 'Target low must be below target high';
+      } else if (criticalRange && criticalRange.min >= criticalRange.max) {
+        message = 'Alert low must be below alert high';
+      } else if (normalRange && criticalRange
+        && (normalRange.min < criticalRange.min || normalRange.max > criticalRange.max)) {
+        message = 'Target range must sit inside the alert limits';
+      }
+
+      if (message) {
+        errors[type] = { ...errors[type], [field]: message };
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Check an appointment's recurrence rule ({ frequency, interval, until, count }) against its first visit.
+ * Returns an object of field -> message; empty when the rule is valid or there is none.
+ */
+export const validateRecurrence = (recurrence, dateTime) => {
+  if (!recurrence) return {};
+
+  const errors = {};
+
+  if (!RECURRENCE_FREQUENCY_OPTIONS.some(option => option.value === recurrence.frequency)) {
+    errors.frequency = 'Choose how often the appointment repeats';
+  }
+
+  const interval = Number(recurrence.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    errors.interval = 'Repeat every 1 to 52 weeks or months';
+  }
+
+  if (recurrence.until && dateTime && new Date(recurrence.until) < new Date(dateTime)) {
+    errors.until = 'The series must end after the first visit';
+  }
+
+  if (recurrence.count !== null && recurrence.count !== undefined && recurrence.count !== '') {
+    const count = Number(recurrence.count);
+    if (!Number.isInteger(count) || count < 2 || count > 500) {
+      errors.count = 'A series has between 2 and 500 visits';
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Check a video visit's connection details ({ platform, meetingUrl, dialIn, passcode }).
+ * A secure join link or a dial-in number is required, and the link must belong to the chosen platform.
+ * Returns an object of field -> message; empty when the details are valid.
+ */
+export const validateTelehealth = (telehealth) => {
+  const { platform, meetingUrl, dialIn, passcode } = telehealth || {};
+  const errors = {};
+
+  if (!TELEHEALTH_PLATFORMS.some(option => option.value === platform)) {
+    errors.platform = 'Choose the video platform';
+  }
+
+  if (meetingUrl?.trim()) {
+    const parsed = parseMeetingUrl(meetingUrl);
+    if (!parsed || !parsed.host.includes('.')) {
+      errors.meetingUrl = 'Enter a valid meeting link';
+    } else if (parsed.scheme !== 'https') {
+      errors.meetingUrl = 'Meeting links must start with https://';
+    } else if (!errors.platform && !isPlatformUrl(meetingUrl, platform)) {
+      errors.meetingUrl = `This is not a ${getTelehealthPlatform(platform).label} link`;
+    }
+  } else if (!dialIn?.trim()) {
+    errors.meetingUrl = 'Add the meeting link or a dial-in number';
+  }
+
+  if (dialIn?.trim() && !/^[+]?[\d\s\-().]{7,20}$/.test(dialIn.trim())) {
+    errors.dialIn = 'Enter a valid phone number';
+  }
+
+  if (passcode?.trim() && passcode.trim().length > 30) {
+    errors.passcode = 'Passcode must be less than 30 characters';
+  }
+
+  return errors;
+};
+
+/**
+ * Check the caregiver told about unanswered doses ({ name, phone, channel, endpoint }).
+ * Text messages need a phone number and the push service a secure endpoint.
+ * Returns an object of field -> message; empty when the details are valid.
+ */
+export const validateCaregiver = (caregiver) => {
+  const { name, phone, channel, endpoint } = caregiver || {};
+  const errors = {};
+
+  if (!Object.values(CAREGIVER_CHANNELS).includes(channel)) {
+    errors.channel = 'Choose how to reach your caregiver';
+  }
+
+  if (name?.trim() && name.trim().length > 50) {
+    errors.name = 'Name must be less than 50 characters';
+  }
+
+  if (phone?.trim()) {
+    if (!/^[+]?[\d\s\-().]{7,20}$/.test(phone.trim())) {
+      errors.phone = 'Enter a valid phone number';
+    }
+  } else if (channel === CAREGIVER_CHANNELS.SMS) {
+    errors.phone = 'Add a phone number for text messages';
+  }
+
+  if (channel === CAREGIVER_CHANNELS.PUSH) {
+    const parsed = parseMeetingUrl(endpoint);
+    if (!endpoint?.trim() || !parsed || !parsed.host.includes('.')) {
+      errors.endpoint = 'Enter the address of the push service';
+    } else if (parsed.scheme !== 'https') {
+      errors.endpoint = 'The address must start with https://';
+    }
+  }
+
+  return errors;
+};
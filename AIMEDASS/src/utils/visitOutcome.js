@@ -0,0 +1,83 @@
+/**
+ * MediAssist App - Visit Outcome
+ * What was decided at a visit: notes, medication changes, ordered tests and when to come back
+ */
+
+import { APPOINTMENT_STATUS, APPOINTMENT_TYPES, NEXT_VISIT_OPTIONS } from './constants';
+import { addDays, atTimeOfDay } from './dateUtils';
+import { buildPrepTasks } from './prepChecklists';
+import { formatDoseSpec, formatShortDate } from './formatters';
+
+// Ordered tests and follow-ups are booked at this time of day until the user moves them
+const DEFAULT_BOOKING_TIME = '09:00';
+
+// The visit a change came from, as stored on medications and booked appointments
+export const getVisitReference = (visit) => ({
+  appointmentId: visit.appointmentId || visit.id,
+  occurrenceStart: visit.occurrenceStart || null,
+  doctorName: visit.doctorName || '',
+  dateTime: visit.dateTime,
+});
+
+// Whether a stored visit reference points at the same visit as the reference `visit`
+export const isSameVisit = (reference, visit) => !!reference
+  && reference.appointmentId === visit.appointmentId
+  && (reference.occurrenceStart || null) === (visit.occurrenceStart || null);
+
+// When the recommended next visit is due, or null when it is only if needed
+export const getNextVisitDate = (option, visitDate) => {
+  const days = NEXT_VISIT_OPTIONS.find(item => item.value === option)?.days;
+  if (!days) return null;
+  return atTimeOfDay(addDays(visitDate, days), DEFAULT_BOOKING_TIME);
+};
+
+const getTypeLabel = (type) => APPOINTMENT_TYPES.find(item => item.value === type)?.label || 'Appointment';
+
+/**
+ * Appointment for a lab or imaging test ordered at `visit`, with the preparation
+ * checklist its type gets.
+ */
+export const buildOrderAppointment = (order, visit, prepTemplates = []) => {
+  const appointment = {
+    type: order.type,
+    doctorName: order.location?.trim() || getTypeLabel(order.type),
+    clinic: order.location?.trim() || '',
+    reasonForVisit: order.description.trim(),
+    notes: `Ordered by ${visit.doctorName || 'your doctor'} on ${formatShortDate(visit.dateTime)}`,
+    dateTime: atTimeOfDay(order.dueDate, DEFAULT_BOOKING_TIME).toISOString(),
+    fastingRequired: !!order.fastingRequired,
+    status: APPOINTMENT_STATUS.SCHEDULED,
+    orderedAt: getVisitReference(visit),
+  };
+
+  return { ...appointment, prepTasks: buildPrepTasks(prepTemplates, appointment) };
+};
+
+// Follow-up appointment with the same doctor for the recommended next visit
+export const buildNextVisitAppointment = (nextVisit, visit, prepTemplates = []) => {
+  const dateTime = getNextVisitDate(nextVisit.option, visit.dateTime);
+  if (!dateTime) return null;
+
+  const appointment = {
+    type: 'follow_up',
+    doctorName: visit.doctorName,
+    specialty: visit.specialty || '',
+    clinic: visit.clinic || '',
+    address: visit.address || '',
+    phone: visit.phone || '',
+    reasonForVisit: nextVisit.note?.trim() || `Follow-up from ${formatShortDate(visit.dateTime)}`,
+    dateTime: dateTime.toISOString(),
+    duration: visit.duration,
+    status: APPOINTMENT_STATUS.SCHEDULED,
+    orderedAt: getVisitReference(visit),
+  };
+
+  return { ...appointment, prepTasks: buildPrepTasks(prepTemplates, appointment) };
+};
+
+// "Started 10 mg • Once Daily", "20 mg • Once Daily (was 10 mg • Once Daily)" or "Stopped"
+export const describeMedicationChange = (entry) => {
+  if (!entry.before) return `Started ${formatDoseSpec(entry.after)}`;
+  if (!entry.after) return 'Stopped';
+  return `${formatDoseSpec(entry.after)} (was ${formatDoseSpec(entry.before)})`;
+};
@@ -0,0 +1,265 @@
+/**
+ * MediAssist App - Visit Report
+ * One-page summary for the doctor: medications with adherence since the last visit, vital trends
+ * with out-of-range readings, "as needed" use, side effects and the patient's questions
+ */
+
+import {
+  APPOINTMENT_STATUS,
+  APPOINTMENT_TYPES,
+  VITAL_TYPES,
+  MEDICATION_STATUS,
+  TAKEN_DOSE_STATUSES,
+} from './constants';
+import { addDays, getCurrentDoseSpec, isAsNeeded } from './dateUtils';
+import { getOccurrencesForRange } from './appointmentUtils';
+import { getVitalReadingStatus, VITAL_RANGE_STATUS } from './vitalRanges';
+import { getDisplayDefinition, toDisplayValue } from './units';
+import { formatDoseSpec, formatVitalReading, formatDiscontinuation } from './formatters';
+
+// Without an earlier completed visit the report covers this many days
+export const DEFAULT_REPORT_PERIOD_DAYS = 90;
+
+// Earlier visits are looked for this far back
+const PREVIOUS_VISIT_LOOKBACK_DAYS = 365;
+
+// Change between the first and last third of a period that counts as a trend
+const TREND_THRESHOLD = 0.05;
+
+// Out-of-range readings listed per vital; the rest are counted
+const MAX_LISTED_EVENTS = 5;
+
+/**
+ * The last completed visit before `visit`, preferring one with the same doctor,
+ * so the report covers what happened since the patient was last seen.
+ */
+export const findPreviousVisit = (visit, appointments) => {
+  const start = new Date(visit.dateTime);
+  const completed = getOccurrencesForRange(appointments, addDays(start, -PREVIOUS_VISIT_LOOKBACK_DAYS), start)
+    .filter(occurrence =>
+      occurrence.status === APPOINTMENT_STATUS.COMPLETED &&
+      occurrence.id !== visit.id &&
+      new Date(occurrence.dateTime) < start
+    );
+
+  const sameDoctor = completed.filter(occurrence => occurrence.doctorName && occurrence.doctorName === visit.doctorName);
+  return (sameDoctor.length ? sameDoctor : completed).pop() || null;
+};
+
+const inPeriod = (date, period) => {
+  const time = new Date(date).getTime();
+  return time >= period.from.getTime() && time <= period.to.getTime();
+};
+
+// Lines of free text as separate questions, without list markers
+export const parseQuestions = (text) => String(text || '')
+  .split('\n')
+  .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+  .filter(Boolean);
+
+const summarizeAdherence = (medicationId, adherenceData, period) => {
+  const doses = adherenceData.filter(item => item.medicationId === medicationId && inPeriod(item.date, period));
+  if (!doses.length) return null;
+
+  const count = status => doses.filter(item => item.status === status).length;
+  const taken = doses.filter(item => TAKEN_DOSE_STATUSES.includes(item.status)).length;
+
+  return {
+    total: doses.length,
+    taken: count('taken'),
+    late: count('late'),
+    skipped: count('skipped'),
+    missed: count('missed'),
+    rate: Math.round((taken / doses.length) * 100),
+  };
+};
+
+const summarizePrnUse = (medicationId, prnDoses, period) => {
+  const doses = prnDoses.filter(item => item.medicationId === medicationId && inPeriod(item.date, period));
+  if (!doses.length) return null;
+
+  const reasons = {};
+  doses.forEach(item => {
+    const reason = item.reason || 'No reason given';
+    reasons[reason] = (reasons[reason] || 0) + 1;
+  });
+
+  return {
+    count: doses.length,
+    reasons: Object.entries(reasons)
+      .map(([reason, count]) => ({ reason, count }))
+      .sort((a, b) => b.count - a.count),
+  };
+};
+
+const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const getTrend = (values) => {
+  if (values.length < 3) return null;
+
+  const third = Math.max(1, Math.floor(values.length / 3));
+  const first = average(values.slice(0, third));
+  const last = average(values.slice(-third));
+  const change = first ? (last - first) / Math.abs(first) : 0;
+
+  if (change > TREND_THRESHOLD) return 'rising';
+  if (change < -TREND_THRESHOLD) return 'falling';
+  return 'steady';
+};
+
+
+/**
+ * Summary of one vital from its HealthChart series (oldest first, stored units; see
+ * selectVitalSeries): range of values, trend and out-of-range readings, in display units.
+ */
+const summarizeVital = (type, series, period, ranges, units) => {
+  const points = series.filter(point => inPeriod(point.timestamp, period));
+  if (!points.length) return null;
+
+  const definition = getDisplayDefinition(type, units);
+  const readings = points.map(point => ({ ...point, type }));
+  const values = points.map(point => point.value);
+  const isBloodPressure = type === VITAL_TYPES.BLOOD_PRESSURE;
+
+  const describeField = (field) => {
+    const fieldValues = points.map(point => (isBloodPressure ? point[field.key] : point.value));
+    const format = value => Number(toDisplayValue(type, value, units)).toFixed(field.decimals);
+    return {
+      label: isBloodPressure ? field.label : null,
+      min: format(Math.min(...fieldValues)),
+      max: format(Math.max(...fieldValues)),
+      average: format(average(fieldValues)),
+    };
+  };
+
+  const outOfRange = readings
+    .map(reading => ({ reading, status: getVitalReadingStatus(reading, ranges) }))
+    .filter(({ status }) => status && status !== VITAL_RANGE_STATUS.NORMAL);
+
+  return {
+    type,
+    label: definition.label,
+    unit: definition.unit,
+    count: points.length,
+    latest: formatVitalReading(readings[readings.length - 1], units),
+    // Blood pressure reports systolic and diastolic separately
+    fields: definition.fields.map(describeField),
+    trend: getTrend(values),
+    // Display values for the trend line; blood pressure plots systolic like HealthChart
+    points: points.map(point => ({
+      timestamp: point.timestamp,
+      value: Number(toDisplayValue(type, point.value, units)),
+    })),
+    outOfRange: {
+      count: outOfRange.length,
+      critical: outOfRange.filter(({ status }) => status === VITAL_RANGE_STATUS.CRITICAL).length,
+      events: outOfRange.slice(-MAX_LISTED_EVENTS).reverse().map(({ reading, status }) => ({
+        timestamp: reading.timestamp,
+        value: formatVitalReading(reading, units),
+        status,
+      })),
+    },
+  };
+};
+
+/**
+ * Side effects the patient recorded: medications stopped for side effects, and notes
+ * logged with doses. Newest first.
+ */
+const collectSideEffects = (medications, doseOutcomes, period) => {
+  const names = Object.fromEntries(medications.map(med => [med.id, med.name]));
+
+  const stopped = medications
+    .filter(med => med.discontinuation?.reason === 'side_effects' && inPeriod(med.discontinuation.discontinuedAt, period))
+    .map(med => ({
+      date: med.discontinuation.discontinuedAt,
+      medicationName: med.name,
+      text: med.discontinuation.note || 'Stopped because of side effects',
+    }));
+
+  const notes = doseOutcomes
+    .filter(event => event.note?.trim() && inPeriod(event.actualAt || event.recordedAt, period))
+    .map(event => ({
+      date: event.actualAt || event.recordedAt,
+      medicationName: names[event.medicationId] || 'Medication',
+      text: event.note.trim(),
+    }));
+
+  return [...stopped, ...notes].sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+/**
+ * Everything the visit summary shows, computed from the same data the charts use:
+ * `adherenceData` and `prnDoses` in MedicationChart's shape (selectAdherenceData, selectPrnDoseData)
+ * and `vitalSeries` as { [type]: HealthChart series } (selectVitalSeries).
+ */
+export const buildVisitReport = ({
+  visit,
+  appointments = [],
+  medications = [],
+  adherenceData = [],
+  prnDoses = [],
+  doseOutcomes = [],
+  vitalSeries = {},
+  ranges,
+  units,
+  questions = visit?.questions,
+  now = new Date(),
+}) => {
+  const previousVisit = findPreviousVisit(visit, appointments);
+  const to = new Date(Math.min(new Date(visit.dateTime).getTime(), new Date(now).getTime()));
+  const period = {
+    from: previousVisit ? new Date(previousVisit.dateTime) : addDays(to, -DEFAULT_REPORT_PERIOD_DAYS),
+    to,
+  };
+
+  const currentMedications = medications
+    .filter(med => med.status === MEDICATION_STATUS.ACTIVE)
+    .map(med => ({
+      id: med.id,
+      name: med.name,
+      dose: formatDoseSpec(getCurrentDoseSpec(med, period.to)),
+      instructions: med.instructions || '',
+      asNeeded: isAsNeeded(med),
+      adherence: summarizeAdherence(med.id, adherenceData, period),
+      prnUse: summarizePrnUse(med.id, prnDoses, period),
+    }));
+
+  const stoppedMedications = medications
+    .filter(med => med.discontinuation && inPeriod(med.discontinuation.discontinuedAt, period))
+    .map(med => ({ id: med.id, name: med.name, summary: formatDiscontinuation(med) }));
+
+  const scheduled = currentMedications.map(med => med.adherence).filter(Boolean);
+  const totals = scheduled.reduce((acc, item) => ({
+    taken: acc.taken + item.taken + item.late,
+    total: acc.total + item.total,
+  }), { taken: 0, total: 0 });
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    visit: {
+      doctorName: visit.doctorName || '',
+      specialty: visit.specialty || '',
+      clinic: visit.clinic || '',
+      dateTime: visit.dateTime,
+      reasonForVisit: visit.reasonForVisit || '',
+      type: APPOINTMENT_TYPES.find(type => type.value === visit.type)?.label || '',
+    },
+    period: {
+      from: period.from.toISOString(),
+      to: period.to.toISOString(),
+      previousVisit: previousVisit
+        ? { doctorName: previousVisit.doctorName, dateTime: previousVisit.dateTime }
+        : null,
+    },
+    overallAdherence: totals.total ? Math.round((totals.taken / totals.total) * 100) : null,
+    medications: currentMedications,
+    stoppedMedications,
+    prnUse: currentMedications.filter(med => med.prnUse),
+    vitals: Object.values(VITAL_TYPES)
+      .map(type => summarizeVital(type, vitalSeries[type] || [], period, ranges, units))
+      .filter(Boolean),
+    sideEffects: collectSideEffects(medications, doseOutcomes, period),
+    questions: parseQuestions(questions),
+  };
+};
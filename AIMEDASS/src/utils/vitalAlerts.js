@@ -0,0 +1,224 @@
+/**
+ * MediAssist App - Vital Alerts
+ * Rule engine that checks each new vital reading for thresholds, streaks and changes
+ */
+
+import {
+  VITAL_TYPES,
+  VITAL_DEFINITIONS,
+  ALERT_RULE_KINDS,
+  ALERT_LIMITS,
+  ALERT_DIRECTIONS,
+  ALERT_SEVERITY,
+  SEVERITY_ACTIONS,
+} from './constants';
+import { MS_PER_HOUR } from './dateUtils';
+import { getVitalRange } from './vitalRanges';
+import { formatVitalReading } from './formatters';
+import { getDisplayUnit, toDisplayValue, toDisplayDelta } from './units';
+
+// Rules a new user starts with; `vitalType: null` applies to every vital with ranges
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: 'critical_reading',
+    name: 'Reading beyond alert limits',
+    kind: ALERT_RULE_KINDS.THRESHOLD,
+    vitalType: null,
+    limit: ALERT_LIMITS.CRITICAL,
+    direction: ALERT_DIRECTIONS.EITHER,
+    severity: ALERT_SEVERITY.CRITICAL,
+    enabled: true,
+  },
+  {
+    id: 'out_of_target',
+    name: 'Reading outside target range',
+    kind: ALERT_RULE_KINDS.THRESHOLD,
+    vitalType: null,
+    limit: ALERT_LIMITS.NORMAL,
+    direction: ALERT_DIRECTIONS.EITHER,
+    severity: ALERT_SEVERITY.INFO,
+    enabled: true,
+  },
+  {
+    id: 'bp_high_streak',
+    name: 'Blood pressure high 3 times in a row',
+    kind: ALERT_RULE_KINDS.CONSECUTIVE,
+    vitalType: VITAL_TYPES.BLOOD_PRESSURE,
+    limit: ALERT_LIMITS.NORMAL,
+    direction: ALERT_DIRECTIONS.ABOVE,
+    count: 3,
+    severity: ALERT_SEVERITY.WARNING,
+    enabled: true,
+  },
+  {
+    id: 'weight_gain_24h',
+    name: 'Rapid weight gain',
+    kind: ALERT_RULE_KINDS.CHANGE,
+    vitalType: VITAL_TYPES.WEIGHT,
+    direction: ALERT_DIRECTIONS.ABOVE,
+    delta: 2,
+    windowHours: 24,
+    severity: ALERT_SEVERITY.WARNING,
+    enabled: true,
+  },
+  {
+    id: 'glucose_fast_drop',
+    name: 'Glucose falling fast',
+    kind: ALERT_RULE_KINDS.RATE,
+    vitalType: VITAL_TYPES.GLUCOSE,
+    direction: ALERT_DIRECTIONS.BELOW,
+    delta: 50,
+    windowHours: 3,
+    severity: ALERT_SEVERITY.WARNING,
+    enabled: true,
+  },
+];
+
+const SEVERITY_ORDER = [ALERT_SEVERITY.INFO, ALERT_SEVERITY.WARNING, ALERT_SEVERITY.CRITICAL];
+
+// Fields a rule looks at: its own field, or every measured field of the vital
+const getRuleFields = (rule, type) => {
+  return rule.field ? [rule.field] : VITAL_DEFINITIONS[type].fields.map(({ key }) => key);
+};
+
+const matchesDirection = (difference, direction) => {
+  if (direction === ALERT_DIRECTIONS.ABOVE) return difference > 0;
+  if (direction === ALERT_DIRECTIONS.BELOW) return difference < 0;
+  return difference !== 0;
+};
+
+// Whether one field of a reading is past the rule's limit
+const isBeyondLimit = (reading, field, rule, ranges) => {
+  const value = Number(reading[field]);
+  if (!Number.isFinite(value)) return false;
+
+  if (rule.limit === ALERT_LIMITS.CUSTOM) {
+    return rule.direction === ALERT_DIRECTIONS.BELOW ? value < rule.value : value > rule.value;
+  }
+
+  const range = getVitalRange(ranges, reading.type, field)?.[`${rule.limit}Range`];
+  if (!range) return false;
+
+  const above = value > range.max;
+  const below = value < range.min;
+  if (rule.direction === ALERT_DIRECTIONS.ABOVE) return above;
+  if (rule.direction === ALERT_DIRECTIONS.BELOW) return below;
+  return above || below;
+};
+
+const isReadingBeyond = (reading, rule, ranges) => {
+  return getRuleFields(rule, reading.type).some(field => isBeyondLimit(reading, field, rule, ranges));
+};
+
+// Largest move of any field from `baseline` to `reading` in the rule's direction
+const getDirectionalChange = (reading, baseline, rule) => {
+  return getRuleFields(rule, reading.type)
+    .map(field => Number(reading[field]) - Number(baseline[field]))
+    .filter(difference => Number.isFinite(difference) && matchesDirection(difference, rule.direction))
+    .reduce((largest, difference) => Math.max(largest, Math.abs(difference)), 0);
+};
+
+const RULE_EVALUATORS = {
+  [ALERT_RULE_KINDS.THRESHOLD]: (reading, history, rule, ranges) => isReadingBeyond(reading, rule, ranges),
+
+  // The newest `count` readings, this one included, are all past the limit and the one before is not,
+  // so a long streak alerts once and again only after a reading back within the limit
+  [ALERT_RULE_KINDS.CONSECUTIVE]: (reading, history, rule, ranges) => {
+    const streak = history.slice(-rule.count);
+    const before = history[history.length - rule.count - 1];
+    return streak.length === rule.count
+      && streak.every(item => isReadingBeyond(item, rule, ranges))
+      && !(before && isReadingBeyond(before, rule, ranges));
+  },
+
+  // Moved at least `delta` from any reading in the window (e.g. +2 lbs in 24h)
+  [ALERT_RULE_KINDS.CHANGE]: (reading, history, rule) => {
+    const windowStart = new Date(reading.measuredAt).getTime() - rule.windowHours * MS_PER_HOUR;
+    return history
+      .filter(item => item.id !== reading.id && new Date(item.measuredAt).getTime() >= windowStart)
+      .some(item => getDirectionalChange(reading, item, rule) >= rule.delta);
+  },
+
+  // Changing at `delta` per hour or faster since the previous reading, if it is recent enough to compare
+  [ALERT_RULE_KINDS.RATE]: (reading, history, rule) => {
+    const previous = history[history.length - 2];
+    if (!previous) return false;
+
+    const hours = (new Date(reading.measuredAt) - new Date(previous.measuredAt)) / MS_PER_HOUR;
+    if (hours <= 0 || hours > rule.windowHours) return false;
+    return getDirectionalChange(reading, previous, rule) / hours >= rule.delta;
+  },
+};
+
+// "Above alert limits", "3 in a row above target range", "Rises 2 lbs within 24h" (in the user's units)
+export const describeAlertRule = (rule, units) => {
+  const unit = rule.vitalType ? getDisplayUnit(rule.vitalType, units) : '';
+  const value = toDisplayValue(rule.vitalType, rule.value, units);
+  const delta = toDisplayDelta(rule.vitalType, rule.delta, units);
+  const limitLabel = {
+    [ALERT_LIMITS.NORMAL]: 'target range',
+    [ALERT_LIMITS.CRITICAL]: 'alert limits',
+    [ALERT_LIMITS.CUSTOM]: `${value} ${unit}`.trim(),
+  }[rule.limit];
+  const position = {
+    [ALERT_DIRECTIONS.ABOVE]: 'Above',
+    [ALERT_DIRECTIONS.BELOW]: 'Below',
+    [ALERT_DIRECTIONS.EITHER]: 'Outside',
+  }[rule.direction];
+  const movement = {
+    [ALERT_DIRECTIONS.ABOVE]: 'Rises',
+    [ALERT_DIRECTIONS.BELOW]: 'Falls',
+    [ALERT_DIRECTIONS.EITHER]: 'Changes',
+  }[rule.direction];
+
+  switch (rule.kind) {
+    case ALERT_RULE_KINDS.THRESHOLD:
+      return `${position} ${limitLabel}`;
+    case ALERT_RULE_KINDS.CONSECUTIVE:
+      return `${rule.count} in a row ${position.toLowerCase()} ${limitLabel}`;
+    case ALERT_RULE_KINDS.CHANGE:
+      return `${movement} ${delta} ${unit} within ${rule.windowHours}h`.replace(/\s+/g, ' ');
+    case ALERT_RULE_KINDS.RATE:
+      return `${movement} ${delta} ${unit} per hour or faster`.replace(/\s+/g, ' ');
+    default:
+      return '';
+  }
+};
+
+export const compareAlertSeverity = (a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity);
+
+/**
+ * Run the enabled rules against a reading. `readings` is the reading history
+ * (any order, may already contain `reading`); `ranges` come from selectVitalRanges
+ * and, like rules, are in stored units. `units` only affects the alert text.
+ * Returns one alert per matching rule, most severe first.
+ */
+export const evaluateVitalAlerts = (reading, readings, rules, ranges, { now = new Date(), units } = {}) => {
+  const history = [...readings.filter(item => item.id !== reading.id), reading]
+    .filter(item => item.type === reading.type && item.measuredAt <= reading.measuredAt)
+    .sort((a, b) => a.measuredAt.localeCompare(b.measuredAt));
+
+  const matched = rules
+    .filter(rule => rule.enabled && (!rule.vitalType || rule.vitalType === reading.type))
+    .filter(rule => RULE_EVALUATORS[rule.kind]?.(reading, history, rule, ranges))
+    .sort(compareAlertSeverity);
+
+  // A reading past its alert limits is also outside its target range; only report the worse threshold
+  const threshold = matched.find(rule => rule.kind === ALERT_RULE_KINDS.THRESHOLD);
+
+  return matched
+    .filter(rule => rule.kind !== ALERT_RULE_KINDS.THRESHOLD || rule === threshold)
+    .map(rule => ({
+      id: `${rule.id}:${reading.id}`,
+      ruleId: rule.id,
+      readingId: reading.id,
+      vitalType: reading.type,
+      severity: rule.severity,
+      actions: SEVERITY_ACTIONS[rule.severity] || [],
+      title: rule.name,
+      message: `${VITAL_DEFINITIONS[reading.type].label} ${formatVitalReading(reading, units)}: ${describeAlertRule({ ...rule, vitalType: reading.type }, units)}`,
+      measuredAt: reading.measuredAt,
+      triggeredAt: new Date(now).toISOString(),
+      acknowledgedAt: null,
+    }));
+};
@@ -0,0 +1,198 @@
+/**
+ * MediAssist App - Vital Ranges
+ * Per-user normal and critical ranges with age and condition based defaults
+ */
+
+import { VITAL_TYPES, VITAL_DEFINITIONS } from './constants';
+
+export const VITAL_RANGE_STATUS = {
+  NORMAL: 'normal',
+  ELEVATED: 'elevated',
+  CRITICAL: 'critical',
+};
+
+// Adult defaults for each measured field; weight has no population range
+export const DEFAULT_VITAL_RANGES = {
+  [VITAL_TYPES.HEART_RATE]: {
+    value: { normalRange: { min: 60, max: 100 }, criticalRange: { min: 40, max: 150 } },
+  },
+  [VITAL_TYPES.BLOOD_PRESSURE]: {
+    systolic: { normalRange: { min: 90, max: 140 }, criticalRange: { min: 70, max: 180 } },
+    diastolic: { normalRange: { min: 60, max: 90 }, criticalRange: { min: 40, max: 120 } },
+  },
+  [VITAL_TYPES.TEMPERATURE]: {
+    value: { normalRange: { min: 97, max: 99.5 }, criticalRange: { min: 95, max: 104 } },
+  },
+  [VITAL_TYPES.OXYGEN]: {
+    value: { normalRange: { min: 95, max: 100 }, criticalRange: { min: 88, max: 100 } },
+  },
+  [VITAL_TYPES.GLUCOSE]: {
+    value: { normalRange: { min: 70, max: 140 }, criticalRange: { min: 54, max: 400 } },
+  },
+  [VITAL_TYPES.RESPIRATORY_RATE]: {
+    value: { normalRange: { min: 12, max: 20 }, criticalRange: { min: 8, max: 30 } },
+  },
+};
+
+const hasCondition = (profile, pattern) => pattern.test(profile?.medicalConditions || '');
+
+/**
+ * Adjustments layered over the adult defaults, in order. Each one only
+ * overrides the bounds it names, so later rules refine earlier ones.
+ */
+const RANGE_ADJUSTMENTS = [
+  {
+    key: 'child',
+    label: 'Under 13',
+    applies: (profile, age) => age !== null && age < 13,
+    ranges: {
+      [VITAL_TYPES.HEART_RATE]: { value: { normalRange: { min: 70, max: 120 }, criticalRange: { min: 50, max: 180 } } },
+      [VITAL_TYPES.BLOOD_PRESSURE]: { systolic: { normalRange: { min: 85, max: 120 } }, diastolic: { normalRange: { min: 50, max: 80 } } },
+      [VITAL_TYPES.RESPIRATORY_RATE]: { value: { normalRange: { min: 18, max: 30 }, criticalRange: { min: 12, max: 40 } } },
+    },
+  },
+  {
+    key: 'older_adult',
+    label: 'Age 65+',
+    applies: (profile, age) => age !== null && age >= 65,
+    ranges: {
+      [VITAL_TYPES.BLOOD_PRESSURE]: { systolic: { normalRange: { min: 100, max: 150 } } },
+      [VITAL_TYPES.TEMPERATURE]: { value: { normalRange: { min: 96.4, max: 99 } } },
+    },
+  },
+  {
+    key: 'hypertension',
+    label: 'Hypertension',
+    applies: (profile) => hasCondition(profile, /hypertension|high blood pressure|\bhbp\b/i),
+    ranges: {
+      [VITAL_TYPES.BLOOD_PRESSURE]: { systolic: { normalRange: { max: 130 } }, diastolic: { normalRange: { max: 80 } } },
+    },
+  },
+  {
+    key: 'diabetes',
+    label: 'Diabetes',
+    applies: (profile) => hasCondition(profile, /diabet|\bt[12]dm?\b/i),
+    ranges: {
+      [VITAL_TYPES.BLOOD_PRESSURE]: { systolic: { normalRange: { max: 130 } }, diastolic: { normalRange: { max: 80 } } },
+      [VITAL_TYPES.GLUCOSE]: { value: { normalRange: { min: 80, max: 180 } } },
+    },
+  },
+  {
+    key: 'copd',
+    label: 'COPD',
+    applies: (profile) => hasCondition(profile, /copd|emphysema|chronic bronchitis/i),
+    ranges: {
+      // Lower targets are accepted, but a healthy reading up to 100% is still normal
+      [VITAL_TYPES.OXYGEN]: { value: { normalRange: { min: 88 }, criticalRange: { min: 85 } } },
+    },
+  },
+];
+
+export const getAge = (dateOfBirth, at = new Date()) => {
+  if (!dateOfBirth) return null;
+  const birth = new Date(dateOfBirth);
+  if (isNaN(birth.getTime())) return null;
+
+  const now = new Date(at);
+  const age = now.getFullYear() - birth.getFullYear();
+  const hadBirthday = now.getMonth() > birth.getMonth() ||
+    (now.getMonth() === birth.getMonth() && now.getDate() >= birth.getDate());
+  return hadBirthday ? age : age - 1;
+};
+
+// Merge partial { type: { field: { normalRange, criticalRange } } } ranges into a copy of `base`
+const mergeRanges = (base, ranges = {}) => {
+  const merged = JSON.parse(JSON.stringify(base));
+
+  Object.entries(ranges).forEach(([type, fields]) => {
+    Object.entries(fields || {}).forEach(([field, range]) => {
+      ['normalRange', 'criticalRange'].forEach((rangeKey) => {
+        const bounds = Object.fromEntries(
+          Object.entries(range?.[rangeKey] || {}).filter(([, bound]) => Number.isFinite(bound))
+        );
+        if (!Object.keys(bounds).length) return;
+
+        merged[type] = merged[type] || {};
+        merged[type][field] = merged[type][field] || {};
+        merged[type][field][rangeKey] = { ...merged[type][field][rangeKey], ...bounds };
+      });
+    });
+  });
+
+  return merged;
+};
+
+// Adjustments that apply to a profile, in the order they are layered
+export const getRangeAdjustments = (profile, at = new Date()) => {
+  const age = getAge(profile?.dateOfBirth, at);
+  return RANGE_ADJUSTMENTS.filter(adjustment => adjustment.applies(profile, age));
+};
+
+// Defaults for a profile's age and conditions, before any clinician overrides
+export const getDefaultVitalRanges = (profile, at = new Date()) => {
+  return getRangeAdjustments(profile, at)
+    .reduce((ranges, adjustment) => mergeRanges(ranges, adjustment.ranges), DEFAULT_VITAL_RANGES);
+};
+
+/**
+ * Ranges in effect for a profile: age/condition defaults with the user's
+ * overrides on top. Profile shape: { dateOfBirth, medicalConditions, overrides }.
+ */
+export const resolveVitalRanges = (profile, at = new Date()) => {
+  return mergeRanges(getDefaultVitalRanges(profile, at), profile?.overrides);
+};
+
+// The { normalRange, criticalRange } of one field, defaulting to the vital's first field
+export const getVitalRange = (ranges, type, field = VITAL_DEFINITIONS[type]?.fields[0].key) => {
+  return ranges?.[type]?.[field] || null;
+};
+
+export const getRangeStatus = (value, range) => {
+  const number = parseFloat(value);
+  if (!range || !Number.isFinite(number)) return null;
+
+  const { normalRange, criticalRange } = range;
+  if (criticalRange && (number < criticalRange.min || number > criticalRange.max)) {
+    return VITAL_RANGE_STATUS.CRITICAL;
+  }
+  if (normalRange && (number < normalRange.min || number > normalRange.max)) {
+    return VITAL_RANGE_STATUS.ELEVATED;
+  }
+  return VITAL_RANGE_STATUS.NORMAL;
+};
+
+// Worst status across every measured field of a reading (e.g. systolic and diastolic)
+export const getVitalReadingStatus = (reading, ranges) => {
+  const severity = Object.values(VITAL_RANGE_STATUS);
+
+  return (VITAL_DEFINITIONS[reading?.type]?.fields || [])
+    .map(({ key }) => getRangeStatus(reading[key], getVitalRange(ranges, reading.type, key)))
+    .filter(Boolean)
+    .reduce((worst, status) => (severity.indexOf(status) > severity.indexOf(worst) ? status : worst), null);
+};
+
+/**
+ * Convert edited overrides (text inputs) to numbers, dropping blank bounds
+ * and anything that ends up empty so stored profiles stay minimal.
+ */
+export const normalizeRangeOverrides = (overrides = {}) => {
+  const normalized = {};
+
+  Object.entries(overrides).forEach(([type, fields]) => {
+    Object.entries(fields || {}).forEach(([field, range]) => {
+      ['normalRange', 'criticalRange'].forEach((rangeKey) => {
+        Object.entries(range?.[rangeKey] || {}).forEach(([bound, value]) => {
+          if (value === '' || value === null || value === undefined) return;
+          const number = Number(value);
+          if (!Number.isFinite(number)) return;
+
+          normalized[type] = normalized[type] || {};
+          normalized[type][field] = normalized[type][field] || {};
+          normalized[type][field][rangeKey] = { ...normalized[type][field][rangeKey], [bound]: number };
+        });
+      });
+    });
+  });
+
+  return normalized;
+};